@@ -0,0 +1,236 @@
+const { thresholdCurve } = require('./classification_metrics');
+
+// Probability calibration and operating points for the forest's malicious probability.
+// Both are fitted on out-of-fold scores from cross-validation (xss_train.js) and saved
+// with the model, so predictSamples (ml_model.js) can map a raw vote share to a
+// calibrated probability and compare it with the threshold of the requested operating point.
+
+const CALIBRATION_METHODS = ['isotonic', 'platt', 'none'];
+
+// Named operating points, from most to least conservative about flagging:
+//   strict    most recall with precision >= minPrecision (block)
+//   balanced  best F1
+//   lenient   most precision with recall >= minRecall (log / review)
+const OPERATING_POINTS = {
+    strict: { minPrecision: 0.99 },
+    balanced: {},
+    lenient: { minRecall: 0.99 }
+};
+const OPERATING_POINT_NAMES = Object.keys(OPERATING_POINTS);
+const DEFAULT_OPERATING_POINT = 'balanced';
+
+// ----------------- Calibration -----------------
+
+function sigmoid(z) {
+    return z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z));
+}
+
+/**
+ * Platt scaling: P(malicious) = 1 / (1 + exp(a * score + b)), fitted by Newton's method with
+ * Platt's smoothed targets so perfectly separated folds don't push a and b to infinity.
+ * Returns { method: 'platt', a, b }.
+ */
+function fitPlatt(scores, labels) {
+    const positives = labels.filter(label => label === 1).length;
+    const negatives = labels.length - positives;
+    const high = (positives + 1) / (positives + 2);
+    const low = 1 / (negatives + 2);
+    const targets = labels.map(label => (label === 1 ? high : low));
+
+    // Negative log-likelihood, written to stay finite for large |a * score + b|
+    function loss(a, b) {
+        return scores.reduce((sum, score, i) => {
+            const z = a * score + b;
+            return sum + (z >= 0
+                ? targets[i] * z + Math.log1p(Math.exp(-z))
+                : (targets[i] - 1) * z + Math.log1p(Math.exp(z)));
+        }, 0);
+    }
+
+    let a = 0;
+    let b = Math.log((negatives + 1) / (positives + 1));
+    let current = loss(a, b);
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let gradientA = 0, gradientB = 0, haa = 1e-12, hab = 0, hbb = 1e-12;
+        scores.forEach((score, i) => {
+            const p = sigmoid(-(a * score + b));
+            const weight = p * (1 - p);
+            gradientA += (targets[i] - p) * score;
+            gradientB += targets[i] - p;
+            haa += weight * score * score;
+            hab += weight * score;
+            hbb += weight;
+        });
+        if (Math.abs(gradientA) < 1e-5 && Math.abs(gradientB) < 1e-5) {
+            break;
+        }
+
+        const determinant = haa * hbb - hab * hab;
+        const stepA = -(hbb * gradientA - hab * gradientB) / determinant;
+        const stepB = -(haa * gradientB - hab * gradientA) / determinant;
+        // Halve the Newton step until the loss goes down
+        let size = 1;
+        while (size >= 1e-10) {
+            const next = loss(a + size * stepA, b + size * stepB);
+            if (next < current + 1e-4 * size * (gradientA * stepA + gradientB * stepB)) {
+                a += size * stepA;
+                b += size * stepB;
+                current = next;
+                break;
+            }
+            size /= 2;
+        }
+        if (size < 1e-10) {
+            break;
+        }
+    }
+    return { method: 'platt', a, b };
+}
+
+/**
+ * Isotonic regression (pool adjacent violators): the non-decreasing step function of the
+ * score closest to the labels. Returns { method: 'isotonic', x, y }: knots interpolated
+ * linearly between and clamped outside.
+ */
+function fitIsotonic(scores, labels) {
+    const order = scores.map((_, i) => i).sort((a, b) => scores[a] - scores[b]);
+    const blocks = [];
+    order.forEach(i => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.max === scores[i]) {
+            // Equal scores must get the same probability
+            last.sum += labels[i];
+            last.count++;
+        } else {
+            blocks.push({ min: scores[i], max: scores[i], sum: labels[i], count: 1 });
+        }
+        // Merge backwards while the block means decrease
+        while (blocks.length > 1) {
+            const current = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.sum / previous.count <= current.sum / current.count) break;
+            previous.max = current.max;
+            previous.sum += current.sum;
+            previous.count += current.count;
+            blocks.pop();
+        }
+    });
+
+    const x = [];
+    const y = [];
+    blocks.forEach(block => {
+        const value = block.sum / block.count;
+        x.push(block.min);
+        y.push(value);
+        if (block.max !== block.min) {
+            x.push(block.max);
+            y.push(value);
+        }
+    });
+    return { method: 'isotonic', x, y };
+}
+
+// Fit `method` (CALIBRATION_METHODS) on out-of-fold scores; null for 'none'
+function fitCalibration(method, scores, labels) {
+    if (method === 'none') {
+        return null;
+    }
+    if (method === 'platt') {
+        return fitPlatt(scores, labels);
+    }
+    if (method === 'isotonic') {
+        return fitIsotonic(scores, labels);
+    }
+    throw new Error(`Unknown calibration method "${method}" (expected ${CALIBRATION_METHODS.join(', ')})`);
+}
+
+// Calibrated probability of a raw score (the raw score itself without a calibration)
+function applyCalibration(calibration, score) {
+    if (!calibration) {
+        return score;
+    }
+    if (calibration.method === 'platt') {
+        return sigmoid(-(calibration.a * score + calibration.b));
+    }
+    const { x, y } = calibration;
+    if (score <= x[0]) return y[0];
+    if (score >= x[x.length - 1]) return y[y.length - 1];
+    let high = 1;
+    while (x[high] < score) high++;
+    const low = high - 1;
+    return y[low] + (y[high] - y[low]) * (score - x[low]) / (x[high] - x[low]);
+}
+
+// ----------------- Operating points -----------------
+
+/**
+ * Pick a threshold for every OPERATING_POINTS entry from (calibrated) out-of-fold scores.
+ * A target no threshold reaches falls back to the closest one (highest precision for
+ * strict, highest recall for lenient). Ties go to the lowest threshold, and the threshold is
+ * placed halfway down to the next lower score: every cut-off in that gap flags the same
+ * samples, and on separable folds (calibrated scores of 0 and 1) this gives 0.5 rather than 1.
+ * Returns { [name]: { threshold, precision, recall, fpr, f1 } }.
+ */
+function chooseOperatingPoints(scores, labels, targets = OPERATING_POINTS) {
+    // The first curve point flags nothing and has no threshold
+    const candidates = thresholdCurve(scores, labels).slice(1);
+    if (candidates.length === 0) {
+        return null;
+    }
+    // Candidates run from high to low threshold, so >= keeps the lowest of tied entries
+    const best = (list, key) => list.reduce((top, entry) => (entry[key] >= top[key] ? entry : top), list[0]);
+    const cutOff = entry => {
+        const next = candidates[candidates.indexOf(entry) + 1];
+        return next ? (entry.threshold + next.threshold) / 2 : entry.threshold;
+    };
+
+    const points = {};
+    Object.keys(targets).forEach(name => {
+        const target = targets[name];
+        let chosen;
+        if (target.minPrecision !== undefined) {
+            const precise = candidates.filter(entry => entry.precision >= target.minPrecision);
+            chosen = precise.length > 0 ? best(precise, 'recall') : best(candidates, 'precision');
+        } else if (target.minRecall !== undefined) {
+            const sensitive = candidates.filter(entry => entry.recall >= target.minRecall);
+            chosen = sensitive.length > 0 ? best(sensitive, 'precision') : best(candidates, 'recall');
+        } else {
+            chosen = best(candidates, 'f1');
+        }
+        points[name] = {
+            threshold: cutOff(chosen),
+            precision: chosen.precision,
+            recall: chosen.recall,
+            fpr: chosen.fpr,
+            f1: chosen.f1
+        };
+    });
+    return points;
+}
+
+/**
+ * Threshold of a model's operating point: { name, threshold }, or null when the model has no
+ * operating points (trained before calibration; its own verdict is used). Throws on unknown names.
+ */
+function resolveOperatingPoint(operatingPoints, name = DEFAULT_OPERATING_POINT) {
+    if (!OPERATING_POINT_NAMES.includes(name)) {
+        throw new Error(`Unknown operating point "${name}" (expected ${OPERATING_POINT_NAMES.join(', ')})`);
+    }
+    if (!operatingPoints || !operatingPoints[name]) {
+        return null;
+    }
+    return { name, threshold: operatingPoints[name].threshold };
+}
+
+module.exports = {
+    CALIBRATION_METHODS,
+    OPERATING_POINTS,
+    OPERATING_POINT_NAMES,
+    DEFAULT_OPERATING_POINT,
+    fitPlatt,
+    fitIsotonic,
+    fitCalibration,
+    applyCalibration,
+    chooseOperatingPoints,
+    resolveOperatingPoint
+};
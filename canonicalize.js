@@ -0,0 +1,160 @@
+const { decodeHtmlEntities } = require('./html_parser');
+
+// How many rounds of decoding to attempt before giving up (each round tries every layer)
+const DEFAULT_MAX_DEPTH = 5;
+
+// Longest output snippet kept per chain step
+const SNIPPET_LENGTH = 200;
+
+// Schemes browsers still honour when split by whitespace/control characters or mixed case
+const DANGEROUS_SCHEMES = ['javascript', 'vbscript', 'livescript', 'data'];
+
+// "java\tscript:" -> a regex allowing ASCII control/whitespace between every letter
+const SCHEME_PATTERNS = DANGEROUS_SCHEMES.map(scheme => ({
+    scheme,
+    regex: new RegExp(scheme.split('').join('[\\x00-\\x20]*') + '[\\x00-\\x20]*:', 'gi')
+}));
+
+// %XX sequences; runs are decoded as UTF-8 where valid, byte-by-byte otherwise
+function decodeUrl(text) {
+    return text.replace(/(?:%[0-9a-fA-F]{2})+/g, run => {
+        try {
+            return decodeURIComponent(run);
+        } catch (e) {
+            return run.replace(/%([0-9a-fA-F]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16)));
+        }
+    });
+}
+
+// \xHH, \uHHHH and \u{H...} escapes inside JavaScript strings
+function decodeJsEscapes(text) {
+    return text
+        .replace(/\\u\{([0-9a-fA-F]{1,6})\}/g, (m, h) => {
+            const code = parseInt(h, 16);
+            return code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+        })
+        .replace(/\\u([0-9a-fA-F]{4})/g, (m, h) => String.fromCharCode(parseInt(h, 16)))
+        .replace(/\\x([0-9a-fA-F]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16)));
+}
+
+// Where CSS is parsed: <style> element content, style attribute values, and the arguments of
+// expression(...) / url(...) (up to the matching parenthesis)
+const STYLE_ELEMENT = /<style\b[^>]*>([\s\S]*?)(?:<\/style\s*>|$)/gi;
+const STYLE_ATTRIBUTE = /\bstyle\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi;
+const CSS_FUNCTION = /\b(?:expression|url)\s*\(/gi;
+
+// [start, end) ranges of the text in a CSS context, sorted and merged
+function cssRanges(text) {
+    const ranges = [];
+    for (const m of text.matchAll(STYLE_ELEMENT)) {
+        const start = m.index + m[0].indexOf('>') + 1;
+        ranges.push([start, start + m[1].length]);
+    }
+    for (const m of text.matchAll(STYLE_ATTRIBUTE)) {
+        ranges.push([m.index + m[0].length - m[1].length, m.index + m[0].length]);
+    }
+    for (const m of text.matchAll(CSS_FUNCTION)) {
+        let end = m.index + m[0].length;
+        for (let depth = 1; end < text.length && depth > 0; end++) {
+            if (text[end] === '(') depth++;
+            else if (text[end] === ')') depth--;
+        }
+        ranges.push([m.index + m[0].length, end]);
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+// CSS escapes: backslash + 1-6 hex digits, optionally followed by one whitespace character.
+// Only decoded in a CSS context, so plain text such as C:\Users\abc\def is left alone.
+function decodeCssEscapes(text) {
+    let out = '';
+    let position = 0;
+    for (const [start, end] of cssRanges(text)) {
+        out += text.slice(position, start) + text.slice(start, end).replace(/\\([0-9a-fA-F]{1,6})\s?/g, (m, h) => {
+            const code = parseInt(h, 16);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+        });
+        position = end;
+    }
+    return out + text.slice(position);
+}
+
+// data:<mime>;base64,<payload> -> data:<mime>,<decoded payload> (only when the payload decodes to text)
+function decodeBase64DataUrls(text) {
+    return text.replace(/data:([\w.+-]+\/[\w.+-]+)?((?:;[\w-]+=[\w.-]+)*);base64,([A-Za-z0-9+/=\s]+)/gi, (match, mime, params, payload) => {
+        const decoded = Buffer.from(payload.replace(/\s+/g, ''), 'base64').toString('utf8');
+        // Binary payloads (images etc.) are left alone
+        if (!decoded || /[\x00-\x08\x0E-\x1F\uFFFD]/.test(decoded)) {
+            return match;
+        }
+        return `data:${mime || ''}${params || ''},${decoded}`;
+    });
+}
+
+// Remove whitespace/control characters splitting a dangerous scheme and lower-case it
+function normalizeSchemes(text) {
+    let out = text;
+    for (const { scheme, regex } of SCHEME_PATTERNS) {
+        out = out.replace(regex, `${scheme}:`);
+    }
+    return out;
+}
+
+// Decoding layers, tried in this order every round
+const LAYERS = [
+    { name: 'url', decode: decodeUrl },
+    { name: 'html-entity', decode: decodeHtmlEntities },
+    { name: 'js-escape', decode: decodeJsEscapes },
+    { name: 'css-escape', decode: decodeCssEscapes },
+    { name: 'base64-data-url', decode: decodeBase64DataUrls },
+    { name: 'null-bytes', decode: text => text.replace(/\u0000/g, '') },
+    { name: 'scheme-normalization', decode: normalizeSchemes }
+];
+
+/**
+ * Iteratively peel encoding layers off an input until it stops changing.
+ * Returns { canonical, chain, depthLimitReached } where chain lists every layer that
+ * changed the text: [{ depth, layer, output }] (output truncated to SNIPPET_LENGTH).
+ */
+function canonicalize(input, options = {}) {
+    const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+    const chain = [];
+    let current = input;
+    let depthLimitReached = false;
+
+    for (let depth = 1; ; depth++) {
+        let changed = false;
+        for (const layer of LAYERS) {
+            const next = layer.decode(current);
+            if (next !== current) {
+                chain.push({ depth, layer: layer.name, output: next.substring(0, SNIPPET_LENGTH) });
+                current = next;
+                changed = true;
+            }
+        }
+        if (!changed) break;
+        if (depth >= maxDepth) {
+            // Only a limit if another round would still have changed something
+            depthLimitReached = LAYERS.some(layer => layer.decode(current) !== current);
+            break;
+        }
+    }
+
+    return { canonical: current, chain, depthLimitReached };
+}
+
+module.exports = {
+    canonicalize,
+    DEFAULT_MAX_DEPTH,
+    LAYERS
+};
@@ -0,0 +1,141 @@
+// Metrics and curves for scored predictions: `scores` are P(malicious) per sample and
+// `labels` the matching ground truth (1 = XSS, 0 = clean).
+
+function countLabels(labels) {
+    const positives = labels.filter(label => label === 1).length;
+    return { positives, negatives: labels.length - positives };
+}
+
+// Runs of equal scores in `order` (sample indices sorted by score), as [start, end] pairs
+function tiedRuns(order, scores) {
+    const runs = [];
+    let start = 0;
+    for (let i = 1; i <= order.length; i++) {
+        if (i === order.length || scores[order[i]] !== scores[order[start]]) {
+            runs.push([start, i - 1]);
+            start = i;
+        }
+    }
+    return runs;
+}
+
+/**
+ * ROC-AUC: the probability that a random malicious sample scores above a random clean one
+ * (Mann-Whitney U; tied scores count half). null when either class is missing.
+ */
+function rocAuc(scores, labels) {
+    const { positives, negatives } = countLabels(labels);
+    if (positives === 0 || negatives === 0) {
+        return null;
+    }
+
+    const order = scores.map((_, i) => i).sort((a, b) => scores[a] - scores[b]);
+    let positiveRankSum = 0;
+    tiedRuns(order, scores).forEach(([start, end]) => {
+        // Tied samples share the average of their 1-based ranks
+        const rank = (start + end) / 2 + 1;
+        for (let i = start; i <= end; i++) {
+            if (labels[order[i]] === 1) positiveRankSum += rank;
+        }
+    });
+    return (positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * PR-AUC as average precision: precision at each threshold weighted by the share of malicious
+ * samples it adds to recall, thresholds taken at every distinct score from high to low.
+ * null without malicious samples.
+ */
+function averagePrecision(scores, labels) {
+    const { positives } = countLabels(labels);
+    if (positives === 0) {
+        return null;
+    }
+
+    const order = scores.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+    let tp = 0, fp = 0, area = 0;
+    tiedRuns(order, scores).forEach(([start, end]) => {
+        let added = 0;
+        for (let i = start; i <= end; i++) {
+            if (labels[order[i]] === 1) added++;
+            else fp++;
+        }
+        tp += added;
+        area += (added / positives) * (tp / (tp + fp));
+    });
+    return area;
+}
+
+/**
+ * Confusion counts and rates at every distinct score, from the highest threshold down
+ * (samples scoring >= threshold are flagged). The first point (threshold null) flags nothing.
+ * Returns [{ threshold, tp, fp, tn, fn, precision, recall, fpr, f1 }].
+ */
+function thresholdCurve(scores, labels) {
+    const { positives, negatives } = countLabels(labels);
+    const order = scores.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+
+    function point(threshold, tp, fp) {
+        const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+        const recall = positives > 0 ? tp / positives : 0;
+        return {
+            threshold,
+            tp,
+            fp,
+            tn: negatives - fp,
+            fn: positives - tp,
+            precision,
+            recall,
+            fpr: negatives > 0 ? fp / negatives : 0,
+            f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0
+        };
+    }
+
+    const curve = [point(null, 0, 0)];
+    let tp = 0, fp = 0;
+    tiedRuns(order, scores).forEach(([start, end]) => {
+        for (let i = start; i <= end; i++) {
+            if (labels[order[i]] === 1) tp++;
+            else fp++;
+        }
+        curve.push(point(scores[order[start]], tp, fp));
+    });
+    return curve;
+}
+
+// ROC curve points { threshold, fpr, tpr } from (0, 0) to (1, 1)
+function rocCurve(scores, labels) {
+    return thresholdCurve(scores, labels).map(entry => ({ threshold: entry.threshold, fpr: entry.fpr, tpr: entry.recall }));
+}
+
+// Precision-recall curve points { threshold, precision, recall }, recall increasing
+function precisionRecallCurve(scores, labels) {
+    return thresholdCurve(scores, labels).map(entry => ({ threshold: entry.threshold, precision: entry.precision, recall: entry.recall }));
+}
+
+// Keep at most `maxPoints` evenly spaced points of a curve (always the first and last)
+function downsampleCurve(points, maxPoints = 200) {
+    if (points.length <= maxPoints) {
+        return points;
+    }
+    const step = (points.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+// Mean squared error of the probabilities (lower is better calibrated)
+function brierScore(scores, labels) {
+    if (scores.length === 0) {
+        return null;
+    }
+    return scores.reduce((sum, score, i) => sum + Math.pow(score - labels[i], 2), 0) / scores.length;
+}
+
+module.exports = {
+    rocAuc,
+    averagePrecision,
+    thresholdCurve,
+    rocCurve,
+    precisionRecallCurve,
+    downsampleCurve,
+    brierScore
+};
@@ -0,0 +1,77 @@
+// Soft-voting ensemble: the weighted mean of its members' malicious probabilities.
+//   members                backend names (or a comma-separated string)
+//   weights                one per member (default: equal)
+//   memberHyperparameters  { [backend]: hyperparameters } passed to each member
+const name = 'ensemble';
+
+const defaultHyperparameters = {
+    members: ['random-forest', 'logistic-regression', 'naive-bayes'],
+    weights: null,
+    memberHyperparameters: {}
+};
+
+// Members are tuned on their own
+const searchSpace = {};
+
+// Loaded lazily: index.js lists this backend too
+function memberBackend(backendName) {
+    return require('./index').getBackend(backendName);
+}
+
+function createModel(members, weights, hyperparameters) {
+    const total = weights.reduce((a, b) => a + b, 0);
+    return {
+        backend: name,
+        hyperparameters,
+        members,
+        predictProbability(samples) {
+            const memberProbabilities = members.map(member => member.predictProbability(samples));
+            return samples.map((_, i) => memberProbabilities.reduce((sum, probabilities, m) => sum + weights[m] * probabilities[i], 0) / total);
+        },
+        toJSON() {
+            return {
+                hyperparameters,
+                weights,
+                members: members.map(member => ({ backend: member.backend, hyperparameters: member.hyperparameters, model: member.toJSON() }))
+            };
+        }
+    };
+}
+
+function normalizeMembers(members) {
+    const list = typeof members === 'string' ? members.split(',').map(member => member.trim()) : members;
+    if (!Array.isArray(list) || list.length === 0 || list.includes(name)) {
+        throw new Error('An ensemble needs one or more member backends (and cannot contain itself)');
+    }
+    return list;
+}
+
+function train(samples, labels, hyperparameters = {}) {
+    const params = Object.assign({}, defaultHyperparameters, hyperparameters);
+    const memberNames = normalizeMembers(params.members);
+    const weights = params.weights || memberNames.map(() => 1);
+    if (weights.length !== memberNames.length) {
+        throw new Error(`Ensemble has ${memberNames.length} members but ${weights.length} weights`);
+    }
+
+    console.log(`Training soft-voting ensemble of ${memberNames.join(', ')}`);
+    const members = memberNames.map(memberName => {
+        const memberParams = Object.assign({ seed: params.seed }, (params.memberHyperparameters || {})[memberName]);
+        return memberBackend(memberName).train(samples, labels, memberParams);
+    });
+    return createModel(members, weights, Object.assign({}, params, { members: memberNames, weights }));
+}
+
+// context is passed on to every member's loader
+function load(json, context = {}) {
+    const members = json.members.map(member => memberBackend(member.backend).load(member.model, Object.assign({}, context, { hyperparameters: member.hyperparameters })));
+    return createModel(members, json.weights, json.hyperparameters);
+}
+
+module.exports = {
+    name,
+    defaultHyperparameters,
+    searchSpace,
+    train,
+    load
+};
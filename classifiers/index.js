@@ -0,0 +1,38 @@
+const randomForest = require('./random_forest');
+const logisticRegression = require('./logistic_regression');
+const naiveBayes = require('./naive_bayes');
+const ensemble = require('./ensemble');
+
+// Classifier backends behind one interface. Every backend module exports
+//   name, defaultHyperparameters, searchSpace (values `xss-train tune` tries),
+//   train(samples, labels, hyperparameters) -> model
+//   load(json, { featureCount, hyperparameters }) -> model
+// and every model has
+//   backend, hyperparameters,
+//   predictProbability(samples) -> [P(malicious)]
+//   toJSON() -> what load() takes back.
+// A sample is { text, features }: the raw input and its extractFeatures vector (ml_model.js),
+// so a backend can work on either.
+const BACKENDS = {
+    [randomForest.name]: randomForest,
+    [logisticRegression.name]: logisticRegression,
+    [naiveBayes.name]: naiveBayes,
+    [ensemble.name]: ensemble
+};
+const BACKEND_NAMES = Object.keys(BACKENDS);
+const DEFAULT_BACKEND = randomForest.name;
+
+function getBackend(name = DEFAULT_BACKEND) {
+    const backend = BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown classifier backend "${name}" (expected ${BACKEND_NAMES.join(', ')})`);
+    }
+    return backend;
+}
+
+module.exports = {
+    BACKENDS,
+    BACKEND_NAMES,
+    DEFAULT_BACKEND,
+    getBackend
+};
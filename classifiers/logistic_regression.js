@@ -0,0 +1,138 @@
+// L2-regularized logistic regression on the feature-schema vector of each sample, fitted by
+// Newton's method (iteratively reweighted least squares). Features are standardized with
+// the training set's mean and standard deviation, which are saved with the weights.
+const name = 'logistic-regression';
+
+const defaultHyperparameters = {
+    l2: 1, // penalty on the squared weights (not the intercept)
+    maxIterations: 50,
+    tolerance: 1e-6
+};
+
+// Values tried by `xss-train tune`
+const searchSpace = {
+    l2: [0.01, 0.1, 1, 10]
+};
+
+// Solve a x = b for a symmetric positive definite a (Cholesky; a is overwritten)
+function choleskySolve(a, b) {
+    const n = b.length;
+    for (let j = 0; j < n; j++) {
+        let diagonal = a[j][j];
+        for (let k = 0; k < j; k++) diagonal -= a[j][k] * a[j][k];
+        if (diagonal <= 0) {
+            throw new Error('Hessian is not positive definite (try a larger l2)');
+        }
+        a[j][j] = Math.sqrt(diagonal);
+        for (let i = j + 1; i < n; i++) {
+            let value = a[i][j];
+            for (let k = 0; k < j; k++) value -= a[i][k] * a[j][k];
+            a[i][j] = value / a[j][j];
+        }
+    }
+    const x = b.slice();
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k < i; k++) x[i] -= a[i][k] * x[k];
+        x[i] /= a[i][i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        for (let k = i + 1; k < n; k++) x[i] -= a[k][i] * x[k];
+        x[i] /= a[i][i];
+    }
+    return x;
+}
+
+function sigmoid(z) {
+    return z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z));
+}
+
+// Column means and standard deviations (constant columns get 1 so they standardize to 0)
+function columnStatistics(rows) {
+    const count = rows[0].length;
+    const means = new Array(count).fill(0);
+    const deviations = new Array(count).fill(0);
+    rows.forEach(row => row.forEach((value, j) => { means[j] += value / rows.length; }));
+    rows.forEach(row => row.forEach((value, j) => { deviations[j] += Math.pow(value - means[j], 2) / rows.length; }));
+    return { means, deviations: deviations.map(variance => (variance > 0 ? Math.sqrt(variance) : 1)) };
+}
+
+// Standardized row with a leading 1 for the intercept
+function designRow(features, means, deviations) {
+    return [1].concat(features.map((value, j) => (value - means[j]) / deviations[j]));
+}
+
+function createModel(state) {
+    const { weights, means, deviations } = state;
+    return {
+        backend: name,
+        hyperparameters: state.hyperparameters,
+        predictProbability(samples) {
+            return samples.map(sample => {
+                const row = designRow(sample.features, means, deviations);
+                return sigmoid(row.reduce((sum, value, j) => sum + value * weights[j], 0));
+            });
+        },
+        toJSON() {
+            return state;
+        }
+    };
+}
+
+function train(samples, labels, hyperparameters = {}) {
+    const params = Object.assign({}, defaultHyperparameters, hyperparameters);
+    const { means, deviations } = columnStatistics(samples.map(sample => sample.features));
+    const rows = samples.map(sample => designRow(sample.features, means, deviations));
+    const size = rows[0].length;
+    let weights = new Array(size).fill(0);
+
+    console.log(`Training logistic regression on ${size - 1} features, l2=${params.l2}`);
+    for (let iteration = 0; iteration < params.maxIterations; iteration++) {
+        const gradient = new Array(size).fill(0);
+        // Upper triangle accumulated first, then mirrored
+        const hessian = Array.from({ length: size }, () => new Float64Array(size));
+        rows.forEach((row, i) => {
+            const p = sigmoid(row.reduce((sum, value, j) => sum + value * weights[j], 0));
+            const weight = p * (1 - p);
+            for (let j = 0; j < size; j++) {
+                if (row[j] === 0) continue;
+                gradient[j] += (p - labels[i]) * row[j];
+                const scaled = weight * row[j];
+                const hessianRow = hessian[j];
+                for (let k = j; k < size; k++) {
+                    hessianRow[k] += scaled * row[k];
+                }
+            }
+        });
+        for (let j = 0; j < size; j++) {
+            for (let k = 0; k < j; k++) {
+                hessian[j][k] = hessian[k][j];
+            }
+            if (j > 0) {
+                gradient[j] += params.l2 * weights[j];
+                hessian[j][j] += params.l2;
+            }
+        }
+        // Keeps the system solvable when the intercept's curvature vanishes (one-class data)
+        hessian[0][0] += 1e-9;
+
+        const step = choleskySolve(hessian, gradient);
+        weights = weights.map((value, j) => value - step[j]);
+        if (Math.max(...step.map(Math.abs)) < params.tolerance) {
+            break;
+        }
+    }
+
+    return createModel({ hyperparameters: params, weights, means, deviations });
+}
+
+function load(json) {
+    return createModel(json);
+}
+
+module.exports = {
+    name,
+    defaultHyperparameters,
+    searchSpace,
+    train,
+    load
+};
@@ -0,0 +1,106 @@
+const { canonicalize } = require('../canonicalize');
+
+// Multinomial naive Bayes on character n-grams of each sample's canonical (decoded,
+// lower-cased) text. The vocabulary is the n-grams seen in at least minDocumentFrequency
+// training samples, the maxVocabulary most common kept; it is saved with the model.
+const name = 'naive-bayes';
+
+const defaultHyperparameters = {
+    minN: 2,
+    maxN: 4,
+    alpha: 1, // additive (Laplace) smoothing
+    minDocumentFrequency: 2,
+    maxVocabulary: 20000
+};
+
+// Values tried by `xss-train tune`
+const searchSpace = {
+    maxN: [3, 4, 5],
+    alpha: [0.1, 0.5, 1]
+};
+
+// Count of every character n-gram of the canonical text, n from minN to maxN
+function ngramCounts(text, minN, maxN) {
+    const normalized = canonicalize(text).canonical.toLowerCase();
+    const counts = new Map();
+    for (let n = minN; n <= maxN; n++) {
+        for (let i = 0; i + n <= normalized.length; i++) {
+            const gram = normalized.substring(i, i + n);
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+function createModel(state) {
+    const { hyperparameters, vocabulary, logPriors, logLikelihoods } = state;
+    const index = new Map(vocabulary.map((gram, i) => [gram, i]));
+    return {
+        backend: name,
+        hyperparameters,
+        predictProbability(samples) {
+            return samples.map(sample => {
+                const scores = logPriors.slice();
+                ngramCounts(sample.text, hyperparameters.minN, hyperparameters.maxN).forEach((count, gram) => {
+                    const i = index.get(gram);
+                    if (i === undefined) return;
+                    scores[0] += count * logLikelihoods[0][i];
+                    scores[1] += count * logLikelihoods[1][i];
+                });
+                // P(malicious) = softmax of the two class scores
+                return 1 / (1 + Math.exp(scores[0] - scores[1]));
+            });
+        },
+        toJSON() {
+            return state;
+        }
+    };
+}
+
+function train(samples, labels, hyperparameters = {}) {
+    const params = Object.assign({}, defaultHyperparameters, hyperparameters);
+    const documents = samples.map(sample => ngramCounts(sample.text, params.minN, params.maxN));
+
+    const documentFrequency = new Map();
+    documents.forEach(counts => counts.forEach((_, gram) => {
+        documentFrequency.set(gram, (documentFrequency.get(gram) || 0) + 1);
+    }));
+    const vocabulary = Array.from(documentFrequency.entries())
+        .filter(([, frequency]) => frequency >= params.minDocumentFrequency)
+        .sort((a, b) => (b[1] - a[1]) || (a[0] < b[0] ? -1 : 1))
+        .slice(0, params.maxVocabulary)
+        .map(([gram]) => gram);
+    const index = new Map(vocabulary.map((gram, i) => [gram, i]));
+    console.log(`Training naive Bayes on character ${params.minN}-${params.maxN}-grams, vocabulary ${vocabulary.length}, alpha=${params.alpha}`);
+
+    const gramCounts = [new Array(vocabulary.length).fill(0), new Array(vocabulary.length).fill(0)];
+    const classCounts = [0, 0];
+    documents.forEach((counts, i) => {
+        const label = labels[i] === 1 ? 1 : 0;
+        classCounts[label]++;
+        counts.forEach((count, gram) => {
+            const j = index.get(gram);
+            if (j !== undefined) gramCounts[label][j] += count;
+        });
+    });
+
+    const logPriors = classCounts.map(count => Math.log((count + 1) / (samples.length + 2)));
+    const logLikelihoods = gramCounts.map(counts => {
+        const total = counts.reduce((a, b) => a + b, 0) + params.alpha * vocabulary.length;
+        return counts.map(count => Math.log((count + params.alpha) / total));
+    });
+
+    return createModel({ hyperparameters: params, vocabulary, logPriors, logLikelihoods });
+}
+
+function load(json) {
+    return createModel(json);
+}
+
+module.exports = {
+    name,
+    defaultHyperparameters,
+    searchSpace,
+    train,
+    load
+};
@@ -0,0 +1,113 @@
+const { RandomForestClassifier } = require('ml-random-forest');
+const { Matrix } = require('ml-matrix');
+
+// Random forest (ml-random-forest) on the feature-schema vector of each sample.
+//   maxFeatures    features per tree: 'sqrt', an integer count, or a fraction in (0, 1]
+//   minNumSamples  samples needed to split a node: an integer, or a fraction (< 1) of the training set
+const name = 'random-forest';
+
+const defaultHyperparameters = {
+    nEstimators: 100, // lighter forest so k-fold CV runs in reasonable time
+    maxDepth: 12,
+    maxFeatures: 'sqrt',
+    minNumSamples: 0.01, // at least 1% of the data per leaf
+    seed: 42 // for reproducibility
+};
+
+// Values tried by `xss-train tune`
+const searchSpace = {
+    nEstimators: [50, 100, 200],
+    maxDepth: [8, 12, 16, 20],
+    maxFeatures: ['sqrt', 0.25, 0.5],
+    minNumSamples: [1, 3, 0.005, 0.01]
+};
+
+// RandomForestClassifier.load drops each split node's training sample count; explain.js needs it
+function restoreSampleCounts(node, saved) {
+    if (!node || !saved || !node.left || !node.right) {
+        return;
+    }
+    node.numberSamples = saved.numberSamples;
+    restoreSampleCounts(node.left, saved.left);
+    restoreSampleCounts(node.right, saved.right);
+}
+
+function createModel(forest, hyperparameters) {
+    return {
+        backend: name,
+        hyperparameters,
+        // The forest itself, for explain.js
+        forest,
+        // Share of trees voting malicious. RandomForestClassifier.predictProbability is not used:
+        // its reduce has no initial value, so it counts the first tree's label instead of its vote.
+        predictProbability(samples) {
+            if (samples.length === 0) {
+                return [];
+            }
+            const votes = forest.predictionValues(samples.map(sample => sample.features));
+            return Array.from({ length: votes.rows }, (_, i) => {
+                const row = votes.getRow(i);
+                return row.filter(vote => vote === 1).length / row.length;
+            });
+        },
+        toJSON() {
+            return forest.toJSON();
+        }
+    };
+}
+
+function train(samples, labels, hyperparameters = {}) {
+    const params = Object.assign({}, defaultHyperparameters, hyperparameters);
+    const featureRows = samples.map(sample => sample.features);
+    const featureCount = featureRows[0].length;
+    const maxFeatures = params.maxFeatures === 'sqrt'
+        ? Math.max(1, Math.floor(Math.sqrt(featureCount)))
+        : params.maxFeatures;
+    const minNumSamples = params.minNumSamples < 1
+        ? Math.max(1, Math.floor(samples.length * params.minNumSamples))
+        : params.minNumSamples;
+
+    const options = {
+        seed: params.seed,
+        maxFeatures: maxFeatures,
+        replacement: true,
+        // Out-of-bag predictions are never used, and ml-random-forest throws while collecting
+        // them when a sample lands in every tree's bag (likely with small forests in tune)
+        noOOB: true,
+        nEstimators: params.nEstimators,
+        treeOptions: {
+            minNumSamples: minNumSamples,
+            gainFunction: 'gini',
+            maxDepth: params.maxDepth,
+            gainThreshold: 0.001
+        }
+    };
+
+    console.log(`Training Random Forest with ${options.nEstimators} trees, maxDepth=${options.treeOptions.maxDepth}, maxFeatures=${maxFeatures}, minNumSamples=${minNumSamples}`);
+    const forest = new RandomForestClassifier(options);
+    forest.train(new Matrix(featureRows), labels);
+
+    // Top-level summary of the settings (they also exist inside the serialized forest)
+    return createModel(forest, {
+        maxFeatures: maxFeatures,
+        nEstimators: options.nEstimators,
+        treeOptions: options.treeOptions
+    });
+}
+
+// context: { featureCount, hyperparameters } from the model file
+function load(json, context = {}) {
+    const forest = RandomForestClassifier.load(json, context.featureCount);
+    forest.estimators.forEach((tree, i) => {
+        restoreSampleCounts(tree.root, json.baseModel.estimators[i].root);
+    });
+    return createModel(forest, context.hyperparameters || null);
+}
+
+module.exports = {
+    name,
+    defaultHyperparameters,
+    searchSpace,
+    train,
+    load
+};
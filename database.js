@@ -1,10 +1,19 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const { loadModel, predict, extractFeatures, trainModel } = require('./ml_model');
+const { loadModel, predict, predictSamples, toSamples, trainModel } = require('./ml_model');
+const { migrateUp, backupPath } = require('./migrate');
+const { ATTACK_PATTERN_LABELS } = require('./feature_schema');
+const { createRandom } = require('./random');
+const { assignFolds } = require('./folds');
 
-const DB_PATH = path.join(__dirname, 'xss_detection.db');
+// XSS_DB_PATH points the server at another database file (the tests use a temporary one)
+const DB_PATH = process.env.XSS_DB_PATH || path.join(__dirname, 'xss_detection.db');
 
-// Initialize database
+// How long a statement waits for another connection's lock (see withTransaction) before failing
+const BUSY_TIMEOUT_MS = 10000;
+
+// Open the database and bring its schema up to date (see migrate.js). When there are
+// migrations to apply to an existing database, it is backed up first.
 function initDatabase() {
     return new Promise((resolve, reject) => {
         const db = new sqlite3.Database(DB_PATH, (err) => {
@@ -14,70 +23,54 @@ function initDatabase() {
                 return;
             }
             console.log('Connected to SQLite database');
-        });
 
-        // Create table if it doesn't exist
-        db.run(`
-            CREATE TABLE IF NOT EXISTS detection_results (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                raw_input TEXT NOT NULL,
-                processed_input TEXT,
-                mode TEXT NOT NULL,
-                is_malicious INTEGER NOT NULL,
-                attack_score INTEGER NOT NULL,
-                attack_patterns TEXT,
-                encoding_applied INTEGER NOT NULL,
-                input_length INTEGER,
-                encoded_length INTEGER,
-                ground_truth TEXT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `, (err) => {
-            if (err) {
-                console.error('Error creating table:', err);
-                reject(err);
-                return;
-            }
-            
-            // Add ground_truth column if it doesn't exist (for existing databases)
-            // SQLite doesn't support IF NOT EXISTS for ALTER TABLE, so we'll try and ignore errors
-            db.run(`
-                ALTER TABLE detection_results 
-                ADD COLUMN ground_truth TEXT
-            `, (alterErr) => {
-                // Ignore error if column already exists (SQLite error code 1)
-                if (alterErr && alterErr.code !== 'SQLITE_ERROR') {
-                    console.warn('Note adding ground_truth column:', alterErr.message);
-                }
-                
+            migrateUp(db, { backupPath: backupPath(DB_PATH) }).then(() => {
                 console.log('Database table ready');
                 resolve(db);
+            }, (migrateErr) => {
+                console.error('Error migrating database:', migrateErr);
+                reject(migrateErr);
             });
         });
+        db.configure('busyTimeout', BUSY_TIMEOUT_MS);
     });
 }
 
+const INSERT_DETECTION_SQL = `
+    INSERT INTO detection_results 
+    (raw_input, processed_input, mode, is_malicious, attack_score, 
+     attack_patterns, encoding_applied, input_length, encoded_length, ground_truth, model_version,
+     shadow_version, shadow_is_malicious, probability)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// Map an analysisData object to INSERT_DETECTION_SQL parameters
+function detectionResultParams(analysisData) {
+    return [
+        analysisData.rawInput,
+        analysisData.processedInput,
+        analysisData.mode,
+        analysisData.isMalicious ? 1 : 0,
+        analysisData.attackScore,
+        JSON.stringify(analysisData.attackPatterns),
+        analysisData.encodingApplied ? 1 : 0,
+        analysisData.inputLength,
+        analysisData.encodedLength,
+        analysisData.groundTruth || null,
+        analysisData.modelVersion || null,
+        analysisData.shadow ? analysisData.shadow.version : null,
+        analysisData.shadow ? (analysisData.shadow.isMalicious ? 1 : 0) : null,
+        analysisData.mlPrediction ? analysisData.mlPrediction.probability : null
+    ];
+}
+
 // Save detection result
 function saveDetectionResult(db, analysisData) {
     return new Promise((resolve, reject) => {
-        const stmt = db.prepare(`
-            INSERT INTO detection_results 
-            (raw_input, processed_input, mode, is_malicious, attack_score, 
-             attack_patterns, encoding_applied, input_length, encoded_length, ground_truth)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
+        const stmt = db.prepare(INSERT_DETECTION_SQL);
 
         stmt.run(
-            analysisData.rawInput,
-            analysisData.processedInput,
-            analysisData.mode,
-            analysisData.isMalicious ? 1 : 0,
-            analysisData.attackScore,
-            JSON.stringify(analysisData.attackPatterns),
-            analysisData.encodingApplied ? 1 : 0,
-            analysisData.inputLength,
-            analysisData.encodedLength,
-            analysisData.groundTruth || null,
+            ...detectionResultParams(analysisData),
             function(err) {
                 if (err) {
                     console.error('Error saving detection result:', err);
@@ -91,6 +84,76 @@ function saveDetectionResult(db, analysisData) {
     });
 }
 
+function runStatement(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+// Transactions never run on the shared connection: the statements other requests send it
+// would land inside them (and be committed or rolled back with them), and a second BEGIN
+// fails while one is open. Each database gets a dedicated connection for its transactions,
+// which run one at a time.
+const transactionQueues = new WeakMap();
+
+/**
+ * Run work(connection) inside BEGIN IMMEDIATE ... COMMIT on db's transaction connection, after
+ * the transactions already queued. Resolves to what work resolves to; when work rejects, the
+ * transaction is rolled back and the error passed on.
+ */
+function withTransaction(db, work) {
+    let queue = transactionQueues.get(db);
+    if (!queue) {
+        const connection = new sqlite3.Database(db.filename);
+        connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+        queue = { connection, tail: Promise.resolve() };
+        transactionQueues.set(db, queue);
+    }
+    const { connection } = queue;
+    const result = queue.tail.then(async () => {
+        await runStatement(connection, 'BEGIN IMMEDIATE');
+        try {
+            const value = await work(connection);
+            await runStatement(connection, 'COMMIT');
+            return value;
+        } catch (err) {
+            await runStatement(connection, 'ROLLBACK').catch(() => {});
+            throw err;
+        }
+    });
+    queue.tail = result.catch(() => {});
+    return result;
+}
+
+// Save many detection results in a single transaction (all rows or none, see withTransaction)
+function saveDetectionResults(db, analysisList) {
+    return withTransaction(db, (connection) => new Promise((resolve, reject) => {
+        let firstError = null;
+        const stmt = connection.prepare(INSERT_DETECTION_SQL);
+        for (const analysisData of analysisList) {
+            stmt.run(...detectionResultParams(analysisData), (err) => {
+                if (err && !firstError) {
+                    firstError = err;
+                }
+            });
+        }
+        // finalize() completes after every queued run() has finished
+        stmt.finalize(() => {
+            if (firstError) {
+                reject(firstError);
+            } else {
+                resolve(analysisList.length);
+            }
+        });
+    })).catch(err => {
+        console.error('Error saving detection results, rolled back:', err);
+        throw err;
+    });
+}
+
 // Get all detection results
 function getAllResults(db) {
     return new Promise((resolve, reject) => {
@@ -178,6 +241,402 @@ function getPatternFrequency(db) {
     });
 }
 
+// Time-series bucket sizes: SQL expression giving each row's bucket label (timestamps are
+// UTC 'YYYY-MM-DD HH:MM:SS'), and the bucket's length for filling empty buckets in between
+const TIME_BUCKETS = {
+    hour: { sql: "strftime('%Y-%m-%d %H:00', timestamp)", ms: 3600 * 1000 },
+    day: { sql: 'date(timestamp)', ms: 24 * 3600 * 1000 },
+    // weeks start on Monday
+    week: { sql: "date(timestamp, '-6 days', 'weekday 1')", ms: 7 * 24 * 3600 * 1000 }
+};
+
+// Most buckets one time series returns (the latest ones)
+const MAX_TIME_BUCKETS = 400;
+
+// Days a time series covers when no start is given
+const DEFAULT_TIME_SERIES_DAYS = 30;
+
+// Timestamp as stored by CURRENT_TIMESTAMP, so range filters compare (and use the index) as text
+function sqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Bucket label -> Date at its start (labels are UTC)
+function bucketStart(label) {
+    return new Date(label.length === 10 ? `${label}T00:00:00Z` : `${label.replace(' ', 'T')}:00Z`);
+}
+
+function bucketLabel(date, bucket) {
+    const iso = date.toISOString();
+    return bucket === 'hour' ? `${iso.substring(0, 10)} ${iso.substring(11, 13)}:00` : iso.substring(0, 10);
+}
+
+// Zero-filled row for a bucket without scans
+function emptyBucket(label) {
+    const patterns = {};
+    Object.keys(ATTACK_PATTERN_LABELS).forEach(pattern => { patterns[pattern] = 0; });
+    return { bucket: label, scans: 0, detections: 0, detectionRate: 0, meanProbability: null, patterns };
+}
+
+/**
+ * Scans per time bucket.
+ * options: { bucket: 'hour' | 'day' | 'week' (default 'day'), from, to (Dates; from inclusive,
+ *            to exclusive), mode, days }
+ * Without `from`, only the last `days` days (default DEFAULT_TIME_SERIES_DAYS) are included: those
+ * before `to`, or without `to` the day of the newest matching scan and the days before it.
+ * Resolves to [{ bucket (label), scans, detections, detectionRate, meanProbability,
+ * patterns: { <attack pattern>: detections where it matched } }] oldest first, with empty buckets
+ * between the first and the last filled in, and at most MAX_TIME_BUCKETS of them.
+ * meanProbability is null when no scan in the bucket recorded a model probability.
+ */
+function getTimeSeries(db, options = {}) {
+    const bucket = options.bucket || 'day';
+    if (!TIME_BUCKETS[bucket]) {
+        return Promise.reject(new Error(`Unknown time bucket "${bucket}" (expected ${Object.keys(TIME_BUCKETS).join(', ')})`));
+    }
+    const conditions = [];
+    const params = [];
+    const days = options.days || DEFAULT_TIME_SERIES_DAYS;
+    if (options.from) {
+        conditions.push('timestamp >= ?');
+        params.push(sqlTimestamp(options.from));
+    } else if (options.to) {
+        conditions.push('timestamp >= ?');
+        params.push(sqlTimestamp(new Date(options.to.getTime() - days * TIME_BUCKETS.day.ms)));
+    } else {
+        conditions.push(`timestamp >= date((SELECT MAX(timestamp) FROM detection_results${options.mode ? ' WHERE mode = ?' : ''}), ?)`);
+        params.push(...(options.mode ? [options.mode] : []), `-${days - 1} days`);
+    }
+    if (options.to) {
+        conditions.push('timestamp < ?');
+        params.push(sqlTimestamp(options.to));
+    }
+    if (options.mode) {
+        conditions.push('mode = ?');
+        params.push(options.mode);
+    }
+    // Pattern matches are counted from the attack_patterns JSON of detected scans
+    const patterns = Object.keys(ATTACK_PATTERN_LABELS);
+    const patternColumns = patterns.map((pattern, i) => `
+                SUM(CASE WHEN is_malicious = 0 OR NOT json_valid(attack_patterns) THEN 0
+                         WHEN json_extract(attack_patterns, '$.${pattern}') = 1 THEN 1 ELSE 0 END) as pattern_${i}`).join(',');
+
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT * FROM (
+                SELECT
+                    ${TIME_BUCKETS[bucket].sql} as bucket,
+                    COUNT(*) as scans,
+                    SUM(is_malicious) as detections,
+                    AVG(probability) as mean_probability,${patternColumns}
+                FROM detection_results
+                ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                GROUP BY bucket
+                ORDER BY bucket DESC
+                LIMIT ?
+            ) ORDER BY bucket
+        `, params.concat([MAX_TIME_BUCKETS]), (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            const series = [];
+            rows.forEach(row => {
+                // Fill the buckets without any scan since the previous row
+                if (series.length > 0) {
+                    let next = new Date(bucketStart(series[series.length - 1].bucket).getTime() + TIME_BUCKETS[bucket].ms);
+                    while (next < bucketStart(row.bucket)) {
+                        series.push(emptyBucket(bucketLabel(next, bucket)));
+                        next = new Date(next.getTime() + TIME_BUCKETS[bucket].ms);
+                    }
+                }
+                const entry = {
+                    bucket: row.bucket,
+                    scans: row.scans,
+                    detections: row.detections || 0,
+                    detectionRate: row.scans > 0 ? (row.detections || 0) / row.scans : 0,
+                    meanProbability: row.mean_probability,
+                    patterns: {}
+                };
+                patterns.forEach((pattern, i) => { entry.patterns[pattern] = row[`pattern_${i}`] || 0; });
+                series.push(entry);
+            });
+            resolve(series.slice(-MAX_TIME_BUCKETS));
+        });
+    });
+}
+
+// Scan modes present in detection_results, for the time-series mode filter
+function getModes(db) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT DISTINCT mode FROM detection_results ORDER BY mode', (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows.map(row => row.mode));
+            }
+        });
+    });
+}
+
+// Rows per page of the scan history (/history) unless asked otherwise, and the most allowed
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
+
+// WHERE clause and parameters of searchResults filters
+function historyConditions(filters) {
+    const conditions = [];
+    const params = [];
+    if (filters.q) {
+        // The trigram index only matches 3+ characters; shorter searches scan raw_input
+        if (filters.q.length >= 3) {
+            conditions.push('r.id IN (SELECT rowid FROM detection_results_fts WHERE detection_results_fts MATCH ?)');
+            params.push('"' + filters.q.replace(/"/g, '""') + '"');
+        } else {
+            conditions.push("r.raw_input LIKE ? ESCAPE '\\'");
+            params.push('%' + filters.q.replace(/[\\%_]/g, '\\$&') + '%');
+        }
+    }
+    if (filters.verdict) {
+        conditions.push('r.is_malicious = ?');
+        params.push(filters.verdict === 'malicious' ? 1 : 0);
+    }
+    if (filters.mode) {
+        conditions.push('r.mode = ?');
+        params.push(filters.mode);
+    }
+    if (filters.label === 'unlabeled') {
+        conditions.push('r.ground_truth IS NULL');
+    } else if (filters.label) {
+        conditions.push('r.ground_truth = ?');
+        params.push(filters.label);
+    }
+    if (filters.modelVersion) {
+        conditions.push('r.model_version = ?');
+        params.push(filters.modelVersion);
+    }
+    if (filters.from) {
+        conditions.push('r.timestamp >= ?');
+        params.push(sqlTimestamp(filters.from));
+    }
+    if (filters.to) {
+        conditions.push('r.timestamp < ?');
+        params.push(sqlTimestamp(filters.to));
+    }
+    return { where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '', params };
+}
+
+/**
+ * One page of scan history, newest first.
+ * filters: { q (substring of raw_input, via the full-text index), verdict: 'malicious' | 'clean',
+ *            mode, label: 'malicious' | 'clean' | 'unlabeled', modelVersion,
+ *            from, to (Dates; from inclusive, to exclusive) }
+ * Resolves to { rows, total, page, pageSize, pages }; every row also carries labeled_by and
+ * labeled_at from its latest label change (null when never changed).
+ */
+function searchResults(db, filters = {}, page = 1, pageSize = HISTORY_PAGE_SIZE) {
+    const size = Math.min(Math.max(1, pageSize), MAX_HISTORY_PAGE_SIZE);
+    const { where, params } = historyConditions(filters);
+
+    return new Promise((resolve, reject) => {
+        db.get(`SELECT COUNT(*) as total FROM detection_results r ${where}`, params, (countErr, countRow) => {
+            if (countErr) {
+                reject(countErr);
+                return;
+            }
+            const total = countRow.total;
+            const pages = Math.max(1, Math.ceil(total / size));
+            const current = Math.min(Math.max(1, page), pages);
+            db.all(`
+                SELECT r.*,
+                    (SELECT changed_by FROM label_changes c WHERE c.result_id = r.id ORDER BY c.id DESC LIMIT 1) as labeled_by,
+                    (SELECT changed_at FROM label_changes c WHERE c.result_id = r.id ORDER BY c.id DESC LIMIT 1) as labeled_at
+                FROM detection_results r
+                ${where}
+                ORDER BY r.id DESC
+                LIMIT ? OFFSET ?
+            `, params.concat([size, (current - 1) * size]), (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ rows, total, page: current, pageSize: size, pages });
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Set (or, with label null, clear) ground_truth on the given detection_results ids, recording
+ * every row that actually changes in label_changes, in one transaction (see withTransaction).
+ * change: { changedBy, clientAddress }. Resolves to the number of rows changed.
+ */
+function setGroundTruth(db, ids, label, change) {
+    const placeholders = ids.map(() => '?').join(', ');
+    return withTransaction(db, async (connection) => {
+        await runStatement(connection, `
+            INSERT INTO label_changes (result_id, old_label, new_label, changed_by, client_address)
+            SELECT id, ground_truth, ?, ?, ? FROM detection_results
+            WHERE id IN (${placeholders}) AND ground_truth IS NOT ?
+        `, [label, change.changedBy, change.clientAddress || null, ...ids, label]);
+        const update = await runStatement(connection, `
+            UPDATE detection_results SET ground_truth = ?
+            WHERE id IN (${placeholders}) AND ground_truth IS NOT ?
+        `, [label, ...ids, label]);
+        return update.changes;
+    }).catch(err => {
+        console.error('Error updating ground truth:', err);
+        throw err;
+    });
+}
+
+// Latest label changes, newest first: of one detection_results row, or of all rows
+function getLabelChanges(db, resultId = null, limit = 20) {
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT c.*, r.raw_input FROM label_changes c
+            LEFT JOIN detection_results r ON r.id = c.result_id
+            ${resultId === null ? '' : 'WHERE c.result_id = ?'}
+            ORDER BY c.id DESC
+            LIMIT ?
+        `, resultId === null ? [limit] : [resultId, limit], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+// Model versions that produced scans, for the history filter
+function getModelVersions(db) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT DISTINCT model_version FROM detection_results WHERE model_version IS NOT NULL ORDER BY model_version', (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows.map(row => row.model_version));
+            }
+        });
+    });
+}
+
+// Review queue (/review): unlabeled scans a person should label, so labeling effort goes where
+// the model is unsure rather than on obvious cases. A scan is queued for any of these reasons:
+//   uncertain  the model's confidence, max(p, 1 - p), is at most REVIEW_CONFIDENCE
+//   shadow     the shadow model's verdict differs from the active model's
+//   patterns   the regex attack patterns and the model's verdict disagree
+// Scans of the same input are queued once, as their latest flagged scan.
+const REVIEW_REASONS = ['uncertain', 'shadow', 'patterns'];
+const REVIEW_CONFIDENCE = 0.7;
+const REVIEW_PAGE_SIZE = 20;
+
+const REVIEW_CANDIDATES_SQL = `
+    WITH flagged AS (
+        SELECT r.*,
+            CASE WHEN r.probability IS NULL THEN NULL ELSE MAX(r.probability, 1 - r.probability) END as confidence,
+            (r.probability IS NOT NULL AND MAX(r.probability, 1 - r.probability) <= ?) as uncertain,
+            (r.shadow_is_malicious IS NOT NULL AND r.shadow_is_malicious != r.is_malicious) as shadow,
+            (r.probability IS NOT NULL AND json_valid(r.attack_patterns) AND
+                r.is_malicious != EXISTS (SELECT 1 FROM json_each(r.attack_patterns) WHERE value = 1)) as patterns
+        FROM detection_results r
+        WHERE r.ground_truth IS NULL
+    ),
+    queued AS (
+        SELECT * FROM flagged WHERE uncertain OR shadow OR patterns
+    ),
+    latest AS (
+        SELECT MAX(id) as id, COUNT(*) as scans FROM queued GROUP BY raw_input
+    )
+    SELECT q.*, latest.scans FROM latest JOIN queued q ON q.id = latest.id
+`;
+
+/**
+ * One page of the review queue, most reasons first, then least confident, then newest.
+ * reason: one of REVIEW_REASONS to only list scans queued for it, or null for all.
+ * Resolves to { rows, total, counts, page, pageSize, pages }: rows carry confidence, a 0/1 flag
+ * per reason and scans (unlabeled scans of the same input); counts is the queue size per reason.
+ */
+function getReviewQueue(db, reason = null, page = 1, pageSize = REVIEW_PAGE_SIZE) {
+    const where = REVIEW_REASONS.includes(reason) ? `WHERE ${reason}` : '';
+    return new Promise((resolve, reject) => {
+        db.get(`
+            SELECT COUNT(*) as total,
+                COALESCE(SUM(uncertain), 0) as uncertain, COALESCE(SUM(shadow), 0) as shadow, COALESCE(SUM(patterns), 0) as patterns
+            FROM (${REVIEW_CANDIDATES_SQL})
+        `, [REVIEW_CONFIDENCE], (countErr, countRow) => {
+            if (countErr) {
+                reject(countErr);
+                return;
+            }
+            const counts = { uncertain: countRow.uncertain, shadow: countRow.shadow, patterns: countRow.patterns };
+            const total = REVIEW_REASONS.includes(reason) ? counts[reason] : countRow.total;
+            const pages = Math.max(1, Math.ceil(total / pageSize));
+            const current = Math.min(Math.max(1, page), pages);
+            db.all(`
+                SELECT * FROM (${REVIEW_CANDIDATES_SQL}) ${where}
+                ORDER BY uncertain + shadow + patterns DESC, confidence IS NULL, confidence ASC, id DESC
+                LIMIT ? OFFSET ?
+            `, [REVIEW_CONFIDENCE, pageSize, (current - 1) * pageSize], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ rows, total, counts, page: current, pageSize, pages });
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Label a review queue entry: the scan `id` and every other unlabeled scan of the same input
+ * (see setGroundTruth for change). Resolves to the number of rows changed, 0 when id doesn't exist.
+ */
+function labelReviewedInput(db, id, label, change) {
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT id FROM detection_results
+            WHERE raw_input = (SELECT raw_input FROM detection_results WHERE id = ?)
+                AND (ground_truth IS NULL OR id = ?)
+        `, [id, id], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else if (rows.length === 0) {
+                resolve(0);
+            } else {
+                setGroundTruth(db, rows.map(row => row.id), label, change).then(resolve, reject);
+            }
+        });
+    });
+}
+
+/**
+ * Labels people confirmed, on /review or /history (scans with a label_changes entry), for the
+ * next training run: one { text, label } per distinct input, with the label of its most
+ * recently changed scan, ordered by input so unchanged labels give an identical file.
+ */
+function getConfirmedLabels(db) {
+    return new Promise((resolve, reject) => {
+        db.all(`
+            WITH changed AS (
+                SELECT r.raw_input, r.ground_truth,
+                    ROW_NUMBER() OVER (PARTITION BY r.raw_input ORDER BY c.id DESC) as recency
+                FROM label_changes c
+                JOIN detection_results r ON r.id = c.result_id
+                WHERE r.ground_truth IS NOT NULL
+            )
+            SELECT raw_input, ground_truth FROM changed WHERE recency = 1 ORDER BY raw_input
+        `, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({ text: row.raw_input, label: row.ground_truth })));
+            }
+        });
+    });
+}
+
 // Get confusion matrix data (TP, TN, FP, FN) using Random Forest model
 function getConfusionMatrix(db) {
     return new Promise(async (resolve, reject) => {
@@ -291,13 +750,13 @@ function getConfusionMatrix(db) {
     });
 }
 
-// Get labeled results for cross-validation
+// Get labeled results for cross-validation, in a stable order so seeded folds are reproducible
 function getLabeledResults(db) {
     return new Promise((resolve, reject) => {
         db.all(`
             SELECT * FROM detection_results 
             WHERE ground_truth IS NOT NULL
-            ORDER BY RANDOM()
+            ORDER BY id
         `, (err, rows) => {
             if (err) {
                 reject(err);
@@ -308,8 +767,14 @@ function getLabeledResults(db) {
     });
 }
 
-// Perform k-fold cross-validation using Random Forest model
-function performKFoldCrossValidation(db, k = 4) {
+// Seed of the k-fold split when none is given
+const KFOLD_SEED = 42;
+
+// Perform k-fold cross-validation using Random Forest model. The folds are stratified and
+// seeded (assignFolds in folds.js, createRandom in random.js), so the same labels and seed
+// give the same split.
+// onProgress(foldsDone, k) is called after each fold (live_evaluation_worker.js reports it).
+function performKFoldCrossValidation(db, k = 4, onProgress = () => {}, seed = KFOLD_SEED) {
     return new Promise(async (resolve, reject) => {
         try {
             const allResults = await getLabeledResults(db);
@@ -320,15 +785,11 @@ function performKFoldCrossValidation(db, k = 4) {
                 });
             }
             
-            const foldSize = Math.floor(allResults.length / k);
-            const folds = [];
-            
-            // Create k folds
-            for (let i = 0; i < k; i++) {
-                const start = i * foldSize;
-                const end = i === k - 1 ? allResults.length : (i + 1) * foldSize;
-                folds.push(allResults.slice(start, end));
-            }
+            // Create k folds, each with about the same share of malicious and clean scans
+            const labels = allResults.map(result => (result.ground_truth === 'malicious' ? 1 : 0));
+            const assignment = assignFolds(labels, null, k, createRandom(seed));
+            const folds = Array.from({ length: k }, () => []);
+            allResults.forEach((result, i) => folds[assignment[i]].push(result));
             
             const foldResults = [];
             
@@ -338,14 +799,8 @@ function performKFoldCrossValidation(db, k = 4) {
                 const trainSet = folds.filter((_, idx) => idx !== foldIndex).flat();
                 
                 // Prepare training data for Random Forest
-                const trainingData = [];
-                const trainingLabels = [];
-                
-                for (const result of trainSet) {
-                    const features = extractFeatures(result.raw_input);
-                    trainingData.push(features);
-                    trainingLabels.push(result.ground_truth === 'malicious' ? 1 : 0);
-                }
+                const trainingData = toSamples(trainSet.map(result => result.raw_input));
+                const trainingLabels = trainSet.map(result => (result.ground_truth === 'malicious' ? 1 : 0));
                 
                 // Train Random Forest model on training fold
                 let foldModel;
@@ -357,6 +812,7 @@ function performKFoldCrossValidation(db, k = 4) {
                 } catch (trainErr) {
                     console.warn(`Error training model for fold ${foldIndex + 1}:`, trainErr.message);
                     // Skip this fold if training fails
+                    onProgress(foldIndex + 1, k);
                     continue;
                 }
                 
@@ -393,6 +849,7 @@ function performKFoldCrossValidation(db, k = 4) {
                     recall: recall,
                     f1_score: f1Score
                 });
+                onProgress(foldIndex + 1, k);
             }
             
             if (foldResults.length === 0) {
@@ -439,6 +896,7 @@ function performKFoldCrossValidation(db, k = 4) {
             
             resolve({
                 k: k,
+                seed: seed,
                 totalSamples: allResults.length,
                 foldResults: foldResults,
                 aggregatedConfusionMatrix: {
@@ -461,16 +919,188 @@ function performKFoldCrossValidation(db, k = 4) {
     });
 }
 
+// Record an input the active and shadow models disagreed on
+function saveShadowDisagreement(db, record) {
+    return new Promise((resolve, reject) => {
+        db.run(`
+            INSERT INTO shadow_disagreements
+            (raw_input, active_version, shadow_version, active_is_malicious, shadow_is_malicious,
+             active_probability, shadow_probability, ground_truth)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            record.rawInput,
+            record.activeVersion || null,
+            record.shadowVersion,
+            record.activeIsMalicious ? 1 : 0,
+            record.shadowIsMalicious ? 1 : 0,
+            record.activeProbability,
+            record.shadowProbability,
+            record.groundTruth || null
+        ], function(err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(this.lastID);
+            }
+        });
+    });
+}
+
+// How often the shadow model agreed with the active one on live scans
+function getShadowAgreement(db, shadowVersion) {
+    return new Promise((resolve, reject) => {
+        db.get(`
+            SELECT 
+                COUNT(*) as compared,
+                SUM(CASE WHEN shadow_is_malicious = is_malicious THEN 1 ELSE 0 END) as agreed
+            FROM detection_results
+            WHERE shadow_version = ?
+        `, [shadowVersion], (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                const compared = row.compared || 0;
+                const agreed = row.agreed || 0;
+                resolve({
+                    compared: compared,
+                    agreed: agreed,
+                    agreement_rate: compared > 0 ? agreed / compared : 0
+                });
+            }
+        });
+    });
+}
+
+// Most recent disagreements for a shadow version
+function getShadowDisagreements(db, shadowVersion, limit = 20) {
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT * FROM shadow_disagreements 
+            WHERE shadow_version = ?
+            ORDER BY timestamp DESC, id DESC 
+            LIMIT ?
+        `, [shadowVersion, limit], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+function confusionSummary(tp, tn, fp, fn) {
+    const total = tp + tn + fp + fn;
+    const precision = (tp + fp) > 0 ? (tp / (tp + fp)) : 0;
+    const recall = (tp + fn) > 0 ? (tp / (tp + fn)) : 0;
+    const f1Score = (precision + recall) > 0 ? (2 * precision * recall / (precision + recall)) : 0;
+    const accuracy = total > 0 ? ((tp + tn) / total) : 0;
+    return {
+        true_positives: tp,
+        true_negatives: tn,
+        false_positives: fp,
+        false_negatives: fn,
+        total_labeled: total,
+        precision: precision,
+        recall: recall,
+        f1_score: f1Score,
+        accuracy: accuracy,
+        model_used: true
+    };
+}
+
+// What the labeled rows look like, cheaply: how many there are, the newest one and the newest
+// label change. Labels are set when a row is saved or through setGroundTruth, which records every
+// change in label_changes, so when none of these moved, scores computed on them are still valid.
+function getLabelState(db) {
+    return new Promise((resolve, reject) => {
+        db.get(`
+            SELECT COUNT(*) as labeled, MAX(id) as lastLabeled,
+                   (SELECT MAX(id) FROM label_changes) as lastChange
+            FROM detection_results WHERE ground_truth IS NOT NULL
+        `, (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ labeled: row.labeled, lastLabeled: row.lastLabeled, lastChange: row.lastChange });
+            }
+        });
+    });
+}
+
+// Score every labeled row with each of the given models ({ name: classifier }) and
+// return a confusion matrix per model, e.g. { active: {...}, shadow: {...} }
+async function compareModelsOnLabeled(db, models) {
+    const labeledResults = await getLabeledResults(db);
+    const samples = toSamples(labeledResults.map(result => result.raw_input));
+    const comparison = {};
+
+    Object.keys(models).forEach(name => {
+        let tp = 0, tn = 0, fp = 0, fn = 0;
+        const predictions = predictSamples(models[name], samples);
+        predictions.forEach((prediction, i) => {
+            const predicted = prediction.isMalicious;
+            const actual = labeledResults[i].ground_truth === 'malicious';
+            if (predicted && actual) tp++;
+            else if (!predicted && !actual) tn++;
+            else if (predicted && !actual) fp++;
+            else fn++;
+        });
+        comparison[name] = confusionSummary(tp, tn, fp, fn);
+    });
+
+    return comparison;
+}
+
+// compareModelsOnLabeled blocks the event loop while it scores, so its result is kept per database
+// until the model versions ([active, shadow]) or the labels (getLabelState) change
+const comparisonCache = new WeakMap();
+
+async function compareModelsOnLabeledCached(db, models, versions) {
+    const labels = await getLabelState(db);
+    const key = JSON.stringify([versions, labels.labeled, labels.lastLabeled, labels.lastChange]);
+    const cached = comparisonCache.get(db);
+    if (cached && cached.key === key) {
+        return cached.comparison;
+    }
+    const comparison = await compareModelsOnLabeled(db, models);
+    comparisonCache.set(db, { key, comparison });
+    return comparison;
+}
+
 module.exports = {
     initDatabase,
     saveDetectionResult,
+    saveDetectionResults,
     getAllResults,
     getStatistics,
     getRecentResults,
     getPatternFrequency,
+    getTimeSeries,
+    getModes,
+    TIME_BUCKETS,
+    DEFAULT_TIME_SERIES_DAYS,
+    searchResults,
+    setGroundTruth,
+    getLabelChanges,
+    getModelVersions,
+    HISTORY_PAGE_SIZE,
+    MAX_HISTORY_PAGE_SIZE,
+    getReviewQueue,
+    labelReviewedInput,
+    getConfirmedLabels,
+    REVIEW_REASONS,
+    REVIEW_CONFIDENCE,
     getConfusionMatrix,
     performKFoldCrossValidation,
     getLabeledResults,
+    saveShadowDisagreement,
+    getShadowAgreement,
+    getShadowDisagreements,
+    compareModelsOnLabeled,
+    compareModelsOnLabeledCached,
+    getLabelState,
+    confusionSummary,
     DB_PATH
 };
 
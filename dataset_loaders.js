@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+
+// Dataset loader layer: every loader is a generator yielding { text, label, source }
+// records (label 1 = XSS, 0 = clean). loadDataset picks one from a dataset spec:
+//   <file>                                  format detected from the extension and contents
+//   <file>:key=value,key=value              with loader options, e.g.
+//   payloads.txt:label=malicious            plain-text list, one payload per line
+//   traffic.har:labels=har_labels.json,label=clean
+//   data.csv:text=payload,labelColumn=is_xss
+// Options common to every loader: format (csv, benchmark, jsonl, text, har) and label
+// (a fixed label for every record, or the fallback when a record has none). Records without a
+// label are skipped; an unrecognized label value is an error.
+
+// Accepted spellings of each label
+const LABEL_VALUES = {
+    1: ['1', 'true', 'malicious', 'xss', 'attack', 'yes'],
+    0: ['0', 'false', 'clean', 'benign', 'safe', 'no']
+};
+
+// Column / field names tried, in order, when the options don't name one
+const TEXT_FIELDS = ['text', 'payload', 'sentence', 'input'];
+const LABEL_FIELDS = ['label', 'class', 'is_xss', 'malicious'];
+
+// 1 or 0 for a label value in any of the LABEL_VALUES spellings, null when there is none
+// (missing or blank). Any other value is a mistake in the dataset: throws, naming `where`.
+function normalizeLabel(value, where = 'label') {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (normalized === '') return null;
+    if (LABEL_VALUES[1].includes(normalized)) return 1;
+    if (LABEL_VALUES[0].includes(normalized)) return 0;
+    throw new Error(`${where}: unknown label "${value}" (expected one of ${LABEL_VALUES[1].concat(LABEL_VALUES[0]).join(', ')})`);
+}
+
+// Fixed `label` option, required by loaders whose files carry no labels
+function requireLabel(options, format) {
+    const label = normalizeLabel(options.label, `${format} label option`);
+    if (label === null) {
+        throw new Error(`${format} datasets need a label, e.g. file.txt:label=malicious`);
+    }
+    return label;
+}
+
+function readText(filePath) {
+    // Strip a UTF-8 byte order mark so it doesn't end up in the first header cell
+    return fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * RFC 4180 CSV parser: quoted fields may contain commas, doubled quotes and line breaks;
+ * records end with CRLF or LF. Returns an array of rows (arrays of strings); blank lines
+ * are skipped.
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    function endRow() {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    }
+
+    while (i < content.length) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && content[i + 1] === '\n') {
+            endRow();
+            i++;
+        } else if (char === '\n' || char === '\r') {
+            endRow();
+        } else {
+            field += char;
+        }
+        i++;
+    }
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field at end of CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+// Index of the first header cell matching one of `names` (case-insensitive), or -1
+function findColumn(header, names) {
+    const lower = header.map(cell => cell.trim().toLowerCase());
+    for (const name of names) {
+        const index = lower.indexOf(name.toLowerCase());
+        if (index >= 0) return index;
+    }
+    return -1;
+}
+
+// ----------------- Loaders -----------------
+
+// CSV with a header row: a text column and either a label column or a fixed `label` option
+function* loadCsv(filePath, options = {}) {
+    const source = path.basename(filePath);
+    const [header, ...rows] = parseCsv(readText(filePath));
+    if (!header) return;
+
+    const textColumn = findColumn(header, options.text ? [options.text] : TEXT_FIELDS);
+    if (textColumn < 0) {
+        throw new Error(`${source}: no text column (tried ${options.text || TEXT_FIELDS.join(', ')})`);
+    }
+    const fixedLabel = options.labelColumn ? null : normalizeLabel(options.label, `${source} label option`);
+    const labelColumn = fixedLabel === null
+        ? findColumn(header, options.labelColumn ? [options.labelColumn] : LABEL_FIELDS)
+        : -1;
+    if (fixedLabel === null && labelColumn < 0) {
+        throw new Error(`${source}: no label column (tried ${options.labelColumn || LABEL_FIELDS.join(', ')}); pass label=... for unlabeled files`);
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+        const text = rows[i][textColumn];
+        const label = fixedLabel !== null ? fixedLabel : normalizeLabel(rows[i][labelColumn], `${source} record ${i + 1}`);
+        if (text === undefined || label === null) continue;
+        yield { text, label, source };
+    }
+}
+
+// Synthetic payload for an OWASP Benchmark test case (the expected-results CSV has no payloads)
+function generateXSSPayload(testName, category, isVulnerable) {
+    if (category.toLowerCase() !== 'xss') {
+        // For non-XSS tests, generate clean input
+        return isVulnerable ? `test_${testName}_input` : `normal_input_${testName}`;
+    }
+
+    // For XSS tests, generate actual XSS payloads based on test number
+    const testNum = parseInt(testName.replace('BenchmarkTest', '')) || 0;
+    const payloads = [
+        `<script>alert('XSS${testNum}')</script>`,
+        `<img src=x onerror=alert('XSS${testNum}')>`,
+        `<iframe src=javascript:alert('XSS${testNum}')></iframe>`,
+        `<div onclick=alert('XSS${testNum}')>Click</div>`,
+        `<svg/onload=alert('XSS${testNum}')>`,
+        `<a href=javascript:alert('XSS${testNum}')>Link</a>`,
+        `<script>eval('alert("XSS${testNum}")')</script>`,
+        `<body onload=alert('XSS${testNum}')>`,
+        `<input onfocus=alert('XSS${testNum}') autofocus>`,
+        `<embed src=javascript:alert('XSS${testNum}')>`
+    ];
+
+    if (isVulnerable) {
+        return payloads[testNum % payloads.length];
+    } else {
+        // Clean input for non-vulnerable XSS tests
+        return `Hello World ${testNum}`;
+    }
+}
+
+// OWASP Benchmark expected results (css1.csv): "test name, category, real vulnerability, cwe".
+// Only the XSS category is loaded, as synthetic payloads.
+function* loadBenchmark(filePath) {
+    const source = path.basename(filePath);
+    for (const row of parseCsv(readText(filePath))) {
+        if (row.length < 4 || row[0].trim().startsWith('#')) continue;
+        const testName = row[0].trim();
+        const category = row[1].trim();
+        const realVulnerability = row[2].trim().toLowerCase() === 'true';
+        if (category.toLowerCase() !== 'xss') continue;
+        yield {
+            text: generateXSSPayload(testName, category, realVulnerability),
+            label: realVulnerability ? 1 : 0,
+            source
+        };
+    }
+}
+
+// JSON Lines: one object per line with a text field and a label field (or a fixed `label`)
+function* loadJsonl(filePath, options = {}) {
+    const source = path.basename(filePath);
+    const textFields = options.text ? [options.text] : TEXT_FIELDS;
+    const labelFields = options.labelColumn ? [options.labelColumn] : LABEL_FIELDS;
+    const lines = readText(filePath).split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(lines[i]);
+        } catch (err) {
+            throw new Error(`${source} line ${i + 1}: ${err.message}`);
+        }
+        const textField = textFields.find(name => typeof entry[name] === 'string');
+        if (!textField) continue;
+        const labelField = labelFields.find(name => entry[name] !== undefined);
+        const label = labelField
+            ? normalizeLabel(entry[labelField], `${source} line ${i + 1}`)
+            : normalizeLabel(options.label, `${source} label option`);
+        if (label === null) continue;
+        yield { text: entry[textField], label, source };
+    }
+}
+
+// Plain-text payload list: one payload per non-blank line, all with the file's `label`
+function* loadText(filePath, options = {}) {
+    const source = path.basename(filePath);
+    const label = requireLabel(options, 'Plain-text');
+    for (const line of readText(filePath).split(/\r?\n/)) {
+        if (line.trim()) {
+            yield { text: line, label, source };
+        }
+    }
+}
+
+// Values a HAR request carries: query string, form parameters, or the raw body
+function harRequestValues(request) {
+    const values = (request.queryString || []).map(param => param.value);
+    const postData = request.postData;
+    if (postData) {
+        if (Array.isArray(postData.params) && postData.params.length > 0) {
+            postData.params.forEach(param => values.push(param.value));
+        } else if (postData.text) {
+            values.push(postData.text);
+        }
+    }
+    return values.filter(value => typeof value === 'string' && value !== '');
+}
+
+/**
+ * HAR (HTTP Archive) capture: every query parameter, form parameter or raw body of each
+ * request becomes a record. Labels come from `labels`, a JSON file mapping URL regexes
+ * to labels ({ "/search\\?q=.*<": "malicious" }, first match wins), falling back to `label`;
+ * requests matching neither are skipped.
+ */
+function* loadHar(filePath, options = {}) {
+    const source = path.basename(filePath);
+    const har = JSON.parse(readText(filePath));
+    const entries = (har.log && har.log.entries) || [];
+    const rules = options.labels
+        ? Object.entries(JSON.parse(readText(path.resolve(path.dirname(filePath), options.labels))))
+            .map(([pattern, label]) => ({ regex: new RegExp(pattern), label: normalizeLabel(label, `${options.labels} "${pattern}"`) }))
+        : [];
+    const fallback = normalizeLabel(options.label, `${source} label option`);
+
+    for (const entry of entries) {
+        const request = entry.request || {};
+        const rule = rules.find(candidate => candidate.regex.test(request.url || ''));
+        const label = rule ? rule.label : fallback;
+        if (label === null) continue;
+        for (const text of harRequestValues(request)) {
+            yield { text, label, source };
+        }
+    }
+}
+
+const LOADERS = {
+    csv: loadCsv,
+    benchmark: loadBenchmark,
+    jsonl: loadJsonl,
+    text: loadText,
+    har: loadHar
+};
+
+// Loader name for a file: extension first, then a look at the first line for the CSV variants
+function detectFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.jsonl' || extension === '.ndjson') return 'jsonl';
+    if (extension === '.txt' || extension === '.lst') return 'text';
+    if (extension === '.har') return 'har';
+    if (extension === '.csv') {
+        const firstLine = readText(filePath).split('\n', 1)[0];
+        return /^#\s*test name/i.test(firstLine) ? 'benchmark' : 'csv';
+    }
+    throw new Error(`Cannot tell the format of ${path.basename(filePath)}; add format=csv|benchmark|jsonl|text|har`);
+}
+
+// "file:key=value,key=value" -> { file, options }
+function parseDatasetSpec(spec) {
+    const match = spec.match(/^(.+?):((?:\w+=[^,]*)(?:,\w+=[^,]*)*)$/);
+    if (!match) {
+        return { file: spec, options: {} };
+    }
+    const options = {};
+    match[2].split(',').forEach(pair => {
+        const eq = pair.indexOf('=');
+        options[pair.substring(0, eq)] = pair.substring(eq + 1);
+    });
+    return { file: match[1], options };
+}
+
+/**
+ * Load every record of a dataset. `dataset` is a spec string (see top of file) or
+ * { file, options }. Returns [{ text, label, source }].
+ */
+function loadDataset(dataset) {
+    const { file, options } = typeof dataset === 'string' ? parseDatasetSpec(dataset) : dataset;
+    const format = (options && options.format) || detectFormat(file);
+    const loader = LOADERS[format];
+    if (!loader) {
+        throw new Error(`Unknown dataset format "${format}" (expected ${Object.keys(LOADERS).join(', ')})`);
+    }
+    return Array.from(loader(file, options || {}));
+}
+
+module.exports = {
+    LOADERS,
+    parseCsv,
+    normalizeLabel,
+    generateXSSPayload,
+    detectFormat,
+    parseDatasetSpec,
+    loadDataset
+};
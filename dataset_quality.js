@@ -0,0 +1,185 @@
+const { canonicalize } = require('./canonicalize');
+
+// Dataset-quality checks run on loaded { text, label, source } records (dataset_loaders.js)
+// before they are featurized: near-duplicate removal, templated-string label leakage and
+// per-source class balance.
+
+// A template repeated at least this many times with a single label is reported as leakage
+const MIN_TEMPLATE_COUNT = 10;
+
+// Sources where at least this share of records comes from leaking templates look synthetic
+const SYNTHETIC_TEMPLATE_SHARE = 0.5;
+
+// Longest template text kept in reports
+const TEMPLATE_SNIPPET_LENGTH = 120;
+
+/**
+ * Skeleton shared by near-identical payloads: decoded (canonicalize.js), lower-cased,
+ * whitespace collapsed and every digit run replaced by 0. "<script>alert('XSS12')</script>"
+ * and "<SCRIPT>alert('XSS7')</SCRIPT>" have the same skeleton.
+ */
+function payloadSkeleton(text) {
+    return canonicalize(text).canonical
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/\d+/g, '0')
+        .trim();
+}
+
+function groupBySkeleton(records, skeletons) {
+    const groups = new Map();
+    records.forEach((record, i) => {
+        const key = skeletons[i];
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(record);
+    });
+    return groups;
+}
+
+/**
+ * Keep the first record of every skeleton/label pair. Records sharing a skeleton but
+ * carrying different labels are all kept and counted as conflicts.
+ * Returns { records, removed, conflicts } (conflicts: number of skeletons with both labels).
+ */
+function deduplicate(records, skeletons = records.map(record => payloadSkeleton(record.text))) {
+    const seen = new Set();
+    const labelsBySkeleton = new Map();
+    const kept = [];
+
+    records.forEach((record, i) => {
+        const key = skeletons[i];
+        if (!labelsBySkeleton.has(key)) {
+            labelsBySkeleton.set(key, new Set());
+        }
+        labelsBySkeleton.get(key).add(record.label);
+        if (seen.has(`${record.label}:${key}`)) return;
+        seen.add(`${record.label}:${key}`);
+        kept.push(record);
+    });
+
+    const conflicts = Array.from(labelsBySkeleton.values()).filter(labels => labels.size > 1).length;
+    return { records: kept, removed: records.length - kept.length, conflicts };
+}
+
+/**
+ * Templated strings that give the label away: skeletons repeated at least `minCount` times,
+ * always with the same label. A model can score well on them by memorizing the template.
+ * Returns { templates: [{ template, count, label, sources }], templatedRecords: { source: count } }.
+ */
+function detectTemplateLeakage(records, skeletons = records.map(record => payloadSkeleton(record.text)), minCount = MIN_TEMPLATE_COUNT) {
+    const templates = [];
+    const templatedRecords = {};
+
+    groupBySkeleton(records, skeletons).forEach((group, key) => {
+        const labels = new Set(group.map(record => record.label));
+        if (group.length < minCount || labels.size > 1) return;
+        const sources = {};
+        group.forEach(record => {
+            sources[record.source] = (sources[record.source] || 0) + 1;
+            templatedRecords[record.source] = (templatedRecords[record.source] || 0) + 1;
+        });
+        templates.push({
+            template: key.substring(0, TEMPLATE_SNIPPET_LENGTH),
+            count: group.length,
+            label: group[0].label,
+            sources
+        });
+    });
+
+    templates.sort((a, b) => b.count - a.count);
+    return { templates, templatedRecords };
+}
+
+// Records, malicious and clean counts per source
+function classBalance(records) {
+    const balance = {};
+    records.forEach(record => {
+        if (!balance[record.source]) {
+            balance[record.source] = { records: 0, malicious: 0, clean: 0 };
+        }
+        const entry = balance[record.source];
+        entry.records++;
+        if (record.label === 1) entry.malicious++;
+        else entry.clean++;
+    });
+    Object.values(balance).forEach(entry => {
+        entry.maliciousShare = entry.records > 0 ? entry.malicious / entry.records : 0;
+    });
+    return balance;
+}
+
+/**
+ * Run every check. options: { dedupe (default true), minTemplateCount }
+ * Returns { records (deduplicated unless dedupe is false), report } where report is
+ * { total, kept, duplicatesRemoved, labelConflicts, sources: { [source]: { records, kept,
+ *   malicious, clean, maliciousShare, templatedShare, looksSynthetic } }, leakingTemplates }.
+ * Class balance is measured on the kept records.
+ */
+function assessDataset(records, options = {}) {
+    const skeletons = records.map(record => payloadSkeleton(record.text));
+    const leakage = detectTemplateLeakage(records, skeletons, options.minTemplateCount || MIN_TEMPLATE_COUNT);
+    const deduplicated = options.dedupe === false
+        ? { records, removed: 0, conflicts: deduplicate(records, skeletons).conflicts }
+        : deduplicate(records, skeletons);
+
+    const loaded = classBalance(records);
+    const kept = classBalance(deduplicated.records);
+    const sources = {};
+    Object.keys(loaded).forEach(source => {
+        const after = kept[source] || { records: 0, malicious: 0, clean: 0, maliciousShare: 0 };
+        const templatedShare = (leakage.templatedRecords[source] || 0) / loaded[source].records;
+        sources[source] = {
+            records: loaded[source].records,
+            kept: after.records,
+            malicious: after.malicious,
+            clean: after.clean,
+            maliciousShare: after.maliciousShare,
+            templatedShare: templatedShare,
+            looksSynthetic: templatedShare >= SYNTHETIC_TEMPLATE_SHARE
+        };
+    });
+
+    return {
+        records: deduplicated.records,
+        report: {
+            total: records.length,
+            kept: deduplicated.records.length,
+            duplicatesRemoved: deduplicated.removed,
+            labelConflicts: deduplicated.conflicts,
+            sources,
+            leakingTemplates: leakage.templates
+        }
+    };
+}
+
+// Human-readable summary of an assessDataset report
+function formatReport(report) {
+    const lines = [];
+    lines.push(`Records: ${report.total} loaded, ${report.kept} kept (${report.duplicatesRemoved} near-duplicates removed, ${report.labelConflicts} skeletons with conflicting labels)`);
+    lines.push('Per source (after deduplication):');
+    Object.keys(report.sources).forEach(source => {
+        const entry = report.sources[source];
+        lines.push(`  ${source}: ${entry.records} loaded, ${entry.kept} kept, ${entry.malicious} malicious / ${entry.clean} clean ` +
+            `(${(entry.maliciousShare * 100).toFixed(1)}% malicious), ${(entry.templatedShare * 100).toFixed(1)}% from leaking templates` +
+            (entry.looksSynthetic ? '  <- looks synthetic' : ''));
+    });
+    if (report.leakingTemplates.length > 0) {
+        lines.push(`Templates that give the label away (${report.leakingTemplates.length}, largest first):`);
+        report.leakingTemplates.slice(0, 10).forEach(template => {
+            lines.push(`  ${template.count}x ${template.label === 1 ? 'malicious' : 'clean'}: ${template.template}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    MIN_TEMPLATE_COUNT,
+    payloadSkeleton,
+    deduplicate,
+    detectTemplateLeakage,
+    classBalance,
+    assessDataset,
+    formatReport
+};
@@ -0,0 +1,181 @@
+// Context-aware output encoders.
+// Each encoder is only safe for the context it is named after: HTML-entity encoding
+// does not protect a value placed in a <script> block, a URL or a style attribute.
+
+// Schemes encodeHref lets through by default (relative URLs are always allowed)
+const DEFAULT_ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+// Substituted for URLs whose scheme is not allowlisted
+const BLOCKED_URL = 'about:blank';
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    return value.toString();
+}
+
+function hex(code, width) {
+    return code.toString(16).toUpperCase().padStart(width, '0');
+}
+
+// HTML body text: <p><%= encodeHtml(x) %></p>
+function encodeHtml(value) {
+    return toText(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Quoted attribute value: <input value="<%- encodeAttr(x) %>">
+function encodeAttr(value) {
+    return encodeHtml(value)
+        .replace(/`/g, '&#96;')
+        .replace(/=/g, '&#61;');
+}
+
+// Unquoted attribute value: every non-alphanumeric character becomes an entity,
+// since whitespace, quotes, = and > all end an unquoted value
+function encodeAttrUnquoted(value) {
+    let out = '';
+    for (const ch of toText(value)) {
+        out += /[A-Za-z0-9]/.test(ch) ? ch : `&#x${hex(ch.codePointAt(0), 2)};`;
+    }
+    return out;
+}
+
+// JavaScript string literal (inside quotes in a <script> block or event handler).
+// Non-alphanumerics become \xHH / \uHHHH so quotes, backslashes, </script> and
+// line terminators cannot end the string or the block.
+function encodeJs(value) {
+    let out = '';
+    const text = toText(value);
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        const code = text.charCodeAt(i);
+        if (/[A-Za-z0-9,._ ]/.test(ch)) {
+            out += ch;
+        } else if (code < 256) {
+            out += `\\x${hex(code, 2)}`;
+        } else {
+            out += `\\u${hex(code, 4)}`;
+        }
+    }
+    return out;
+}
+
+// A whole JSON value embedded in a <script> block (e.g. type="application/json")
+function encodeJsonForScript(value) {
+    return JSON.stringify(value === undefined ? null : value)
+        .replace(/</g, '\\u003C')
+        .replace(/>/g, '\\u003E')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+// A single URL component (query value, path segment)
+function encodeUrlComponent(value) {
+    return encodeURIComponent(toText(value))
+        .replace(/[!'()*]/g, ch => `%${hex(ch.charCodeAt(0), 2)}`);
+}
+
+// Scheme of a URL as a browser would see it: browsers ignore ASCII whitespace and
+// control characters inside the scheme, so "java\tscript:" is still javascript:
+function urlScheme(url) {
+    const stripped = url.replace(/[\u0000-\u0020\u007F]/g, '');
+    const match = stripped.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Whole URL for href/src attributes: rejects non-allowlisted schemes
+// (javascript:, data:, vbscript:, ...) and then encodes for a quoted attribute
+function encodeHref(value, options = {}) {
+    const allowedSchemes = (options.allowedSchemes || DEFAULT_ALLOWED_SCHEMES).map(s => s.toLowerCase());
+    const url = toText(value).trim();
+    const scheme = urlScheme(url);
+    if (scheme && !allowedSchemes.includes(scheme)) {
+        return BLOCKED_URL;
+    }
+    return encodeAttr(url);
+}
+
+// CSS string or identifier: non-alphanumerics become \HHHHHH escapes
+// (six digits so a following hex digit cannot extend the escape)
+function encodeCss(value) {
+    let out = '';
+    for (const ch of toText(value)) {
+        out += /[A-Za-z0-9]/.test(ch) ? ch : `\\${hex(ch.codePointAt(0), 6)}`;
+    }
+    return out;
+}
+
+// Output contexts by name, as accepted by encodeForContext and the /api/scan "context" field
+const ENCODERS = {
+    html: { name: 'encodeHtml', label: 'HTML text', encode: encodeHtml },
+    attribute: { name: 'encodeAttr', label: 'Quoted attribute', encode: encodeAttr },
+    'attribute-unquoted': { name: 'encodeAttrUnquoted', label: 'Unquoted attribute', encode: encodeAttrUnquoted },
+    js: { name: 'encodeJs', label: 'JavaScript string', encode: encodeJs },
+    url: { name: 'encodeUrlComponent', label: 'URL component', encode: encodeUrlComponent },
+    href: { name: 'encodeHref', label: 'URL in href (scheme allowlist)', encode: encodeHref },
+    css: { name: 'encodeCss', label: 'CSS string', encode: encodeCss }
+};
+
+function encodeForContext(context, value) {
+    const encoder = Object.prototype.hasOwnProperty.call(ENCODERS, context) ? ENCODERS[context] : null;
+    if (!encoder) {
+        throw new Error(`Unknown output context "${context}" (expected ${Object.keys(ENCODERS).join(', ')})`);
+    }
+    return encoder.encode(value);
+}
+
+// Marks a string as already encoded for its context, so EJS <%= %> emits it unchanged
+class EncodedOutput {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// EJS escape function: pass encoder output through, HTML-encode everything else (EJS default behaviour)
+function escapeTemplateOutput(value) {
+    return value instanceof EncodedOutput ? value.toString() : encodeHtml(value);
+}
+
+// Expose the encoders to every EJS template rendered by `app`.
+// Templates can write <%= encodeAttr(x) %> (or <%- ... %>) without double-encoding.
+function registerEjsHelpers(app) {
+    const helpers = {
+        encodeHtml,
+        encodeAttr,
+        encodeAttrUnquoted,
+        encodeJs,
+        encodeJsonForScript,
+        encodeUrlComponent,
+        encodeHref,
+        encodeCss
+    };
+    Object.keys(helpers).forEach(name => {
+        app.locals[name] = (...args) => new EncodedOutput(helpers[name](...args));
+    });
+    app.set('view options', Object.assign({}, app.get('view options'), { escape: escapeTemplateOutput }));
+}
+
+module.exports = {
+    encodeHtml,
+    encodeAttr,
+    encodeAttrUnquoted,
+    encodeJs,
+    encodeJsonForScript,
+    encodeUrlComponent,
+    encodeHref,
+    encodeCss,
+    encodeForContext,
+    registerEjsHelpers,
+    urlScheme,
+    ENCODERS,
+    DEFAULT_ALLOWED_SCHEMES
+};
@@ -0,0 +1,141 @@
+const { extractFeatures } = require('./ml_model');
+const { FEATURES, findSpans } = require('./feature_schema');
+const { canonicalize } = require('./canonicalize');
+const { transformLexical, lexicalFeatureNames } = require('./lexical_features');
+
+// Expected vote (share of "malicious" votes) of every tree node, computed once per node
+const nodeValues = new WeakMap();
+
+function isLeaf(node) {
+    return !(node.left && node.right);
+}
+
+// A leaf votes for the class with the highest share in its distribution (same as DecisionTreeClassifier.predict)
+function leafVote(node) {
+    return node.distribution.maxRowIndex(0)[1] === 1 ? 1 : 0;
+}
+
+// Training samples that reached each child. Leaves don't record a count, so a leaf
+// gets what its sibling didn't take (or half the parent when both are leaves).
+// Nodes without counts (older saved models) weigh both children equally.
+function childWeights(node) {
+    const total = node.numberSamples;
+    if (!total) {
+        return [1, 1];
+    }
+    const left = isLeaf(node.left) ? null : node.left.numberSamples;
+    const right = isLeaf(node.right) ? null : node.right.numberSamples;
+    if (left !== null && right !== null) return [left, right];
+    if (left !== null) return [left, Math.max(total - left, 0)];
+    if (right !== null) return [Math.max(total - right, 0), right];
+    return [total / 2, total / 2];
+}
+
+function nodeValue(node) {
+    if (isLeaf(node)) {
+        return leafVote(node);
+    }
+    if (!nodeValues.has(node)) {
+        const [wLeft, wRight] = childWeights(node);
+        const sum = wLeft + wRight;
+        const value = sum > 0
+            ? (wLeft * nodeValue(node.left) + wRight * nodeValue(node.right)) / sum
+            : (nodeValue(node.left) + nodeValue(node.right)) / 2;
+        nodeValues.set(node, value);
+    }
+    return nodeValues.get(node);
+}
+
+/**
+ * Per-feature contributions to the forest's malicious probability, from the decision paths.
+ * Each split a row passes through moves the tree's expected vote from the node's value to
+ * the child's value; that change is credited to the split feature. Averaged over the trees:
+ *   share of malicious votes = bias + sum(contributions)
+ * `forest` is a trained RandomForestClassifier (model.forest of the random-forest backend).
+ */
+function featureContributions(forest, featureRow) {
+    const contributions = new Array(featureRow.length).fill(0);
+    let bias = 0;
+    const trees = forest.estimators;
+
+    trees.forEach((tree, t) => {
+        const columns = forest.indexes[t];
+        let node = tree.root;
+        bias += nodeValue(node);
+        while (!isLeaf(node)) {
+            const feature = columns[node.splitColumn];
+            const child = featureRow[feature] < node.splitValue ? node.left : node.right;
+            contributions[feature] += nodeValue(child) - nodeValue(node);
+            node = child;
+        }
+    });
+
+    return {
+        bias: bias / trees.length,
+        contributions: contributions.map(value => value / trees.length)
+    };
+}
+
+/**
+ * Explain a verdict: every named feature with its value and contribution (ranked by
+ * absolute contribution), and the spans of the raw and canonical input that triggered
+ * each regex feature. Without a model, or with a backend other than the random forest (see
+ * classifiers/), contributions are null and features keep schema order. A model with lexical
+ * columns (see lexical_features.js) adds those that moved the vote, with form 'lexical'.
+ *
+ * Returns { bias, features: [{ index, name, description, form, value, contribution }],
+ *           spans: { raw: [...], canonical: [...] } } with spans { feature, start, end, text }.
+ */
+function explainInput(classifier, input) {
+    const featureRow = extractFeatures(input);
+    const canonical = canonicalize(input).canonical;
+    const lexical = classifier && classifier.lexical;
+    const lexicalRow = lexical ? transformLexical(lexical, input) : [];
+    // Registry features past the model's featureCount are ones it was never trained on
+    const featureCount = classifier ? classifier.featureCount : FEATURES.length;
+    const { bias, contributions } = classifier && classifier.forest
+        ? featureContributions(classifier.forest, featureRow.slice(0, featureCount).concat(lexicalRow))
+        : { bias: null, contributions: null };
+
+    const features = FEATURES.map((feature, index) => ({
+        index: index,
+        name: feature.name,
+        description: feature.description,
+        form: feature.form,
+        value: featureRow[index],
+        contribution: contributions ? (index < featureCount ? contributions[index] : 0) : null
+    }));
+    if (contributions && lexical) {
+        lexicalFeatureNames(lexical).forEach((name, column) => {
+            const index = featureCount + column;
+            if (contributions[index] === 0) return;
+            features.push({
+                index: index,
+                name: name,
+                description: column < lexical.buckets ? 'TF-IDF of hashed character n-grams' : 'TF-IDF of this HTML/JS token',
+                form: 'lexical',
+                value: lexicalRow[column],
+                contribution: contributions[index]
+            });
+        });
+    }
+    if (contributions) {
+        features.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+    }
+
+    const spans = { raw: [], canonical: [] };
+    FEATURES.forEach((feature, index) => {
+        if (!featureRow[index] || feature.patterns.length === 0) return;
+        const text = feature.form === 'canonical' ? canonical : input;
+        findSpans(feature, text).forEach(span => {
+            spans[feature.form].push(Object.assign({ feature: feature.name }, span));
+        });
+    });
+
+    return { bias, features, spans };
+}
+
+module.exports = {
+    explainInput,
+    featureContributions
+};
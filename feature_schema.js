@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { STRUCTURE_FEATURE_GROUP } = require('./structural_features');
+
+// Declarative feature registry: the single definition of every value extractFeatures (ml_model.js)
+// produces, in vector order. Each entry has:
+//   name         unique, stable identifier (used in explanations, metrics and saved models)
+//   description  what the value measures
+//   version      bump whenever `extract` changes meaning, so saved models notice
+//   extract      function(text) -> number, computed on the raw or the canonical form (see FEATURES)
+//   patterns     the regexes the feature looks for, used to locate the characters that triggered it
+//   label        display name for the features reported as attackPatterns
+
+// Number of matches of `regex` in `text` (the regex is applied globally)
+function countMatches(text, regex) {
+    const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
+    return (text.match(global) || []).length;
+}
+
+// 1 when the regex matches
+function patternFeature(name, description, regex, extra = {}) {
+    return Object.assign({
+        name,
+        description,
+        version: 1,
+        extract: text => (regex.test(text) ? 1 : 0),
+        patterns: [regex]
+    }, extra);
+}
+
+// 1 when every regex matches
+function combinationFeature(name, description, regexes) {
+    return {
+        name,
+        description,
+        version: 1,
+        extract: text => (regexes.every(regex => regex.test(text)) ? 1 : 0),
+        patterns: regexes
+    };
+}
+
+// Occurrences of a character, normalized by input length
+function ratioFeature(name, description, regex) {
+    return {
+        name,
+        description,
+        version: 1,
+        extract: text => countMatches(text, regex) / Math.max(text.length, 1),
+        patterns: [regex]
+    };
+}
+
+// Raw number of matches
+function countFeature(name, description, regex) {
+    return {
+        name,
+        description,
+        version: 1,
+        extract: text => countMatches(text, regex),
+        patterns: [regex]
+    };
+}
+
+// Features computed on one form of the input (raw or canonical)
+const PATTERN_FEATURES = [
+    // Pattern detection (binary features)
+    patternFeature('scriptTag', '<script> opening tag', /<script[\s>]/i, { label: '<script> Tag', attackPattern: true }),
+    patternFeature('scriptClosing', '</script> closing tag', /<\/script>/i, { label: '</script> Tag', attackPattern: true }),
+    patternFeature('onerror', 'onerror= event handler', /onerror\s*=/i, { label: 'onerror Event', attackPattern: true }),
+    patternFeature('onclick', 'onclick= event handler', /onclick\s*=/i, { label: 'onclick Event', attackPattern: true }),
+    patternFeature('javascript', 'javascript: URL scheme', /javascript:/i, { label: 'javascript: Protocol', attackPattern: true }),
+    patternFeature('imgTag', '<img> tag', /<img[\s>]/i, { label: '<img> Tag', attackPattern: true }),
+    patternFeature('iframeTag', '<iframe> tag', /<iframe[\s>]/i, { label: '<iframe> Tag', attackPattern: true }),
+    patternFeature('eval', 'eval( call', /eval\s*\(/i, { label: 'eval() Function', attackPattern: true }),
+    patternFeature('alert', 'alert( call', /alert\s*\(/i, { label: 'alert() Function', attackPattern: true }),
+
+    // Additional XSS patterns
+    patternFeature('svgTag', '<svg> tag', /<svg[\s>]/i),
+    patternFeature('bodyTag', '<body> tag', /<body[\s>]/i),
+    patternFeature('inputTag', '<input> tag', /<input[\s>]/i),
+    patternFeature('formTag', '<form> tag', /<form[\s>]/i),
+    patternFeature('onload', 'onload= event handler', /onload\s*=/i),
+    patternFeature('onmouseover', 'onmouseover= event handler', /onmouseover\s*=/i),
+    patternFeature('documentObject', 'document. property access', /document\./i),
+    patternFeature('windowObject', 'window. property access', /window\./i),
+
+    // Character counts (normalized by length for better ML performance)
+    { name: 'inputLength', description: 'Input length in characters', version: 1, extract: text => text.length, patterns: [] },
+    ratioFeature('ltRatio', 'Share of < characters', /</),
+    ratioFeature('gtRatio', 'Share of > characters', />/),
+    ratioFeature('equalsRatio', 'Share of = characters', /=/),
+    ratioFeature('doubleQuoteRatio', 'Share of " characters', /"/),
+    ratioFeature('singleQuoteRatio', "Share of ' characters", /'/),
+    ratioFeature('openParenRatio', 'Share of ( characters', /\(/),
+    ratioFeature('closeParenRatio', 'Share of ) characters', /\)/),
+    countFeature('eventHandlerCount', 'Number of on* words', /on\w+/i),
+    countFeature('scriptWordCount', 'Number of "script" occurrences', /script/i),
+
+    // Pattern combinations (more discriminative features)
+    combinationFeature('scriptWithAlert', '<script> tag together with alert', [/<script[\s>]/i, /alert/i]),
+    combinationFeature('imgWithOnerror', '<img> tag together with onerror', [/<img[\s>]/i, /onerror/i]),
+    combinationFeature('iframeWithJavascript', '<iframe> tag together with javascript:', [/<iframe[\s>]/i, /javascript:/i]),
+
+    // Encoding attempts (common XSS evasion)
+    patternFeature('hexEntity', 'Hex character reference (&#x)', /&#x/i),
+    patternFeature('decimalEntity', 'Numeric character reference (&#)', /&#/i),
+    patternFeature('urlEncodedLt', 'URL-encoded < (%3c)', /%3c/i),
+    patternFeature('urlEncodedGt', 'URL-encoded > (%3e)', /%3e/i),
+
+    // Suspicious patterns
+    patternFeature('tagWithEventHandler', 'Tag carrying an on*= event handler', /<[^>]*on\w+\s*=/i),
+    patternFeature('javascriptScheme', 'javascript: scheme, whitespace before the colon allowed', /javascript\s*:/i)
+];
+
+// Versioned feature groups: features read from one shared analysis of the input instead of a regex
+// each. A group is { name, version, form, analyze(text), features: [{ name, description, value(analysis)] }];
+// its features are named group.feature and all carry the group's version.
+const FEATURE_GROUPS = [STRUCTURE_FEATURE_GROUP];
+
+// Analysis of every group per extraction context, so a group parses each input once
+const groupAnalyses = new WeakMap();
+
+function groupAnalysis(group, context) {
+    if (!groupAnalyses.has(context)) {
+        groupAnalyses.set(context, new Map());
+    }
+    const analyses = groupAnalyses.get(context);
+    if (!analyses.has(group.name)) {
+        analyses.set(group.name, group.analyze(context[group.form]));
+    }
+    return analyses.get(group.name);
+}
+
+function groupFeatures(group) {
+    return group.features.map(feature => ({
+        name: `${group.name}.${feature.name}`,
+        description: feature.description,
+        version: group.version,
+        group: group.name,
+        form: group.form,
+        extract: context => feature.value(groupAnalysis(group, context)),
+        patterns: []
+    }));
+}
+
+// Full vector layout: raw-form features, the same features on the canonical form, decoding step
+// count, then the feature groups. New features only ever go at the end, so models trained on a
+// shorter layout keep loading (see compareSchema).
+// `extract` here takes the extraction context { raw, canonical, chain } built by extractFeatures.
+const FEATURES = [
+    ...PATTERN_FEATURES.map(feature => Object.assign({}, feature, {
+        form: 'raw',
+        extract: context => feature.extract(context.raw)
+    })),
+    ...PATTERN_FEATURES.map(feature => Object.assign({}, feature, {
+        name: `canonical.${feature.name}`,
+        description: `${feature.description} (after decoding)`,
+        form: 'canonical',
+        extract: context => feature.extract(context.canonical)
+    })),
+    {
+        name: 'decodingSteps',
+        description: 'Number of encoding layers removed by canonicalization',
+        version: 1,
+        form: 'raw',
+        extract: context => context.chain.length,
+        patterns: []
+    },
+    ...FEATURE_GROUPS.flatMap(groupFeatures)
+];
+
+const FEATURE_NAMES = FEATURES.map(feature => feature.name);
+
+// Features reported as attackPatterns (scriptTag ... alert), with their display labels
+const ATTACK_PATTERN_FEATURES = PATTERN_FEATURES.filter(feature => feature.attackPattern);
+const ATTACK_PATTERN_NAMES = ATTACK_PATTERN_FEATURES.map(feature => feature.name);
+const ATTACK_PATTERN_LABELS = {};
+ATTACK_PATTERN_FEATURES.forEach(feature => {
+    ATTACK_PATTERN_LABELS[feature.name] = feature.label;
+});
+
+// Identity of a feature layout: names and versions in order
+function schemaOf(features) {
+    return features.map(feature => ({ name: feature.name, version: feature.version }));
+}
+
+function schemaHash(schema) {
+    return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex').substring(0, 16);
+}
+
+// What saveModel stores with a model trained on the first `featureCount` registry features
+function describeSchema(featureCount = FEATURES.length) {
+    const schema = schemaOf(FEATURES.slice(0, featureCount));
+    return { hash: schemaHash(schema), features: schema };
+}
+
+const SCHEMA_HASH = describeSchema().hash;
+
+/**
+ * Compare a saved model's feature schema with the registry.
+ * Returns { compatible, exact, message }: compatible when every feature the model was trained on
+ * still has the same name and version at the same position (extra registry features are ignored
+ * by the forest); exact when the whole layout matches.
+ */
+function compareSchema(saved) {
+    if (saved.hash === SCHEMA_HASH) {
+        return { compatible: true, exact: true, message: null };
+    }
+    if (saved.features.length > FEATURES.length) {
+        return {
+            compatible: false,
+            exact: false,
+            message: `model expects ${saved.features.length} features, registry defines ${FEATURES.length}`
+        };
+    }
+    for (let i = 0; i < saved.features.length; i++) {
+        const expected = saved.features[i];
+        const current = FEATURES[i];
+        if (expected.name !== current.name || expected.version !== current.version) {
+            return {
+                compatible: false,
+                exact: false,
+                message: `feature ${i} is ${current.name}@${current.version} in the registry but ${expected.name}@${expected.version} in the model`
+            };
+        }
+    }
+    return {
+        compatible: true,
+        exact: false,
+        message: `model uses the first ${saved.features.length} of ${FEATURES.length} registry features`
+    };
+}
+
+// Every [start, end) span in `text` matched by the feature's patterns
+function findSpans(feature, text) {
+    const spans = [];
+    feature.patterns.forEach(pattern => {
+        const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            spans.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+            if (match[0].length === 0) regex.lastIndex++;
+        }
+    });
+    return spans.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    FEATURES,
+    FEATURE_NAMES,
+    FEATURE_GROUPS,
+    PATTERN_FEATURES,
+    ATTACK_PATTERN_FEATURES,
+    ATTACK_PATTERN_NAMES,
+    ATTACK_PATTERN_LABELS,
+    SCHEMA_HASH,
+    describeSchema,
+    compareSchema,
+    findSpans
+};
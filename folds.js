@@ -0,0 +1,70 @@
+const { shuffleInPlace } = require('./random');
+
+// Cross-validation fold assignment, shared by offline training (xss_train.js) and the live
+// k-fold evaluation of labeled scans (performKFoldCrossValidation in database.js)
+
+/**
+ * Seeded stratified group k-fold: returns the fold (0..k-1) of every sample. Samples sharing a
+ * group key always land in the same fold. Groups are placed largest first (equal sizes in
+ * seeded random order), each into the fold that keeps the folds' shares of malicious and clean
+ * samples most even, ties going to the smallest fold. groups: null for one group per sample;
+ * random: a createRandom function (random.js).
+ */
+function assignFolds(y, groups, k, random) {
+    const byKey = new Map();
+    y.forEach((label, i) => {
+        const key = groups ? groups[i] : i;
+        if (!byKey.has(key)) {
+            byKey.set(key, { indices: [], counts: [0, 0] });
+        }
+        const group = byKey.get(key);
+        group.indices.push(i);
+        group.counts[label === 1 ? 1 : 0]++;
+    });
+    if (byKey.size < k) {
+        throw new Error(`Need at least ${k} groups for ${k}-fold cross-validation, got ${byKey.size}`);
+    }
+
+    const positives = y.filter(label => label === 1).length;
+    const classTotals = [y.length - positives, positives];
+    const foldCounts = Array.from({ length: k }, () => [0, 0]);
+    const folds = new Array(y.length);
+
+    // Mean over both classes of the standard deviation of the folds' share of that class
+    function spread(counts) {
+        let total = 0;
+        [0, 1].forEach(label => {
+            if (classTotals[label] === 0) return;
+            const shares = counts.map(fold => fold[label] / classTotals[label]);
+            const mean = shares.reduce((a, b) => a + b, 0) / k;
+            total += Math.sqrt(shares.reduce((sum, share) => sum + Math.pow(share - mean, 2), 0) / k);
+        });
+        return total / 2;
+    }
+
+    const ordered = shuffleInPlace(Array.from(byKey.values()), random)
+        .sort((a, b) => b.indices.length - a.indices.length);
+    ordered.forEach(group => {
+        let best = -1, bestSpread = Infinity, bestSize = Infinity;
+        for (let fold = 0; fold < k; fold++) {
+            const candidate = foldCounts.map((counts, i) => (i === fold
+                ? [counts[0] + group.counts[0], counts[1] + group.counts[1]]
+                : counts));
+            const candidateSpread = spread(candidate);
+            const size = foldCounts[fold][0] + foldCounts[fold][1];
+            if (candidateSpread < bestSpread - 1e-12 || (Math.abs(candidateSpread - bestSpread) <= 1e-12 && size < bestSize)) {
+                best = fold;
+                bestSpread = candidateSpread;
+                bestSize = size;
+            }
+        }
+        foldCounts[best][0] += group.counts[0];
+        foldCounts[best][1] += group.counts[1];
+        group.indices.forEach(i => { folds[i] = best; });
+    });
+    return folds;
+}
+
+module.exports = {
+    assignFolds
+};
@@ -0,0 +1,214 @@
+// Tolerant HTML tokenizer and tree builder.
+// Not a full HTML5 parser: it never throws, treats anything it can't read as text,
+// and is good enough to see the tags, attributes and text a browser would see.
+
+// Elements that never have children
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// Elements whose content is raw text up to the matching end tag
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext'];
+
+// Named character references worth decoding (the ones used in XSS payloads and ordinary text)
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/',
+    bsol: '\\', semi: ';', comma: ',', period: '.', excl: '!', equals: '=',
+    grave: '`', num: '#', percnt: '%', plus: '+', lsqb: '[', rsqb: ']',
+    lcub: '{', rcub: '}', quest: '?', commat: '@', dollar: '$', ast: '*'
+};
+
+// Decode numeric (&#106; &#x6A; with or without ';') and known named entities
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);?/g, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X'
+                ? parseInt(ref.substring(2), 16)
+                : parseInt(ref.substring(1), 10);
+            if (!Number.isFinite(code) || code <= 0 || code > 0x10FFFF) {
+                return '\uFFFD';
+            }
+            return String.fromCodePoint(code);
+        }
+        const named = NAMED_ENTITIES[ref.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+// Read attributes from `input` starting at `pos` until the tag closes.
+// Returns { attributes, selfClosing, end } where end is the index after '>' (or input length).
+function readAttributes(input, pos) {
+    const attributes = [];
+    let selfClosing = false;
+    const length = input.length;
+
+    while (pos < length) {
+        // Skip whitespace and stray slashes between attributes
+        while (pos < length && /[\s/]/.test(input[pos])) {
+            if (input[pos] === '/' && input[pos + 1] === '>') {
+                selfClosing = true;
+            }
+            pos++;
+        }
+        if (pos >= length) break;
+        if (input[pos] === '>') {
+            return { attributes, selfClosing, end: pos + 1 };
+        }
+
+        const nameStart = pos;
+        // The first character may be anything but whitespace, '/' or '>' (so '=' and quotes can start a name)
+        pos++;
+        while (pos < length && !/[\s/>=]/.test(input[pos])) pos++;
+        const name = input.substring(nameStart, pos).toLowerCase();
+
+        while (pos < length && /\s/.test(input[pos])) pos++;
+        let rawValue = '';
+        if (input[pos] === '=') {
+            pos++;
+            while (pos < length && /\s/.test(input[pos])) pos++;
+            const quote = input[pos];
+            if (quote === '"' || quote === "'") {
+                const close = input.indexOf(quote, pos + 1);
+                const valueEnd = close < 0 ? length : close;
+                rawValue = input.substring(pos + 1, valueEnd);
+                pos = close < 0 ? length : close + 1;
+            } else {
+                const valueStart = pos;
+                while (pos < length && !/[\s>]/.test(input[pos])) pos++;
+                rawValue = input.substring(valueStart, pos);
+            }
+        }
+        attributes.push({ name, value: decodeHtmlEntities(rawValue), start: nameStart, end: pos });
+    }
+
+    return { attributes, selfClosing, end: length };
+}
+
+// Split input into tokens:
+//   { type: 'text', value, start, end }
+//   { type: 'startTag', name, attributes, selfClosing, start, end }
+//   { type: 'endTag', name, start, end }
+//   { type: 'comment', value, start, end }
+// Text values are entity-decoded; start/end are offsets into the original input.
+function tokenizeHtml(input) {
+    const tokens = [];
+    const length = input.length;
+    let pos = 0;
+    let textStart = 0;
+
+    function flushText(end) {
+        if (end > textStart) {
+            const raw = input.substring(textStart, end);
+            tokens.push({ type: 'text', value: decodeHtmlEntities(raw), start: textStart, end });
+        }
+    }
+
+    while (pos < length) {
+        const lt = input.indexOf('<', pos);
+        if (lt < 0) break;
+        const next = input[lt + 1] || '';
+
+        if (/[a-zA-Z]/.test(next)) {
+            flushText(lt);
+            let nameEnd = lt + 1;
+            while (nameEnd < length && !/[\s/>]/.test(input[nameEnd])) nameEnd++;
+            const name = input.substring(lt + 1, nameEnd).toLowerCase();
+            const { attributes, selfClosing, end } = readAttributes(input, nameEnd);
+            tokens.push({ type: 'startTag', name, attributes, selfClosing, start: lt, end });
+            pos = end;
+
+            // Raw text content runs to the matching end tag, markup inside is not parsed
+            if (RAW_TEXT_ELEMENTS.includes(name) && !selfClosing) {
+                const closeRe = new RegExp('</' + name + '[\\s/>]', 'i');
+                const rest = input.substring(pos);
+                const match = closeRe.exec(rest);
+                const contentEnd = match ? pos + match.index : length;
+                if (contentEnd > pos) {
+                    tokens.push({ type: 'text', value: input.substring(pos, contentEnd), start: pos, end: contentEnd, raw: true });
+                }
+                pos = contentEnd;
+            }
+            textStart = pos;
+        } else if (next === '/' && /[a-zA-Z]/.test(input[lt + 2] || '')) {
+            flushText(lt);
+            let nameEnd = lt + 2;
+            while (nameEnd < length && !/[\s/>]/.test(input[nameEnd])) nameEnd++;
+            const name = input.substring(lt + 2, nameEnd).toLowerCase();
+            const close = input.indexOf('>', nameEnd);
+            const end = close < 0 ? length : close + 1;
+            tokens.push({ type: 'endTag', name, start: lt, end });
+            pos = end;
+            textStart = pos;
+        } else if (input.startsWith('<!--', lt)) {
+            flushText(lt);
+            const close = input.indexOf('-->', lt + 4);
+            const end = close < 0 ? length : close + 3;
+            tokens.push({ type: 'comment', value: input.substring(lt + 4, close < 0 ? length : close), start: lt, end });
+            pos = end;
+            textStart = pos;
+        } else if (next === '!' || next === '?' || next === '/') {
+            // Doctype, CDATA, processing instruction or '</' + non-letter: a bogus comment up to '>'
+            flushText(lt);
+            const close = input.indexOf('>', lt + 2);
+            const end = close < 0 ? length : close + 1;
+            tokens.push({ type: 'comment', value: input.substring(lt + 2, close < 0 ? length : close), start: lt, end });
+            pos = end;
+            textStart = pos;
+        } else {
+            // A lone '<' is just text
+            pos = lt + 1;
+        }
+    }
+
+    flushText(length);
+    return tokens;
+}
+
+// Build a DOM-like tree: { type: 'root', children } with
+//   { type: 'element', name, attributes, children, start, end } and
+//   { type: 'text' | 'comment', value, start, end } nodes.
+// Unmatched end tags are dropped; unclosed elements are closed at the end of input.
+function parseHtml(input) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+
+    for (const token of tokenizeHtml(input)) {
+        const parent = stack[stack.length - 1];
+        if (token.type === 'startTag') {
+            const element = {
+                type: 'element',
+                name: token.name,
+                attributes: token.attributes,
+                children: [],
+                start: token.start,
+                end: token.end
+            };
+            parent.children.push(element);
+            if (!VOID_ELEMENTS.includes(token.name) && !token.selfClosing) {
+                stack.push(element);
+            }
+        } else if (token.type === 'endTag') {
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].name === token.name) {
+                    stack[i].end = token.end;
+                    stack.length = i;
+                    break;
+                }
+            }
+        } else {
+            parent.children.push({ type: token.type, value: token.value, start: token.start, end: token.end });
+        }
+    }
+
+    return root;
+}
+
+module.exports = {
+    tokenizeHtml,
+    parseHtml,
+    decodeHtmlEntities,
+    VOID_ELEMENTS,
+    RAW_TEXT_ELEMENTS
+};
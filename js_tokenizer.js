@@ -0,0 +1,116 @@
+// Tolerant JavaScript tokenizer.
+// Not a full lexer: it never throws, doesn't tell regex literals from division, and reads
+// unterminated strings and comments to the end of input. Enough to see identifiers, calls
+// and string arguments in event handlers, <script> bodies and javascript: URLs.
+
+const IDENTIFIER_START = /[A-Za-z_$\u0080-\uFFFF]/;
+const IDENTIFIER_PART = /[\w$\u0080-\uFFFF]/;
+
+// Keywords that can precede '(' without making a call
+const NON_CALL_KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'typeof', 'void', 'delete', 'in', 'of', 'function'];
+
+// Index after the closing `quote` (escapes skipped), or the end of input
+function skipQuoted(source, pos, quote) {
+    const length = source.length;
+    pos++;
+    while (pos < length && source[pos] !== quote) {
+        if (source[pos] === '\\') pos++;
+        else if (quote !== '`' && source[pos] === '\n') return pos;
+        pos++;
+    }
+    return Math.min(pos + 1, length);
+}
+
+// Unquoted, unescaped content of a string or template token
+function unquote(raw) {
+    const quote = raw[0];
+    const body = raw.endsWith(quote) && raw.length > 1 ? raw.substring(1, raw.length - 1) : raw.substring(1);
+    return body.replace(/\\(.)/g, '$1');
+}
+
+// Split source into tokens:
+//   { type: 'identifier' | 'number' | 'punctuator', value, start, end }
+//   { type: 'string' | 'template', value (unquoted), start, end }
+// Whitespace and comments (including the HTML-like <!-- line comment) are dropped.
+function tokenizeJs(source) {
+    const tokens = [];
+    const length = source.length;
+    let pos = 0;
+
+    while (pos < length) {
+        const char = source[pos];
+        const start = pos;
+
+        if (/\s/.test(char)) {
+            pos++;
+        } else if (source.startsWith('//', pos) || source.startsWith('<!--', pos)) {
+            const newline = source.indexOf('\n', pos);
+            pos = newline < 0 ? length : newline + 1;
+        } else if (source.startsWith('/*', pos)) {
+            const close = source.indexOf('*/', pos + 2);
+            pos = close < 0 ? length : close + 2;
+        } else if (char === '"' || char === "'" || char === '`') {
+            pos = skipQuoted(source, pos, char);
+            const raw = source.substring(start, pos);
+            tokens.push({ type: char === '`' ? 'template' : 'string', value: unquote(raw), start, end: pos });
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            pos++;
+            while (pos < length && /[\w.]/.test(source[pos])) pos++;
+            tokens.push({ type: 'number', value: source.substring(start, pos), start, end: pos });
+        } else if (IDENTIFIER_START.test(char)) {
+            pos++;
+            while (pos < length && IDENTIFIER_PART.test(source[pos])) pos++;
+            tokens.push({ type: 'identifier', value: source.substring(start, pos), start, end: pos });
+        } else {
+            pos++;
+            tokens.push({ type: 'punctuator', value: char, start, end: pos });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Every call expression in the tokens: `name(...)`, `object.name(...)`, `object['name'](...)`,
+ * `new Name(...)` and tagged templates `name\`...\``.
+ * Returns [{ name, object (identifier before the dot or bracket, or null), tagged, argument }]
+ * where argument is the first argument's token (null when there is none).
+ */
+function findCalls(tokens) {
+    const calls = [];
+    tokens.forEach((token, i) => {
+        const opensCall = token.type === 'punctuator' && token.value === '(';
+        const tagged = token.type === 'template';
+        if ((!opensCall && !tagged) || i === 0) return;
+
+        let name = null;
+        let nameIndex = i - 1;
+        const previous = tokens[i - 1];
+        if (previous.type === 'identifier') {
+            if (NON_CALL_KEYWORDS.includes(previous.value) || (tokens[i - 2] && tokens[i - 2].value === 'function')) return;
+            name = previous.value;
+        } else if (previous.value === ']' && i >= 3 && tokens[i - 3].value === '[' &&
+            (tokens[i - 2].type === 'string' || tokens[i - 2].type === 'template')) {
+            name = tokens[i - 2].value;
+            nameIndex = i - 3;
+        }
+        if (name === null) return;
+
+        let object = null;
+        const before = tokens[nameIndex - 1];
+        if (before && before.value === '.' && tokens[nameIndex - 2] && tokens[nameIndex - 2].type === 'identifier') {
+            object = tokens[nameIndex - 2].value;
+        } else if (nameIndex !== i - 1 && before && before.type === 'identifier') {
+            object = before.value;
+        }
+
+        const argument = tagged ? token : (tokens[i + 1] && tokens[i + 1].value !== ')' ? tokens[i + 1] : null);
+        calls.push({ name, object, tagged, argument });
+    });
+    return calls;
+}
+
+module.exports = {
+    tokenizeJs,
+    findCalls
+};
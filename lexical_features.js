@@ -0,0 +1,160 @@
+const { canonicalize } = require('./canonicalize');
+
+// Learned lexical block appended to the handcrafted extractFeatures vector (ml_model.js), so
+// tags, handlers and schemes missing from feature_schema.js still count. Two TF-IDF weighted,
+// L2-normalized parts of the canonical (decoded, lower-cased) input:
+//   - character n-grams hashed into a fixed number of columns
+//   - HTML/JS tokens (see tokenize) from a vocabulary of the most frequent ones in training
+// fitLexical learns the IDF weights and the vocabulary from the training texts; the result is
+// saved in the model file so prediction builds exactly the columns the model was trained on.
+const LEXICAL_VERSION = 1;
+
+const DEFAULT_LEXICAL_OPTIONS = {
+    minN: 3,
+    maxN: 5,
+    buckets: 256, // hashed character n-gram columns
+    maxTokens: 128, // token vocabulary size
+    minDocumentFrequency: 2 // tokens seen in fewer training texts are left out
+};
+
+// Token kinds, each a regex whose first group is the token (searched only inside the
+// matches of `within` when given)
+const TOKEN_PATTERNS = [
+    // <video, </script
+    { kind: 'tag', regex: /<\s*\/?\s*([a-z][a-z0-9-]*)/g },
+    // onanimationstart=, srcdoc=, autofocus> inside a tag
+    { kind: 'attr', within: /<[a-z][^>]*>?/g, regex: /[\s/"']([a-z_:@][-a-z0-9_:.@]*)\s*(?==|\/?>|\s|$)/g },
+    // javascript:, data:, vbscript:
+    { kind: 'scheme', regex: /(?:^|[\s"'`=(,])([a-z][a-z0-9+.-]*)\s*:/g },
+    // alert(, fromcharcode(, alert`1`
+    { kind: 'js', regex: /([a-z_$][\w$]*)\s*(?=[(`])/g },
+    // .cookie, .innerhtml
+    { kind: 'js', regex: /\.\s*([a-z_$][\w$]*)/g }
+];
+
+// Token -> column of every fitted state's vocabulary, built on first use
+const tokenIndexes = new WeakMap();
+
+function normalize(text) {
+    return canonicalize(String(text)).canonical.toLowerCase();
+}
+
+// FNV-1a over the UTF-16 code units
+function hashGram(gram) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < gram.length; i++) {
+        hash ^= gram.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// Count per hashed column of every character n-gram, n from minN to maxN
+function gramCounts(normalized, minN, maxN, buckets) {
+    const counts = new Map();
+    for (let n = minN; n <= maxN; n++) {
+        for (let i = 0; i + n <= normalized.length; i++) {
+            const column = hashGram(normalized.substring(i, i + n)) % buckets;
+            counts.set(column, (counts.get(column) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * HTML/JS tokens of normalized text: tag names, attribute names inside tags, URL schemes and
+ * JS identifiers that are called or accessed as properties, as 'kind:name'
+ * (e.g. 'tag:video', 'attr:srcdoc', 'scheme:javascript', 'js:alert').
+ */
+function tokenize(normalized) {
+    const tokens = [];
+    TOKEN_PATTERNS.forEach(({ kind, within, regex }) => {
+        const regions = within ? Array.from(normalized.matchAll(within), match => match[0]) : [normalized];
+        regions.forEach(region => {
+            for (const match of region.matchAll(regex)) {
+                tokens.push(`${kind}:${match[1]}`);
+            }
+        });
+    });
+    return tokens;
+}
+
+function tokenCounts(normalized) {
+    const counts = new Map();
+    tokenize(normalized).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+}
+
+// Smoothed inverse document frequency (same form as scikit-learn's TfidfTransformer)
+function idf(documentFrequency, documents) {
+    return Math.log((1 + documents) / (1 + documentFrequency)) + 1;
+}
+
+/**
+ * Learn the IDF weights and the token vocabulary from training texts.
+ * options: see DEFAULT_LEXICAL_OPTIONS. Returns the state transformLexical and the model file use.
+ */
+function fitLexical(texts, options = {}) {
+    const params = Object.assign({}, DEFAULT_LEXICAL_OPTIONS, options);
+    const gramFrequency = new Array(params.buckets).fill(0);
+    const tokenFrequency = new Map();
+
+    texts.forEach(text => {
+        const normalized = normalize(text);
+        gramCounts(normalized, params.minN, params.maxN, params.buckets).forEach((_, column) => { gramFrequency[column]++; });
+        tokenCounts(normalized).forEach((_, token) => tokenFrequency.set(token, (tokenFrequency.get(token) || 0) + 1));
+    });
+
+    const vocabulary = Array.from(tokenFrequency.entries())
+        .filter(([, frequency]) => frequency >= params.minDocumentFrequency)
+        .sort((a, b) => (b[1] - a[1]) || (a[0] < b[0] ? -1 : 1))
+        .slice(0, params.maxTokens);
+
+    return {
+        version: LEXICAL_VERSION,
+        minN: params.minN,
+        maxN: params.maxN,
+        buckets: params.buckets,
+        hash: 'fnv1a32',
+        gramIdf: gramFrequency.map(frequency => idf(frequency, texts.length)),
+        vocabulary: vocabulary.map(([token]) => token),
+        tokenIdf: vocabulary.map(([, frequency]) => idf(frequency, texts.length))
+    };
+}
+
+// TF-IDF weights of one part, L2-normalized
+function weighted(counts, size, idfs, columnOf) {
+    const row = new Array(size).fill(0);
+    counts.forEach((count, key) => {
+        const column = columnOf(key);
+        if (column !== undefined) row[column] = count * idfs[column];
+    });
+    const norm = Math.sqrt(row.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? row.map(value => value / norm) : row;
+}
+
+// Lexical columns of one input: state.buckets n-gram columns, then one per vocabulary token
+function transformLexical(state, text) {
+    const normalized = normalize(text);
+    if (!tokenIndexes.has(state)) {
+        tokenIndexes.set(state, new Map(state.vocabulary.map((token, i) => [token, i])));
+    }
+    const index = tokenIndexes.get(state);
+    const grams = weighted(gramCounts(normalized, state.minN, state.maxN, state.buckets), state.buckets, state.gramIdf, column => column);
+    const tokens = weighted(tokenCounts(normalized), state.vocabulary.length, state.tokenIdf, token => index.get(token));
+    return grams.concat(tokens);
+}
+
+// Names of the lexical columns, for explanations
+function lexicalFeatureNames(state) {
+    return Array.from({ length: state.buckets }, (_, i) => `chargram[${i}]`).concat(state.vocabulary);
+}
+
+module.exports = {
+    LEXICAL_VERSION,
+    DEFAULT_LEXICAL_OPTIONS,
+    tokenize,
+    fitLexical,
+    transformLexical,
+    lexicalFeatureNames
+};
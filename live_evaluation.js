@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Live evaluation: the active model scored against every scan with a ground_truth label, run
+// as a background job in a worker thread (live_evaluation_worker.js) so /metrics never waits
+// on it. One job runs at a time; it reports progress and can be cancelled. The last completed
+// run is kept in LAST_RUN_PATH so it survives restarts (XSS_LIVE_EVALUATION_PATH moves it, as
+// XSS_DB_PATH does the database).
+const LAST_RUN_PATH = process.env.XSS_LIVE_EVALUATION_PATH || path.join(__dirname, 'live_evaluation.json');
+const WORKER_PATH = path.join(__dirname, 'live_evaluation_worker.js');
+
+let job = null; // { worker, startedAt, modelVersion, k, progress }
+let lastRun = readLastRun();
+let lastFailure = null; // { finishedAt, error, cancelled }
+
+function readLastRun() {
+    try {
+        return fs.existsSync(LAST_RUN_PATH) ? JSON.parse(fs.readFileSync(LAST_RUN_PATH, 'utf8')) : null;
+    } catch (err) {
+        console.error('Error reading the last live evaluation:', err.message);
+        return null;
+    }
+}
+
+function saveLastRun(run) {
+    const tmp = `${LAST_RUN_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(run, null, 2));
+    fs.renameSync(tmp, LAST_RUN_PATH);
+}
+
+function finish(failure) {
+    lastFailure = failure ? Object.assign({ finishedAt: new Date().toISOString() }, failure) : null;
+    job = null;
+}
+
+/**
+ * Start a live evaluation of the model at modelPath on the labeled scans in dbPath.
+ * options: { dbPath, modelPath, modelVersion, k } - k > 0 also cross-validates on the
+ * labeled scans with k folds (performKFoldCrossValidation). Throws when one is already running.
+ */
+function startEvaluation(options) {
+    if (job) {
+        throw new Error('A live evaluation is already running');
+    }
+    const startedAt = new Date().toISOString();
+    const worker = new Worker(WORKER_PATH, {
+        workerData: {
+            dbPath: options.dbPath,
+            modelPath: options.modelPath,
+            modelVersion: options.modelVersion,
+            k: options.k || 0
+        }
+    });
+    const current = {
+        worker,
+        startedAt,
+        modelVersion: options.modelVersion,
+        k: options.k || 0,
+        progress: { phase: 'starting', done: 0, total: 1 },
+        cancelled: false
+    };
+    job = current;
+
+    worker.on('message', message => {
+        if (message.type === 'progress') {
+            current.progress = { phase: message.phase, done: message.done, total: message.total };
+        } else if (message.type === 'result') {
+            const run = Object.assign({ startedAt, finishedAt: new Date().toISOString() }, message.result);
+            try {
+                saveLastRun(run);
+            } catch (err) {
+                console.error('Error saving the live evaluation:', err.message);
+            }
+            lastRun = run;
+            finish(null);
+        }
+    });
+    worker.on('error', err => {
+        console.error('Live evaluation failed:', err);
+        finish({ error: err.message, cancelled: false });
+    });
+    worker.on('exit', () => {
+        // Terminated (cancelled) or died without a result
+        if (job === current) {
+            finish({ error: current.cancelled ? null : 'The evaluation stopped without a result', cancelled: current.cancelled });
+        }
+    });
+    return evaluationStatus();
+}
+
+// Stop the running evaluation. Returns false when none is running.
+function cancelEvaluation() {
+    if (!job) {
+        return false;
+    }
+    job.cancelled = true;
+    job.worker.terminate();
+    return true;
+}
+
+/**
+ * State for /metrics and GET /api/evaluation:
+ * { running: { startedAt, modelVersion, k, progress: { phase, done, total } } | null,
+ *   lastRun (see live_evaluation_worker.js, plus startedAt/finishedAt) | null,
+ *   lastFailure: { finishedAt, error, cancelled } | null }
+ * lastFailure describes the latest run when it didn't complete.
+ */
+function evaluationStatus() {
+    return {
+        running: job ? { startedAt: job.startedAt, modelVersion: job.modelVersion, k: job.k, progress: job.progress } : null,
+        lastRun: lastRun,
+        lastFailure: lastFailure
+    };
+}
+
+module.exports = {
+    startEvaluation,
+    cancelEvaluation,
+    evaluationStatus
+};
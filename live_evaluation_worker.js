@@ -0,0 +1,103 @@
+const { parentPort, workerData } = require('worker_threads');
+const sqlite3 = require('sqlite3');
+const { getLabeledResults, performKFoldCrossValidation, confusionSummary } = require('./database');
+const { loadModel, predictSamples, toSamples } = require('./ml_model');
+
+// Worker thread of live_evaluation.js: scores every labeled scan with the active model and,
+// when asked, cross-validates on the labeled scans. Reports
+//   { type: 'progress', phase, done, total } while running, then { type: 'result', result }.
+// workerData: { dbPath, modelPath, modelVersion, k } - k 0 skips the cross-validation.
+
+// Labeled scans scored per progress report
+const CHUNK_SIZE = 250;
+
+function progress(phase, done, total) {
+    parentPort.postMessage({ type: 'progress', phase, done, total });
+}
+
+function openDatabase(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+            if (err) reject(err);
+            else resolve(db);
+        });
+    });
+}
+
+// Confusion matrix per group of outcomes ({ predicted, logged, actual, source }), judging
+// the verdict verdictOf(outcome) against the label
+function confusionByGroup(outcomes, groupOf, verdictOf) {
+    const counts = {};
+    outcomes.forEach(outcome => {
+        const group = groupOf(outcome);
+        const predicted = verdictOf(outcome);
+        const actual = outcome.actual;
+        const entry = counts[group] || (counts[group] = { tp: 0, tn: 0, fp: 0, fn: 0 });
+        if (predicted && actual) entry.tp++;
+        else if (!predicted && !actual) entry.tn++;
+        else if (predicted && !actual) entry.fp++;
+        else entry.fn++;
+    });
+    const summaries = {};
+    Object.keys(counts).sort().forEach(group => {
+        const { tp, tn, fp, fn } = counts[group];
+        summaries[group] = confusionSummary(tp, tn, fp, fn);
+    });
+    return summaries;
+}
+
+async function evaluate({ dbPath, modelPath, modelVersion, k }) {
+    const model = loadModel(modelPath);
+    if (!model) {
+        throw new Error(`No model could be loaded from ${modelPath}`);
+    }
+    const db = await openDatabase(dbPath);
+    try {
+        progress('loading', 0, 1);
+        const labeled = await getLabeledResults(db);
+
+        // Current model on every labeled scan, in chunks so progress can be reported
+        const outcomes = [];
+        for (let start = 0; start < labeled.length; start += CHUNK_SIZE) {
+            const chunk = labeled.slice(start, start + CHUNK_SIZE);
+            const predictions = predictSamples(model, toSamples(chunk.map(row => row.raw_input)));
+            chunk.forEach((row, i) => {
+                outcomes.push({
+                    source: row.mode,
+                    predicted: predictions[i].isMalicious,
+                    logged: row.is_malicious === 1,
+                    actual: row.ground_truth === 'malicious'
+                });
+            });
+            progress('scoring', outcomes.length, labeled.length);
+        }
+
+        let kFold = null;
+        if (k > 0) {
+            progress('cross-validation', 0, k);
+            kFold = await performKFoldCrossValidation(db, k, (done, total) => progress('cross-validation', done, total));
+        }
+
+        const overall = () => 'all';
+        const empty = confusionSummary(0, 0, 0, 0);
+        return {
+            modelVersion: modelVersion,
+            labeledSamples: labeled.length,
+            // The active model now, and the verdicts as logged when each scan was made
+            live: confusionByGroup(outcomes, overall, outcome => outcome.predicted).all || empty,
+            logged: confusionByGroup(outcomes, overall, outcome => outcome.logged).all || empty,
+            // The active model per scan source (mode: vulnerable, api, batch, ...)
+            perSource: confusionByGroup(outcomes, outcome => outcome.source, outcome => outcome.predicted),
+            kFold: kFold
+        };
+    } finally {
+        db.close();
+    }
+}
+
+evaluate(workerData).then(result => {
+    parentPort.postMessage({ type: 'result', result });
+}, err => {
+    // Rethrown outside the promise so the worker's 'error' event carries it
+    setImmediate(() => { throw err; });
+});
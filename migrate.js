@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations for xss_detection.db.
+// Every file in migrations/ is named <version>_<name>.js and exports
+//   description, up(db), down(db)
+// where db is the promise-returning helper from migrationContext. Migrations run in version
+// order, each in its own transaction, and every applied version is recorded in schema_migrations.
+// Before anything is applied or reverted on a database that already has tables, the whole
+// database is copied with SQLite's online backup API (see backupDatabase) into BACKUP_DIR,
+// where only the newest BACKUPS_KEPT copies of each database are kept.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BACKUP_DIR = path.join(__dirname, 'backups');
+const BACKUPS_KEPT = 10;
+
+const CREATE_SCHEMA_MIGRATIONS_SQL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+// What a migration's up/down get: the queries they need, returning promises
+function migrationContext(db) {
+    const context = {
+        run: (sql, params) => run(db, sql, params),
+        all: (sql, params) => all(db, sql, params),
+        async columns(table) {
+            return (await all(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+        },
+        // Databases created before migrations existed may already have the column
+        async addColumn(table, name, type) {
+            if (!(await context.columns(table)).includes(name)) {
+                await run(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+            }
+        },
+        async dropColumn(table, name) {
+            if ((await context.columns(table)).includes(name)) {
+                await run(db, `ALTER TABLE ${table} DROP COLUMN ${name}`);
+            }
+        }
+    };
+    return context;
+}
+
+// Migration files in version order: [{ version, name, description, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: /^(\d+)_(\w+)\.js$/.exec(file) }))
+        .filter(entry => entry.match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`Two migrations have version ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+async function appliedMigrations(db) {
+    await run(db, CREATE_SCHEMA_MIGRATIONS_SQL);
+    return all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Default backup file: in BACKUP_DIR, named like the ones made by hand before
+function backupPath(dbPath, dir = BACKUP_DIR) {
+    return path.join(dir, `${path.basename(dbPath)}.backup.${Date.now()}`);
+}
+
+/**
+ * Delete all but the newest `keep` backups of the same database as `file` (the files next to
+ * it named <database>.backup.<timestamp>). Resolves to the deleted paths.
+ */
+function pruneBackups(file, keep = BACKUPS_KEPT) {
+    const dir = path.dirname(file);
+    const match = /^(.*\.backup\.)\d+$/.exec(path.basename(file));
+    if (!match) {
+        return [];
+    }
+    const prefix = match[1];
+    const stale = fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+        .sort((a, b) => Number(b.slice(prefix.length)) - Number(a.slice(prefix.length)))
+        .slice(keep)
+        .map(name => path.join(dir, name));
+    stale.forEach(stalePath => fs.unlinkSync(stalePath));
+    return stale;
+}
+
+/**
+ * Copy the whole database to `file` with SQLite's online backup API, so the copy is
+ * consistent even while the database is in use. Resolves to `file`.
+ */
+function backupDatabase(db, file) {
+    return new Promise((resolve, reject) => {
+        const backup = db.backup(file, (err) => {
+            if (err) reject(err);
+        });
+        // -1: copy every page in one step (busy/locked pages are retried)
+        backup.step(-1, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            backup.finish(() => resolve(file));
+        });
+    });
+}
+
+async function hasTables(db) {
+    const rows = await all(db, `
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    `);
+    return rows.length > 0;
+}
+
+async function inTransaction(db, work) {
+    await run(db, 'BEGIN TRANSACTION');
+    try {
+        await work();
+        await run(db, 'COMMIT');
+    } catch (err) {
+        await run(db, 'ROLLBACK').catch(() => {});
+        throw err;
+    }
+}
+
+async function backupFirst(db, options) {
+    if (options.backupPath && await hasTables(db)) {
+        fs.mkdirSync(path.dirname(options.backupPath), { recursive: true });
+        await backupDatabase(db, options.backupPath);
+        console.log(`Backed up database to ${options.backupPath}`);
+        pruneBackups(options.backupPath, options.keepBackups);
+    }
+}
+
+/**
+ * Every migration with whether it is applied:
+ * [{ version, name, description, applied, appliedAt }], plus applied versions whose file is
+ * missing (description null).
+ */
+async function migrationStatus(db, migrations = loadMigrations()) {
+    const applied = await appliedMigrations(db);
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+    const status = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        applied: appliedAt.has(migration.version),
+        appliedAt: appliedAt.get(migration.version) || null
+    }));
+    applied
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .forEach(row => status.push({ version: row.version, name: row.name, description: null, applied: true, appliedAt: row.applied_at }));
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations, in version order, up to options.target (default: all).
+ * options.backupPath: where to back the database up first (nothing is backed up without it,
+ * or when there is nothing to apply); options.keepBackups: how many backups of the database
+ * to keep there (default BACKUPS_KEPT). Resolves to the migrations applied.
+ */
+async function migrateUp(db, options = {}) {
+    const migrations = options.migrations || loadMigrations();
+    const applied = new Set((await appliedMigrations(db)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) &&
+        (options.target === undefined || migration.version <= options.target));
+    if (pending.length === 0) {
+        return [];
+    }
+
+    await backupFirst(db, options);
+    const context = migrationContext(db);
+    for (const migration of pending) {
+        await inTransaction(db, async () => {
+            await migration.up(context);
+            await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+        console.log(`Applied migration ${migration.version} ${migration.name}`);
+    }
+    return pending;
+}
+
+/**
+ * Revert applied migrations, newest first: those above options.target, or only the latest
+ * one without a target. options.backupPath and keepBackups as for migrateUp. Resolves to the migrations reverted.
+ */
+async function migrateDown(db, options = {}) {
+    const migrations = options.migrations || loadMigrations();
+    const applied = (await appliedMigrations(db)).map(row => row.version).reverse();
+    const versions = options.target === undefined ? applied.slice(0, 1) : applied.filter(version => version > options.target);
+    const reverting = versions.map(version => {
+        const migration = migrations.find(entry => entry.version === version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is applied but its file is missing from ${MIGRATIONS_DIR}`);
+        }
+        return migration;
+    });
+    if (reverting.length === 0) {
+        return [];
+    }
+
+    await backupFirst(db, options);
+    const context = migrationContext(db);
+    for (const migration of reverting) {
+        await inTransaction(db, async () => {
+            await migration.down(context);
+            await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+        console.log(`Reverted migration ${migration.version} ${migration.name}`);
+    }
+    return reverting;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    BACKUP_DIR,
+    BACKUPS_KEPT,
+    loadMigrations,
+    migrationStatus,
+    migrateUp,
+    migrateDown,
+    backupDatabase,
+    backupPath,
+    pruneBackups
+};
+
+// CLI: node migrate.js status | up [version] | down [version]
+if (require.main === module) {
+    const sqlite3 = require('sqlite3');
+    const { DB_PATH } = require('./database');
+    const [command, version] = process.argv.slice(2);
+    const target = version === undefined ? undefined : parseInt(version, 10);
+    const usage = 'Usage: node migrate.js status | up [version] | down [version]\n' +
+        '  up applies pending migrations (up to version), down reverts the latest one (or those above version)';
+
+    if (!['status', 'up', 'down'].includes(command) || Number.isNaN(target)) {
+        console.log(usage);
+        process.exit(1);
+    }
+
+    const db = new sqlite3.Database(DB_PATH);
+    const commands = {
+        async status() {
+            const status = await migrationStatus(db);
+            status.forEach(entry => {
+                const state = entry.applied ? `applied ${entry.appliedAt}` : 'pending';
+                console.log(`${String(entry.version).padStart(3, '0')}  ${state.padEnd(28)}  ${entry.description || `${entry.name} (file missing)`}`);
+            });
+            const pending = status.filter(entry => !entry.applied).length;
+            console.log(pending === 0 ? 'Database is up to date' : `${pending} pending migration(s)`);
+        },
+        async up() {
+            const applied = await migrateUp(db, { target, backupPath: backupPath(DB_PATH) });
+            console.log(applied.length === 0 ? 'Nothing to apply' : `Applied ${applied.length} migration(s)`);
+        },
+        async down() {
+            const reverted = await migrateDown(db, { target, backupPath: backupPath(DB_PATH) });
+            console.log(reverted.length === 0 ? 'Nothing to revert' : `Reverted ${reverted.length} migration(s)`);
+        }
+    };
+    commands[command]().catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    }).finally(() => db.close());
+}
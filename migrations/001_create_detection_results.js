@@ -0,0 +1,26 @@
+// detection_results as first created. Databases from before migrations already have it.
+module.exports = {
+    description: 'Create detection_results',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS detection_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                raw_input TEXT NOT NULL,
+                processed_input TEXT,
+                mode TEXT NOT NULL,
+                is_malicious INTEGER NOT NULL,
+                attack_score INTEGER NOT NULL,
+                attack_patterns TEXT,
+                encoding_applied INTEGER NOT NULL,
+                input_length INTEGER,
+                encoded_length INTEGER,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS detection_results');
+    }
+};
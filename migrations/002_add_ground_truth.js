@@ -0,0 +1,12 @@
+// Label ('malicious' / 'clean') of scans from labeled datasets, used for the confusion matrix
+module.exports = {
+    description: 'Add detection_results.ground_truth',
+
+    async up(db) {
+        await db.addColumn('detection_results', 'ground_truth', 'TEXT');
+    },
+
+    async down(db) {
+        await db.dropColumn('detection_results', 'ground_truth');
+    }
+};
@@ -0,0 +1,12 @@
+// Registry version (or model file hash) of the model that produced each detection
+module.exports = {
+    description: 'Add detection_results.model_version',
+
+    async up(db) {
+        await db.addColumn('detection_results', 'model_version', 'TEXT');
+    },
+
+    async down(db) {
+        await db.dropColumn('detection_results', 'model_version');
+    }
+};
@@ -0,0 +1,30 @@
+// Verdict of the shadow (challenger) model next to each detection, and the inputs on which
+// the active and the shadow model disagreed
+module.exports = {
+    description: 'Add shadow model columns and shadow_disagreements',
+
+    async up(db) {
+        await db.addColumn('detection_results', 'shadow_version', 'TEXT');
+        await db.addColumn('detection_results', 'shadow_is_malicious', 'INTEGER');
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS shadow_disagreements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                raw_input TEXT NOT NULL,
+                active_version TEXT,
+                shadow_version TEXT NOT NULL,
+                active_is_malicious INTEGER NOT NULL,
+                shadow_is_malicious INTEGER NOT NULL,
+                active_probability REAL,
+                shadow_probability REAL,
+                ground_truth TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS shadow_disagreements');
+        await db.dropColumn('detection_results', 'shadow_is_malicious');
+        await db.dropColumn('detection_results', 'shadow_version');
+    }
+};
@@ -0,0 +1,17 @@
+// Model probability of each detection, and the indexes the time-series queries on /metrics
+// (getTimeSeries in database.js) range-scan: by timestamp, or by mode then timestamp
+module.exports = {
+    description: 'Add detection_results.probability and timestamp indexes',
+
+    async up(db) {
+        await db.addColumn('detection_results', 'probability', 'REAL');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_detection_results_timestamp ON detection_results (timestamp)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_detection_results_mode_timestamp ON detection_results (mode, timestamp)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_detection_results_mode_timestamp');
+        await db.run('DROP INDEX IF EXISTS idx_detection_results_timestamp');
+        await db.dropColumn('detection_results', 'probability');
+    }
+};
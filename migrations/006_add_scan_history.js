@@ -0,0 +1,58 @@
+// Scan history browser (/history): full-text index over raw_input, kept in sync by triggers,
+// indexes for its filters, and the audit trail of ground_truth changes
+module.exports = {
+    description: 'Add raw_input full-text index, history filter indexes and label_changes',
+
+    async up(db) {
+        // trigram: matches any substring of 3+ characters, which suits payloads better than words
+        await db.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS detection_results_fts USING fts5(
+                raw_input, content='detection_results', content_rowid='id', tokenize='trigram'
+            )
+        `);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS detection_results_fts_insert AFTER INSERT ON detection_results BEGIN
+                INSERT INTO detection_results_fts (rowid, raw_input) VALUES (new.id, new.raw_input);
+            END
+        `);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS detection_results_fts_delete AFTER DELETE ON detection_results BEGIN
+                INSERT INTO detection_results_fts (detection_results_fts, rowid, raw_input) VALUES ('delete', old.id, old.raw_input);
+            END
+        `);
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS detection_results_fts_update AFTER UPDATE OF raw_input ON detection_results BEGIN
+                INSERT INTO detection_results_fts (detection_results_fts, rowid, raw_input) VALUES ('delete', old.id, old.raw_input);
+                INSERT INTO detection_results_fts (rowid, raw_input) VALUES (new.id, new.raw_input);
+            END
+        `);
+        // Index the rows saved before the table existed
+        await db.run("INSERT INTO detection_results_fts (detection_results_fts) VALUES ('rebuild')");
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_detection_results_ground_truth ON detection_results (ground_truth)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_detection_results_model_version ON detection_results (model_version)');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS label_changes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                result_id INTEGER NOT NULL,
+                old_label TEXT,
+                new_label TEXT,
+                changed_by TEXT NOT NULL,
+                client_address TEXT,
+                changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_label_changes_result_id ON label_changes (result_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS label_changes');
+        await db.run('DROP INDEX IF EXISTS idx_detection_results_model_version');
+        await db.run('DROP INDEX IF EXISTS idx_detection_results_ground_truth');
+        await db.run('DROP TRIGGER IF EXISTS detection_results_fts_update');
+        await db.run('DROP TRIGGER IF EXISTS detection_results_fts_delete');
+        await db.run('DROP TRIGGER IF EXISTS detection_results_fts_insert');
+        await db.run('DROP TABLE IF EXISTS detection_results_fts');
+    }
+};
@@ -1,94 +1,70 @@
-const { RandomForestClassifier } = require('ml-random-forest');
-const { Matrix } = require('ml-matrix');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { canonicalize } = require('./canonicalize');
+const { FEATURES, PATTERN_FEATURES, SCHEMA_HASH, describeSchema, compareSchema } = require('./feature_schema');
+const { applyCalibration, resolveOperatingPoint } = require('./calibration');
+const { getBackend, DEFAULT_BACKEND } = require('./classifiers');
+const { DEFAULT_LEXICAL_OPTIONS, fitLexical, transformLexical } = require('./lexical_features');
 
 const MODEL_PATH = path.join(__dirname, 'random_forest_model.json');
 
-// Infer feature count dynamically from the extractor if needed
-function inferFeatureCountFromExtractor() {
-    try {
-        const feats = extractFeatures('');
-        if (Array.isArray(feats)) {
-            return feats.length;
-        }
-    } catch (e) {
-        // Ignore and fall back to defaults
-    }
-    return null;
-}
+// Index of the first canonical-form feature in an extractFeatures vector
+// (models trained on the 36 raw features alone still work: the forest ignores extra columns)
+const CANONICAL_FEATURE_OFFSET = PATTERN_FEATURES.length;
 
 // Feature extraction function - converts input to feature vector
+// Layout and meaning of every value come from the registry in feature_schema.js: the regex and
+// ratio features, then versioned feature groups such as structure.* (structural_features.js)
 function extractFeatures(input) {
-    const features = [];
-    const lowerInput = input.toLowerCase();
-    
-    // Feature 1-9: Pattern detection (binary features)
-    features.push(/<script[\s>]/i.test(input) ? 1 : 0);  // scriptTag
-    features.push(/<\/script>/i.test(input) ? 1 : 0);    // scriptClosing
-    features.push(/onerror\s*=/i.test(input) ? 1 : 0);  // onerror
-    features.push(/onclick\s*=/i.test(input) ? 1 : 0);  // onclick
-    features.push(/javascript:/i.test(input) ? 1 : 0);  // javascript protocol
-    features.push(/<img[\s>]/i.test(input) ? 1 : 0);    // imgTag
-    features.push(/<iframe[\s>]/i.test(input) ? 1 : 0);  // iframeTag
-    features.push(/eval\s*\(/i.test(input) ? 1 : 0);     // eval
-    features.push(/alert\s*\(/i.test(input) ? 1 : 0);    // alert
-    
-    // Additional XSS patterns
-    features.push(/<svg[\s>]/i.test(input) ? 1 : 0);    // svg tag
-    features.push(/<body[\s>]/i.test(input) ? 1 : 0);   // body tag
-    features.push(/<input[\s>]/i.test(input) ? 1 : 0);  // input tag
-    features.push(/<form[\s>]/i.test(input) ? 1 : 0);   // form tag
-    features.push(/onload\s*=/i.test(input) ? 1 : 0);   // onload
-    features.push(/onmouseover\s*=/i.test(input) ? 1 : 0); // onmouseover
-    features.push(/document\./i.test(input) ? 1 : 0);    // document object
-    features.push(/window\./i.test(input) ? 1 : 0);     // window object
-    
-    // Character counts (normalized by length for better ML performance)
-    const length = Math.max(input.length, 1); // Avoid division by zero
-    features.push(input.length);                          // input length
-    features.push((input.match(/</g) || []).length / length);     // normalized < count
-    features.push((input.match(/>/g) || []).length / length);     // normalized > count
-    features.push((input.match(/=/g) || []).length / length);      // normalized = count
-    features.push((input.match(/"/g) || []).length / length);      // normalized " count
-    features.push((input.match(/'/g) || []).length / length);      // normalized ' count
-    features.push((input.match(/\(/g) || []).length / length);     // normalized ( count
-    features.push((input.match(/\)/g) || []).length / length);     // normalized ) count
-    features.push((input.match(/on\w+/gi) || []).length); // number of event handlers
-    features.push((input.match(/script/gi) || []).length); // number of "script" occurrences
-    
-    // Pattern combinations (more discriminative features)
-    features.push((/<script[\s>]/i.test(input) && /alert/i.test(input)) ? 1 : 0); // script + alert
-    features.push((/<img[\s>]/i.test(input) && /onerror/i.test(input)) ? 1 : 0); // img + onerror
-    features.push((/<iframe[\s>]/i.test(input) && /javascript:/i.test(input)) ? 1 : 0); // iframe + javascript:
-    
-    // Encoding attempts (common XSS evasion)
-    features.push(/&#x/i.test(input) ? 1 : 0);  // hex encoding
-    features.push(/&#/i.test(input) ? 1 : 0);    // decimal encoding
-    features.push(/%3c/i.test(input) ? 1 : 0);   // URL encoding <
-    features.push(/%3e/i.test(input) ? 1 : 0);   // URL encoding >
-    
-    // Suspicious patterns
-    features.push(/<[^>]*on\w+\s*=/i.test(input) ? 1 : 0); // any tag with event handler
-    features.push(/javascript\s*:/i.test(input) ? 1 : 0); // javascript: protocol (case variations)
-    
-    return features;
+    const { canonical, chain } = canonicalize(input);
+    const context = { raw: input, canonical, chain };
+    return FEATURES.map(feature => feature.extract(context));
 }
 
-// Train Random Forest model with improved hyperparameters
-function trainModel(trainingData, trainingLabels) {
-    if (trainingData.length === 0) {
+// Forest hyperparameters used unless the caller overrides them (see classifiers/ for the other backends)
+const DEFAULT_HYPERPARAMETERS = getBackend(DEFAULT_BACKEND).defaultHyperparameters;
+
+// Samples as every classifier backend takes them: { text, features }
+function toSamples(inputs, featureRows = inputs.map(input => extractFeatures(input))) {
+    return inputs.map((text, i) => ({ text, features: featureRows[i] }));
+}
+
+// Samples as a model sees them: features cut to the registry features it was trained on (the
+// registry may have grown since), then its lexical columns (see lexical_features.js) appended
+function modelSamples(samples, featureCount, lexical) {
+    return samples.map(sample => ({
+        text: sample.text,
+        features: sample.features.slice(0, featureCount).concat(lexical ? transformLexical(lexical, sample.text) : [])
+    }));
+}
+
+// Give a backend model its feature count and fitted lexical state; its predictProbability then
+// takes samples straight from toSamples
+function bindFeatures(model, featureCount, lexical) {
+    model.featureCount = featureCount;
+    model.lexical = lexical || null;
+    const predictProbability = model.predictProbability;
+    model.predictProbability = samples => predictProbability(modelSamples(samples, featureCount, model.lexical));
+    return model;
+}
+
+// Train a model with one of the backends in classifiers/ (default: random forest);
+// `hyperparameters` overrides the backend's defaults. The lexical block is fitted on these
+// samples with `lexicalOptions` (see lexical_features.js); null trains on the handcrafted features alone.
+function trainModel(samples, labels, hyperparameters = {}, backend = DEFAULT_BACKEND, lexicalOptions = DEFAULT_LEXICAL_OPTIONS) {
+    if (samples.length === 0) {
         throw new Error('No training data available');
     }
     
-    if (trainingData.length < 2) {
+    if (samples.length < 2) {
         throw new Error('Need at least 2 samples to train the model');
     }
     
     // Check class distribution
-    const maliciousCount = trainingLabels.filter(l => l === 1).length;
-    const cleanCount = trainingLabels.filter(l => l === 0).length;
-    const total = trainingLabels.length;
+    const maliciousCount = labels.filter(l => l === 1).length;
+    const cleanCount = labels.filter(l => l === 0).length;
+    const total = labels.length;
     
     console.log(`Training data distribution: ${maliciousCount} malicious (${(maliciousCount/total*100).toFixed(1)}%), ${cleanCount} clean (${(cleanCount/total*100).toFixed(1)}%)`);
     
@@ -97,95 +73,45 @@ function trainModel(trainingData, trainingLabels) {
         console.warn('Warning: Severe class imbalance detected. Model performance may be affected.');
     }
     
-    const X = new Matrix(trainingData);
-    const y = trainingLabels;
-    
-    // Improved hyperparameters for better accuracy, tuned for speed vs performance
-    const featureCount = trainingData[0].length;
-    const maxFeatures = Math.max(1, Math.floor(Math.sqrt(featureCount)));
-    
-    const options = {
-        seed: 42, // For reproducibility
-        maxFeatures: maxFeatures,
-        replacement: true,
-        // Lighter forest so k-fold CV runs in reasonable time
-        nEstimators: 100,
-        treeOptions: {
-            minNumSamples: Math.max(1, Math.floor(trainingData.length * 0.01)), // At least 1% of data per leaf
-            gainFunction: 'gini',
-            maxDepth: 12,
-            gainThreshold: 0.001
-        }
-    };
-    
-    console.log(`Training Random Forest with ${options.nEstimators} trees, maxDepth=${options.treeOptions.maxDepth}, maxFeatures=${maxFeatures}`);
-    
-    const classifier = new RandomForestClassifier(options);
-    classifier.train(X, y);
+    const lexical = lexicalOptions ? fitLexical(samples.map(sample => sample.text), lexicalOptions) : null;
+    if (lexical) {
+        console.log(`Lexical features: ${lexical.buckets} hashed character ${lexical.minN}-${lexical.maxN}-gram columns, ${lexical.vocabulary.length} tokens`);
+    }
+    const featureCount = samples[0].features.length;
+    const model = bindFeatures(getBackend(backend).train(modelSamples(samples, featureCount, lexical), labels, hyperparameters), featureCount, lexical);
     
     // Calculate training accuracy for validation
-    let correct = 0;
-    for (let i = 0; i < trainingData.length; i++) {
-        const prediction = classifier.predict([trainingData[i]]);
-        if (prediction[0] === trainingLabels[i]) {
-            correct++;
-        }
-    }
-    const trainingAccuracy = (correct / trainingData.length) * 100;
+    const probabilities = model.predictProbability(samples);
+    const correct = probabilities.filter((probability, i) => (probability >= 0.5 ? 1 : 0) === labels[i]).length;
+    const trainingAccuracy = (correct / samples.length) * 100;
     console.log(`Training accuracy: ${trainingAccuracy.toFixed(2)}%`);
     
-    return classifier;
+    return model;
 }
 
-// Save model to disk
-function saveModel(classifier, featureCount = null) {
+// Save model to disk, together with its backend, the feature schema it was trained on and its
+// lexical state (IDF weights, token vocabulary and hashing parameters).
+// extras: { calibration, operatingPoints } fitted on held-out folds (see calibration.js)
+function saveModel(model, featureCount = null, extras = {}) {
     try {
-        // Serialize model once so we can inspect hyperparameters as well
-        const treesJson = classifier.toJSON();
-
-        // Get featureCount from classifier if available, otherwise use provided value
-        let numFeatures = classifier.featureCount;
-        if (!numFeatures && featureCount !== null) {
-            numFeatures = featureCount;
-        }
-        // If still not available, try to infer from the model structure
-        if (!numFeatures && treesJson && treesJson.baseModel && treesJson.baseModel.maxFeatures) {
-            // maxFeatures is typically sqrt of feature count, so featureCount ~= maxFeatures^2
-            const maxFeatures = treesJson.baseModel.maxFeatures;
-            numFeatures = Math.pow(maxFeatures, 2);
-        }
-        // If still not known, infer from extractFeatures('')
-        if (!numFeatures) {
-            const inferred = inferFeatureCountFromExtractor();
-            if (inferred) {
-                numFeatures = inferred;
-                console.warn('Inferred featureCount from extractFeatures:', numFeatures);
-            }
-        }
-        // Final fallback if we can't determine (kept for backward compatibility)
-        if (!numFeatures) {
-            numFeatures = 19;
-            console.warn('Could not determine featureCount, using default:', numFeatures);
-        }
-
-        // Extract top-level hyperparameters for convenience (they also exist inside treesJson)
-        let hyperparameters = {};
-        if (treesJson && treesJson.baseModel) {
-            const base = treesJson.baseModel;
-            hyperparameters = {
-                maxFeatures: base.maxFeatures,
-                nEstimators: base.nEstimators,
-                treeOptions: base.treeOptions || {}
-            };
+        const numFeatures = featureCount || model.featureCount || FEATURES.length;
+        if (numFeatures !== FEATURES.length) {
+            console.warn(`Saving a model trained on ${numFeatures} features; the registry defines ${FEATURES.length}`);
         }
 
+        const featureSchema = describeSchema(numFeatures);
         const modelData = {
-            trees: treesJson,
+            backend: model.backend,
+            model: model.toJSON(),
             featureCount: numFeatures,
-            hyperparameters
+            featureSchema: featureSchema,
+            hyperparameters: model.hyperparameters || {},
+            lexical: model.lexical || null,
+            calibration: extras.calibration || null,
+            operatingPoints: extras.operatingPoints || null
         };
         fs.writeFileSync(MODEL_PATH, JSON.stringify(modelData, null, 2));
-        console.log('Random Forest model saved to', MODEL_PATH, 'with featureCount:', numFeatures);
+        console.log(`Model (${model.backend}) saved to`, MODEL_PATH, 'with featureCount:', numFeatures, 'schema:', featureSchema.hash);
         return true;
     } catch (err) {
         console.error('Error saving model:', err);
@@ -193,83 +119,154 @@ function saveModel(classifier, featureCount = null) {
     }
 }
 
-// Load model from disk
-function loadModel() {
+// Feature schema of a saved model. Models saved before the registry existed only record
+// featureCount (or nothing): they were trained on the leading registry features.
+function savedFeatureSchema(modelData) {
+    if (modelData.featureSchema) {
+        return { schema: modelData.featureSchema, legacy: false };
+    }
+    let featureCount = modelData.featureCount;
+    if (!featureCount) {
+        // Highest column any tree was given
+        featureCount = Math.max(...modelData.trees.baseModel.indexes.map(columns => Math.max(...columns))) + 1;
+    }
+    return { schema: describeSchema(Math.min(featureCount, FEATURES.length)), legacy: true, featureCount };
+}
+
+// Load model from disk. Refuses (returns null) a model whose feature schema doesn't match
+// the registry; warns when it only uses a leading subset of the registry's features.
+function loadModel(modelPath = MODEL_PATH) {
     try {
-        if (!fs.existsSync(MODEL_PATH)) {
+        if (!fs.existsSync(modelPath)) {
             return null;
         }
         
-        const modelData = JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8'));
-        // Use featureCount if available, otherwise try to infer or use extractor
-        let featureCount = modelData.featureCount;
-        if (!featureCount && modelData.trees && modelData.trees.baseModel) {
-            const maxFeatures = modelData.trees.baseModel.maxFeatures;
-            if (maxFeatures) {
-                featureCount = Math.pow(maxFeatures, 2);
+        const modelData = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+        const saved = savedFeatureSchema(modelData);
+        if (saved.legacy) {
+            if (saved.featureCount > FEATURES.length) {
+                console.error(`Refusing to load model: it has no feature schema and expects ${saved.featureCount} features, the registry defines ${FEATURES.length}. Retrain the model.`);
+                return null;
             }
-        }
-        if (!featureCount) {
-            const inferred = inferFeatureCountFromExtractor();
-            if (inferred) {
-                featureCount = inferred;
-                console.warn('Inferred featureCount from extractFeatures while loading model:', featureCount);
+            console.warn(`Model has no feature schema; assuming it was trained on the first ${saved.featureCount} registry features. Retrain to record the schema.`);
+        } else {
+            const comparison = compareSchema(saved.schema);
+            if (!comparison.compatible) {
+                console.error(`Refusing to load model: feature schema ${saved.schema.hash} does not match registry ${SCHEMA_HASH} (${comparison.message}). Retrain the model.`);
+                return null;
+            }
+            if (!comparison.exact) {
+                console.warn(`Model feature schema ${saved.schema.hash} differs from registry ${SCHEMA_HASH}: ${comparison.message}`);
             }
-        }
-        // Final fallback
-        if (!featureCount) {
-            featureCount = 19;
-            console.warn('Could not determine featureCount from model, using default:', featureCount);
         }
 
-        const classifier = RandomForestClassifier.load(modelData.trees, featureCount);
-        console.log('Random Forest model loaded from', MODEL_PATH, 'with featureCount:', featureCount);
+        const featureCount = saved.schema.features.length;
+        // Files written before classifier backends existed hold a random forest under "trees"
+        const backend = modelData.backend || DEFAULT_BACKEND;
+        const model = bindFeatures(getBackend(backend).load(modelData.model || modelData.trees, {
+            featureCount: featureCount,
+            hyperparameters: modelData.hyperparameters || null
+        }), featureCount, modelData.lexical);
+        console.log(`Model (${backend}) loaded from`, modelPath, 'with featureCount:', featureCount);
         if (modelData.hyperparameters) {
             console.log('Model hyperparameters:', modelData.hyperparameters);
         }
-        return classifier;
+        // Used by predictSamples; models saved before calibration have neither
+        model.calibration = modelData.calibration || null;
+        model.operatingPoints = modelData.operatingPoints || null;
+        return model;
     } catch (err) {
         console.error('Error loading model:', err);
         return null;
     }
 }
 
+// Identify the model on disk: explicit version field if present, otherwise a short content hash
+function getModelVersion(modelPath = MODEL_PATH) {
+    try {
+        if (!fs.existsSync(modelPath)) {
+            return null;
+        }
+        const content = fs.readFileSync(modelPath, 'utf8');
+        const modelData = JSON.parse(content);
+        if (modelData.version) {
+            return modelData.version;
+        }
+        return 'sha256-' + crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+    } catch (err) {
+        console.error('Error reading model version:', err);
+        return null;
+    }
+}
+
 // Predict using the model
-function predict(classifier, input) {
-    if (!classifier) {
+function predict(model, input, options = {}) {
+    if (!model) {
+        return null;
+    }
+    
+    return predictSamples(model, toSamples([input]), options)[0];
+}
+
+// Predict a whole set of inputs in one pass
+function predictBatch(model, inputs, options = {}) {
+    if (!model) {
         return null;
     }
     
-    const features = extractFeatures(input);
-    const prediction = classifier.predict([features]);
+    return predictSamples(model, toSamples(inputs), options);
+}
+
+/**
+ * Predict already-built samples (see toSamples).
+ * options: { operatingPoint } - 'strict', 'balanced' (default) or 'lenient' (see calibration.js)
+ * A calibrated model flags samples whose calibrated probability reaches the operating point's
+ * threshold; a model saved without operating points flags probabilities of 0.5 and above.
+ * Returns [{ isMalicious, probability, rawProbability, confidence, operatingPoint, threshold }].
+ */
+function predictSamples(model, samples, options = {}) {
+    if (samples.length === 0) {
+        return [];
+    }
     
-    // predictProbability requires a label parameter (0 or 1)
-    // Get probabilities for both classes
-    const probClean = classifier.predictProbability([features], 0)[0] || 0;
-    const probMalicious = classifier.predictProbability([features], 1)[0] || 0;
+    const point = resolveOperatingPoint(model.operatingPoints, options.operatingPoint);
+    const calibration = model.calibration || null;
+    const rawProbabilities = model.predictProbability(samples);
     
-    return {
-        isMalicious: prediction[0] === 1,
-        probability: probMalicious, // Probability of being malicious
-        confidence: Math.max(probClean, probMalicious)
-    };
+    return rawProbabilities.map(rawProbability => {
+        const probMalicious = applyCalibration(calibration, rawProbability);
+        return {
+            isMalicious: point ? probMalicious >= point.threshold : probMalicious >= 0.5,
+            probability: probMalicious, // Probability of being malicious (calibrated when the model is)
+            rawProbability: rawProbability, // Backend's own probability (tree vote share for the forest)
+            confidence: Math.max(1 - probMalicious, probMalicious),
+            operatingPoint: point ? point.name : null,
+            threshold: point ? point.threshold : null
+        };
+    });
 }
 
-// Get feature importance (if available)
-function getFeatureImportance(classifier) {
-    if (!classifier || !classifier.featureImportance) {
+// Get feature importance (random forest only)
+function getFeatureImportance(model) {
+    if (!model || !model.forest) {
         return null;
     }
-    return classifier.featureImportance();
+    return model.forest.featureImportance();
 }
 
 module.exports = {
     extractFeatures,
     trainModel,
+    DEFAULT_HYPERPARAMETERS,
     saveModel,
     loadModel,
     predict,
+    predictBatch,
+    predictSamples,
+    toSamples,
     getFeatureImportance,
+    getModelVersion,
+    CANONICAL_FEATURE_OFFSET,
     MODEL_PATH
 };
 
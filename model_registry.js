@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { loadModel, getModelVersion, MODEL_PATH } = require('./ml_model');
+const { DEFAULT_BACKEND } = require('./classifiers');
+
+// Every trained model is kept as models/<version>/model.json with a metadata.json next to it,
+// and the training manifest (see training_manifest.js) when xss_train.js trained it.
+// models/registry.json records the active version, the previously active ones (for rollback)
+// and an optional shadow version scored next to the active one without affecting verdicts.
+// The active model is also copied to MODEL_PATH so scripts that read it directly keep working.
+const REGISTRY_DIR = path.join(__dirname, 'models');
+const INDEX_PATH = path.join(REGISTRY_DIR, 'registry.json');
+const METRICS_PATH = path.join(__dirname, 'model_metrics.json');
+
+function modelFile(version) {
+    return path.join(REGISTRY_DIR, version, 'model.json');
+}
+
+function metadataFile(version) {
+    return path.join(REGISTRY_DIR, version, 'metadata.json');
+}
+
+function manifestFile(version) {
+    return path.join(REGISTRY_DIR, version, 'manifest.json');
+}
+
+// Write through a temp file + rename so readers never see a half-written file
+function writeFileAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+}
+
+function readIndex() {
+    if (!fs.existsSync(INDEX_PATH)) {
+        return { active: null, history: [], shadow: null };
+    }
+    return Object.assign({ shadow: null }, JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8')));
+}
+
+function writeIndex(index) {
+    fs.mkdirSync(REGISTRY_DIR, { recursive: true });
+    writeFileAtomic(INDEX_PATH, JSON.stringify(index, null, 2));
+}
+
+function readOfflineMetrics() {
+    try {
+        return fs.existsSync(METRICS_PATH) ? JSON.parse(fs.readFileSync(METRICS_PATH, 'utf8')) : null;
+    } catch (err) {
+        console.warn('Could not read model_metrics.json:', err.message);
+        return null;
+    }
+}
+
+function versionExists(version) {
+    return typeof version === 'string' && /^v\d+$/.test(version) && fs.existsSync(modelFile(version));
+}
+
+// All registered versions (metadata), oldest first, with `active` and `shadow` flags
+function listVersions() {
+    if (!fs.existsSync(REGISTRY_DIR)) {
+        return [];
+    }
+    const index = readIndex();
+    return fs.readdirSync(REGISTRY_DIR)
+        .filter(versionExists)
+        .map(version => {
+            const metadata = fs.existsSync(metadataFile(version))
+                ? JSON.parse(fs.readFileSync(metadataFile(version), 'utf8'))
+                : { version };
+            return Object.assign(metadata, { active: version === index.active, shadow: version === index.shadow });
+        })
+        .sort((a, b) => Number(a.version.substring(1)) - Number(b.version.substring(1)));
+}
+
+function nextVersion() {
+    const numbers = listVersions().map(entry => Number(entry.version.substring(1)));
+    return 'v' + (numbers.length > 0 ? Math.max(...numbers) + 1 : 1);
+}
+
+/**
+ * Copy a saved model file into the registry as a new version. Does not activate it.
+ * info: { source, dataset, metrics, manifest } - metrics default to the current model_metrics.json;
+ * a training manifest is stored as the version's manifest.json.
+ * Returns the version's metadata.
+ */
+function registerModel(sourcePath = MODEL_PATH, info = {}) {
+    const content = fs.readFileSync(sourcePath, 'utf8');
+    const modelData = JSON.parse(content);
+    const metrics = info.metrics !== undefined ? info.metrics : readOfflineMetrics();
+    const version = nextVersion();
+
+    const metadata = {
+        version: version,
+        createdAt: new Date().toISOString(),
+        source: info.source || 'train',
+        dataset: info.dataset || (metrics && metrics.dataset) || null,
+        metrics: metrics,
+        featureSchema: modelData.featureSchema
+            ? { hash: modelData.featureSchema.hash, featureCount: modelData.featureSchema.features.length }
+            : { hash: null, featureCount: modelData.featureCount || null },
+        backend: modelData.backend || DEFAULT_BACKEND,
+        hyperparameters: modelData.hyperparameters || null,
+        lexical: modelData.lexical
+            ? { buckets: modelData.lexical.buckets, ngrams: [modelData.lexical.minN, modelData.lexical.maxN], tokens: modelData.lexical.vocabulary.length }
+            : null,
+        calibration: modelData.calibration ? modelData.calibration.method : null,
+        operatingPoints: modelData.operatingPoints || null,
+        contentHash: getModelVersion(sourcePath),
+        hasManifest: !!info.manifest
+    };
+
+    fs.mkdirSync(path.dirname(modelFile(version)), { recursive: true });
+    writeFileAtomic(modelFile(version), content);
+    writeFileAtomic(metadataFile(version), JSON.stringify(metadata, null, 2));
+    if (info.manifest) {
+        writeFileAtomic(manifestFile(version), JSON.stringify(info.manifest, null, 2));
+    }
+    console.log(`Registered model ${version} (${metadata.source})`);
+    return metadata;
+}
+
+/**
+ * Make `version` the active model: load it (refusing schema mismatches, see loadModel),
+ * copy it to MODEL_PATH and record the previous active version for rollback.
+ * options: { recordHistory (default true), popHistory: drop the latest history entry (rollback) }.
+ * The index is only written once the model has loaded and been copied.
+ * Returns { version, classifier } so a running server can swap it in.
+ */
+function activateVersion(version, options = {}) {
+    if (!versionExists(version)) {
+        throw new Error(`Unknown model version "${version}"`);
+    }
+    const classifier = loadModel(modelFile(version));
+    if (!classifier) {
+        throw new Error(`Model ${version} could not be loaded (see log for details)`);
+    }
+
+    writeFileAtomic(MODEL_PATH, fs.readFileSync(modelFile(version)));
+    const index = readIndex();
+    if (options.popHistory) {
+        index.history.pop();
+    }
+    if (index.active && index.active !== version && options.recordHistory !== false) {
+        index.history.push(index.active);
+    }
+    index.active = version;
+    writeIndex(index);
+    console.log(`Activated model ${version}`);
+    return { version, classifier };
+}
+
+// Re-activate the previously active version. It leaves the history only when its activation
+// succeeds, so a failed rollback can be retried.
+function rollback() {
+    const history = readIndex().history;
+    const previous = history[history.length - 1];
+    if (!previous) {
+        throw new Error('No previous model version to roll back to');
+    }
+    return activateVersion(previous, { recordHistory: false, popHistory: true });
+}
+
+// Register the model currently at MODEL_PATH as the first version, so it isn't lost
+// when training overwrites it. No-op once the registry has an active version.
+function importCurrentModel() {
+    if (readIndex().active || !fs.existsSync(MODEL_PATH)) {
+        return null;
+    }
+    const metadata = registerModel(MODEL_PATH, { source: 'imported' });
+    writeIndex({ active: metadata.version, history: [], shadow: null });
+    return metadata;
+}
+
+/**
+ * Choose the shadow (challenger) version, or clear it with null.
+ * Returns { version, classifier } (both null when cleared).
+ */
+function setShadowVersion(version) {
+    const index = readIndex();
+    if (version === null) {
+        index.shadow = null;
+        writeIndex(index);
+        console.log('Shadow model cleared');
+        return { version: null, classifier: null };
+    }
+    if (!versionExists(version)) {
+        throw new Error(`Unknown model version "${version}"`);
+    }
+    const classifier = loadModel(modelFile(version));
+    if (!classifier) {
+        throw new Error(`Model ${version} could not be loaded (see log for details)`);
+    }
+    index.shadow = version;
+    writeIndex(index);
+    console.log(`Shadow model set to ${version}`);
+    return { version, classifier };
+}
+
+// Current shadow version and its file, or null
+function shadowVersion() {
+    const index = readIndex();
+    return index.shadow && versionExists(index.shadow) ? index.shadow : null;
+}
+
+function shadowModelPath() {
+    const version = shadowVersion();
+    return version ? modelFile(version) : null;
+}
+
+// File the server should load: the active registry version, or MODEL_PATH without a registry
+function activeModelPath() {
+    const index = readIndex();
+    return index.active && versionExists(index.active) ? modelFile(index.active) : MODEL_PATH;
+}
+
+// Training manifest of a version (default: the active one), or null when it has none
+function manifestPath(version = readIndex().active) {
+    return version && versionExists(version) && fs.existsSync(manifestFile(version)) ? manifestFile(version) : null;
+}
+
+// Version label recorded with each detection: registry version, or a content hash of MODEL_PATH
+function activeVersion() {
+    const index = readIndex();
+    return index.active && versionExists(index.active) ? index.active : getModelVersion(MODEL_PATH);
+}
+
+module.exports = {
+    REGISTRY_DIR,
+    INDEX_PATH,
+    listVersions,
+    registerModel,
+    activateVersion,
+    rollback,
+    setShadowVersion,
+    shadowVersion,
+    shadowModelPath,
+    importCurrentModel,
+    activeModelPath,
+    activeVersion,
+    manifestPath
+};
+
+// CLI: node model_registry.js list | activate <version> | rollback | shadow <version|off> | import
+if (require.main === module) {
+    const [command, version] = process.argv.slice(2);
+    try {
+        if (command === 'list') {
+            const versions = listVersions();
+            if (versions.length === 0) {
+                console.log('No registered models. Run "node model_registry.js import" to register the current one.');
+            }
+            versions.forEach(entry => {
+                const accuracy = entry.metrics && typeof entry.metrics.meanAccuracy === 'number'
+                    ? `accuracy ${(entry.metrics.meanAccuracy * 100).toFixed(2)}%`
+                    : 'no metrics';
+                const marker = entry.active ? '*' : entry.shadow ? 's' : ' ';
+                console.log(`${marker} ${entry.version}  ${entry.createdAt}  ${entry.source}  schema ${entry.featureSchema.hash || 'none'}  ${accuracy}`);
+            });
+        } else if (command === 'activate' && version) {
+            activateVersion(version);
+        } else if (command === 'rollback') {
+            console.log(`Rolled back to ${rollback().version}`);
+        } else if (command === 'shadow' && version) {
+            setShadowVersion(version === 'off' ? null : version);
+        } else if (command === 'import') {
+            const metadata = importCurrentModel();
+            console.log(metadata ? `Imported current model as ${metadata.version}` : 'Nothing to import (registry already active or no model file)');
+        } else {
+            console.log('Usage: node model_registry.js list | activate <version> | rollback | shadow <version|off> | import');
+            process.exit(1);
+        }
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
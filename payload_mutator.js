@@ -0,0 +1,432 @@
+const fs = require('fs');
+const path = require('path');
+const { loadModel } = require('./ml_model');
+const { scoreInputs } = require('./xss_guard');
+const { loadDataset } = require('./dataset_loaders');
+const { createRandom, shuffleInPlace } = require('./random');
+const modelRegistry = require('./model_registry');
+
+// Adversarial mutation engine: rewrites known XSS payloads with evasion transforms and
+// measures how many of the mutants the detector still flags. Transforms only rewrite the
+// parts of a payload a browser would still execute the same way (tag/attribute names, the
+// JavaScript inside handlers, javascript: URLs and <script> bodies), so mutants stay attacks.
+
+const DEFAULT_SEED_SOURCE = path.join(__dirname, 'DETECTABLE_ATTACKS.md');
+const DEFAULT_LIMIT = 200;
+
+// Evasions listed per transform family in the report
+const EXAMPLES_PER_FAMILY = 5;
+
+// ----------------- Payload helpers -----------------
+
+// Randomly upper/lower-case every letter
+function toggleCase(text, random) {
+    return text.replace(/[a-z]/gi, char => (random() < 0.5 ? char.toUpperCase() : char.toLowerCase()));
+}
+
+// Quote an attribute value when it would otherwise end early
+function attributeValue(value, quote) {
+    if (quote) {
+        return quote + value.split(quote).join(quote === '"' ? '&quot;' : '&#39;') + quote;
+    }
+    return /[\s>"'`]/.test(value) ? '"' + value.replace(/"/g, '&quot;') + '"' : value;
+}
+
+const HANDLER_PATTERN = /(\bon\w+\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+const JS_URL_PATTERN = /(\b(?:href|src|action|formaction|data|xlink:href)\s*=\s*)(?:"\s*javascript:([^"]*)"|'\s*javascript:([^']*)'|javascript:([^\s>]+))/gi;
+const SCRIPT_PATTERN = /(<script\b[^>]*>)([\s\S]*?)(<\/script\s*>)/gi;
+
+/**
+ * Rewrite every piece of JavaScript in a payload with fn(code, context), where context is
+ * 'handler' (on*= value), 'url' (javascript: URL, without the scheme) or 'script' (<script>
+ * body, or the whole payload when it has no markup). fn returns the new code, or null to keep it.
+ */
+function mapJavaScript(payload, fn) {
+    if (!/[<>]/.test(payload)) {
+        const code = fn(payload, 'script');
+        return code === null ? payload : code;
+    }
+    return payload
+        .replace(HANDLER_PATTERN, (match, prefix, dq, sq, bare) => {
+            const code = fn(dq !== undefined ? dq : sq !== undefined ? sq : bare, 'handler');
+            if (code === null) return match;
+            return prefix + attributeValue(code, dq !== undefined ? '"' : sq !== undefined ? "'" : '');
+        })
+        .replace(JS_URL_PATTERN, (match, prefix, dq, sq, bare) => {
+            const code = fn(dq !== undefined ? dq : sq !== undefined ? sq : bare, 'url');
+            if (code === null) return match;
+            return prefix + attributeValue('javascript:' + code, dq !== undefined ? '"' : sq !== undefined ? "'" : '');
+        })
+        .replace(SCRIPT_PATTERN, (match, open, body, close) => {
+            const code = fn(body, 'script');
+            return code === null ? match : open + code + close;
+        });
+}
+
+// The first piece of JavaScript in a payload (see mapJavaScript), or null
+function firstJavaScript(payload) {
+    let found = null;
+    mapJavaScript(payload, code => {
+        if (found === null && code.trim()) found = code;
+        return null;
+    });
+    return found;
+}
+
+// String.fromCharCode(...) for a piece of code
+function fromCharCode(code) {
+    return 'String.fromCharCode(' + Array.from(code).map(char => char.charCodeAt(0)).join(',') + ')';
+}
+
+// Handlers that fire on any element, whatever its tag
+const INTERACTION_HANDLER = /\bon(?:click|dblclick|mouse\w+|pointer\w+|focus|blur|key\w+)\s*=/i;
+
+// Move an interaction handler's element to another tag: <div onclick=...> -> <details open onclick=...>
+function swapInteractiveTag(payload, tag) {
+    let swapped = false;
+    const result = payload.replace(/<([a-z][\w-]*)(\s[^>]*)>/gi, (match, name, attrs) => {
+        if (swapped || !INTERACTION_HANDLER.test(attrs)) return match;
+        swapped = true;
+        return `<${tag}${attrs}>`;
+    }).replace(/<\/([a-z][\w-]*)\s*>/i, (match, name) => (swapped ? `</${tag.split(' ')[0]}>` : match));
+    return swapped ? result : null;
+}
+
+// Simple calls with literal arguments: alert(1), alert('XSS'), prompt("x")
+const SIMPLE_CALL_PATTERN = /\b(alert|prompt|confirm|print)\s*\(\s*(?:'([^'()]*)'|"([^"()]*)"|(\d*))\s*\)/g;
+
+// ----------------- Transforms -----------------
+
+// Every transform returns the mutated payload, or null when it doesn't apply
+const TRANSFORMS = [
+    {
+        family: 'case',
+        name: 'tag-and-attribute-case',
+        apply: (payload, random) => payload
+            .replace(/(<\/?)([a-z][\w-]*)/gi, (m, open, tag) => open + toggleCase(tag, random))
+            .replace(/(\s|\/)(on\w+|src|href|action|formaction)(\s*=)/gi, (m, before, name, eq) => before + toggleCase(name, random) + eq)
+    },
+    {
+        family: 'case',
+        name: 'scheme-case',
+        apply: (payload, random) => payload.replace(/javascript:/gi, scheme => toggleCase(scheme, random))
+    },
+    {
+        family: 'entity-encoding',
+        name: 'decimal-entities',
+        apply: payload => mapJavaScript(payload, (code, context) => (context === 'script'
+            ? null
+            : Array.from(code).map(char => `&#${char.charCodeAt(0)};`).join('')))
+    },
+    {
+        family: 'entity-encoding',
+        name: 'hex-entities',
+        apply: payload => mapJavaScript(payload, (code, context) => (context === 'script'
+            ? null
+            : Array.from(code).map(char => `&#x${char.charCodeAt(0).toString(16)};`).join('')))
+    },
+    {
+        family: 'entity-encoding',
+        name: 'named-colon',
+        apply: payload => payload.replace(/javascript:/gi, 'javascript&colon;')
+    },
+    {
+        family: 'url-encoding',
+        name: 'url-encode',
+        apply: payload => encodeURIComponent(payload)
+    },
+    {
+        family: 'url-encoding',
+        name: 'double-url-encode',
+        apply: payload => encodeURIComponent(encodeURIComponent(payload))
+    },
+    {
+        family: 'url-encoding',
+        name: 'javascript-url-percent',
+        apply: payload => mapJavaScript(payload, (code, context) => (context === 'url'
+            ? Array.from(code).map(char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join('')
+            : null))
+    },
+    {
+        family: 'fromcharcode',
+        name: 'eval-fromcharcode',
+        apply: payload => mapJavaScript(payload, code => (code.trim() ? `eval(${fromCharCode(code)})` : null))
+    },
+    {
+        family: 'fromcharcode',
+        name: 'settimeout-fromcharcode',
+        apply: payload => mapJavaScript(payload, code => (code.trim() ? `setTimeout(${fromCharCode(code)})` : null))
+    },
+    {
+        family: 'event-handler',
+        name: 'onpointerenter',
+        apply: payload => payload.replace(/\bon\w+(\s*=)/gi, 'onpointerenter$1')
+    },
+    {
+        family: 'event-handler',
+        name: 'onfocus-autofocus',
+        apply: payload => payload.replace(/(<[a-z][\w-]*)([^>]*?)\bon\w+(\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))/i,
+            '$1$2onfocus$3 autofocus tabindex=1')
+    },
+    {
+        family: 'event-handler',
+        name: 'ontoggle',
+        apply: payload => {
+            const code = firstJavaScript(payload);
+            return code === null ? null : `<details open ontoggle=${attributeValue(code, '')}>`;
+        }
+    },
+    {
+        family: 'tag-swap',
+        name: 'details',
+        apply: payload => swapInteractiveTag(payload, 'details open')
+    },
+    {
+        family: 'tag-swap',
+        name: 'math',
+        apply: payload => {
+            const swapped = swapInteractiveTag(payload, 'math');
+            if (swapped !== null) return swapped;
+            const code = firstJavaScript(payload);
+            return code === null ? null : `<math><maction actiontype="statusline" xlink:href="javascript:${code.replace(/"/g, '&quot;')}">click</maction></math>`;
+        }
+    },
+    {
+        family: 'tag-swap',
+        name: 'svg-animate',
+        apply: payload => {
+            const code = firstJavaScript(payload);
+            return code === null ? null : `<svg><animate onbegin=${attributeValue(code, '')} attributeName=x dur=1s>`;
+        }
+    },
+    {
+        family: 'comment-whitespace',
+        name: 'slash-separators',
+        apply: payload => payload.replace(/<([a-z][\w-]*)([^>]*)>/gi, (m, tag, attrs) => `<${tag}${attrs.replace(/\s+(?=[\w-]+\s*=)/g, '/')}>`)
+    },
+    {
+        family: 'comment-whitespace',
+        name: 'newline-attributes',
+        apply: payload => payload.replace(/<([a-z][\w-]*)([^>]*)>/gi, (m, tag, attrs) => `<${tag}${attrs.replace(/\s+(?=[\w-]+\s*=)/g, '\n')}>`)
+    },
+    {
+        family: 'comment-whitespace',
+        name: 'js-comments',
+        apply: payload => mapJavaScript(payload, code => code.replace(/(\w)\s*\(/g, '$1/**/('))
+    },
+    {
+        family: 'comment-whitespace',
+        name: 'scheme-tab',
+        apply: payload => payload.replace(/javascript:/gi, 'java\tscript:')
+    },
+    {
+        family: 'comment-whitespace',
+        name: 'html-comment',
+        apply: payload => payload.replace(/<(?=[a-z])/i, '<!--x--><')
+    },
+    {
+        family: 'backtick',
+        name: 'tagged-template',
+        apply: payload => mapJavaScript(payload, code => code.replace(SIMPLE_CALL_PATTERN,
+            (m, fn, sq, dq, num) => `${fn}\`${sq !== undefined ? sq : dq !== undefined ? dq : num}\``))
+    }
+];
+
+const FAMILIES = Array.from(new Set(TRANSFORMS.map(transform => transform.family)));
+
+/**
+ * Every mutant of every seed: [{ seed, mutant, family, transform }]. Transforms that don't
+ * apply or leave the payload unchanged produce nothing. `random` drives the case transforms.
+ */
+function mutatePayloads(seeds, random, transforms = TRANSFORMS) {
+    const mutants = [];
+    seeds.forEach(seed => {
+        transforms.forEach(transform => {
+            const mutant = transform.apply(seed, random);
+            if (mutant !== null && mutant !== seed) {
+                mutants.push({ seed, mutant, family: transform.family, transform: transform.name });
+            }
+        });
+    });
+    return mutants;
+}
+
+// ----------------- Seeds -----------------
+
+// Inline code spans of a markdown file that look like payloads (DETECTABLE_ATTACKS.md)
+function seedsFromMarkdown(filePath) {
+    const spans = fs.readFileSync(filePath, 'utf-8').match(/`[^`\n]+`/g) || [];
+    return spans
+        .map(span => span.slice(1, -1))
+        .filter(text => /<[a-z]|\w\s*\(/i.test(text) && !text.includes('...'));
+}
+
+/**
+ * Seed payloads from markdown files or datasets (malicious records only, see dataset_loaders.js),
+ * de-duplicated and, past `limit`, sampled with `random`.
+ */
+function loadSeeds(sources, limit, random) {
+    let seeds = [];
+    sources.forEach(source => {
+        if (path.extname(source).toLowerCase() === '.md') {
+            seeds = seeds.concat(seedsFromMarkdown(source));
+        } else {
+            seeds = seeds.concat(loadDataset(source).filter(record => record.label === 1).map(record => record.text));
+        }
+    });
+    seeds = Array.from(new Set(seeds));
+    if (limit > 0 && seeds.length > limit) {
+        seeds = shuffleInPlace(seeds, random).slice(0, limit);
+    }
+    return seeds;
+}
+
+// ----------------- Robustness report -----------------
+
+/**
+ * Score the seeds and their mutants with the model (pattern matching without one).
+ * Only seeds the detector flags are mutated: an evasion is a flagged seed whose mutant isn't.
+ * Returns { report, mutants } where mutants carry a `flagged` verdict and report is
+ * { modelUsed, seeds, seedsFlagged, seedsMissed: [...], mutants, flagged, detectionRate,
+ *   families: { [family]: { mutants, flagged, detectionRate, transforms: { [name]: { mutants, flagged, detectionRate } }, evasions: [...] } } }.
+ */
+function measureRobustness(model, seeds, random) {
+    const seedScores = scoreInputs(model, seeds);
+    const detected = seeds.filter((seed, i) => seedScores[i].isMalicious);
+    const mutants = mutatePayloads(detected, random);
+    const scores = scoreInputs(model, mutants.map(entry => entry.mutant));
+    mutants.forEach((entry, i) => {
+        entry.flagged = scores[i].isMalicious;
+        entry.probability = scores[i].mlPrediction ? scores[i].mlPrediction.probability : null;
+    });
+
+    function rate(flagged, total) {
+        return total > 0 ? flagged / total : null;
+    }
+
+    const families = {};
+    FAMILIES.forEach(family => {
+        families[family] = { mutants: 0, flagged: 0, detectionRate: null, transforms: {}, evasions: [] };
+    });
+    TRANSFORMS.forEach(transform => {
+        families[transform.family].transforms[transform.name] = { mutants: 0, flagged: 0, detectionRate: null };
+    });
+    mutants.forEach(entry => {
+        const family = families[entry.family];
+        const transform = family.transforms[entry.transform];
+        family.mutants++;
+        transform.mutants++;
+        if (entry.flagged) {
+            family.flagged++;
+            transform.flagged++;
+        } else if (family.evasions.length < EXAMPLES_PER_FAMILY) {
+            family.evasions.push({ transform: entry.transform, seed: entry.seed, mutant: entry.mutant, probability: entry.probability });
+        }
+    });
+    Object.values(families).forEach(family => {
+        family.detectionRate = rate(family.flagged, family.mutants);
+        Object.values(family.transforms).forEach(transform => {
+            transform.detectionRate = rate(transform.flagged, transform.mutants);
+        });
+    });
+
+    const flagged = mutants.filter(entry => entry.flagged).length;
+    return {
+        mutants,
+        report: {
+            modelUsed: !!model,
+            seeds: seeds.length,
+            seedsFlagged: detected.length,
+            seedsMissed: seeds.filter((seed, i) => !seedScores[i].isMalicious),
+            mutants: mutants.length,
+            flagged,
+            detectionRate: rate(flagged, mutants.length),
+            families
+        }
+    };
+}
+
+function formatRate(value) {
+    return value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function formatRobustnessReport(report) {
+    const lines = [];
+    lines.push(`Seeds: ${report.seeds} (${report.seedsFlagged} flagged and mutated, ${report.seedsMissed.length} missed before mutation)`);
+    lines.push(`Mutants: ${report.mutants}, still flagged ${report.flagged} (${formatRate(report.detectionRate).trim()})${report.modelUsed ? '' : ' [pattern matching, no model]'}`);
+    lines.push('');
+    Object.keys(report.families).forEach(name => {
+        const family = report.families[name];
+        lines.push(`${formatRate(family.detectionRate)}  ${name} (${family.flagged}/${family.mutants})`);
+        Object.keys(family.transforms).forEach(transformName => {
+            const transform = family.transforms[transformName];
+            lines.push(`    ${formatRate(transform.detectionRate)}  ${transformName} (${transform.flagged}/${transform.mutants})`);
+        });
+        family.evasions.forEach(evasion => {
+            lines.push(`      evaded: ${JSON.stringify(evasion.mutant).substring(0, 100)}`);
+        });
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Augmented training records (JSONL-ready { text, label, source }) from scored mutants;
+ * with evasionsOnly, just the ones the detector missed.
+ */
+function augmentedRecords(mutants, evasionsOnly = false) {
+    return mutants
+        .filter(entry => !evasionsOnly || !entry.flagged)
+        .map(entry => ({ text: entry.mutant, label: 1, source: `mutator:${entry.family}/${entry.transform}` }));
+}
+
+module.exports = {
+    TRANSFORMS,
+    FAMILIES,
+    mutatePayloads,
+    loadSeeds,
+    measureRobustness,
+    formatRobustnessReport,
+    augmentedRecords
+};
+
+// CLI: node payload_mutator.js [seed sources...] [--limit n] [--seed n] [--model file]
+//                              [--report report.json] [--augment mutants.jsonl] [--evasions-only]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = { sources: [], limit: DEFAULT_LIMIT, seed: 42, evasionsOnly: false };
+    try {
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '--evasions-only') options.evasionsOnly = true;
+            else if (arg === '--limit') options.limit = parseInt(args[++i], 10);
+            else if (arg === '--seed') options.seed = parseInt(args[++i], 10);
+            else if (arg === '--model') options.model = args[++i];
+            else if (arg === '--report') options.report = args[++i];
+            else if (arg === '--augment') options.augment = args[++i];
+            else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+            else options.sources.push(arg);
+        }
+        if (!Number.isInteger(options.limit) || !Number.isInteger(options.seed)) {
+            throw new Error('--limit and --seed must be integers');
+        }
+
+        const random = createRandom(options.seed);
+        const seeds = loadSeeds(options.sources.length > 0 ? options.sources : [DEFAULT_SEED_SOURCE], options.limit, random);
+        const model = loadModel(options.model || modelRegistry.activeModelPath());
+        const { report, mutants } = measureRobustness(model, seeds, random);
+        console.log(formatRobustnessReport(report));
+
+        if (options.report) {
+            fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+            console.log(`\nRobustness report written to ${options.report}`);
+        }
+        if (options.augment) {
+            const records = augmentedRecords(mutants, options.evasionsOnly);
+            fs.writeFileSync(options.augment, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            console.log(`${records.length} augmented training records written to ${options.augment} (use it as a jsonl dataset with xss-train)`);
+        }
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
@@ -1,53 +1,63 @@
 const { initDatabase, saveDetectionResult } = require('./database');
-const { parseCSV } = require('./train_from_csv');
+const { loadDataset } = require('./dataset_loaders');
 const path = require('path');
 
 const CSV_PATH = path.join(__dirname, 'dataset', 'css1.csv');
 
-// Populate database with CSV data
-async function populateDatabase() {
+// Insert labeled { text, label, source } records as detection results with ground truth
+async function insertRecords(db, records, progressEvery = 100) {
+    let successCount = 0;
+    let errorCount = 0;
+    
+    for (const record of records) {
+        try {
+            const isMalicious = record.label === 1;
+            const analysisData = {
+                rawInput: record.text,
+                processedInput: record.text,
+                mode: 'vulnerable',
+                isMalicious: isMalicious,
+                attackScore: isMalicious ? 5 : 0,
+                attackPatterns: {},
+                encodingApplied: false,
+                inputLength: record.text.length,
+                encodedLength: record.text.length,
+                groundTruth: isMalicious ? 'malicious' : 'clean'
+            };
+            
+            await saveDetectionResult(db, analysisData);
+            successCount++;
+            
+            if (successCount % progressEvery === 0) {
+                console.log(`Processed ${successCount} records...`);
+            }
+        } catch (err) {
+            errorCount++;
+            if (errorCount <= 5) {
+                console.error(`Error saving record from ${record.source}:`, err.message);
+            }
+        }
+    }
+    
+    return { successCount, errorCount };
+}
+
+// Populate database with labeled dataset records (dataset specs as in dataset_loaders.js)
+async function populateDatabase(datasets = [CSV_PATH]) {
     try {
         console.log('Initializing database...');
         const db = await initDatabase();
         
-        console.log('Reading CSV file:', CSV_PATH);
-        const csvData = parseCSV(CSV_PATH);
-        console.log(`Loaded ${csvData.length} records from CSV`);
+        let records = [];
+        for (const dataset of datasets) {
+            console.log('Reading dataset:', dataset);
+            const loaded = loadDataset(dataset);
+            console.log(`Loaded ${loaded.length} records`);
+            records = records.concat(loaded);
+        }
         
         console.log('Populating database...');
-        let successCount = 0;
-        let errorCount = 0;
-        
-        for (const record of csvData) {
-            try {
-                // Create a mock analysis data structure
-                // Use test name as raw_input for feature extraction
-                const analysisData = {
-                    rawInput: record.testName,
-                    processedInput: record.testName,
-                    mode: 'vulnerable',
-                    isMalicious: record.realVulnerability,
-                    attackScore: record.realVulnerability ? 5 : 0,
-                    attackPatterns: {},
-                    encodingApplied: false,
-                    inputLength: record.testName.length,
-                    encodedLength: record.testName.length,
-                    groundTruth: record.realVulnerability ? 'malicious' : 'clean'
-                };
-                
-                await saveDetectionResult(db, analysisData);
-                successCount++;
-                
-                if (successCount % 100 === 0) {
-                    console.log(`Processed ${successCount} records...`);
-                }
-            } catch (err) {
-                errorCount++;
-                if (errorCount <= 5) {
-                    console.error(`Error saving record ${record.testName}:`, err.message);
-                }
-            }
-        }
+        const { successCount, errorCount } = await insertRecords(db, records);
         
         console.log('\n✅ Database population completed!');
         console.log(`   Successfully added: ${successCount} records`);
@@ -61,9 +71,10 @@ async function populateDatabase() {
     }
 }
 
-// Run if called directly
+// Run if called directly: node populate_db_from_csv.js [datasets...]
 if (require.main === module) {
-    populateDatabase();
+    const datasets = process.argv.slice(2);
+    populateDatabase(datasets.length > 0 ? datasets : undefined);
 }
 
-module.exports = { populateDatabase };
+module.exports = { populateDatabase, insertRecords };
@@ -124,7 +124,7 @@
 
             const securityModeEl = document.getElementById('security-mode-display');
             if (securityModeEl) {
-                securityModeEl.textContent = analysis.mode === 'secure' ? 'SECURE' : 'VULNERABLE';
+                securityModeEl.textContent = (analysis.mode || 'vulnerable').toUpperCase();
             }
 
             const attackScoreEl = document.getElementById('attack-score-display');
@@ -138,6 +138,7 @@
             renderFlowDiagram();
             renderCharts();
             renderAnalysisTable();
+            renderExplanation();
             renderEncodingComparison();
         } catch (e) {
             console.error('Error rendering UI:', e);
@@ -184,23 +185,14 @@
         const container = document.getElementById('attack-patterns');
         container.innerHTML = '';
 
-        const patternNames = {
-            scriptTag: '&lt;script&gt; Tag',
-            scriptClosing: '&lt;/script&gt; Tag',
-            onerror: 'onerror Event',
-            onclick: 'onclick Event',
-            javascript: 'javascript: Protocol',
-            imgTag: '&lt;img&gt; Tag',
-            iframeTag: '&lt;iframe&gt; Tag',
-            eval: 'eval() Function',
-            alert: 'alert() Function'
-        };
+        // Display names from the server's feature registry
+        const patternNames = analysis.patternLabels || {};
 
         for (const [key, detected] of Object.entries(patterns)) {
             const div = document.createElement('div');
             div.className = `pattern-item ${detected ? 'detected' : 'safe'}`;
             div.innerHTML = `
-                <div>${patternNames[key] || key}</div>
+                <div>${escapeHtml(patternNames[key] || key)}</div>
                 <div style="font-size: 1.5em; margin-top: 5px;">
                     ${detected ? 'WARNING' : 'OK'}
                 </div>
@@ -216,7 +208,7 @@
         const steps = [
             { number: '1', title: 'User Input', desc: 'Raw input received' },
             { number: '2', title: 'Pattern Scan', desc: 'Analyzing for threats' },
-            { number: '3', title: analysis.mode === 'secure' ? 'Encoding' : 'No Encoding', desc: analysis.mode === 'secure' ? 'HTML entities applied' : 'Raw output' },
+            { number: '3', title: analysis.mode === 'secure' ? 'Encoding' : analysis.mode === 'sanitize' ? 'Sanitizing' : 'No Encoding', desc: analysis.encodingApplied ? (analysis.encoder || 'HTML entities') + ' applied' : 'Raw output' },
             { number: '4', title: 'Browser Render', desc: 'DOM processing' },
             { number: '5', title: analysis.isMalicious && analysis.mode === 'vulnerable' ? 'Attack' : 'Safe', desc: analysis.isMalicious && analysis.mode === 'vulnerable' ? 'XSS executed' : 'Protected' }
         ];
@@ -257,7 +249,7 @@
 
         const securityCanvas = document.getElementById('securityChart');
         if (securityCanvas) {
-            const effectiveness = analysis.mode === 'secure' && analysis.encodingApplied ? 100 :
+            const effectiveness = analysis.mode !== 'vulnerable' && analysis.encodingApplied ? 100 :
                                  (analysis.mode === 'vulnerable' ? 0 : 50);
             const div = document.createElement('div');
             div.id = 'securityChart';
@@ -265,7 +257,7 @@
             div.style.textAlign = 'center';
             div.innerHTML = `
                 <div style="font-weight:bold;">Protection Level: ${effectiveness}%</div>
-                <div>${analysis.mode === 'secure' ? 'Secure mode (encoding on)' : 'Vulnerable mode (no encoding)'}</div>
+                <div>${analysis.mode === 'secure' ? 'Secure mode (encoding on)' : analysis.mode === 'sanitize' ? 'Sanitize mode (allowlist sanitizer on)' : 'Vulnerable mode (no encoding)'}</div>
             `;
             securityCanvas.replaceWith(div);
         }
@@ -274,14 +266,16 @@
     function renderAnalysisTable() {
         const table = document.getElementById('analysis-table');
         table.innerHTML = '';
+        const canonicalization = analysis.canonicalization || { chain: [] };
 
         const rows = [
-            ['Mode', analysis.mode === 'secure' ? 'Secure (Prevention Enabled)' : 'Vulnerable (No Protection)', analysis.mode === 'secure' ? 'OK' : 'WARNING'],
+            ['Mode', analysis.mode === 'secure' ? 'Secure (Prevention Enabled)' : analysis.mode === 'sanitize' ? 'Sanitize (Allowlist Sanitizer)' : 'Vulnerable (No Protection)', analysis.mode === 'vulnerable' ? 'WARNING' : 'OK'],
             ['Encoding Applied', analysis.encodingApplied ? 'Yes' : 'No', analysis.encodingApplied ? 'OK' : 'NO'],
             ['Malicious Input', analysis.isMalicious ? 'Yes' : 'No', analysis.isMalicious ? 'WARNING' : 'OK'],
             ['Attack Score', analysis.attackScore || 0, analysis.attackScore > 5 ? 'HIGH' : analysis.attackScore > 0 ? 'MEDIUM' : 'OK'],
             ['Input Length', analysis.inputLength || 0, '-'],
             ['Encoded Length', analysis.encodedLength || 0, '-'],
+            ['Decoding Layers', canonicalization.chain.length, canonicalization.chain.length > 0 ? 'ENCODED' : '-'],
             ['Timestamp', new Date(analysis.timestamp || Date.now()).toLocaleString(), '-']
         ];
 
@@ -289,24 +283,170 @@
             const tr = document.createElement('tr');
             tr.innerHTML = `
                 <td><strong>${row[0]}</strong></td>
-                <td>${row[1]}</td>
+                <td>${escapeHtml(row[1])}</td>
                 <td style="text-align: center; font-size: 1.2em;">${row[2]}</td>
             `;
             table.appendChild(tr);
         });
     }
 
+    // Wrap every character covered by a feature span in <mark>, titled with the features that matched it
+    function highlightSpans(text, spans) {
+        const covering = Array.from({ length: text.length }, () => []);
+        spans.forEach(span => {
+            for (let i = span.start; i < span.end && i < text.length; i++) {
+                if (!covering[i].includes(span.feature)) covering[i].push(span.feature);
+            }
+        });
+
+        let html = '';
+        let i = 0;
+        while (i < text.length) {
+            const key = covering[i].join(', ');
+            let j = i + 1;
+            while (j < text.length && covering[j].join(', ') === key) j++;
+            const chunk = escapeHtml(text.substring(i, j));
+            html += key ? `<mark title="${escapeHtml(key)}">${chunk}</mark>` : chunk;
+            i = j;
+        }
+        return html;
+    }
+
+    function renderExplanation() {
+        const container = document.getElementById('highlighted-input');
+        const table = document.getElementById('feature-table');
+        const explanation = analysis.explanation;
+        if (!container || !table) return;
+        table.innerHTML = '';
+
+        if (!explanation) {
+            container.textContent = 'No explanation available';
+            return;
+        }
+
+        const canonicalization = analysis.canonicalization || { canonical: analysis.rawInput || '', chain: [] };
+        let html = `
+            <div style="margin-bottom: 10px;"><strong>Raw Input</strong> <span style="opacity: 0.8;">(hover a highlight for the features it triggered)</span>:</div>
+            <div class="highlighted-input">${highlightSpans(analysis.rawInput || '', explanation.spans.raw)}</div>
+        `;
+        if (canonicalization.chain.length > 0) {
+            html += `
+                <div style="margin-bottom: 10px;"><strong>Canonical Form:</strong></div>
+                <div class="highlighted-input">${highlightSpans(canonicalization.canonical, explanation.spans.canonical)}</div>
+            `;
+        }
+        container.innerHTML = html;
+
+        // Model contributions ranked by size; without a model, the features that fired
+        const ranked = explanation.bias !== null
+            ? explanation.features.filter(feature => feature.contribution !== 0).slice(0, 15)
+            : explanation.features.filter(feature => feature.value !== 0);
+        const scale = Math.max(...ranked.map(feature => Math.abs(feature.contribution || 0)), 0.0001);
+
+        if (explanation.bias !== null) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td><strong>Base rate</strong> <span style="opacity: 0.7;">(average tree before any split)</span></td>
+                <td>-</td>
+                <td>${(explanation.bias * 100).toFixed(1)}%</td>
+            `;
+            table.appendChild(tr);
+        }
+
+        ranked.forEach(feature => {
+            const tr = document.createElement('tr');
+            const value = Number.isInteger(feature.value) ? feature.value : feature.value.toFixed(3);
+            let contribution = '-';
+            if (feature.contribution !== null) {
+                const width = Math.round(Math.abs(feature.contribution) / scale * 120);
+                const sign = feature.contribution > 0 ? '+' : '';
+                contribution = `
+                    <span class="contribution-bar ${feature.contribution > 0 ? 'positive' : 'negative'}" style="width: ${width}px;"></span>
+                    ${sign}${(feature.contribution * 100).toFixed(1)}%
+                `;
+            }
+            tr.innerHTML = `
+                <td><strong>${escapeHtml(feature.name)}</strong><br><span style="opacity: 0.7;">${escapeHtml(feature.description)}</span></td>
+                <td>${escapeHtml(value)}</td>
+                <td>${contribution}</td>
+            `;
+            table.appendChild(tr);
+        });
+    }
+
     function renderEncodingComparison() {
         const container = document.getElementById('encoding-comparison');
         const raw = analysis.rawInput || '';
-        const processed = analysis.processedInput || '';
-
-        container.innerHTML = `
-            <div style="margin-bottom: 10px;"><strong>Raw Input:</strong></div>
-            <div style="color: #e74c3c; margin-bottom: 20px;">${escapeHtml(raw)}</div>
-            <div style="margin-bottom: 10px;"><strong>Encoded Output:</strong></div>
-            <div style="color: #27ae60;">${escapeHtml(processed)}</div>
+        const encoded = analysis.encodedOutput !== undefined ? analysis.encodedOutput : (analysis.processedInput || '');
+        const sanitized = analysis.sanitizedOutput || '';
+        const removals = analysis.sanitizerRemovals || [];
+        const encoderText = analysis.encoder
+            ? `${analysis.encoder}() (${analysis.encoderLabel})`
+            : 'None (raw output)';
+
+        let html = `
+            <div style="margin-bottom: 15px;"><strong>Applied in this mode:</strong> ${escapeHtml(encoderText)}</div>
+            <div class="output-columns">
+                <div class="output-column">
+                    <div style="margin-bottom: 10px;"><strong>Raw Input${analysis.mode === 'vulnerable' ? ' [applied]' : ''}:</strong></div>
+                    <div style="color: #e74c3c;">${escapeHtml(raw)}</div>
+                </div>
+                <div class="output-column">
+                    <div style="margin-bottom: 10px;"><strong>Encoded (encodeHtml)${analysis.mode === 'secure' ? ' [applied]' : ''}:</strong></div>
+                    <div style="color: #27ae60;">${escapeHtml(encoded)}</div>
+                </div>
+                <div class="output-column">
+                    <div style="margin-bottom: 10px;"><strong>Sanitized (sanitizeHtml)${analysis.mode === 'sanitize' ? ' [applied]' : ''}:</strong></div>
+                    <div style="color: #5dade2;">${escapeHtml(sanitized)}</div>
+                </div>
+            </div>
         `;
+
+        // What the sanitizer removed and why
+        html += '<div style="margin-bottom: 10px;"><strong>Removed by Sanitizer:</strong></div>';
+        if (removals.length > 0) {
+            html += '<ul class="removal-list">';
+            removals.forEach(item => {
+                html += `<li><code>${escapeHtml(item.name)}</code> (${escapeHtml(item.kind)}): ${escapeHtml(item.reason)}</li>`;
+            });
+            html += '</ul>';
+        } else {
+            html += '<div style="margin-bottom: 20px; opacity: 0.8;">Nothing removed</div>';
+        }
+
+        // Encoding layers peeled off before feature extraction
+        const canonicalization = analysis.canonicalization;
+        if (canonicalization && canonicalization.chain.length > 0) {
+            html += '<div style="margin-bottom: 10px;"><strong>Decoding Chain:</strong></div>';
+            html += '<ol class="removal-list">';
+            canonicalization.chain.forEach(step => {
+                html += `<li>Round ${escapeHtml(step.depth)}, <code>${escapeHtml(step.layer)}</code>: ${escapeHtml(step.output)}</li>`;
+            });
+            html += '</ol>';
+            html += `
+                <div style="margin-bottom: 20px;">
+                    <span style="opacity: 0.8;">Canonical form${canonicalization.depthLimitReached ? ' (depth limit reached, more layers remain)' : ''}:</span>
+                    <div style="color: #e67e22;">${escapeHtml(canonicalization.canonical)}</div>
+                </div>
+            `;
+        }
+
+        // The same input through each context-specific encoder
+        const contexts = analysis.contextEncodings || [];
+        if (contexts.length > 0) {
+            html += '<div style="margin-bottom: 10px;"><strong>Per-Context Encoding:</strong></div>';
+            contexts.forEach(entry => {
+                const applied = entry.encoder === analysis.encoder;
+                html += `
+                    <div style="margin-bottom: 8px;${applied ? ' color: #27ae60;' : ''}">
+                        <span style="opacity: 0.8;">${escapeHtml(entry.label)} &mdash; ${escapeHtml(entry.encoder)}()${applied ? ' [applied]' : ''}:</span>
+                        <div>${escapeHtml(entry.output)}</div>
+                    </div>
+                `;
+            });
+        }
+
+        container.innerHTML = html;
     }
 
     function escapeHtml(text) {
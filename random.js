@@ -0,0 +1,28 @@
+// Seeded randomness shared by training (xss_train.js) and the mutation engine (payload_mutator.js),
+// so runs can be reproduced from a seed
+
+// Deterministic PRNG (mulberry32): returns a function yielding numbers in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fisher-Yates shuffle driven by `random` (a createRandom function); returns the array
+function shuffleInPlace(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+module.exports = {
+    createRandom,
+    shuffleInPlace
+};
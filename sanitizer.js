@@ -0,0 +1,119 @@
+const { parseHtml, VOID_ELEMENTS } = require('./html_parser');
+const { encodeHtml, encodeAttr, urlScheme } = require('./encoders');
+
+// Default allowlist policy: basic rich text and links, nothing executable.
+// Any key can be overridden per call: sanitizeHtml(input, { allowedSchemes: ['https'] }).
+const DEFAULT_POLICY = {
+    // Elements kept as-is (with their allowed attributes)
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'ul'
+    ],
+    // Attributes allowed per element; '*' applies to every allowed element
+    allowedAttributes: {
+        '*': ['title'],
+        a: ['href', 'rel', 'target'],
+        img: ['src', 'alt', 'width', 'height']
+    },
+    // Attributes holding URLs, checked against allowedSchemes
+    urlAttributes: ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'],
+    // URL schemes allowed in urlAttributes (relative URLs are always allowed)
+    allowedSchemes: ['http', 'https', 'mailto'],
+    // Disallowed elements removed together with their content; other disallowed elements are unwrapped
+    dropContentOf: [
+        'script', 'style', 'iframe', 'object', 'embed', 'applet', 'frame', 'frameset', 'noscript',
+        'noembed', 'noframes', 'template', 'textarea', 'title', 'xmp', 'svg', 'math', 'head'
+    ],
+    // Keep HTML comments (they can hide conditional comments and confuse other parsers)
+    allowComments: false
+};
+
+function resolvePolicy(policy) {
+    const resolved = Object.assign({}, DEFAULT_POLICY, policy);
+    resolved.allowedSchemes = resolved.allowedSchemes.map(scheme => scheme.toLowerCase());
+    return resolved;
+}
+
+function isAttributeAllowed(policy, tag, attr) {
+    const global = policy.allowedAttributes['*'] || [];
+    const perTag = policy.allowedAttributes[tag] || [];
+    return global.includes(attr) || perTag.includes(attr);
+}
+
+/**
+ * Allowlist-based HTML sanitizer.
+ * Parses the input into a tree, keeps only allowlisted elements and attributes,
+ * drops event handlers and URLs with non-allowlisted schemes (javascript:, data:, ...),
+ * and re-serializes with every text node and attribute value encoded.
+ *
+ * Returns { html, removed } where removed lists each dropped item:
+ *   { kind: 'element' | 'attribute' | 'comment', name, reason }
+ */
+function sanitizeHtml(input, policy = {}) {
+    const rules = resolvePolicy(policy);
+    const removed = [];
+
+    function serializeAttributes(tag, attributes) {
+        let out = '';
+        const seen = new Set();
+        for (const attr of attributes) {
+            if (seen.has(attr.name)) continue; // browsers keep only the first occurrence
+            seen.add(attr.name);
+
+            if (/^on/.test(attr.name)) {
+                removed.push({ kind: 'attribute', name: `${tag}[${attr.name}]`, reason: 'event handler attribute' });
+                continue;
+            }
+            if (!isAttributeAllowed(rules, tag, attr.name)) {
+                removed.push({ kind: 'attribute', name: `${tag}[${attr.name}]`, reason: 'attribute not in allowlist' });
+                continue;
+            }
+            if (rules.urlAttributes.includes(attr.name)) {
+                const scheme = urlScheme(attr.value.trim());
+                if (scheme && !rules.allowedSchemes.includes(scheme)) {
+                    removed.push({ kind: 'attribute', name: `${tag}[${attr.name}]`, reason: `URL scheme "${scheme}:" not allowed` });
+                    continue;
+                }
+            }
+            out += ` ${attr.name}="${encodeAttr(attr.value)}"`;
+        }
+        return out;
+    }
+
+    function serialize(nodes) {
+        let out = '';
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                out += encodeHtml(node.value);
+            } else if (node.type === 'comment') {
+                if (rules.allowComments) {
+                    out += `<!--${node.value.replace(/--/g, '- -')}-->`;
+                } else {
+                    removed.push({ kind: 'comment', name: '<!-- -->', reason: 'comments not allowed' });
+                }
+            } else if (node.type === 'element') {
+                const tag = node.name;
+                if (rules.allowedTags.includes(tag)) {
+                    out += `<${tag}${serializeAttributes(tag, node.attributes)}>`;
+                    if (!VOID_ELEMENTS.includes(tag)) {
+                        out += serialize(node.children) + `</${tag}>`;
+                    }
+                } else if (rules.dropContentOf.includes(tag)) {
+                    removed.push({ kind: 'element', name: tag, reason: 'element not allowed (removed with its content)' });
+                } else {
+                    removed.push({ kind: 'element', name: tag, reason: 'element not allowed (content kept)' });
+                    out += serialize(node.children);
+                }
+            }
+        }
+        return out;
+    }
+
+    const html = serialize(parseHtml(input).children);
+    return { html, removed };
+}
+
+module.exports = {
+    sanitizeHtml,
+    DEFAULT_POLICY
+};
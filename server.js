@@ -3,27 +3,114 @@ const path = require('path');
 const crypto = require('crypto');
 const bodyParser = require('body-parser');
 const fs = require('fs');
-const { initDatabase, saveDetectionResult } = require('./database');
-const { loadModel, predict, extractFeatures } = require('./ml_model');
+const {
+    initDatabase, saveDetectionResult, saveDetectionResults, saveShadowDisagreement, TIME_BUCKETS, DEFAULT_TIME_SERIES_DAYS, HISTORY_PAGE_SIZE, DB_PATH,
+    REVIEW_REASONS, REVIEW_CONFIDENCE
+} = require('./database');
+const { loadModel } = require('./ml_model');
+const modelRegistry = require('./model_registry');
+const { xssGuard, scoreInputs } = require('./xss_guard');
+const { encodeHtml, encodeForContext, registerEjsHelpers, ENCODERS } = require('./encoders');
+const { sanitizeHtml } = require('./sanitizer');
+const { canonicalize } = require('./canonicalize');
+const { explainInput } = require('./explain');
+const { ATTACK_PATTERN_LABELS } = require('./feature_schema');
+const { OPERATING_POINT_NAMES } = require('./calibration');
+const liveEvaluation = require('./live_evaluation');
 const app = express();
 const PORT = 3000;
 
+// Batch scanning limits (POST /api/scan/batch)
+const BATCH_BODY_LIMIT = '25mb';
+const MAX_BATCH_SIZE = 10000;
+// Items scored (and written out) per step; the event loop gets a turn between steps
+const BATCH_CHUNK_SIZE = 500;
+const NDJSON_TYPES = ['application/x-ndjson', 'application/jsonl', 'text/plain'];
+
+// Most scans one label change (history page or /api/results/label) may touch
+const MAX_LABEL_IDS = 1000;
+
+// Labels people confirmed (see getConfirmedLabels), rewritten after every label change so the
+// next `xss-train` run picks them up (it is listed in dataset/datasets.json). Created by the
+// first label change and not tracked in git; XSS_REVIEWED_DATASET_PATH overrides it.
+const REVIEWED_DATASET_PATH = process.env.XSS_REVIEWED_DATASET_PATH || path.join(__dirname, 'dataset', 'reviewed_scans.jsonl');
+
+// Features shown per review queue entry, strongest first
+const REVIEW_FEATURES = 8;
+
 // Load or initialize ML model (training happens offline via scripts)
 let mlModel = null;
 let modelTrained = false;
+let modelVersion = null;
 
-// Try to load existing model immediately (doesn't require database)
-mlModel = loadModel();
+// Try to load existing model immediately (doesn't require database):
+// the model registry's active version, or random_forest_model.json when there is no registry
+mlModel = loadModel(modelRegistry.activeModelPath());
 if (mlModel) {
     modelTrained = true;
-    console.log('ML model loaded successfully from disk');
+    modelVersion = modelRegistry.activeVersion();
+    console.log('ML model loaded successfully from disk (version ' + modelVersion + ')');
+}
+
+// Optional shadow (challenger) model: scores every /search input next to the active one,
+// but only the active model's verdict is used
+let shadowModel = null;
+let shadowVersion = modelRegistry.shadowVersion();
+if (shadowVersion) {
+    shadowModel = loadModel(modelRegistry.shadowModelPath());
+    if (shadowModel) {
+        console.log('Shadow ML model loaded (version ' + shadowVersion + ')');
+    } else {
+        shadowVersion = null;
+    }
+}
+
+// Hot swap: requests already being handled keep the classifier they started with,
+// every later call to currentModel() gets the new one
+function swapModel(classifier, version) {
+    mlModel = classifier;
+    modelTrained = !!classifier;
+    modelVersion = version;
+    console.log('Active ML model is now version ' + version);
 }
 
-// Initialize database (for logging and metrics only)
+function swapShadowModel(classifier, version) {
+    shadowModel = classifier;
+    shadowVersion = version;
+    console.log(version ? 'Shadow ML model is now version ' + version : 'Shadow ML model removed');
+}
+
+// Pick up activations made outside this process (CLI, training scripts). The watcher is
+// unref'd so it doesn't keep the process alive on its own (the tests load the app without listening).
+fs.watchFile(modelRegistry.INDEX_PATH, { interval: 2000 }, () => {
+    const version = modelRegistry.activeVersion();
+    if (version !== modelVersion) {
+        const classifier = loadModel(modelRegistry.activeModelPath());
+        if (classifier) {
+            swapModel(classifier, version);
+        } else {
+            console.error('Model registry changed to ' + version + ' but it could not be loaded; keeping ' + modelVersion);
+        }
+    }
+
+    const shadow = modelRegistry.shadowVersion();
+    if (shadow !== shadowVersion) {
+        const classifier = shadow ? loadModel(modelRegistry.shadowModelPath()) : null;
+        if (!shadow || classifier) {
+            swapShadowModel(classifier, shadow);
+        } else {
+            console.error('Shadow model ' + shadow + ' could not be loaded; keeping ' + shadowVersion);
+        }
+    }
+}).unref();
+
+// Initialize database (for logging and metrics only). Requests are served before it is ready;
+// databaseReady resolves once it is (to the database, or undefined when it failed).
 let db;
-initDatabase().then(database => {
+const databaseReady = initDatabase().then(database => {
     db = database;
     console.log('Database initialized (used for logging detections and metrics).');
+    return database;
 }).catch(err => {
     console.error('Database initialization failed:', err);
 });
@@ -44,6 +131,9 @@ function loadOfflineModelMetrics() {
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
+// Batch uploads can be large: parse them before the default-sized parsers below
+app.use('/api/scan/batch', bodyParser.json({ limit: BATCH_BODY_LIMIT }));
+app.use('/api/scan/batch', bodyParser.text({ type: NDJSON_TYPES, limit: BATCH_BODY_LIMIT }));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 
@@ -62,17 +152,268 @@ app.engine('html', require('ejs').renderFile);
 app.set('view engine', 'html');
 
 /**
- * 1. OUTPUT ENCODING FUNCTION
- * Safely converts special HTML characters into their harmless entity equivalents.
+ * 1. OUTPUT ENCODING
+ * Context-specific encoders live in encoders.js. Templates call them directly,
+ * e.g. <%= encodeAttr(x) %>, <%= encodeJs(x) %>, <%= encodeHref(url) %>.
  */
-function escapeHtml(unsafe) {
-    if (!unsafe) return '';
-    return unsafe.toString()
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#39;");
+registerEjsHelpers(app);
+
+// What each encoder makes of an input, for the comparison on the results page
+function encodeForAllContexts(rawInput) {
+    return Object.keys(ENCODERS).map(context => ({
+        context: context,
+        encoder: ENCODERS[context].name,
+        label: ENCODERS[context].label,
+        output: ENCODERS[context].encode(rawInput)
+    }));
+}
+
+/**
+ * 2. DETECTION
+ * Scores inputs with the Random Forest model, falling back to pattern matching
+ * when no trained model is available (see xss_guard.js). Shared by the HTML page and the JSON API.
+ */
+function currentModel() {
+    return mlModel && modelTrained ? mlModel : null;
+}
+
+// options: { operatingPoint } - 'strict', 'balanced' or 'lenient' (see calibration.js)
+function analyzeInput(rawInput, options = {}) {
+    return scoreInputs(currentModel(), [rawInput], options)[0];
+}
+
+// Batch version of analyzeInput: the whole set is scored with `model` as one feature matrix
+function analyzeBatch(model, inputs, options = {}) {
+    return scoreInputs(model, inputs, options);
+}
+
+// Operating point a request asks for; undefined (model default) when absent.
+// Throws with a client-facing message on unknown names.
+function requestedOperatingPoint(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    if (!OPERATING_POINT_NAMES.includes(value)) {
+        throw new Error(`"operatingPoint" must be one of ${OPERATING_POINT_NAMES.join(', ')} when provided`);
+    }
+    return value;
+}
+
+// Time-series filters (GET /metrics and /api/metrics/timeseries): bucket=hour|day|week,
+// from/to as YYYY-MM-DD (both days included) or full ISO timestamps, mode. Without from, the
+// series covers the last DEFAULT_TIME_SERIES_DAYS days (see getTimeSeries).
+// Returns getTimeSeries options plus the raw values to refill the form.
+// Throws with a client-facing message on bad values.
+function timeSeriesFilters(query) {
+    const filters = {
+        bucket: query.bucket || 'day',
+        from: typeof query.from === 'string' ? query.from : '',
+        to: typeof query.to === 'string' ? query.to : '',
+        mode: typeof query.mode === 'string' ? query.mode : ''
+    };
+    if (!Object.prototype.hasOwnProperty.call(TIME_BUCKETS, filters.bucket)) {
+        throw new Error(`"bucket" must be one of ${Object.keys(TIME_BUCKETS).join(', ')}`);
+    }
+    const options = {
+        bucket: filters.bucket,
+        from: dateFilter(filters.from, 'from', false),
+        to: dateFilter(filters.to, 'to', true),
+        mode: filters.mode || undefined
+    };
+    return { options, filters };
+}
+
+// from/to filter value (YYYY-MM-DD or an ISO timestamp) as a Date, undefined when empty.
+// A date-only upper bound includes that whole day. Throws with a client-facing message.
+function dateFilter(value, name, upperBound) {
+    if (value === '') return undefined;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`"${name}" must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+    return dateOnly && upperBound ? new Date(date.getTime() + 24 * 3600 * 1000) : date;
+}
+
+// Scan history filters (GET /history): q, verdict=malicious|clean, mode,
+// label=malicious|clean|unlabeled, model, from/to as for timeSeriesFilters, page, pageSize.
+// Returns searchResults filters plus the raw values to refill the form.
+// Throws with a client-facing message on bad values.
+function historyFilters(query) {
+    const text = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+    const filters = {
+        q: text('q'),
+        verdict: text('verdict'),
+        mode: text('mode'),
+        label: text('label'),
+        model: text('model'),
+        from: text('from'),
+        to: text('to')
+    };
+    if (filters.verdict && !['malicious', 'clean'].includes(filters.verdict)) {
+        throw new Error('"verdict" must be "malicious" or "clean" when provided');
+    }
+    if (filters.label && !['malicious', 'clean', 'unlabeled'].includes(filters.label)) {
+        throw new Error('"label" must be "malicious", "clean" or "unlabeled" when provided');
+    }
+    const options = {
+        q: filters.q || undefined,
+        verdict: filters.verdict || undefined,
+        mode: filters.mode || undefined,
+        label: filters.label || undefined,
+        modelVersion: filters.model || undefined,
+        from: dateFilter(filters.from, 'from', false),
+        to: dateFilter(filters.to, 'to', true)
+    };
+    return {
+        options,
+        filters,
+        page: parseInt(text('page'), 10) || 1,
+        pageSize: parseInt(text('pageSize'), 10) || HISTORY_PAGE_SIZE
+    };
+}
+
+// Label change request (POST /history/label, POST /api/results/label): ground_truth to set
+// ('malicious', 'clean', or null to clear it), the detection_results ids and who is labeling
+// (the authenticated identity, see requireAdmin). Throws with a client-facing message on bad input.
+function labelChange(label, ids, labeledBy) {
+    if (!['malicious', 'clean', 'none'].includes(label)) {
+        throw new Error('"label" must be "malicious", "clean" or "none"');
+    }
+    const list = (Array.isArray(ids) ? ids : [ids]).map(id => Number(id));
+    if (list.length === 0 || list.some(id => !Number.isInteger(id) || id < 1)) {
+        throw new Error('Select at least one scan; ids must be positive integers');
+    }
+    if (list.length > MAX_LABEL_IDS) {
+        throw new Error(`At most ${MAX_LABEL_IDS} scans can be labeled at once`);
+    }
+    const by = typeof labeledBy === 'string' ? labeledBy.trim() : '';
+    if (by === '' || by.length > 100) {
+        throw new Error('Label changes need an identity of up to 100 characters so they can be audited');
+    }
+    return { label: label === 'none' ? null : label, ids: Array.from(new Set(list)), labeledBy: by };
+}
+
+// Review label request (POST /review/label, POST /api/review/label): one queue entry's id, its
+// label ('malicious' or 'clean') and who is labeling (the admin identity, see requireAdmin).
+// Throws with a client-facing message on bad input.
+function reviewLabel(body, labeledBy) {
+    if (body.label !== 'malicious' && body.label !== 'clean') {
+        throw new Error('"label" must be "malicious" or "clean"');
+    }
+    const change = labelChange(body.label, body.id === undefined ? [] : body.id, labeledBy);
+    if (change.ids.length !== 1) {
+        throw new Error('Label one queue entry at a time');
+    }
+    return { id: change.ids[0], label: change.label, labeledBy: change.labeledBy };
+}
+
+// Rewrite REVIEWED_DATASET_PATH from the database. Errors are logged: the label change itself
+// has already been saved.
+async function exportConfirmedLabels() {
+    try {
+        const { getConfirmedLabels } = require('./database');
+        const labels = await getConfirmedLabels(db);
+        const tmp = `${REVIEWED_DATASET_PATH}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(REVIEWED_DATASET_PATH), { recursive: true });
+        fs.writeFileSync(tmp, labels.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.renameSync(tmp, REVIEWED_DATASET_PATH);
+    } catch (err) {
+        console.error('Error exporting confirmed labels:', err);
+    }
+}
+
+// A review queue row (see getReviewQueue) as shown on /review and returned by GET /api/review:
+// why it is queued, the verdicts involved, and the input's strongest features (see explain.js)
+function reviewItem(row, model) {
+    let attackPatterns = [];
+    try {
+        const patterns = JSON.parse(row.attack_patterns);
+        attackPatterns = Object.keys(patterns || {}).filter(name => patterns[name]);
+    } catch (e) {
+        // Skip invalid JSON
+    }
+    const features = explainInput(model, row.raw_input).features
+        .filter(feature => feature.value !== 0 || feature.contribution)
+        .slice(0, REVIEW_FEATURES)
+        .map(feature => ({
+            name: feature.name,
+            description: feature.description,
+            value: feature.value,
+            contribution: feature.contribution
+        }));
+    return {
+        id: row.id,
+        input: row.raw_input,
+        canonical: canonicalize(row.raw_input).canonical,
+        scans: row.scans,
+        timestamp: row.timestamp,
+        mode: row.mode,
+        modelVersion: row.model_version,
+        reasons: REVIEW_REASONS.filter(reason => row[reason]),
+        isMalicious: row.is_malicious === 1,
+        probability: row.probability,
+        confidence: row.confidence,
+        shadowVersion: row.shadow_version,
+        shadowIsMalicious: row.shadow_is_malicious === null ? null : row.shadow_is_malicious === 1,
+        attackPatterns: attackPatterns,
+        features: features
+    };
+}
+
+// Review queue query (GET /review, GET /api/review): reason (one of REVIEW_REASONS) and page.
+// Throws with a client-facing message on bad values.
+function reviewFilters(query) {
+    const reason = typeof query.reason === 'string' ? query.reason.trim() : '';
+    if (reason && !REVIEW_REASONS.includes(reason)) {
+        throw new Error(`"reason" must be one of ${REVIEW_REASONS.join(', ')} when provided`);
+    }
+    return { reason: reason || null, page: parseInt(query.page, 10) || 1 };
+}
+
+// ML fields of a prediction as returned to clients and passed to the results page
+function describePrediction(mlPrediction) {
+    return mlPrediction ? {
+        probability: mlPrediction.probability,
+        confidence: mlPrediction.confidence,
+        operatingPoint: mlPrediction.operatingPoint,
+        threshold: mlPrediction.threshold
+    } : null;
+}
+
+// Normalize a batch request body (JSON array, { inputs: [...] } or NDJSON text)
+// into [{ input, groundTruth }]. Throws with a client-facing message on bad input.
+function parseBatchItems(body) {
+    let items;
+    if (Array.isArray(body)) {
+        items = body;
+    } else if (body && Array.isArray(body.inputs)) {
+        items = body.inputs;
+    } else if (typeof body === 'string') {
+        items = [];
+        body.split(/\r?\n/).forEach((line, lineIndex) => {
+            if (!line.trim()) return;
+            try {
+                items.push(JSON.parse(line));
+            } catch (e) {
+                throw new Error(`Invalid JSON on NDJSON line ${lineIndex + 1}`);
+            }
+        });
+    } else {
+        throw new Error('Expected a JSON array, an object with an "inputs" array, or an NDJSON body');
+    }
+
+    return items.map((item, index) => {
+        const entry = typeof item === 'string' ? { input: item } : item;
+        if (!entry || typeof entry.input !== 'string') {
+            throw new Error(`Item ${index} must be a string or an object with an "input" string`);
+        }
+        const groundTruth = entry.groundTruth || null;
+        if (groundTruth !== null && groundTruth !== 'malicious' && groundTruth !== 'clean') {
+            throw new Error(`Item ${index}: "groundTruth" must be "malicious" or "clean" when provided`);
+        }
+        return { input: entry.input, groundTruth: groundTruth };
+    });
 }
 
 /**
@@ -106,63 +447,47 @@ app.use((req, res, next) => {
 
 
 // --- XSS DEMONSTRATION ENDPOINT ---
-app.get('/search', (req, res) => {
-    // Decode the query parameter properly
-    const rawInput = decodeURIComponent(req.query.q || 'Default Search Term');
-    // Default to vulnerable to demonstrate detection first; switch via mode=secure for prevention.
-    const mode = req.query.mode === 'secure' ? 'secure' : 'vulnerable';
+// The guard only annotates (mode 'flag'): this page exists to show what an attack does.
+// ?operatingPoint=strict|balanced|lenient picks the threshold; anything else uses the model default.
+function searchOperatingPoint(req) {
+    return OPERATING_POINT_NAMES.includes(req.query.operatingPoint) ? req.query.operatingPoint : undefined;
+}
+const searchGuard = xssGuard({ model: currentModel, mode: 'flag', sources: ['query'], fields: ['query.q'], operatingPoint: searchOperatingPoint });
+
+app.get('/search', searchGuard, (req, res) => {
+    // Express has already decoded the query string once
+    const rawInput = typeof req.query.q === 'string' && req.query.q ? req.query.q : 'Default Search Term';
+    // Default to vulnerable to demonstrate detection first; switch via mode=secure (encode everything)
+    // or mode=sanitize (keep allowlisted rich text) for prevention.
+    const mode = req.query.mode === 'secure' || req.query.mode === 'sanitize' ? req.query.mode : 'vulnerable';
     // Get ground truth label if provided
     const groundTruth = req.query.truth || null;
     
-    // Use Random Forest model for prediction if available, otherwise fall back to pattern matching
-    let isMalicious = false;
-    let attackScore = 0;
-    let mlPrediction = null;
-    let attackPatterns = {};
+    // Use the guard's verdict for q; the default term (no q) is scored directly
+    const scanned = req.xssGuard.results.find(result => result.location === 'query.q');
+    const operatingPoint = searchOperatingPoint(req);
+    const { isMalicious, attackScore, mlPrediction, attackPatterns } = scanned || analyzeInput(rawInput, { operatingPoint });
     
-    if (mlModel && modelTrained) {
-        // Use ML model for prediction
-        mlPrediction = predict(mlModel, rawInput);
-        isMalicious = mlPrediction.isMalicious;
-        attackScore = mlPrediction.isMalicious ? Math.round(mlPrediction.probability * 9) : 0;
-        
-        // Still extract patterns for display purposes
-        const features = extractFeatures(rawInput);
-        attackPatterns = {
-            scriptTag: features[0] === 1,
-            scriptClosing: features[1] === 1,
-            onerror: features[2] === 1,
-            onclick: features[3] === 1,
-            javascript: features[4] === 1,
-            imgTag: features[5] === 1,
-            iframeTag: features[6] === 1,
-            eval: features[7] === 1,
-            alert: features[8] === 1
-        };
-    } else {
-        // Fallback to pattern matching if model not trained
-        attackPatterns = {
-            scriptTag: /<script[\s>]/i.test(rawInput),
-            scriptClosing: /<\/script>/i.test(rawInput),
-            onerror: /onerror\s*=/i.test(rawInput),
-            onclick: /onclick\s*=/i.test(rawInput),
-            javascript: /javascript:/i.test(rawInput),
-            imgTag: /<img[\s>]/i.test(rawInput),
-            iframeTag: /<iframe[\s>]/i.test(rawInput),
-            eval: /eval\s*\(/i.test(rawInput),
-            alert: /alert\s*\(/i.test(rawInput)
-        };
-        attackScore = Object.values(attackPatterns).filter(Boolean).length;
-        isMalicious = attackScore > 0;
-    }
+    // Both defences are computed in every mode so the results page can compare them
+    const encodedOutput = encodeHtml(rawInput);
+    const sanitized = sanitizeHtml(rawInput);
     
     // Process input based on mode
     let processedInput;
     let encodingApplied = false;
+    let encoder = null;
+    let encoderLabel = null;
     
     if (mode === 'secure') {
-        processedInput = escapeHtml(rawInput);
+        processedInput = encodedOutput;
+        encodingApplied = true;
+        encoder = ENCODERS.html.name;
+        encoderLabel = ENCODERS.html.label;
+    } else if (mode === 'sanitize') {
+        processedInput = sanitized.html;
         encodingApplied = true;
+        encoder = 'sanitizeHtml';
+        encoderLabel = 'Allowlist HTML sanitizer';
     } else {
         processedInput = rawInput; // Vulnerable mode - no encoding
         encodingApplied = false;
@@ -174,7 +499,16 @@ app.get('/search', (req, res) => {
         processedInput: processedInput,
         mode: mode,
         encodingApplied: encodingApplied,
+        encoder: encoder,
+        encoderLabel: encoderLabel,
+        encodedOutput: encodedOutput,
+        sanitizedOutput: sanitized.html,
+        sanitizerRemovals: sanitized.removed,
+        contextEncodings: encodeForAllContexts(rawInput),
+        canonicalization: canonicalize(rawInput),
+        explanation: explainInput(currentModel(), rawInput),
         attackPatterns: attackPatterns,
+        patternLabels: ATTACK_PATTERN_LABELS,
         attackScore: attackScore,
         isMalicious: isMalicious,
         groundTruth: groundTruth,
@@ -182,17 +516,40 @@ app.get('/search', (req, res) => {
         inputLength: rawInput.length,
         encodedLength: processedInput.length,
         mlModelUsed: modelTrained,
-        mlPrediction: mlPrediction ? {
-            probability: mlPrediction.probability,
-            confidence: mlPrediction.confidence
-        } : null
+        modelVersion: modelVersion,
+        mlPrediction: describePrediction(mlPrediction)
     };
     
+    // Score with the shadow model too; its verdict is only recorded, never shown or acted on
+    let shadow = null;
+    if (shadowModel) {
+        const shadowResult = scoreInputs(shadowModel, [rawInput], { operatingPoint })[0];
+        shadow = {
+            version: shadowVersion,
+            isMalicious: shadowResult.isMalicious,
+            probability: shadowResult.mlPrediction ? shadowResult.mlPrediction.probability : null
+        };
+    }
+    
     // Save to database
     if (db) {
-        saveDetectionResult(db, analysisData).catch(err => {
+        saveDetectionResult(db, Object.assign({}, analysisData, { shadow: shadow })).catch(err => {
             console.error('Error saving to database:', err);
         });
+        if (shadow && shadow.isMalicious !== isMalicious) {
+            saveShadowDisagreement(db, {
+                rawInput: rawInput,
+                activeVersion: modelVersion,
+                shadowVersion: shadow.version,
+                activeIsMalicious: isMalicious,
+                shadowIsMalicious: shadow.isMalicious,
+                activeProbability: mlPrediction ? mlPrediction.probability : null,
+                shadowProbability: shadow.probability,
+                groundTruth: groundTruth
+            }).catch(err => {
+                console.error('Error saving shadow disagreement:', err);
+            });
+        }
     }
     
     res.render('vulnerable.html', { 
@@ -202,6 +559,314 @@ app.get('/search', (req, res) => {
     });
 });
 
+// --- JSON DETECTION API ---
+// Machine-facing counterpart of /search: same verdict, no rendering.
+// Body: { input: string, groundTruth?: 'malicious' | 'clean', context?: string, operatingPoint?: string }
+// When context names an output context (html, attribute, js, url, href, css, ...),
+// the response also carries the input encoded for it. operatingPoint ('strict', 'balanced'
+// or 'lenient') picks the model's decision threshold for this request.
+app.post('/api/scan', (req, res) => {
+    const { input, groundTruth = null, context = null } = req.body || {};
+
+    if (typeof input !== 'string') {
+        return res.status(400).json({ error: 'Request body must include "input" as a string' });
+    }
+    if (groundTruth !== null && groundTruth !== 'malicious' && groundTruth !== 'clean') {
+        return res.status(400).json({ error: '"groundTruth" must be "malicious" or "clean" when provided' });
+    }
+    let operatingPoint;
+    try {
+        operatingPoint = requestedOperatingPoint((req.body || {}).operatingPoint);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const { isMalicious, attackScore, mlPrediction, attackPatterns } = analyzeInput(input, { operatingPoint });
+    const outputEncoder = typeof context === 'string' && Object.prototype.hasOwnProperty.call(ENCODERS, context)
+        ? ENCODERS[context]
+        : null;
+
+    const analysisData = {
+        rawInput: input,
+        processedInput: input,
+        mode: 'api',
+        encodingApplied: false,
+        attackPatterns: attackPatterns,
+        attackScore: attackScore,
+        isMalicious: isMalicious,
+        groundTruth: groundTruth,
+        context: context,
+        canonicalization: canonicalize(input),
+        timestamp: new Date().toISOString(),
+        inputLength: input.length,
+        encodedLength: input.length,
+        mlModelUsed: modelTrained,
+        modelVersion: modelVersion,
+        mlPrediction: describePrediction(mlPrediction)
+    };
+
+    // Save to database
+    if (db) {
+        saveDetectionResult(db, analysisData).catch(err => {
+            console.error('Error saving to database:', err);
+        });
+    }
+
+    res.json({
+        isMalicious: analysisData.isMalicious,
+        attackScore: analysisData.attackScore,
+        attackPatterns: analysisData.attackPatterns,
+        mlPrediction: analysisData.mlPrediction,
+        mlModelUsed: analysisData.mlModelUsed,
+        modelVersion: analysisData.modelVersion,
+        groundTruth: analysisData.groundTruth,
+        context: analysisData.context,
+        encoder: outputEncoder ? outputEncoder.name : null,
+        encodedOutput: outputEncoder ? encodeForContext(context, input) : null,
+        canonicalization: analysisData.canonicalization,
+        explanation: explainInput(currentModel(), input),
+        inputLength: analysisData.inputLength,
+        timestamp: analysisData.timestamp
+    });
+});
+
+// --- BATCH DETECTION API ---
+// Accepts a JSON array (strings or { input, groundTruth } objects), { inputs: [...] },
+// or an NDJSON upload. Results stream back as NDJSON, one line per item, written
+// BATCH_CHUNK_SIZE items at a time as they are scored.
+// Pass ?save=true to write every result to detection_results in one transaction once all
+// items are scored; a final line then reports { saved: n } or { error: "..." }.
+// Pass ?explain=true to add each item's feature explanation (see explain.js) to its line,
+// and ?operatingPoint=strict|balanced|lenient to pick the decision threshold.
+app.post('/api/scan/batch', async (req, res) => {
+    let items;
+    let operatingPoint;
+    try {
+        items = parseBatchItems(req.body);
+        operatingPoint = requestedOperatingPoint(req.query.operatingPoint);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (items.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({ error: `Batch too large: ${items.length} items (max ${MAX_BATCH_SIZE})` });
+    }
+
+    const save = req.query.save === 'true' || req.query.save === '1';
+    if (save && !db) {
+        return res.status(503).json({ error: 'Database not initialized; cannot save batch results' });
+    }
+
+    const explain = req.query.explain === 'true' || req.query.explain === '1';
+    // The whole batch is scored with the model active when it started, even across a hot swap
+    const model = currentModel();
+    const version = modelVersion;
+
+    res.status(200);
+    res.type('application/x-ndjson');
+    res.setHeader('X-Batch-Size', String(items.length));
+    res.setHeader('X-Model-Version', version || 'none');
+
+    const timestamp = new Date().toISOString();
+    const analysisList = [];
+    for (let start = 0; start < items.length; start += BATCH_CHUNK_SIZE) {
+        const chunk = items.slice(start, start + BATCH_CHUNK_SIZE);
+        const detections = analyzeBatch(model, chunk.map(item => item.input), { operatingPoint });
+        const lines = detections.map((detection, i) => {
+            const line = {
+                index: start + i,
+                isMalicious: detection.isMalicious,
+                attackScore: detection.attackScore,
+                probability: detection.mlPrediction ? detection.mlPrediction.probability : null,
+                confidence: detection.mlPrediction ? detection.mlPrediction.confidence : null,
+                operatingPoint: detection.mlPrediction ? detection.mlPrediction.operatingPoint : null,
+                threshold: detection.mlPrediction ? detection.mlPrediction.threshold : null
+            };
+            if (explain) {
+                line.explanation = explainInput(model, chunk[i].input);
+            }
+            return JSON.stringify(line) + '\n';
+        });
+
+        if (save) {
+            detections.forEach((detection, i) => analysisList.push({
+                rawInput: chunk[i].input,
+                processedInput: chunk[i].input,
+                mode: 'batch',
+                encodingApplied: false,
+                attackPatterns: detection.attackPatterns,
+                attackScore: detection.attackScore,
+                isMalicious: detection.isMalicious,
+                groundTruth: chunk[i].groundTruth,
+                timestamp: timestamp,
+                inputLength: chunk[i].input.length,
+                encodedLength: chunk[i].input.length,
+                modelVersion: version,
+                mlPrediction: describePrediction(detection.mlPrediction)
+            }));
+        }
+
+        // Wait for the client to take the lines (or for the next tick) before scoring more
+        const flushed = res.write(lines.join(''));
+        await new Promise(resolve => {
+            if (flushed) {
+                setImmediate(resolve);
+            } else {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            }
+        });
+        // The client went away: stop scoring, and save nothing
+        if (res.destroyed) {
+            return;
+        }
+    }
+
+    if (save) {
+        try {
+            const saved = await saveDetectionResults(db, analysisList);
+            res.write(JSON.stringify({ saved: saved }) + '\n');
+        } catch (err) {
+            res.write(JSON.stringify({ error: 'Failed to save batch results: ' + err.message }) + '\n');
+        }
+    }
+    res.end();
+});
+
+// --- MODEL REGISTRY ADMIN ---
+// Admin routes (model registry, live evaluation, labeling) require an "X-Admin-Token" header
+// matching one of
+//   ADMIN_TOKENS="alice:<token>,bob:<token>"   one token per person
+//   ADMIN_TOKEN=<token>                        a shared token, identity "admin"
+// Without either, only local requests are allowed (identity "local"). The identity is set as
+// req.adminUser; label changes are recorded under it.
+function adminTokens() {
+    const tokens = [];
+    (process.env.ADMIN_TOKENS || '').split(',').forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            tokens.push({ name: entry.substring(0, separator).trim(), token: entry.substring(separator + 1).trim() });
+        }
+    });
+    if (process.env.ADMIN_TOKEN) {
+        tokens.push({ name: 'admin', token: process.env.ADMIN_TOKEN });
+    }
+    return tokens.filter(entry => entry.name && entry.token);
+}
+
+function tokenMatches(given, token) {
+    const a = Buffer.from(given);
+    const b = Buffer.from(token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+    const tokens = adminTokens();
+    if (tokens.length > 0) {
+        const given = req.get('x-admin-token') || '';
+        const match = tokens.find(entry => tokenMatches(given, entry.token));
+        if (!match) {
+            return res.status(401).json({ error: 'Invalid or missing X-Admin-Token' });
+        }
+        req.adminUser = match.name;
+        return next();
+    }
+    const local = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+    if (!local) {
+        return res.status(403).json({ error: 'Admin actions are only available locally unless ADMIN_TOKEN or ADMIN_TOKENS is set' });
+    }
+    req.adminUser = 'local';
+    next();
+}
+
+app.get('/admin/models', requireAdmin, (req, res) => {
+    res.json({ active: modelVersion, shadow: shadowVersion, versions: modelRegistry.listVersions() });
+});
+
+app.post('/admin/models/rollback', requireAdmin, (req, res) => {
+    try {
+        const { version, classifier } = modelRegistry.rollback();
+        swapModel(classifier, version);
+        res.json({ active: version });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+app.post('/admin/models/shadow/clear', requireAdmin, (req, res) => {
+    modelRegistry.setShadowVersion(null);
+    swapShadowModel(null, null);
+    res.json({ shadow: null });
+});
+
+app.post('/admin/models/:version/shadow', requireAdmin, (req, res) => {
+    try {
+        const { version, classifier } = modelRegistry.setShadowVersion(req.params.version);
+        swapShadowModel(classifier, version);
+        res.json({ shadow: version });
+    } catch (err) {
+        res.status(/^Unknown/.test(err.message) ? 404 : 409).json({ error: err.message });
+    }
+});
+
+app.post('/admin/models/:version/activate', requireAdmin, (req, res) => {
+    try {
+        const { version, classifier } = modelRegistry.activateVersion(req.params.version);
+        swapModel(classifier, version);
+        res.json({ active: version });
+    } catch (err) {
+        res.status(/^Unknown/.test(err.message) ? 404 : 409).json({ error: err.message });
+    }
+});
+
+// --- LIVE EVALUATION ---
+// Background job scoring the active model on every labeled scan (see live_evaluation.js).
+// Forms on /metrics post here and are redirected back; JSON clients get the job status.
+function evaluationResponse(req, res, status) {
+    if (req.is('application/x-www-form-urlencoded')) {
+        return res.redirect(303, '/metrics#live-evaluation');
+    }
+    res.status(status).json(liveEvaluation.evaluationStatus());
+}
+
+// Body: { k } - also cross-validate on the labeled scans with k folds (2-10; 0 or absent: don't)
+app.post('/admin/evaluation', requireAdmin, (req, res) => {
+    const k = parseInt((req.body || {}).k, 10) || 0;
+    if (k !== 0 && (k < 2 || k > 10)) {
+        return res.status(400).json({ error: '"k" must be between 2 and 10, or 0 to skip cross-validation' });
+    }
+    if (!mlModel) {
+        return res.status(409).json({ error: 'No active model to evaluate' });
+    }
+    try {
+        liveEvaluation.startEvaluation({
+            dbPath: DB_PATH,
+            modelPath: modelRegistry.activeModelPath(),
+            modelVersion: modelVersion,
+            k: k
+        });
+    } catch (err) {
+        return res.status(409).json({ error: err.message });
+    }
+    evaluationResponse(req, res, 202);
+});
+
+app.post('/admin/evaluation/cancel', requireAdmin, (req, res) => {
+    if (!liveEvaluation.cancelEvaluation() && !req.is('application/x-www-form-urlencoded')) {
+        return res.status(409).json({ error: 'No live evaluation is running' });
+    }
+    evaluationResponse(req, res, 200);
+});
+
+// Progress of the running evaluation and the last completed one (polled by /metrics)
+app.get('/api/evaluation', (req, res) => {
+    res.json(liveEvaluation.evaluationStatus());
+});
+
 // For demonstrating HttpOnly cookies (though not part of this specific XSS demo)
 app.get('/login', (req, res) => {
     res.cookie('session_id', 'user_session_token_123', {
@@ -223,10 +888,274 @@ app.get('/scanner', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'scanner.html'));
 });
 
+// Time-bucketed scan counts, detection rate, mean probability and pattern counts (see
+// getTimeSeries in database.js), filtered with the query parameters of timeSeriesFilters
+app.get('/api/metrics/timeseries', async (req, res) => {
+    let options;
+    try {
+        ({ options } = timeSeriesFilters(req.query));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { getTimeSeries } = require('./database');
+        res.json({ bucket: options.bucket, series: await getTimeSeries(db, options) });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load time series: ' + err.message });
+    }
+});
+
+// --- SCAN HISTORY ---
+// Paginated, filterable list of every saved scan (see historyFilters), with controls to set or
+// correct ground_truth. Label changes are recorded in label_changes.
+app.get('/history', async (req, res) => {
+    const { getModes, getModelVersions, getLabelChanges, searchResults } = require('./database');
+    if (!db) {
+        return res.status(503).send('Database not initialized; try again shortly. <a href="/metrics">Back to metrics</a>');
+    }
+
+    let filters = historyFilters({});
+    let error = null;
+    try {
+        filters = historyFilters(req.query);
+    } catch (err) {
+        error = err.message;
+    }
+    try {
+        const results = await searchResults(db, filters.options, filters.page, filters.pageSize);
+        res.render('history.html', {
+            results: results,
+            filters: filters.filters,
+            // Query string of the current filters, for pagination links and returning after labeling
+            filterQuery: new URLSearchParams(Object.assign({}, filters.filters, { pageSize: results.pageSize })).toString(),
+            modes: await getModes(db),
+            modelVersions: await getModelVersions(db),
+            labelChanges: await getLabelChanges(db, null, 20),
+            labeled: req.query.labeled === undefined ? null : parseInt(req.query.labeled, 10) || 0,
+            error: error || (typeof req.query.error === 'string' ? req.query.error : null),
+            nonce: res.locals.nonce || ''
+        });
+    } catch (err) {
+        console.error('Error loading scan history:', err);
+        res.status(500).send('Error loading scan history: ' + encodeHtml(err.message));
+    }
+});
+
+// Form target of the history page. Body: either set=<id>:<label> (one row's button) or
+// label + ids (the checked rows); returnTo is the filter query string to go back to.
+// Changes are recorded under the admin identity (see requireAdmin).
+app.post('/history/label', requireAdmin, async (req, res) => {
+    const body = req.body || {};
+    const back = new URLSearchParams(typeof body.returnTo === 'string' ? body.returnTo : '');
+    back.delete('labeled');
+    back.delete('error');
+
+    const [single, singleLabel] = typeof body.set === 'string' ? body.set.split(':') : [];
+    try {
+        if (!db) {
+            throw new Error('Database not initialized; try again shortly');
+        }
+        const { setGroundTruth } = require('./database');
+        const change = single
+            ? labelChange(singleLabel, single, req.adminUser)
+            : labelChange(body.label, body.ids || [], req.adminUser);
+        const changed = await setGroundTruth(db, change.ids, change.label, {
+            changedBy: change.labeledBy,
+            clientAddress: req.socket.remoteAddress
+        });
+        back.set('labeled', String(changed));
+        if (changed > 0) {
+            await exportConfirmedLabels();
+        }
+    } catch (err) {
+        back.set('error', err.message);
+    }
+    res.redirect(303, '/history?' + back.toString());
+});
+
+// JSON labeling, recorded under the admin identity (see requireAdmin).
+// Body: { ids: [number] | number, label: 'malicious' | 'clean' | 'none' }
+app.post('/api/results/label', requireAdmin, async (req, res) => {
+    const body = req.body || {};
+    let change;
+    try {
+        change = labelChange(body.label, body.ids, req.adminUser);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { setGroundTruth } = require('./database');
+        const changed = await setGroundTruth(db, change.ids, change.label, {
+            changedBy: change.labeledBy,
+            clientAddress: req.socket.remoteAddress
+        });
+        if (changed > 0) {
+            await exportConfirmedLabels();
+        }
+        res.json({ label: change.label, requested: change.ids.length, changed: changed });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update labels: ' + err.message });
+    }
+});
+
+// --- REVIEW QUEUE ---
+// Active learning: unlabeled scans the model is unsure about or that the shadow model or the regex
+// patterns disagree with (see getReviewQueue), for a person to label. Labels apply to every
+// unlabeled scan of the same input and are exported for the next training run.
+app.get('/review', async (req, res) => {
+    const { getReviewQueue } = require('./database');
+    if (!db) {
+        return res.status(503).send('Database not initialized; try again shortly. <a href="/metrics">Back to metrics</a>');
+    }
+
+    let filters = reviewFilters({});
+    let error = null;
+    try {
+        filters = reviewFilters(req.query);
+    } catch (err) {
+        error = err.message;
+    }
+    try {
+        const queue = await getReviewQueue(db, filters.reason, filters.page);
+        const model = currentModel();
+        res.render('review.html', {
+            queue: queue,
+            items: queue.rows.map(row => reviewItem(row, model)),
+            reason: filters.reason || '',
+            reasons: REVIEW_REASONS,
+            confidenceLimit: REVIEW_CONFIDENCE,
+            patternLabels: ATTACK_PATTERN_LABELS,
+            labeled: req.query.labeled === undefined ? null : parseInt(req.query.labeled, 10) || 0,
+            error: error || (typeof req.query.error === 'string' ? req.query.error : null),
+            nonce: res.locals.nonce || ''
+        });
+    } catch (err) {
+        console.error('Error loading the review queue:', err);
+        res.status(500).send('Error loading the review queue: ' + encodeHtml(err.message));
+    }
+});
+
+// Label one queue entry (see reviewLabel) and export the confirmed labels. Resolves to the
+// number of scans changed.
+async function labelReviewEntry(change, clientAddress) {
+    const { labelReviewedInput } = require('./database');
+    const changed = await labelReviewedInput(db, change.id, change.label, {
+        changedBy: change.labeledBy,
+        clientAddress: clientAddress
+    });
+    if (changed > 0) {
+        await exportConfirmedLabels();
+    }
+    return changed;
+}
+
+// Form target of the review page. Body: set=<id>:<label> (the entry's button); returnTo is the
+// queue's query string. Labels are recorded under the admin identity (see requireAdmin).
+app.post('/review/label', requireAdmin, async (req, res) => {
+    const body = req.body || {};
+    const [id, label] = typeof body.set === 'string' ? body.set.split(':') : [];
+    const back = new URLSearchParams(typeof body.returnTo === 'string' ? body.returnTo : '');
+    back.delete('labeled');
+    back.delete('error');
+    try {
+        if (!db) {
+            throw new Error('Database not initialized; try again shortly');
+        }
+        const change = reviewLabel({ id: id, label: label }, req.adminUser);
+        back.set('labeled', String(await labelReviewEntry(change, req.socket.remoteAddress)));
+    } catch (err) {
+        back.set('error', err.message);
+    }
+    res.redirect(303, '/review?' + back.toString());
+});
+
+// JSON review queue: ?reason=&page= as for /review
+app.get('/api/review', async (req, res) => {
+    let filters;
+    try {
+        filters = reviewFilters(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { getReviewQueue } = require('./database');
+        const queue = await getReviewQueue(db, filters.reason, filters.page);
+        const model = currentModel();
+        res.json({
+            total: queue.total,
+            counts: queue.counts,
+            page: queue.page,
+            pages: queue.pages,
+            items: queue.rows.map(row => reviewItem(row, model))
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load the review queue: ' + err.message });
+    }
+});
+
+// JSON labeling of a queue entry, recorded under the admin identity (see requireAdmin).
+// Body: { id, label: 'malicious' | 'clean' }
+app.post('/api/review/label', requireAdmin, async (req, res) => {
+    let change;
+    try {
+        change = reviewLabel(req.body || {}, req.adminUser);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const changed = await labelReviewEntry(change, req.socket.remoteAddress);
+        if (changed === 0) {
+            return res.status(404).json({ error: 'No scan with that id, or it already has this label' });
+        }
+        res.json({ id: change.id, label: change.label, changed: changed });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update labels: ' + err.message });
+    }
+});
+
+// Audit trail of one scan's ground_truth changes, newest first
+app.get('/api/results/:id/labels', async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+        return res.status(400).json({ error: 'Scan id must be a positive integer' });
+    }
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { getLabelChanges } = require('./database');
+        const changes = await getLabelChanges(db, id, 100);
+        res.json({
+            id: id,
+            changes: changes.map(change => ({
+                oldLabel: change.old_label,
+                newLabel: change.new_label,
+                changedBy: change.changed_by,
+                clientAddress: change.client_address,
+                changedAt: change.changed_at
+            }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load label history: ' + err.message });
+    }
+});
+
 // Metrics endpoint
 app.get('/metrics', async (req, res) => {
     try {
-        const { getStatistics, getRecentResults, getPatternFrequency } = require('./database');
+        const { getStatistics, getRecentResults, getPatternFrequency, getTimeSeries, getModes } = require('./database');
         console.log('Database functions loaded');
         
         if (!db) {
@@ -275,6 +1204,22 @@ app.get('/metrics', async (req, res) => {
             console.error('Error getting recent results:', err);
         }
         
+        // Trends over time, filtered from the form on the page
+        let timeSeries = { series: [], modes: [], filters: { bucket: 'day', from: '', to: '', mode: '' }, error: null };
+        try {
+            const { options, filters } = timeSeriesFilters(req.query);
+            timeSeries.filters = filters;
+            timeSeries.series = await getTimeSeries(db, options);
+        } catch (err) {
+            console.error('Error getting time series:', err);
+            timeSeries.error = err.message;
+        }
+        try {
+            timeSeries.modes = await getModes(db);
+        } catch (err) {
+            console.error('Error getting scan modes:', err);
+        }
+        
         console.log('Fetching pattern frequency...');
         try {
             patternFreq = await getPatternFrequency(db) || {};
@@ -306,26 +1251,28 @@ app.get('/metrics', async (req, res) => {
                 accuracy: 0,
                 model_used: false
             };
+            // Files written before per-fold reporting only carry foldAccuracies
+            const hasFoldResults = Array.isArray(offlineMetrics.foldResults) && offlineMetrics.foldResults.length > 0;
             kFoldResults = {
                 k: offlineMetrics.k,
+                // Files written before classifier backends were all random forests
+                backend: offlineMetrics.backend || 'random-forest',
+                stratified: !!offlineMetrics.stratified,
+                groupBy: offlineMetrics.groupBy || null,
                 meanAccuracy: offlineMetrics.meanAccuracy,
                 stdAccuracy: offlineMetrics.stdAccuracy,
                 foldAccuracies: offlineMetrics.foldAccuracies || [],
                 aggregatedConfusionMatrix: conf,
-                // For compatibility with existing metrics.html table, provide minimal stubs
                 totalSamples: conf.total_labeled || 0,
-                foldResults: [], // No per-fold breakdown in offline file
-                averageMetrics: {
+                foldResults: hasFoldResults ? offlineMetrics.foldResults : [],
+                averageMetrics: hasFoldResults ? offlineMetrics.averageMetrics : {
                     accuracy: conf.accuracy,
                     precision: conf.precision,
                     recall: conf.recall,
                     f1_score: conf.f1_score
                 },
-                standardDeviation: {
-                    accuracy: offlineMetrics.stdAccuracy || 0,
-                    precision: 0,
-                    recall: 0,
-                    f1_score: 0
+                standardDeviation: hasFoldResults ? offlineMetrics.standardDeviation : {
+                    accuracy: offlineMetrics.stdAccuracy || 0
                 }
             };
             console.log('Loaded offline k-fold summary from model_metrics.json');
@@ -334,21 +1281,25 @@ app.get('/metrics', async (req, res) => {
             console.warn('Offline k-fold metrics not available.');
         }
         
-        // Optionally run k-fold in background (non-blocking)
-        // Uncomment below if you want to try k-fold, but it may hang
-        /*
-        console.log('Fetching k-fold results (this may take a while)...');
-        try {
-            kFoldResults = await Promise.race([
-                performKFoldCrossValidation(db, 4),
-                new Promise((_, reject) => setTimeout(() => reject(new Error('K-fold timeout')), 3000))
-            ]);
-            console.log('K-fold results retrieved');
-        } catch (kFoldErr) {
-            console.warn('K-fold cross-validation error or timeout:', kFoldErr.message);
-            kFoldResults = { error: 'K-fold validation timed out or failed. This operation can be slow with large datasets.' };
+        // Shadow model: live agreement with the active model, recent disagreements, and both
+        // models scored against every row that has ground_truth
+        let shadowEvaluation = null;
+        if (shadowModel) {
+            try {
+                const { getShadowAgreement, getShadowDisagreements, compareModelsOnLabeledCached } = require('./database');
+                shadowEvaluation = {
+                    activeVersion: modelVersion,
+                    shadowVersion: shadowVersion,
+                    agreement: await getShadowAgreement(db, shadowVersion),
+                    disagreements: await getShadowDisagreements(db, shadowVersion, 20),
+                    confusion: mlModel
+                        ? await compareModelsOnLabeledCached(db, { active: mlModel, shadow: shadowModel }, [modelVersion, shadowVersion])
+                        : null
+                };
+            } catch (err) {
+                console.error('Error evaluating shadow model:', err);
+            }
         }
-        */
         
         console.log('All data fetched, preparing to render template...');
 
@@ -365,8 +1316,15 @@ app.get('/metrics', async (req, res) => {
             statistics: stats,
             recentResults: recentResults,
             patternFrequency: patternFreq,
+            patternLabels: ATTACK_PATTERN_LABELS,
+            timeSeries: timeSeries,
+            timeBuckets: Object.keys(TIME_BUCKETS),
+            timeSeriesDays: DEFAULT_TIME_SERIES_DAYS,
             confusion: confusion,
             kFoldResults: kFoldResults,
+            calibration: offlineMetrics && offlineMetrics.calibration ? offlineMetrics.calibration : null,
+            shadowEvaluation: shadowEvaluation,
+            liveEvaluation: liveEvaluation.evaluationStatus(),
             nonce: res.locals.nonce || ''
         }, function(err, html) {
             if (err) {
@@ -424,36 +1382,47 @@ app.get('/health', (req, res) => {
     res.send('Server is working!');
 });
 
-const server = app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log('---');
-    if (modelTrained && mlModel) {
-        console.log('Random Forest ML Model: ACTIVE');
-    } else {
-        console.log('Random Forest ML Model: NOT TRAINED (using pattern matching fallback)');
-        console.log('   Train model by scanning inputs with "Ground Truth" labels (need at least 2 samples)');
-    }
-    console.log('---');
-    console.log(`To test VULNERABILITY (Detection), use:`);
-    console.log(`http://localhost:${PORT}/search?mode=vulnerable&q=<script>alert('XSS_ATTACK_DETECTED')</script>`);
-    console.log('---');
-    console.log(`To test PREVENTION (Secure Mode), use:`);
-    console.log(`http://localhost:${PORT}/search?mode=secure&q=<script>alert('XSS_ATTACK_DETECTED')</script>`);
-    console.log('---');
-    console.log(`Default mode: vulnerable (detection demo). Pass mode=secure for prevention.`);
-});
+// Listen only when started directly (node server.js); the tests require the app instead
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        console.log(`Server running at http://localhost:${PORT}`);
+        console.log('---');
+        if (modelTrained && mlModel) {
+            console.log('Random Forest ML Model: ACTIVE');
+        } else {
+            console.log('Random Forest ML Model: NOT TRAINED (using pattern matching fallback)');
+            console.log('   Train model by scanning inputs with "Ground Truth" labels (need at least 2 samples)');
+        }
+        console.log('---');
+        console.log(`To test VULNERABILITY (Detection), use:`);
+        console.log(`http://localhost:${PORT}/search?mode=vulnerable&q=<script>alert('XSS_ATTACK_DETECTED')</script>`);
+        console.log('---');
+        console.log(`To test PREVENTION (Secure Mode), use:`);
+        console.log(`http://localhost:${PORT}/search?mode=secure&q=<script>alert('XSS_ATTACK_DETECTED')</script>`);
+        console.log('---');
+        console.log(`To test SANITIZATION (allowlisted rich text kept), use:`);
+        console.log(`http://localhost:${PORT}/search?mode=sanitize&q=<b>bold</b><img src=x onerror=alert(1)>`);
+        console.log('---');
+        console.log(`Default mode: vulnerable (detection demo). Pass mode=secure or mode=sanitize for prevention.`);
+        console.log('---');
+        console.log(`JSON detection API: POST http://localhost:${PORT}/api/scan  {"input": "..."}`);
+        console.log(`Batch API (NDJSON out): POST http://localhost:${PORT}/api/scan/batch  ["...", "..."]`);
+    });
 
-// Handle port already in use error
-server.on('error', (err) => {
-    if (err.code === 'EADDRINUSE') {
-        console.error(`\nError: Port ${PORT} is already in use.`);
-        console.error('Please either:');
-        console.error(`  1. Kill the process using port ${PORT}:`);
-        console.error(`     Windows: netstat -ano | findstr :${PORT}  (then taskkill /PID <PID> /F)`);
-        console.error(`     Mac/Linux: lsof -ti:${PORT} | xargs kill -9`);
-        console.error(`  2. Or change the PORT constant in server.js to a different port\n`);
-        process.exit(1);
-    } else {
-        throw err;
-    }
-});
\ No newline at end of file
+    // Handle port already in use error
+    server.on('error', (err) => {
+        if (err.code === 'EADDRINUSE') {
+            console.error(`\nError: Port ${PORT} is already in use.`);
+            console.error('Please either:');
+            console.error(`  1. Kill the process using port ${PORT}:`);
+            console.error(`     Windows: netstat -ano | findstr :${PORT}  (then taskkill /PID <PID> /F)`);
+            console.error(`     Mac/Linux: lsof -ti:${PORT} | xargs kill -9`);
+            console.error(`  2. Or change the PORT constant in server.js to a different port\n`);
+            process.exit(1);
+        } else {
+            throw err;
+        }
+    });
+}
+
+module.exports = { app, databaseReady };
@@ -1,7 +1,8 @@
-const fs = require('fs');
 const path = require('path');
-const { trainFromCSV, parseCSV } = require('./train_from_csv');
-const { initDatabase, saveDetectionResult } = require('./database');
+const { trainFromCSV } = require('./train_from_csv');
+const { initDatabase } = require('./database');
+const { loadDataset } = require('./dataset_loaders');
+const { insertRecords } = require('./populate_db_from_csv');
 
 const CSV_PATH = path.join(__dirname, 'dataset', 'css1.csv');
 const DB_PATH = path.join(__dirname, 'xss_detection.db');
@@ -42,41 +43,11 @@ async function setupModelAndDatabase() {
         console.log('\n📥 Step 4: Populating Database with CSV Data...');
         console.log('-'.repeat(60));
         
-        // Parse and populate CSV data
-        const csvData = parseCSV(CSV_PATH);
-        console.log(`Loaded ${csvData.length} records from CSV`);
+        // Load and populate CSV data
+        const records = loadDataset(CSV_PATH);
+        console.log(`Loaded ${records.length} records from CSV`);
         
-        let successCount = 0;
-        let errorCount = 0;
-        
-        for (const record of csvData) {
-            try {
-                const analysisData = {
-                    rawInput: record.testName,
-                    processedInput: record.testName,
-                    mode: 'vulnerable',
-                    isMalicious: record.realVulnerability,
-                    attackScore: record.realVulnerability ? 5 : 0,
-                    attackPatterns: {},
-                    encodingApplied: false,
-                    inputLength: record.testName.length,
-                    encodedLength: record.testName.length,
-                    groundTruth: record.realVulnerability ? 'malicious' : 'clean'
-                };
-                
-                await saveDetectionResult(db, analysisData);
-                successCount++;
-                
-                if (successCount % 500 === 0) {
-                    console.log(`   Processed ${successCount} records...`);
-                }
-            } catch (err) {
-                errorCount++;
-                if (errorCount <= 5) {
-                    console.error(`   Error saving record ${record.testName}:`, err.message);
-                }
-            }
-        }
+        const { successCount, errorCount } = await insertRecords(db, records, 500);
         
         console.log(`\n✅ Database population completed!`);
         console.log(`   Successfully added: ${successCount} records`);
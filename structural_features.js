@@ -0,0 +1,158 @@
+const { parseHtml } = require('./html_parser');
+const { urlScheme } = require('./encoders');
+const { tokenizeJs, findCalls } = require('./js_tokenizer');
+
+// Structural features: what the input is once parsed as HTML (html_parser.js) and, where it
+// holds script, as JavaScript (js_tokenizer.js). Unlike the regexes in feature_schema.js these
+// only count an event handler that is really an attribute of a real tag, so text that merely
+// mentions "onion=" doesn't.
+
+// Elements that run script or load active content by themselves
+const DANGEROUS_ELEMENTS = [
+    'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'meta',
+    'link', 'style', 'svg', 'math', 'form', 'template'
+];
+
+// Attributes holding a URL the browser navigates to or loads
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'data', 'poster', 'background', 'xlink:href', 'codebase'];
+
+// Schemes whose URL runs script when followed
+const SCRIPT_SCHEMES = ['javascript', 'vbscript', 'livescript'];
+
+// data: URLs whose document can run script
+const EXECUTABLE_DATA = /^data:\s*(text\/html|image\/svg\+xml|application\/(xhtml\+)?xml|text\/xml)/i;
+
+// iframe srcdoc is itself HTML; parse it this many levels deep
+const MAX_SRCDOC_DEPTH = 2;
+
+function isHandler(name) {
+    return /^on[a-z]+$/.test(name);
+}
+
+function executableScheme(value) {
+    const scheme = urlScheme(value.trim());
+    if (SCRIPT_SCHEMES.includes(scheme)) {
+        return scheme;
+    }
+    return scheme === 'data' && EXECUTABLE_DATA.test(value.replace(/[\u0000- ]/g, '')) ? scheme : null;
+}
+
+// Sink calls in one piece of script: eval, the Function constructor, string timers, document.write
+function countSinks(source, sinks = { eval: 0, functionConstructor: 0, stringTimer: 0, documentWrite: 0 }) {
+    findCalls(tokenizeJs(source)).forEach(call => {
+        const stringArgument = call.argument && (call.argument.type === 'string' || call.argument.type === 'template');
+        if ((call.name === 'eval' || call.name === 'execScript') && !call.tagged) {
+            sinks.eval++;
+        } else if (call.name === 'Function' || call.name === 'constructor') {
+            sinks.functionConstructor++;
+        } else if ((call.name === 'setTimeout' || call.name === 'setInterval') && stringArgument) {
+            sinks.stringTimer++;
+        } else if ((call.name === 'write' || call.name === 'writeln') && call.object === 'document') {
+            sinks.documentWrite++;
+        }
+    });
+    return sinks;
+}
+
+// Sinks of input that may be injected into a script: read as is, and as the end of a string
+// it breaks out of ("';setTimeout('...')//"), keeping the larger count of each sink
+function countBareSinks(text) {
+    const readings = [text];
+    const quote = text.search(/['"`]/);
+    if (quote >= 0) {
+        readings.push(text.substring(quote + 1));
+    }
+    return readings.map(reading => countSinks(reading)).reduce((best, sinks) => {
+        Object.keys(best).forEach(sink => { best[sink] = Math.max(best[sink], sinks[sink]); });
+        return best;
+    });
+}
+
+function walk(node, analysis, depth) {
+    (node.children || []).forEach(child => {
+        if (child.type !== 'element') return;
+        analysis.elements++;
+        if (DANGEROUS_ELEMENTS.includes(child.name)) {
+            analysis.dangerousElements++;
+        }
+        if (child.name === 'script') {
+            child.children.filter(text => text.type === 'text').forEach(text => analysis.scripts.push(text.value));
+        }
+        child.attributes.forEach(attribute => {
+            if (isHandler(attribute.name)) {
+                analysis.handlerAttributes++;
+                analysis.scripts.push(attribute.value);
+            } else if (attribute.name === 'srcdoc' && depth < MAX_SRCDOC_DEPTH) {
+                walk(parseHtml(attribute.value), analysis, depth + 1);
+            } else if (URL_ATTRIBUTES.includes(attribute.name)) {
+                const scheme = executableScheme(attribute.value);
+                if (!scheme) return;
+                analysis.executableUrlAttributes++;
+                if (scheme !== 'data') {
+                    analysis.scripts.push(attribute.value.replace(/^[^:]*:/, ''));
+                }
+            }
+        });
+        walk(child, analysis, depth);
+    });
+}
+
+/**
+ * Parse text as HTML and count its structure. Script-like content is every <script> body,
+ * event handler value and script-scheme URL; input without any element is read as script
+ * itself (it may be injected into a JavaScript context, see countBareSinks).
+ * Returns { elements, dangerousElements, handlerAttributes, executableUrlAttributes,
+ *           scriptContexts, sinks: { eval, functionConstructor, stringTimer, documentWrite } }.
+ */
+function analyzeStructure(text) {
+    const analysis = {
+        elements: 0,
+        dangerousElements: 0,
+        handlerAttributes: 0,
+        executableUrlAttributes: 0,
+        scripts: []
+    };
+    walk(parseHtml(text), analysis, 0);
+
+    let sinks;
+    if (analysis.elements === 0) {
+        sinks = countBareSinks(text);
+    } else {
+        sinks = { eval: 0, functionConstructor: 0, stringTimer: 0, documentWrite: 0 };
+        analysis.scripts.forEach(source => countSinks(source, sinks));
+    }
+    return {
+        elements: analysis.elements,
+        dangerousElements: analysis.dangerousElements,
+        handlerAttributes: analysis.handlerAttributes,
+        executableUrlAttributes: analysis.executableUrlAttributes,
+        scriptContexts: analysis.scripts.length,
+        sinks
+    };
+}
+
+// Feature group registered in feature_schema.js. Bump `version` whenever analyzeStructure
+// changes what it counts: every feature of the group carries it.
+const STRUCTURE_FEATURE_GROUP = {
+    name: 'structure',
+    version: 1,
+    form: 'canonical',
+    analyze: analyzeStructure,
+    features: [
+        { name: 'elements', description: 'HTML elements after parsing', value: analysis => analysis.elements },
+        { name: 'dangerousElements', description: 'Elements that run script or load active content (script, iframe, object, svg, ...)', value: analysis => analysis.dangerousElements },
+        { name: 'handlerAttributes', description: 'on* event handlers that are attributes of a parsed tag', value: analysis => analysis.handlerAttributes },
+        { name: 'executableUrls', description: 'URL attributes with a javascript:, vbscript: or HTML/SVG data: URL', value: analysis => analysis.executableUrlAttributes },
+        { name: 'scriptContexts', description: 'Script bodies, handler values and script URLs inside markup', value: analysis => analysis.scriptContexts },
+        { name: 'evalCalls', description: 'eval( calls in script content', value: analysis => analysis.sinks.eval },
+        { name: 'functionConstructorCalls', description: 'Function( / constructor( calls in script content', value: analysis => analysis.sinks.functionConstructor },
+        { name: 'stringTimerCalls', description: 'setTimeout / setInterval called with a string', value: analysis => analysis.sinks.stringTimer },
+        { name: 'documentWriteCalls', description: 'document.write / writeln calls in script content', value: analysis => analysis.sinks.documentWrite }
+    ]
+};
+
+module.exports = {
+    DANGEROUS_ELEMENTS,
+    analyzeStructure,
+    STRUCTURE_FEATURE_GROUP
+};
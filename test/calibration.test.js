@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    fitPlatt, fitIsotonic, fitCalibration, applyCalibration, chooseOperatingPoints, resolveOperatingPoint
+} = require('../calibration');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+const scores = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const labels = [0, 0, 0, 1, 0, 1, 1, 1, 1];
+
+test('isotonic calibration pools the violators into a non-decreasing step function', () => {
+    const calibration = fitIsotonic(scores, labels);
+    assert.equal(calibration.method, 'isotonic');
+    assert.deepEqual(calibration.x, scores);
+    assert.deepEqual(calibration.y, [0, 0, 0, 0.5, 0.5, 1, 1, 1, 1]);
+
+    assert.equal(applyCalibration(calibration, 0.45), 0.5);
+    assert.ok(Math.abs(applyCalibration(calibration, 0.55) - 0.75) < 1e-12);
+    // Clamped outside the fitted scores
+    assert.equal(applyCalibration(calibration, 0), 0);
+    assert.equal(applyCalibration(calibration, 1), 1);
+});
+
+test('isotonic calibration gives tied scores one probability', () => {
+    const calibration = fitIsotonic([0.5, 0.5, 0.5, 0.9], [1, 0, 0, 1]);
+    assert.deepEqual(calibration.x, [0.5, 0.9]);
+    assert.ok(Math.abs(calibration.y[0] - 1 / 3) < 1e-12);
+});
+
+test('Platt scaling is increasing in the score and stays finite on separable data', () => {
+    const calibration = fitPlatt(scores, labels);
+    assert.equal(calibration.method, 'platt');
+    assert.ok(calibration.a < 0);
+    const probabilities = scores.map(score => applyCalibration(calibration, score));
+    probabilities.forEach((p, i) => {
+        assert.ok(p > 0 && p < 1);
+        if (i > 0) assert.ok(p > probabilities[i - 1]);
+    });
+
+    const separated = fitPlatt([0, 0, 0, 1, 1, 1], [0, 0, 0, 1, 1, 1]);
+    assert.ok(Number.isFinite(separated.a) && Number.isFinite(separated.b));
+    assert.ok(applyCalibration(separated, 1) > 0.5 && applyCalibration(separated, 0) < 0.5);
+});
+
+test('fitCalibration dispatches by method', () => {
+    assert.equal(fitCalibration('none', scores, labels), null);
+    assert.equal(applyCalibration(null, 0.3), 0.3);
+    assert.equal(fitCalibration('platt', scores, labels).method, 'platt');
+    assert.equal(fitCalibration('isotonic', scores, labels).method, 'isotonic');
+    assert.throws(() => fitCalibration('beta', scores, labels), /Unknown calibration method "beta"/);
+});
+
+test('operating points: strict keeps precision, balanced maximizes F1, lenient keeps recall', () => {
+    const points = chooseOperatingPoints(scores, labels);
+    assert.deepEqual(Object.keys(points), ['strict', 'balanced', 'lenient']);
+    // 0.6 flags four positives and nothing else; the cut-off sits halfway down to 0.5
+    close(points.strict.threshold, 0.55);
+    assert.equal(points.strict.precision, 1);
+    assert.equal(points.strict.recall, 0.8);
+    // 0.4 flags every positive at the cost of one false positive (F1 0.909 against 0.889)
+    close(points.balanced.threshold, 0.35);
+    close(points.lenient.threshold, 0.35);
+    assert.equal(points.lenient.recall, 1);
+    assert.ok(points.strict.threshold >= points.balanced.threshold);
+    assert.ok(points.balanced.threshold >= points.lenient.threshold);
+});
+
+test('operating points fall back to the closest threshold when a target is out of reach', () => {
+    const noisy = [0.9, 0.8, 0.7, 0.6];
+    const noisyLabels = [0, 1, 0, 1];
+    const points = chooseOperatingPoints(noisy, noisyLabels, { strict: { minPrecision: 0.99 }, lenient: { minRecall: 1.01 } });
+    // Best precision available is 0.5, at 0.8 and again at 0.6 (the lowest score) with full recall
+    assert.equal(points.strict.threshold, 0.6);
+    assert.equal(points.strict.precision, 0.5);
+    assert.equal(points.strict.recall, 1);
+    // Best recall available
+    assert.equal(points.lenient.recall, 1);
+    assert.equal(chooseOperatingPoints([], []), null);
+});
+
+test('operating points on separable data break ties toward the lowest threshold', () => {
+    // Isotonic calibration of perfectly separated folds leaves only 0 and 1
+    const separable = fitIsotonic([0.1, 0.2, 0.3, 0.7, 0.8, 0.9], [0, 0, 0, 1, 1, 1]);
+    const calibrated = [0.1, 0.2, 0.3, 0.7, 0.8, 0.9].map(score => applyCalibration(separable, score));
+    assert.deepEqual(calibrated, [0, 0, 0, 1, 1, 1]);
+
+    const points = chooseOperatingPoints(calibrated, [0, 0, 0, 1, 1, 1]);
+    Object.values(points).forEach(point => {
+        assert.equal(point.threshold, 0.5);
+        assert.equal(point.precision, 1);
+        assert.equal(point.recall, 1);
+    });
+
+    // Uncalibrated, every threshold from 0.7 down to 0.3 is perfect: the lowest scored one wins
+    const raw = chooseOperatingPoints([0.1, 0.2, 0.3, 0.7, 0.8, 0.9], [0, 0, 0, 1, 1, 1]);
+    Object.values(raw).forEach(point => close(point.threshold, 0.5));
+});
+
+test('resolveOperatingPoint', () => {
+    const points = chooseOperatingPoints(scores, labels);
+    assert.deepEqual(resolveOperatingPoint(points, 'strict'), { name: 'strict', threshold: points.strict.threshold });
+    assert.deepEqual(resolveOperatingPoint(points), { name: 'balanced', threshold: points.balanced.threshold });
+    assert.equal(resolveOperatingPoint(null, 'strict'), null);
+    assert.throws(() => resolveOperatingPoint(points, 'paranoid'), /Unknown operating point "paranoid"/);
+});
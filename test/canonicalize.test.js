@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalize, DEFAULT_MAX_DEPTH } = require('../canonicalize');
+
+test('plain input is unchanged and has an empty chain', () => {
+    const result = canonicalize('hello <b>world</b>');
+    assert.deepEqual(result, { canonical: 'hello <b>world</b>', chain: [], depthLimitReached: false });
+});
+
+test('peels nested URL and HTML-entity layers and records each step', () => {
+    const result = canonicalize('%26lt%3Bscript%26gt%3Balert(1)%26lt%3B%2Fscript%26gt%3B');
+    assert.equal(result.canonical, '<script>alert(1)</script>');
+    assert.deepEqual(result.chain.map(step => [step.depth, step.layer]), [[1, 'url'], [1, 'html-entity']]);
+    assert.equal(result.chain[0].output, '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('double URL encoding takes a second round', () => {
+    const result = canonicalize('%253Cscript%253E');
+    assert.equal(result.canonical, '<script>');
+    assert.deepEqual(result.chain.map(step => [step.depth, step.layer]), [[1, 'url'], [2, 'url']]);
+});
+
+test('invalid UTF-8 percent runs are decoded byte by byte', () => {
+    assert.equal(canonicalize('%FF%3C').canonical, '\u00FF<');
+});
+
+test('JavaScript escapes', () => {
+    assert.equal(canonicalize('\\u003cscript\\u003e\\x61\\u{6C}ert(1)').canonical, '<script>alert(1)');
+});
+
+test('base64 data: URLs are decoded when the payload is text', () => {
+    const payload = Buffer.from('<script>alert(1)</script>').toString('base64');
+    assert.equal(canonicalize(`data:text/html;base64,${payload}`).canonical, 'data:text/html,<script>alert(1)</script>');
+    // Binary payloads are left alone
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+    assert.equal(canonicalize(png).canonical, png);
+});
+
+test('whitespace-split and mixed-case schemes are normalized', () => {
+    assert.equal(canonicalize('<a href="JaVa\tScRiPt:alert(1)">').canonical, '<a href="javascript:alert(1)">');
+    assert.equal(canonicalize('<a href="java&#x0A;script:alert(1)">').canonical, '<a href="javascript:alert(1)">');
+    assert.equal(canonicalize('v b s c r i p t :x').canonical, 'vbscript:x');
+});
+
+test('null bytes are removed', () => {
+    assert.equal(canonicalize('<scr\u0000ipt>').canonical, '<script>');
+});
+
+test('CSS escapes are decoded in style attributes, <style> content and expression()/url()', () => {
+    assert.equal(canonicalize('<div style="background:u\\72l(java\\73 cript:alert(1))">').canonical,
+        '<div style="background:url(javascript:alert(1))">');
+    assert.equal(canonicalize("<p style='x:\\65xpression(alert(1))'>").canonical, "<p style='x:expression(alert(1))'>");
+    assert.equal(canonicalize('<p style=col\\6fr:red>').canonical, '<p style=color:red>');
+    assert.equal(canonicalize('<style>a{b:\\65xpression(alert(1))}</style>').canonical,
+        '<style>a{b:expression(alert(1))}</style>');
+    assert.equal(canonicalize('x{width:expression(alert(\\27 x\\27))}').canonical, "x{width:expression(alert('x'))}");
+});
+
+test('CSS escapes outside a CSS context are left alone', () => {
+    const paths = ['C:\\Users\\abc\\def', 'see \\61 and \\0041', '<p>\\65xpression</p><style>a{}</style> \\62'];
+    paths.forEach(text => assert.equal(canonicalize(text).canonical, text));
+});
+
+test('stops at the depth limit and reports it only when more could be decoded', () => {
+    let nested = '<';
+    for (let i = 0; i < DEFAULT_MAX_DEPTH + 1; i++) {
+        nested = encodeURIComponent(nested);
+    }
+    const limited = canonicalize(nested);
+    assert.equal(limited.depthLimitReached, true);
+    assert.equal(limited.canonical, '%3C');
+
+    const exact = canonicalize(nested, { maxDepth: DEFAULT_MAX_DEPTH + 1 });
+    assert.equal(exact.canonical, '<');
+    assert.equal(exact.depthLimitReached, false);
+});
+
+test('chain outputs are truncated', () => {
+    const result = canonicalize('%3C' + 'a'.repeat(500));
+    assert.equal(result.chain[0].output.length, 200);
+    assert.equal(result.canonical.length, 501);
+});
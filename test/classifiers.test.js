@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toSamples } = require('../ml_model');
+const { FEATURES } = require('../feature_schema');
+const { BACKEND_NAMES, DEFAULT_BACKEND, getBackend } = require('../classifiers');
+
+const MALICIOUS = ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '<svg onload=alert(1)>',
+    '<iframe src="javascript:alert(1)">', '<body onload=eval(name)>', '"><script>document.cookie</script>'];
+const CLEAN = ['hello world', 'search for shoes', 'price < 100', 'a = b + c', 'O\'Reilly books', 'see you at 5'];
+const samples = toSamples([...MALICIOUS, ...CLEAN]);
+const labels = samples.map(sample => (MALICIOUS.includes(sample.text) ? 1 : 0));
+
+// Small settings so every backend trains in milliseconds
+const HYPERPARAMETERS = {
+    'random-forest': { seed: 7, nEstimators: 15, maxFeatures: 0.5, minNumSamples: 1 },
+    'logistic-regression': {},
+    'naive-bayes': { minDocumentFrequency: 1 },
+    ensemble: { seed: 7, memberHyperparameters: { 'random-forest': { nEstimators: 15, minNumSamples: 1 }, 'naive-bayes': { minDocumentFrequency: 1 } } }
+};
+
+test('getBackend resolves every backend name and rejects unknown ones', () => {
+    assert.equal(getBackend().name, DEFAULT_BACKEND);
+    BACKEND_NAMES.forEach(name => assert.equal(getBackend(name).name, name));
+    assert.throws(() => getBackend('svm'), /Unknown classifier backend "svm"/);
+});
+
+for (const name of BACKEND_NAMES) {
+    test(`${name}: separates the training inputs and survives a save/load round trip`, () => {
+        const backend = getBackend(name);
+        const model = backend.train(samples, labels, HYPERPARAMETERS[name]);
+        assert.equal(model.backend, name);
+
+        const probabilities = model.predictProbability(samples);
+        assert.equal(probabilities.length, samples.length);
+        assert.ok(probabilities.every(p => p >= 0 && p <= 1));
+        const lowestMalicious = Math.min(...probabilities.filter((_, i) => labels[i] === 1));
+        const highestClean = Math.max(...probabilities.filter((_, i) => labels[i] === 0));
+        assert.ok(lowestMalicious > highestClean, `${lowestMalicious} <= ${highestClean}`);
+
+        // What saveModel writes to disk and loadModel reads back
+        const json = JSON.parse(JSON.stringify(model.toJSON()));
+        const loaded = backend.load(json, { featureCount: FEATURES.length, hyperparameters: model.hyperparameters });
+        assert.deepEqual(loaded.predictProbability(samples), probabilities);
+    });
+}
+
+test('ensemble: the weighted mean of its members', () => {
+    const ensemble = getBackend('ensemble');
+    const model = ensemble.train(samples, labels, {
+        members: 'logistic-regression, naive-bayes',
+        weights: [3, 1],
+        memberHyperparameters: { 'naive-bayes': { minDocumentFrequency: 1 } }
+    });
+    const [logistic, bayes] = model.members.map(member => member.predictProbability(samples));
+    model.predictProbability(samples).forEach((p, i) => {
+        assert.ok(Math.abs(p - (3 * logistic[i] + bayes[i]) / 4) < 1e-12);
+    });
+
+    assert.throws(() => ensemble.train(samples, labels, { members: ['ensemble'] }), /cannot contain itself/);
+    assert.throws(() => ensemble.train(samples, labels, { members: ['naive-bayes'], weights: [1, 2] }), /1 members but 2 weights/);
+});
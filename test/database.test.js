@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toSamples, trainModel } = require('../ml_model');
+
+// A fresh database for this file, chosen before database.js is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-database-'));
+process.env.XSS_DB_PATH = path.join(dir, 'test.db');
+const {
+    initDatabase, saveDetectionResult, getShadowAgreement, getLabelState, compareModelsOnLabeledCached, getTimeSeries,
+    setGroundTruth, getLabelChanges, performKFoldCrossValidation, getReviewQueue, labelReviewedInput, getConfirmedLabels
+} = require('../database');
+
+let db;
+
+test.before(async () => {
+    db = await initDatabase();
+});
+
+test.after(async () => {
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function save(rawInput, fields = {}) {
+    return saveDetectionResult(db, Object.assign({
+        rawInput, processedInput: rawInput, mode: 'api', encodingApplied: false, attackPatterns: {},
+        attackScore: 0, isMalicious: false, inputLength: rawInput.length, encodedLength: rawInput.length
+    }, fields));
+}
+
+// Small forest trained on a handful of inputs; `flip` swaps the labels for a disagreeing model
+function forest(flip = false) {
+    const malicious = ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '<svg onload=alert(1)>',
+        '<iframe src="javascript:alert(1)">', '<body onload=eval(name)>', '"><script>document.cookie</script>'];
+    const clean = ['hello world', 'search for shoes', 'price < 100', 'a = b + c', 'O\'Reilly books', 'see you at 5'];
+    const inputs = [...malicious, ...clean];
+    const labels = inputs.map(input => (malicious.includes(input) !== flip ? 1 : 0));
+    return trainModel(toSamples(inputs), labels, { seed: 7, nEstimators: 15, maxFeatures: 0.5, minNumSamples: 1 });
+}
+
+test('getShadowAgreement counts scans where the shadow model agreed', async () => {
+    await save('<b>a</b>', { isMalicious: true, shadow: { version: 'v2', isMalicious: true } });
+    await save('<b>b</b>', { isMalicious: false, shadow: { version: 'v2', isMalicious: true } });
+    await save('<b>c</b>', { isMalicious: false, shadow: { version: 'v3', isMalicious: false } });
+    assert.deepEqual(await getShadowAgreement(db, 'v2'), { compared: 2, agreed: 1, agreement_rate: 0.5 });
+    assert.deepEqual(await getShadowAgreement(db, 'v9'), { compared: 0, agreed: 0, agreement_rate: 0 });
+});
+
+test('the model comparison is cached until a version or the labeled rows change', async () => {
+    const models = { active: forest(), shadow: forest(true) };
+    await save('<script>alert(1)</script>', { groundTruth: 'malicious' });
+    await save('hello world', { groundTruth: 'clean' });
+    await save('not labeled');
+
+    const first = await compareModelsOnLabeledCached(db, models, ['v1', 'v2']);
+    assert.equal(first.active.total_labeled, 2);
+    assert.equal(await compareModelsOnLabeledCached(db, models, ['v1', 'v2']), first);
+
+    // An unlabeled scan changes nothing; a labeled one or another version recomputes
+    await save('still not labeled');
+    assert.equal(await compareModelsOnLabeledCached(db, models, ['v1', 'v2']), first);
+    const otherVersion = await compareModelsOnLabeledCached(db, models, ['v1', 'v3']);
+    assert.notEqual(otherVersion, first);
+
+    const labelsBefore = await getLabelState(db);
+    await save('<svg onload=alert(1)>', { groundTruth: 'malicious' });
+    assert.deepEqual(await getLabelState(db), { labeled: labelsBefore.labeled + 1, lastLabeled: labelsBefore.lastLabeled + 3, lastChange: null });
+    const relabeled = await compareModelsOnLabeledCached(db, models, ['v1', 'v3']);
+    assert.notEqual(relabeled, otherVersion);
+    assert.equal(relabeled.active.total_labeled, 3);
+
+    // Flipping a label keeps the count and the newest labeled row, but the label change shows
+    const clean = await new Promise((resolve, reject) => {
+        db.get("SELECT id FROM detection_results WHERE raw_input = 'hello world'", (err, row) => (err ? reject(err) : resolve(row.id)));
+    });
+    await setGroundTruth(db, [clean], 'malicious', { changedBy: 'test' });
+    const afterFlip = await compareModelsOnLabeledCached(db, models, ['v1', 'v3']);
+    assert.notEqual(afterFlip, relabeled);
+    assert.equal(afterFlip.active.total_labeled, 3);
+});
+
+test('setGroundTruth records one label change per row it actually changes', async () => {
+    const unlabeled = await save('<b>to label</b>');
+    const alreadyClean = await save('<b>already clean</b>', { groundTruth: 'clean' });
+    const malicious = await save('<b>was malicious</b>', { groundTruth: 'malicious' });
+
+    const changed = await setGroundTruth(db, [unlabeled, alreadyClean, malicious], 'clean', { changedBy: 'alice', clientAddress: '10.0.0.1' });
+    assert.equal(changed, 2);
+    const changes = await getLabelChanges(db, null, 2);
+    assert.deepEqual(changes.map(change => [change.result_id, change.old_label, change.new_label, change.changed_by, change.client_address]).reverse(), [
+        [unlabeled, null, 'clean', 'alice', '10.0.0.1'],
+        [malicious, 'malicious', 'clean', 'alice', '10.0.0.1']
+    ]);
+    assert.deepEqual(await getLabelChanges(db, alreadyClean), []);
+
+    // Clearing is a change too; repeating it is not
+    assert.equal(await setGroundTruth(db, [malicious], null, { changedBy: 'bob' }), 1);
+    assert.equal(await setGroundTruth(db, [malicious], null, { changedBy: 'bob' }), 0);
+    assert.deepEqual((await getLabelChanges(db, malicious)).map(change => change.new_label), [null, 'clean']);
+});
+
+// Scan saved at a given UTC time ('YYYY-MM-DD HH:MM:SS'), in its own mode so other tests' rows stay out
+function saveAt(timestamp, isMalicious, probability = null) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT INTO detection_results (raw_input, mode, is_malicious, attack_score, attack_patterns, encoding_applied, probability, timestamp)
+                VALUES (?, 'timeseries', ?, 0, ?, 0, ?, ?)`,
+        ['x', isMalicious ? 1 : 0, JSON.stringify({ scriptTag: isMalicious }), probability, timestamp],
+        err => (err ? reject(err) : resolve()));
+    });
+}
+
+test('getTimeSeries buckets scans, fills the gaps and defaults to the last 30 days', async () => {
+    await saveAt('2025-01-01 10:00:00', false);
+    await saveAt('2025-03-01 09:00:00', true, 0.9);
+    await saveAt('2025-03-01 18:00:00', false, 0.1);
+    await saveAt('2025-03-03 12:00:00', true);
+
+    // Without from: the 30 days up to the newest scan, so January is left out
+    const series = await getTimeSeries(db, { mode: 'timeseries' });
+    assert.deepEqual(series.map(entry => entry.bucket), ['2025-03-01', '2025-03-02', '2025-03-03']);
+    assert.deepEqual(series.map(entry => entry.scans), [2, 0, 1]);
+    assert.equal(series[0].detectionRate, 0.5);
+    assert.equal(series[0].meanProbability, 0.5);
+    assert.equal(series[0].patterns.scriptTag, 1);
+    assert.equal(series[1].meanProbability, null);
+
+    const all = await getTimeSeries(db, { mode: 'timeseries', from: new Date('2024-12-01T00:00:00Z'), bucket: 'week' });
+    assert.equal(all[0].bucket, '2024-12-30');
+    assert.equal(all.reduce((sum, entry) => sum + entry.scans, 0), 4);
+    // A window ending at `to` reaches `days` back from it
+    const early = await getTimeSeries(db, { mode: 'timeseries', to: new Date('2025-01-15T00:00:00Z'), days: 20 });
+    assert.deepEqual(early.map(entry => [entry.bucket, entry.scans]), [['2025-01-01', 1]]);
+
+    await assert.rejects(getTimeSeries(db, { bucket: 'month' }), /Unknown time bucket "month"/);
+});
+
+test('performKFoldCrossValidation splits the labeled scans the same way for the same seed', async () => {
+    for (const input of ['<svg/onload=alert(2)>', '<script>prompt(1)</script>', 'good morning', 'order #42']) {
+        await save(input, { groundTruth: /[<>]/.test(input) ? 'malicious' : 'clean' });
+    }
+    const first = await performKFoldCrossValidation(db, 2);
+    assert.equal(first.seed, 42);
+    assert.deepEqual(await performKFoldCrossValidation(db, 2), first);
+    // Stratified: both folds hold malicious and clean scans
+    first.foldResults.forEach(fold => {
+        assert.ok(fold.true_positives + fold.false_negatives > 0 && fold.true_negatives + fold.false_positives > 0);
+    });
+    assert.equal((await performKFoldCrossValidation(db, 2, () => {}, 7)).seed, 7);
+});
+
+// Scan with a model probability, under an input starting with 'review ' so other tests' rows can be told apart
+function saveScored(rawInput, probability, fields = {}) {
+    return save(rawInput, Object.assign({
+        isMalicious: probability > 0.5, attackPatterns: { scriptTag: probability > 0.5 }, mlPrediction: { probability }
+    }, fields));
+}
+
+test('the review queue lists each unsure or disputed input once, until it is labeled', async () => {
+    await saveScored('review unsure', 0.6);
+    const unsure = await saveScored('review unsure', 0.55);
+    await saveScored('review confident', 0.95);
+    const patterns = await saveScored('review patterns', 0.1, { attackPatterns: { scriptTag: true } });
+    const shadow = await saveScored('review shadow', 0.9, { shadow: { version: 'v2', isMalicious: false } });
+    await saveScored('review labeled', 0.5, { groundTruth: 'clean' });
+
+    const ours = queue => queue.rows.filter(row => row.raw_input.startsWith('review '));
+    const queue = await getReviewQueue(db, null, 1, 1000);
+    assert.deepEqual(ours(queue).map(row => [row.id, row.uncertain, row.shadow, row.patterns, row.scans]).sort((a, b) => a[0] - b[0]), [
+        [unsure, 1, 0, 0, 2],
+        [patterns, 0, 0, 1, 1],
+        [shadow, 0, 1, 0, 1]
+    ]);
+    assert.deepEqual(ours(await getReviewQueue(db, 'patterns', 1, 1000)).map(row => row.id), [patterns]);
+    const firstPage = await getReviewQueue(db, null, 1, 1);
+    assert.equal(firstPage.rows.length, 1);
+    assert.equal(firstPage.pages, queue.total);
+
+    // Labeling an entry labels every unlabeled scan of its input and takes it off the queue
+    assert.equal(await labelReviewedInput(db, unsure, 'malicious', { changedBy: 'alice' }), 2);
+    assert.deepEqual(ours(await getReviewQueue(db, 'uncertain', 1, 1000)), []);
+    assert.equal(await labelReviewedInput(db, 999999, 'clean', { changedBy: 'alice' }), 0);
+
+    // The confirmed label of an input is the one of its most recently changed scan
+    await setGroundTruth(db, [unsure], 'clean', { changedBy: 'bob' });
+    const confirmed = (await getConfirmedLabels(db)).filter(entry => entry.text.startsWith('review '));
+    assert.deepEqual(confirmed, [{ text: 'review unsure', label: 'clean' }]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, normalizeLabel, detectFormat, parseDatasetSpec, loadDataset } = require('../dataset_loaders');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-datasets-'));
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function write(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('parseCsv handles quoted commas, escaped quotes and multi-line cells', () => {
+    const rows = parseCsv('text,label\r\n"a, b",1\n"say ""hi""",0\n"line one\nline two",1\n\n');
+    assert.deepEqual(rows, [
+        ['text', 'label'],
+        ['a, b', '1'],
+        ['say "hi"', '0'],
+        ['line one\nline two', '1']
+    ]);
+    assert.throws(() => parseCsv('text\n"unterminated'), /Unterminated quoted field/);
+});
+
+test('CSV files keep quoted cells whole', () => {
+    const file = write('quoted.csv', '\uFEFFSentence,Label\n"<img src=x onerror=alert(1)>, then ""more""",1\n"multi\nline",0\n');
+    assert.deepEqual(loadDataset(file), [
+        { text: '<img src=x onerror=alert(1)>, then "more"', label: 1, source: 'quoted.csv' },
+        { text: 'multi\nline', label: 0, source: 'quoted.csv' }
+    ]);
+});
+
+test('labels accept several spellings, skip blanks and reject anything else', () => {
+    assert.equal(normalizeLabel(' Malicious '), 1);
+    assert.equal(normalizeLabel('benign'), 0);
+    assert.equal(normalizeLabel(0), 0);
+    assert.equal(normalizeLabel(''), null);
+    assert.equal(normalizeLabel(undefined), null);
+    assert.throws(() => normalizeLabel('maybe', 'x.csv record 3'), /^Error: x\.csv record 3: unknown label "maybe"/);
+});
+
+test('unlabeled records are skipped, unknown labels stop the load', () => {
+    const csv = write('partial.csv', 'text,label\n<script>,1\nno label,\nhello,clean\n');
+    assert.deepEqual(loadDataset(csv).map(record => record.text), ['<script>', 'hello']);
+
+    const jsonl = write('partial.jsonl', '{"text":"a","label":"xss"}\n{"text":"b"}\n{"text":"c","label":null}\n');
+    assert.deepEqual(loadDataset(jsonl).map(record => record.text), ['a']);
+
+    assert.throws(() => loadDataset(write('bad.csv', 'text,label\nok,1\nodd,suspicious\n')),
+        /bad\.csv record 2: unknown label "suspicious"/);
+    assert.throws(() => loadDataset(write('bad.jsonl', '{"text":"a","label":"2"}\n')),
+        /bad\.jsonl line 1: unknown label "2"/);
+    assert.throws(() => loadDataset(`${write('list.txt', 'a\n')}:label=dangerous`), /unknown label "dangerous"/);
+});
+
+test('HAR entries are labeled by URL regex, with the fallback label', () => {
+    const har = write('traffic.har', {
+        log: {
+            entries: [
+                { request: { url: 'https://shop.test/search?q=<svg>', queryString: [{ name: 'q', value: '<svg onload=alert(1)>' }] } },
+                { request: { url: 'https://shop.test/login', postData: { params: [{ name: 'user', value: 'alice' }] } } },
+                { request: { url: 'https://shop.test/api', postData: { text: '{"a":1}' } } }
+            ]
+        }
+    });
+    write('rules.json', { '/search\\?': 'malicious', '/login': 'clean' });
+
+    assert.deepEqual(loadDataset(`${har}:labels=rules.json,label=clean`), [
+        { text: '<svg onload=alert(1)>', label: 1, source: 'traffic.har' },
+        { text: 'alice', label: 0, source: 'traffic.har' },
+        { text: '{"a":1}', label: 0, source: 'traffic.har' }
+    ]);
+
+    // Without a fallback, requests no rule matches are skipped
+    assert.deepEqual(loadDataset(`${har}:labels=rules.json`).map(record => record.text), ['<svg onload=alert(1)>', 'alice']);
+
+    write('bad_rules.json', { '/search': 'sometimes' });
+    assert.throws(() => loadDataset(`${har}:labels=bad_rules.json`), /bad_rules\.json "\/search": unknown label "sometimes"/);
+});
+
+test('formats come from the extension, and options from the spec', () => {
+    assert.equal(detectFormat(write('a.jsonl', '')), 'jsonl');
+    assert.equal(detectFormat(write('b.lst', '')), 'text');
+    assert.equal(detectFormat(write('c.csv', '# test name, category\n')), 'benchmark');
+    assert.throws(() => detectFormat(write('d.xml', '')), /Cannot tell the format of d\.xml/);
+    assert.deepEqual(parseDatasetSpec('data/x.csv:text=payload,labelColumn=is_xss'),
+        { file: 'data/x.csv', options: { text: 'payload', labelColumn: 'is_xss' } });
+    assert.deepEqual(parseDatasetSpec('C:\\data\\x.csv'), { file: 'C:\\data\\x.csv', options: {} });
+    assert.throws(() => loadDataset(`${write('payloads.txt', 'a\n')}`), /Plain-text datasets need a label/);
+});
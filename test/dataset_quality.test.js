@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { payloadSkeleton, deduplicate, detectTemplateLeakage, classBalance, assessDataset } = require('../dataset_quality');
+
+const record = (text, label, source = 'a.csv') => ({ text, label, source });
+
+test('payloadSkeleton folds encoding, case, whitespace and numbers', () => {
+    assert.equal(payloadSkeleton('<SCRIPT> alert(1)</SCRIPT>'), payloadSkeleton('%3Cscript%3E\n\talert(42)</script>'));
+    assert.equal(payloadSkeleton('  Hello\n\tWorld 2024 '), 'hello world 0');
+    assert.notEqual(payloadSkeleton('<img src=x>'), payloadSkeleton('<img src=y>'));
+});
+
+test('deduplicate keeps the first record per label and skeleton', () => {
+    const records = [
+        record('<script>alert(1)</script>', 1),
+        record('<SCRIPT>alert(2)</SCRIPT>', 1, 'b.csv'),
+        record('hello', 0),
+        record('HELLO', 0),
+        record('hello', 1)
+    ];
+    const result = deduplicate(records);
+    assert.deepEqual(result.records, [records[0], records[2], records[4]]);
+    assert.equal(result.removed, 2);
+    // "hello" appears with both labels
+    assert.equal(result.conflicts, 1);
+});
+
+test('detectTemplateLeakage reports single-label templates repeated often enough', () => {
+    const records = [];
+    for (let i = 0; i < 4; i++) records.push(record(`<b onclick=alert(${i})>`, 1, 'synthetic.csv'));
+    for (let i = 0; i < 4; i++) records.push(record(`item ${i}`, i % 2, 'real.csv'));
+    records.push(record('unique', 0, 'real.csv'));
+
+    const { templates, templatedRecords } = detectTemplateLeakage(records, undefined, 3);
+    assert.deepEqual(templates, [{ template: '<b onclick=alert(0)>', count: 4, label: 1, sources: { 'synthetic.csv': 4 } }]);
+    assert.deepEqual(templatedRecords, { 'synthetic.csv': 4 });
+    assert.deepEqual(detectTemplateLeakage(records, undefined, 5).templates, []);
+});
+
+test('classBalance counts labels per source', () => {
+    const balance = classBalance([record('a', 1), record('b', 0), record('c', 0), record('d', 1, 'b.csv')]);
+    assert.deepEqual(balance, {
+        'a.csv': { records: 3, malicious: 1, clean: 2, maliciousShare: 1 / 3 },
+        'b.csv': { records: 1, malicious: 1, clean: 0, maliciousShare: 1 }
+    });
+});
+
+test('assessDataset dedupes by default and flags template-heavy sources as synthetic', () => {
+    const records = [];
+    for (let i = 0; i < 12; i++) records.push(record(`<svg onload=alert(${i})>`, 1, 'gen.csv'));
+    records.push(record('plain text', 0, 'gen.csv'));
+    records.push(record('plain text', 0, 'real.csv'), record('other text', 0, 'real.csv'));
+
+    const { records: kept, report } = assessDataset(records);
+    assert.equal(report.total, 15);
+    assert.equal(report.kept, 3);
+    assert.equal(report.duplicatesRemoved, 12);
+    assert.equal(report.leakingTemplates.length, 1);
+    assert.equal(report.sources['gen.csv'].looksSynthetic, true);
+    assert.equal(report.sources['gen.csv'].kept, 2);
+    assert.equal(report.sources['real.csv'].looksSynthetic, false);
+    assert.deepEqual(kept.map(item => item.text), ['<svg onload=alert(0)>', 'plain text', 'other text']);
+
+    const keepAll = assessDataset(records, { dedupe: false });
+    assert.equal(keepAll.records.length, 15);
+    assert.equal(keepAll.report.duplicatesRemoved, 0);
+});
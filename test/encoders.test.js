@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ejs = require('ejs');
+const {
+    encodeHtml, encodeAttr, encodeAttrUnquoted, encodeJs, encodeJsonForScript,
+    encodeUrlComponent, encodeHref, encodeCss, encodeForContext, registerEjsHelpers, urlScheme
+} = require('../encoders');
+
+test('encodeHtml escapes markup and both quotes', () => {
+    assert.equal(encodeHtml('<img src=x onerror="alert(\'1\')">&'),
+        '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt;&amp;');
+    assert.equal(encodeHtml(null), '');
+    assert.equal(encodeHtml(42), '42');
+});
+
+test('encodeAttr also escapes backticks and equals signs', () => {
+    assert.equal(encodeAttr('a=`b`"'), 'a&#61;&#96;b&#96;&quot;');
+});
+
+test('encodeAttrUnquoted leaves only alphanumerics bare', () => {
+    assert.equal(encodeAttrUnquoted('a b>c'), 'a&#x20;b&#x3E;c');
+    assert.equal(encodeAttrUnquoted('x onmouseover=alert(1)'),
+        'x&#x20;onmouseover&#x3D;alert&#x28;1&#x29;');
+});
+
+test('encodeJs cannot end the string or the script block', () => {
+    const encoded = encodeJs('\';alert(1)//</script>\u2028');
+    assert.doesNotMatch(encoded, /['"<>/\u2028]/);
+    assert.equal(encoded, '\\x27\\x3Balert\\x281\\x29\\x2F\\x2F\\x3C\\x2Fscript\\x3E\\u2028');
+    // The encoded text evaluates back to the original inside a string literal
+    assert.equal(new Function(`return '${encoded}';`)(), '\';alert(1)//</script>\u2028');
+});
+
+test('encodeJsonForScript keeps </script> and line separators out of the block', () => {
+    const encoded = encodeJsonForScript({ html: '</script><b>&', sep: '\u2028' });
+    assert.doesNotMatch(encoded, /[<>&\u2028]/);
+    assert.deepEqual(JSON.parse(encoded), { html: '</script><b>&', sep: '\u2028' });
+    assert.equal(encodeJsonForScript(undefined), 'null');
+});
+
+test('encodeUrlComponent also encodes the characters encodeURIComponent keeps', () => {
+    assert.equal(encodeUrlComponent("a b&c=d!'()*"), 'a%20b%26c%3Dd%21%27%28%29%2A');
+});
+
+test('urlScheme sees through whitespace and control characters', () => {
+    assert.equal(urlScheme('java\tscript:alert(1)'), 'javascript');
+    assert.equal(urlScheme(' \u0001JaVaScRiPt:alert(1)'), 'javascript');
+    assert.equal(urlScheme('/relative/path'), null);
+    assert.equal(urlScheme('https://example.com'), 'https');
+});
+
+test('encodeHref blocks schemes outside the allowlist', () => {
+    assert.equal(encodeHref('javascript:alert(1)'), 'about:blank');
+    assert.equal(encodeHref('java&#x09;script:alert(1)'), 'java&amp;#x09;script:alert(1)');
+    assert.equal(encodeHref('jav\nascript:alert(1)'), 'about:blank');
+    assert.equal(encodeHref('data:text/html,<script>'), 'about:blank');
+    assert.equal(encodeHref('https://example.com/?a=1&b="2"'), 'https://example.com/?a&#61;1&amp;b&#61;&quot;2&quot;');
+    assert.equal(encodeHref('/search?q=x'), '/search?q&#61;x');
+    assert.equal(encodeHref('ftp://example.com', { allowedSchemes: ['FTP'] }), 'ftp://example.com');
+});
+
+test('encodeCss uses six-digit escapes so following hex digits are not absorbed', () => {
+    assert.equal(encodeCss('a;b'), 'a\\00003Bb');
+    assert.equal(encodeCss('</style>'), '\\00003C\\00002Fstyle\\00003E');
+});
+
+test('encodeForContext dispatches by name and rejects unknown contexts', () => {
+    assert.equal(encodeForContext('html', '<b>'), '&lt;b&gt;');
+    assert.equal(encodeForContext('href', 'vbscript:msgbox'), 'about:blank');
+    assert.throws(() => encodeForContext('toString', 'x'), /Unknown output context "toString"/);
+});
+
+test('registerEjsHelpers: helper output is not encoded twice, other output is HTML-encoded', () => {
+    const app = express();
+    registerEjsHelpers(app);
+    const render = (template, data) => ejs.render(template, Object.assign({}, app.locals, data),
+        { escape: app.get('view options').escape });
+
+    assert.equal(render('<a href="<%= encodeHref(url) %>"><%= text %></a>', { url: '/a?b=c&d', text: '<i>' }),
+        '<a href="/a?b&#61;c&amp;d">&lt;i&gt;</a>');
+    assert.equal(render('<script>var s = \'<%= encodeJs(v) %>\';</script>', { v: "'" }),
+        '<script>var s = \'\\x27\';</script>');
+});
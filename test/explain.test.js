@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFeatures, toSamples, trainModel } = require('../ml_model');
+const { FEATURES } = require('../feature_schema');
+const { transformLexical } = require('../lexical_features');
+const { explainInput, featureContributions } = require('../explain');
+
+const MALICIOUS = ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '<svg onload=alert(1)>',
+    '<iframe src="javascript:alert(1)">', '<body onload=eval(name)>', '"><script>document.cookie</script>'];
+const CLEAN = ['hello world', 'search for shoes', 'price < 100', 'a = b + c', 'O\'Reilly books', 'see you at 5'];
+
+// A small forest is enough: the contributions only depend on the tree structure
+function trainForest() {
+    const inputs = [...MALICIOUS, ...CLEAN];
+    const labels = inputs.map(input => (MALICIOUS.includes(input) ? 1 : 0));
+    return trainModel(toSamples(inputs), labels, { seed: 7, nEstimators: 15, maxFeatures: 0.5, minNumSamples: 1 });
+}
+
+test('without a model the explanation keeps schema order and has no contributions', () => {
+    const explanation = explainInput(null, '<img src=x onerror=alert(1)>');
+    assert.equal(explanation.bias, null);
+    assert.deepEqual(explanation.features.map(feature => feature.name), FEATURES.map(feature => feature.name));
+    assert.ok(explanation.features.every(feature => feature.contribution === null));
+});
+
+test('spans point at the characters that triggered a feature', () => {
+    const input = 'x <img src=x onerror=alert(1)>';
+    const { spans } = explainInput(null, input);
+    const onerror = spans.raw.find(span => span.feature === 'onerror');
+    assert.deepEqual(onerror, { feature: 'onerror', start: 13, end: 21, text: 'onerror=' });
+    assert.equal(input.slice(onerror.start, onerror.end), onerror.text);
+
+    // Encoded payloads are located in the canonical form
+    const encoded = explainInput(null, '%3Cscript%3Ealert(1)%3C/script%3E').spans;
+    assert.ok(encoded.canonical.some(span => span.feature === 'canonical.scriptTag' && span.text === '<script>'));
+    assert.ok(!encoded.raw.some(span => span.feature === 'scriptTag'));
+});
+
+test('bias plus contributions equals the share of malicious tree votes', () => {
+    const model = trainForest();
+    for (const input of ['<img src=x onerror=alert(1)>', 'hello there', '<svg/onload=alert(1)>']) {
+        // The forest is trained on the handcrafted features followed by the lexical block
+        const featureRow = extractFeatures(input).concat(transformLexical(model.lexical, input));
+        const { bias, contributions } = featureContributions(model.forest, featureRow);
+        const [share] = model.predictProbability(toSamples([input]));
+        const total = bias + contributions.reduce((sum, value) => sum + value, 0);
+        assert.ok(Math.abs(total - share) < 1e-9, `${input}: ${total} vs ${share}`);
+    }
+});
+
+test('with a model, features are ranked by absolute contribution', () => {
+    const { features } = explainInput(trainForest(), '<script>alert(1)</script>');
+    const magnitudes = features.map(feature => Math.abs(feature.contribution));
+    assert.deepEqual(magnitudes, [...magnitudes].sort((a, b) => b - a));
+    assert.ok(magnitudes[0] > 0);
+    // Lexical columns are only listed when they moved the vote
+    const lexical = features.filter(feature => feature.form === 'lexical');
+    assert.ok(lexical.every(feature => feature.index >= FEATURES.length && feature.contribution !== 0));
+});
+
+test('backends other than the random forest get no contributions', () => {
+    const inputs = [...MALICIOUS, ...CLEAN];
+    const labels = inputs.map(input => (MALICIOUS.includes(input) ? 1 : 0));
+    const model = trainModel(toSamples(inputs), labels, { minDocumentFrequency: 1 }, 'naive-bayes');
+    const explanation = explainInput(model, '<script>alert(1)</script>');
+    assert.equal(explanation.bias, null);
+    assert.ok(explanation.features.every(feature => feature.contribution === null));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FEATURES, FEATURE_NAMES, ATTACK_PATTERN_NAMES, ATTACK_PATTERN_LABELS, SCHEMA_HASH, describeSchema, compareSchema
+} = require('../feature_schema');
+const { extractFeatures } = require('../ml_model');
+
+test('extractFeatures follows the registry layout', () => {
+    const features = extractFeatures('%3Cimg src=x onerror=alert(1)%3E');
+    assert.equal(features.length, FEATURES.length);
+    assert.equal(features[FEATURE_NAMES.indexOf('imgTag')], 0);
+    assert.equal(features[FEATURE_NAMES.indexOf('canonical.imgTag')], 1);
+    assert.equal(features[FEATURE_NAMES.indexOf('urlEncodedLt')], 1);
+    assert.ok(features[FEATURE_NAMES.indexOf('decodingSteps')] >= 1);
+});
+
+test('every feature has a unique name and a version, and attack patterns have labels', () => {
+    assert.equal(new Set(FEATURE_NAMES).size, FEATURES.length);
+    assert.ok(FEATURES.every(feature => Number.isInteger(feature.version) && typeof feature.extract === 'function'));
+    assert.equal(ATTACK_PATTERN_NAMES.length, 9);
+    assert.ok(ATTACK_PATTERN_NAMES.every(name => typeof ATTACK_PATTERN_LABELS[name] === 'string'));
+});
+
+test('the schema hash depends on the names, versions and order of the features', () => {
+    const schema = describeSchema();
+    assert.equal(schema.hash, SCHEMA_HASH);
+    assert.match(SCHEMA_HASH, /^[0-9a-f]{16}$/);
+    assert.equal(describeSchema().hash, SCHEMA_HASH);
+    assert.notEqual(describeSchema(FEATURES.length - 1).hash, SCHEMA_HASH);
+});
+
+test('compareSchema accepts the registry and a prefix of it', () => {
+    assert.deepEqual(compareSchema(describeSchema()), { compatible: true, exact: true, message: null });
+
+    const prefix = compareSchema(describeSchema(10));
+    assert.equal(prefix.compatible, true);
+    assert.equal(prefix.exact, false);
+    assert.match(prefix.message, new RegExp(`first 10 of ${FEATURES.length}`));
+});
+
+test('compareSchema refuses renamed, reordered, re-versioned or extra features', () => {
+    const bumped = describeSchema().features.map(feature => Object.assign({}, feature));
+    bumped[3].version += 1;
+    const versioned = compareSchema({ hash: 'x', features: bumped });
+    assert.equal(versioned.compatible, false);
+    assert.match(versioned.message, /^feature 3 is/);
+
+    const swapped = describeSchema().features.slice();
+    [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+    assert.equal(compareSchema({ hash: 'x', features: swapped }).compatible, false);
+
+    const longer = describeSchema().features.concat([{ name: 'extra', version: 1 }]);
+    const extra = compareSchema({ hash: 'x', features: longer });
+    assert.equal(extra.compatible, false);
+    assert.match(extra.message, new RegExp(`model expects ${FEATURES.length + 1} features`));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('../random');
+const { assignFolds } = require('../folds');
+
+// Labels 0/1 with `positives` ones spread through `n` samples
+function labels(n, positives) {
+    return Array.from({ length: n }, (_, i) => ((i * positives) % n < positives ? 1 : 0));
+}
+
+test('assignFolds: same seed gives the same folds, another seed a different split', () => {
+    const y = labels(60, 15);
+    assert.deepEqual(assignFolds(y, null, 3, createRandom(1)), assignFolds(y, null, 3, createRandom(1)));
+    assert.notDeepEqual(assignFolds(y, null, 3, createRandom(1)), assignFolds(y, null, 3, createRandom(2)));
+});
+
+test('assignFolds: folds are stratified and evenly sized', () => {
+    const y = labels(100, 20);
+    const folds = assignFolds(y, null, 4, createRandom(42));
+    for (let fold = 0; fold < 4; fold++) {
+        const members = y.filter((_, i) => folds[i] === fold);
+        assert.equal(members.length, 25);
+        assert.equal(members.filter(label => label === 1).length, 5);
+    }
+});
+
+test('assignFolds: a group never spans two folds', () => {
+    const y = labels(90, 30);
+    const groups = y.map((_, i) => `template-${i % 17}`);
+    const folds = assignFolds(y, groups, 3, createRandom(42));
+    const foldOfGroup = new Map();
+    groups.forEach((group, i) => {
+        if (foldOfGroup.has(group)) {
+            assert.equal(folds[i], foldOfGroup.get(group), group);
+        }
+        foldOfGroup.set(group, folds[i]);
+    });
+    assert.equal(new Set(folds).size, 3);
+});
+
+test('assignFolds: needs at least k groups', () => {
+    assert.throws(() => assignFolds([0, 1, 0, 1], ['a', 'a', 'b', 'b'], 3, createRandom(42)),
+        /Need at least 3 groups for 3-fold cross-validation, got 2/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeHtml, parseHtml, decodeHtmlEntities } = require('../html_parser');
+
+test('decodeHtmlEntities handles numeric, padded, unterminated and named references', () => {
+    assert.equal(decodeHtmlEntities('&#106;&#x61;&#X76;&#0000097;'), 'java');
+    assert.equal(decodeHtmlEntities('&#106&#97'), 'ja');
+    assert.equal(decodeHtmlEntities('javascript&colon;alert&lpar;1&rpar;'), 'javascript:alert(1)');
+    assert.equal(decodeHtmlEntities('&Tab;&NewLine;&AMP;'), '\t\n&');
+    assert.equal(decodeHtmlEntities('&#0;&#x110000;'), '��');
+    assert.equal(decodeHtmlEntities('&unknown; AT&T'), '&unknown; AT&T');
+});
+
+test('attributes: quoting styles, case, entities and missing whitespace', () => {
+    const [tag] = tokenizeHtml('<IMG SRC=x/onerror="a&#40;1)"\'x\'=1 alt=\'b\'>');
+    assert.equal(tag.type, 'startTag');
+    assert.equal(tag.name, 'img');
+    assert.deepEqual(tag.attributes.map(attr => [attr.name, attr.value]), [
+        ['src', 'x/onerror="a(1)"\'x\'=1'],
+        ['alt', 'b']
+    ]);
+
+    const [slashed] = tokenizeHtml('<svg/onload=alert(1)>');
+    assert.equal(slashed.name, 'svg');
+    assert.deepEqual(slashed.attributes.map(attr => [attr.name, attr.value]), [['onload', 'alert(1)']]);
+
+    const [quoted] = tokenizeHtml('<a href="java&#x09;script:x" onclick = \'y\'>');
+    assert.deepEqual(quoted.attributes.map(attr => [attr.name, attr.value]), [['href', 'java\tscript:x'], ['onclick', 'y']]);
+});
+
+test('raw text elements are not parsed for markup', () => {
+    const tokens = tokenizeHtml('<script>if (a < b) { x = "</p><img src=x>"; }</script ><b>');
+    assert.deepEqual(tokens.map(token => [token.type, token.name || token.value]), [
+        ['startTag', 'script'],
+        ['text', 'if (a < b) { x = "</p><img src=x>"; }'],
+        ['endTag', 'script'],
+        ['startTag', 'b']
+    ]);
+    // Not closed by a longer tag name, and the content is not entity-decoded
+    const [, text] = tokenizeHtml('<title>&lt;/titlex><img></title>');
+    assert.equal(text.value, '&lt;/titlex><img>');
+});
+
+test('comments, bogus comments and lone angle brackets', () => {
+    const tokens = tokenizeHtml('a < b <!-- <img src=x onerror=y> --> <!DOCTYPE html></ 1><?php x ?>');
+    assert.deepEqual(tokens.map(token => token.type), ['text', 'comment', 'text', 'comment', 'comment', 'comment']);
+    assert.equal(tokens[0].value, 'a < b ');
+    assert.equal(tokens[1].value, ' <img src=x onerror=y> ');
+
+    const [unclosed] = tokenizeHtml('<!-- <script>alert(1)</script>');
+    assert.equal(unclosed.type, 'comment');
+});
+
+test('unterminated tags and attributes run to the end of the input', () => {
+    const [tag] = tokenizeHtml('<img src="x onerror=alert(1)>');
+    assert.deepEqual(tag.attributes.map(attr => [attr.name, attr.value]), [['src', 'x onerror=alert(1)>']]);
+    assert.equal(tag.end, '<img src="x onerror=alert(1)>'.length);
+});
+
+test('parseHtml nests elements, drops unmatched end tags and closes open ones', () => {
+    const root = parseHtml('<div><p>a<br>b</span></p><img src=x><i>c');
+    const [div] = root.children;
+    assert.equal(div.name, 'div');
+    const [p, img, i] = div.children;
+    assert.deepEqual(p.children.map(node => node.name || node.value), ['a', 'br', 'b']);
+    assert.equal(img.children.length, 0);
+    assert.deepEqual(i.children.map(node => node.value), ['c']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeJs, findCalls } = require('../js_tokenizer');
+
+test('tokenizeJs splits identifiers, strings, numbers and punctuators and drops comments', () => {
+    const tokens = tokenizeJs('a.b("x\\"y", 1.5) // trailing\n/* block */ `t`');
+    assert.deepEqual(tokens.map(token => [token.type, token.value]), [
+        ['identifier', 'a'], ['punctuator', '.'], ['identifier', 'b'], ['punctuator', '('],
+        ['string', 'x"y'], ['punctuator', ','], ['number', '1.5'], ['punctuator', ')'], ['template', 't']
+    ]);
+});
+
+test('tokenizeJs never throws on broken input', () => {
+    assert.deepEqual(tokenizeJs("alert('unterminated").map(token => token.type), ['identifier', 'punctuator', 'string']);
+    assert.deepEqual(tokenizeJs('x /* open comment'), [{ type: 'identifier', value: 'x', start: 0, end: 1 }]);
+    assert.deepEqual(tokenizeJs('<!-- html comment\ny').map(token => token.value), ['y']);
+});
+
+test('findCalls sees plain, member, bracket, new and tagged calls', () => {
+    const calls = findCalls(tokenizeJs('alert(1); document.write(x); window["eval"](y); new Function("z"); alert`1`'));
+    assert.deepEqual(calls.map(call => [call.name, call.object, call.tagged]), [
+        ['alert', null, false],
+        ['write', 'document', false],
+        ['eval', 'window', false],
+        ['Function', null, false],
+        ['alert', null, true]
+    ]);
+    assert.equal(calls[3].argument.type, 'string');
+});
+
+test('findCalls skips keywords and function declarations', () => {
+    assert.deepEqual(findCalls(tokenizeJs('if (a) { function f(b) {} } while (c) typeof (d)')), []);
+});
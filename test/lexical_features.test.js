@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, fitLexical, transformLexical, lexicalFeatureNames } = require('../lexical_features');
+const { toSamples, trainModel } = require('../ml_model');
+
+const TEXTS = ['<video src=x onanimationstart=alert(1)>', '<iframe srcdoc="<script>alert(1)</script>">',
+    '<a href="javascript:alert(document.cookie)">x</a>', 'hello world', 'price < 100', 'see you at 5'];
+
+test('tokenize finds tags, attributes inside tags, schemes and JS identifiers', () => {
+    assert.deepEqual(tokenize('<video src=x onanimationstart=alert(1)>'),
+        ['tag:video', 'attr:src', 'attr:onanimationstart', 'js:alert']);
+    assert.deepEqual(tokenize('<a href="javascript:document.cookie">'), ['tag:a', 'attr:href', 'scheme:javascript', 'js:cookie']);
+    // Attribute-like words outside a tag are not attributes
+    assert.deepEqual(tokenize('width = 3'), []);
+});
+
+test('fitLexical keeps tokens seen in enough texts, most frequent first', () => {
+    const state = fitLexical(TEXTS, { buckets: 32, maxTokens: 3 });
+    assert.equal(state.buckets, 32);
+    assert.equal(state.gramIdf.length, 32);
+    // js:alert is in three texts; tag:script and scheme:javascript only once
+    assert.equal(state.vocabulary[0], 'js:alert');
+    assert.ok(state.vocabulary.length <= 3);
+    assert.ok(!state.vocabulary.includes('scheme:javascript'));
+    assert.equal(state.tokenIdf.length, state.vocabulary.length);
+    assert.deepEqual(lexicalFeatureNames(state).slice(-state.vocabulary.length), state.vocabulary);
+});
+
+test('transformLexical gives L2-normalized parts on the canonical input', () => {
+    const state = fitLexical(TEXTS, { buckets: 32, minDocumentFrequency: 1 });
+    const row = transformLexical(state, '<VIDEO src=x onanimationstart=alert(1)>');
+    assert.equal(row.length, 32 + state.vocabulary.length);
+    const norm = values => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+    assert.ok(Math.abs(norm(row.slice(0, 32)) - 1) < 1e-12);
+    assert.ok(Math.abs(norm(row.slice(32)) - 1) < 1e-12);
+    assert.ok(row[32 + state.vocabulary.indexOf('tag:video')] > 0);
+
+    // Encoded input lands on the same columns as the decoded one
+    assert.deepEqual(transformLexical(state, '%3Cvideo src=x onanimationstart=alert(1)%3E'), row);
+    // No tokens: the token part stays zero rather than dividing by zero
+    assert.ok(transformLexical(state, 'plain').slice(32).every(value => value === 0));
+});
+
+test('trainModel fits the lexical block unless it is turned off', () => {
+    const samples = toSamples(TEXTS);
+    const labels = [1, 1, 1, 0, 0, 0];
+    const model = trainModel(samples, labels, {}, 'logistic-regression', { buckets: 16, minDocumentFrequency: 1 });
+    assert.equal(model.lexical.buckets, 16);
+    // predictProbability takes plain samples and appends the lexical columns itself
+    assert.equal(model.predictProbability(samples).length, samples.length);
+
+    assert.equal(trainModel(samples, labels, {}, 'logistic-regression', null).lexical, null);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toSamples, trainModel } = require('../ml_model');
+const { describeSchema } = require('../feature_schema');
+
+// A fresh database and last-run file for this file, chosen before the modules are loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-live-evaluation-'));
+process.env.XSS_DB_PATH = path.join(dir, 'test.db');
+process.env.XSS_LIVE_EVALUATION_PATH = path.join(dir, 'live_evaluation.json');
+const { initDatabase, saveDetectionResult } = require('../database');
+const { startEvaluation, cancelEvaluation, evaluationStatus } = require('../live_evaluation');
+
+const MALICIOUS = ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '<svg onload=alert(1)>',
+    '<iframe src="javascript:alert(1)">', '<body onload=eval(name)>', '"><script>document.cookie</script>'];
+const CLEAN = ['hello world', 'search for shoes', 'price < 100', 'a = b + c', 'O\'Reilly books', 'see you at 5'];
+const modelPath = path.join(dir, 'model.json');
+
+let db;
+
+test.before(async () => {
+    db = await initDatabase();
+    for (const input of [...MALICIOUS, ...CLEAN]) {
+        const malicious = MALICIOUS.includes(input);
+        await saveDetectionResult(db, {
+            rawInput: input, processedInput: input, mode: malicious ? 'api' : 'batch', encodingApplied: false, attackPatterns: {},
+            attackScore: 0, isMalicious: malicious, inputLength: input.length, encodedLength: input.length,
+            groundTruth: malicious ? 'malicious' : 'clean'
+        });
+    }
+    // The model file as saveModel writes it, without touching the project's model
+    const inputs = [...MALICIOUS, ...CLEAN];
+    const model = trainModel(toSamples(inputs), inputs.map(input => (MALICIOUS.includes(input) ? 1 : 0)), {}, 'logistic-regression');
+    fs.writeFileSync(modelPath, JSON.stringify({
+        backend: model.backend,
+        model: model.toJSON(),
+        featureCount: model.featureCount,
+        featureSchema: describeSchema(model.featureCount),
+        hyperparameters: model.hyperparameters,
+        lexical: model.lexical
+    }));
+});
+
+test.after(async () => {
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Poll until no evaluation is running
+async function settled() {
+    for (let attempt = 0; attempt < 600; attempt++) {
+        const status = evaluationStatus();
+        if (!status.running) return status;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('The live evaluation did not finish');
+}
+
+test('a cancelled evaluation stops its worker and keeps no result', async () => {
+    assert.equal(cancelEvaluation(), false);
+    const started = startEvaluation({ dbPath: process.env.XSS_DB_PATH, modelPath, modelVersion: 'v1', k: 0 });
+    assert.equal(started.running.modelVersion, 'v1');
+    assert.throws(() => startEvaluation({ dbPath: process.env.XSS_DB_PATH, modelPath, modelVersion: 'v1' }), /already running/);
+
+    assert.equal(cancelEvaluation(), true);
+    const status = await settled();
+    assert.equal(status.lastFailure.cancelled, true);
+    assert.equal(status.lastRun, null);
+    assert.ok(!fs.existsSync(process.env.XSS_LIVE_EVALUATION_PATH));
+});
+
+test('a failing evaluation reports its error', async () => {
+    startEvaluation({ dbPath: process.env.XSS_DB_PATH, modelPath: path.join(dir, 'missing.json'), modelVersion: 'v0' });
+    const status = await settled();
+    assert.equal(status.lastFailure.cancelled, false);
+    assert.match(status.lastFailure.error, /No model could be loaded/);
+});
+
+test('a completed evaluation scores every labeled scan, with seeded k-fold, and is saved', async () => {
+    startEvaluation({ dbPath: process.env.XSS_DB_PATH, modelPath, modelVersion: 'v1', k: 2 });
+    const { lastRun, lastFailure } = await settled();
+    assert.equal(lastFailure, null);
+    assert.equal(lastRun.modelVersion, 'v1');
+    assert.equal(lastRun.labeledSamples, 12);
+    assert.equal(lastRun.live.total_labeled, 12);
+    assert.deepEqual(Object.keys(lastRun.perSource), ['api', 'batch']);
+    assert.equal(lastRun.kFold.k, 2);
+    assert.equal(lastRun.kFold.seed, 42);
+    assert.deepEqual(JSON.parse(fs.readFileSync(process.env.XSS_LIVE_EVALUATION_PATH, 'utf8')), lastRun);
+});
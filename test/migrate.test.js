@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { loadMigrations, migrationStatus, migrateUp, migrateDown, backupPath, pruneBackups } = require('../migrate');
+
+function openDatabase(file = ':memory:') {
+    return new sqlite3.Database(file);
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function close(db) {
+    return new Promise(resolve => db.close(() => resolve()));
+}
+
+async function tables(db) {
+    const rows = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return rows.map(row => row.name);
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-migrate-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('every migration applies, reapplying is a no-op, and all of them revert', async () => {
+    const db = openDatabase();
+    const migrations = loadMigrations();
+    try {
+        const applied = await migrateUp(db);
+        assert.deepEqual(applied.map(m => m.version), migrations.map(m => m.version));
+        assert.ok((await migrationStatus(db)).every(entry => entry.applied));
+        assert.ok((await tables(db)).includes('detection_results'));
+        assert.deepEqual(await migrateUp(db), []);
+
+        const latest = await migrateDown(db);
+        assert.deepEqual(latest.map(m => m.version), [migrations[migrations.length - 1].version]);
+        assert.equal((await migrationStatus(db)).filter(entry => !entry.applied).length, 1);
+
+        const reverted = await migrateDown(db, { target: 0 });
+        assert.deepEqual(reverted.map(m => m.version), migrations.slice(0, -1).map(m => m.version).reverse());
+        assert.deepEqual(await tables(db), ['schema_migrations']);
+
+        // And back up again from nothing
+        assert.equal((await migrateUp(db)).length, migrations.length);
+    } finally {
+        await close(db);
+    }
+});
+
+test('migrateUp and migrateDown stop at the target version', async () => {
+    const db = openDatabase();
+    try {
+        assert.deepEqual((await migrateUp(db, { target: 2 })).map(m => m.version), [1, 2]);
+        assert.deepEqual((await migrationStatus(db)).filter(entry => entry.applied).map(entry => entry.version), [1, 2]);
+        assert.deepEqual((await migrateUp(db, { target: 4 })).map(m => m.version), [3, 4]);
+        assert.deepEqual((await migrateDown(db, { target: 1 })).map(m => m.version), [4, 3, 2]);
+    } finally {
+        await close(db);
+    }
+});
+
+test('a database from before migrations keeps its rows and gains the new columns', async () => {
+    const db = openDatabase();
+    try {
+        await exec(db, `
+            CREATE TABLE detection_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, raw_input TEXT NOT NULL, processed_input TEXT,
+                mode TEXT NOT NULL, is_malicious INTEGER NOT NULL, attack_score INTEGER NOT NULL,
+                attack_patterns TEXT, encoding_applied INTEGER NOT NULL, input_length INTEGER,
+                encoded_length INTEGER, timestamp DATETIME DEFAULT CURRENT_TIMESTAMP, ground_truth TEXT
+            );
+            INSERT INTO detection_results (raw_input, mode, is_malicious, attack_score, encoding_applied, ground_truth)
+            VALUES ('<script>', 'vulnerable', 1, 5, 0, 'malicious');
+        `);
+        await migrateUp(db);
+        const rows = await all(db, 'SELECT raw_input, ground_truth, model_version FROM detection_results');
+        assert.deepEqual(rows, [{ raw_input: '<script>', ground_truth: 'malicious', model_version: null }]);
+    } finally {
+        await close(db);
+    }
+});
+
+test('a failing migration is rolled back and not recorded', async () => {
+    const db = openDatabase();
+    const migrations = [
+        { version: 1, name: 'first', up: ctx => ctx.run('CREATE TABLE first (x)'), down: ctx => ctx.run('DROP TABLE first') },
+        {
+            version: 2,
+            name: 'broken',
+            async up(ctx) {
+                await ctx.run('CREATE TABLE second (x)');
+                throw new Error('boom');
+            },
+            down: ctx => ctx.run('DROP TABLE second')
+        }
+    ];
+    try {
+        await assert.rejects(migrateUp(db, { migrations }), /boom/);
+        assert.deepEqual(await tables(db), ['first', 'schema_migrations']);
+        const status = await migrationStatus(db, migrations);
+        assert.deepEqual(status.map(entry => [entry.version, entry.applied]), [[1, true], [2, false]]);
+    } finally {
+        await close(db);
+    }
+});
+
+test('migrateDown refuses to revert a migration whose file is missing', async () => {
+    const db = openDatabase();
+    try {
+        await migrateUp(db, { target: 1 });
+        await assert.rejects(migrateDown(db, { migrations: [] }), /Migration 1 is applied but its file is missing/);
+    } finally {
+        await close(db);
+    }
+});
+
+test('a database with tables is backed up before migrating, an empty one is not', async (t) => {
+    const dir = tempDir(t);
+    const backups = path.join(dir, 'backups');
+
+    const empty = openDatabase(path.join(dir, 'empty.db'));
+    await migrateUp(empty, { backupPath: backupPath(path.join(dir, 'empty.db'), backups) });
+    await close(empty);
+    assert.equal(fs.existsSync(backups), false);
+
+    const dbPath = path.join(dir, 'scans.db');
+    const db = openDatabase(dbPath);
+    try {
+        await migrateUp(db, { target: 1 });
+        await exec(db, "INSERT INTO detection_results (raw_input, mode, is_malicious, attack_score, encoding_applied) VALUES ('x', 'api', 0, 0, 0)");
+        const file = backupPath(dbPath, backups);
+        assert.equal(path.dirname(file), backups);
+        assert.match(path.basename(file), /^scans\.db\.backup\.\d+$/);
+
+        await migrateUp(db, { backupPath: file });
+        const copy = openDatabase(file);
+        try {
+            assert.deepEqual(await all(copy, 'SELECT raw_input FROM detection_results'), [{ raw_input: 'x' }]);
+            assert.deepEqual((await all(copy, 'SELECT version FROM schema_migrations')).map(row => row.version), [1]);
+        } finally {
+            await close(copy);
+        }
+    } finally {
+        await close(db);
+    }
+});
+
+test('pruneBackups keeps the newest backups of the same database only', (t) => {
+    const dir = tempDir(t);
+    const names = [1, 2, 3, 10, 20].map(stamp => `scans.db.backup.${stamp}`)
+        .concat(['other.db.backup.1', 'scans.db.backup.notes', 'scans.db']);
+    names.forEach(name => fs.writeFileSync(path.join(dir, name), ''));
+
+    const deleted = pruneBackups(path.join(dir, 'scans.db.backup.20'), 2);
+    assert.deepEqual(deleted.map(file => path.basename(file)).sort(), ['scans.db.backup.1', 'scans.db.backup.2', 'scans.db.backup.3']);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['other.db.backup.1', 'scans.db', 'scans.db.backup.10', 'scans.db.backup.20', 'scans.db.backup.notes']);
+});
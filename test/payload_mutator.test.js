@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('../random');
+const { FAMILIES, mutatePayloads, measureRobustness } = require('../payload_mutator');
+
+const SEEDS = ['<img src=x onerror=alert(1)>', '<script>alert(document.cookie)</script>', '<a href="javascript:alert(1)">x</a>'];
+
+test('mutatePayloads is reproducible from the seed and never returns the payload itself', () => {
+    const first = mutatePayloads(SEEDS, createRandom(5));
+    assert.deepEqual(mutatePayloads(SEEDS, createRandom(5)), first);
+    assert.ok(first.length > SEEDS.length);
+    assert.ok(first.every(entry => entry.mutant !== entry.seed && FAMILIES.includes(entry.family)));
+});
+
+test('measureRobustness only mutates flagged seeds and adds up per family', () => {
+    const { report, mutants } = measureRobustness(null, [...SEEDS, 'hello world'], createRandom(5));
+    assert.equal(report.modelUsed, false);
+    assert.equal(report.seedsFlagged, 3);
+    assert.deepEqual(report.seedsMissed, ['hello world']);
+    assert.equal(report.mutants, mutants.length);
+    assert.equal(Object.values(report.families).reduce((sum, family) => sum + family.mutants, 0), mutants.length);
+    assert.equal(report.flagged, mutants.filter(entry => entry.flagged).length);
+});
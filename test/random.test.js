@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, shuffleInPlace } = require('../random');
+
+function draws(random, count) {
+    return Array.from({ length: count }, () => random());
+}
+
+test('createRandom repeats its sequence for the same seed', () => {
+    assert.deepEqual(draws(createRandom(42), 5), draws(createRandom(42), 5));
+    assert.notDeepEqual(draws(createRandom(42), 5), draws(createRandom(43), 5));
+    assert.ok(draws(createRandom(7), 1000).every(value => value >= 0 && value < 1));
+});
+
+test('shuffleInPlace permutes the array in place, reproducibly', () => {
+    const array = Array.from({ length: 20 }, (_, i) => i);
+    const shuffled = shuffleInPlace(array, createRandom(1));
+    assert.equal(shuffled, array);
+    assert.deepEqual([...shuffled].sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i));
+    assert.deepEqual(shuffleInPlace(Array.from({ length: 20 }, (_, i) => i), createRandom(1)), shuffled);
+});
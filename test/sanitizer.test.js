@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml } = require('../sanitizer');
+
+// Markers of executable content that must never survive sanitizing
+const DANGEROUS = /<script|<iframe|<svg|<style|<object|<embed|\son\w+\s*=|javascript:|vbscript:|data:/i;
+
+test('keeps allowlisted markup and encodes text', () => {
+    const { html, removed } = sanitizeHtml('<p>Hi <b>there</b> &amp; <a href="https://example.com" title="t">x</a></p>');
+    assert.equal(html, '<p>Hi <b>there</b> &amp; <a href="https://example.com" title="t">x</a></p>');
+    assert.deepEqual(removed, []);
+});
+
+test('removes scripts and executable containers with their content', () => {
+    const { html, removed } = sanitizeHtml('a<script>alert(1)</script>b<iframe src=x>c</iframe><svg onload=alert(1)><script>x</script></svg>');
+    assert.equal(html, 'ab');
+    assert.deepEqual(removed.map(item => item.name), ['script', 'iframe', 'svg']);
+});
+
+test('unwraps other disallowed elements but keeps their text', () => {
+    assert.equal(sanitizeHtml('<form action="javascript:x"><em>hi</em></form>').html, '<em>hi</em>');
+    assert.equal(sanitizeHtml('<marquee onstart=alert(1)>x</marquee>').html, 'x');
+});
+
+test('drops event handlers and attributes outside the allowlist', () => {
+    const { html, removed } = sanitizeHtml('<img src=x onerror=alert(1) style="x:expression(alert(1))" ONLOAD=y>');
+    assert.equal(html, '<img src="x">');
+    assert.deepEqual(removed.map(item => item.reason), [
+        'event handler attribute', 'attribute not in allowlist', 'event handler attribute'
+    ]);
+});
+
+test('blocks dangerous URL schemes however they are disguised', () => {
+    const payloads = [
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="JaVaScRiPt:alert(1)">x</a>',
+        '<a href=" javascript:alert(1)">x</a>',
+        '<a href="java\tscript:alert(1)">x</a>',
+        '<a href="java&#x09;script:alert(1)">x</a>',
+        '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+        '<a href="&#x6A&#x61&#x76&#x61&#x73&#x63&#x72&#x69&#x70&#x74&#x3A;alert(1)">x</a>',
+        '<a href="javascript&colon;alert(1)">x</a>',
+        '<a href="\u0001javascript:alert(1)">x</a>',
+        '<img src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">',
+        '<a href="vbscript:msgbox(1)">x</a>'
+    ];
+    payloads.forEach(payload => {
+        const { html } = sanitizeHtml(payload);
+        assert.doesNotMatch(html, /href=|src=/, payload);
+    });
+    assert.equal(sanitizeHtml('<a href="/relative?a=1">x</a>').html, '<a href="/relative?a&#61;1">x</a>');
+});
+
+test('known parser-confusion payloads come out inert', () => {
+    const payloads = [
+        '<scr<script>ipt>alert(1)</script>',
+        '<<script>script>alert(1)<</script>/script>',
+        '<img src="x" alt="</p><script>alert(1)</script>">',
+        '<p title="a" title="b" onmouseover=alert(1)>x</p>',
+        '<img/src=x/onerror=alert(1)>',
+        '<img src=`x` onerror=alert(1)>',
+        '<!--><script>alert(1)</script>-->',
+        '<![CDATA[<script>alert(1)</script>]]>',
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        '<style><img src=x onerror=alert(1)></style>',
+        '<textarea></textarea><script>alert(1)</script>',
+        '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+        '<a href="https://ok"><script>alert(1)</script></a>',
+        '<img src=x onerror=alert(1)//'
+    ];
+    payloads.forEach(payload => {
+        const { html } = sanitizeHtml(payload);
+        assert.doesNotMatch(html, DANGEROUS, `${payload} -> ${html}`);
+    });
+});
+
+test('attribute values cannot break out of their quotes', () => {
+    const { html } = sanitizeHtml('<a title=\'x" onclick="alert(1)\' href="https://e.com/?q=&quot;&gt;">y</a>');
+    assert.equal(html, '<a title="x&quot; onclick&#61;&quot;alert(1)" href="https://e.com/?q&#61;&quot;&gt;">y</a>');
+});
+
+test('comments are removed unless the policy allows them, and cannot be closed early', () => {
+    assert.equal(sanitizeHtml('a<!-- x -->b').html, 'ab');
+    assert.equal(sanitizeHtml('a<!-- x -- y -->b', { allowComments: true }).html, 'a<!-- x - - y -->b');
+});
+
+test('policy overrides replace the defaults', () => {
+    assert.equal(sanitizeHtml('<a href="mailto:a@b">x</a>', { allowedSchemes: ['https'] }).html, '<a>x</a>');
+    assert.equal(sanitizeHtml('<p><b>x</b></p>', { allowedTags: ['b'] }).html, '<b>x</b>');
+});
@@ -0,0 +1,267 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh database for this file, chosen before database.js is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-server-'));
+process.env.XSS_DB_PATH = path.join(dir, 'test.db');
+// Labels exported after each label change; its directory does not exist yet
+const reviewedPath = path.join(dir, 'dataset', 'reviewed_scans.jsonl');
+process.env.XSS_REVIEWED_DATASET_PATH = reviewedPath;
+const { app, databaseReady } = require('../server');
+
+let server;
+let baseUrl;
+let db;
+
+test.before(async () => {
+    db = await databaseReady;
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function post(url, body, headers = {}) {
+    return fetch(baseUrl + url, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+// Scans are saved after the response is sent: poll until `check` returns something
+async function eventually(check) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for the database');
+}
+
+test('POST /api/scan returns a verdict and logs the scan', async () => {
+    const response = await post('/api/scan', { input: '<img src=x onerror=alert(1)>', groundTruth: 'malicious', context: 'html' });
+    assert.equal(response.status, 200);
+    const verdict = await response.json();
+    assert.equal(verdict.isMalicious, true);
+    assert.ok(verdict.attackScore > 0);
+    assert.equal(verdict.attackPatterns.onerror, true);
+    assert.equal(verdict.groundTruth, 'malicious');
+    assert.equal(verdict.context, 'html');
+    assert.equal(verdict.inputLength, 28);
+
+    const rows = await eventually(async () => {
+        const found = await all("SELECT mode, is_malicious, ground_truth FROM detection_results WHERE raw_input = ?", ['<img src=x onerror=alert(1)>']);
+        return found.length > 0 && found;
+    });
+    assert.deepEqual(rows, [{ mode: 'api', is_malicious: 1, ground_truth: 'malicious' }]);
+});
+
+test('POST /api/scan passes harmless input', async () => {
+    const verdict = await (await post('/api/scan', { input: 'hello world' })).json();
+    assert.equal(verdict.isMalicious, false);
+    assert.equal(verdict.groundTruth, null);
+});
+
+test('POST /api/scan rejects a missing input or an unknown label', async () => {
+    const missing = await post('/api/scan', { text: 'x' });
+    assert.equal(missing.status, 400);
+    assert.match((await missing.json()).error, /"input" as a string/);
+
+    const label = await post('/api/scan', { input: 'x', groundTruth: 'bad' });
+    assert.equal(label.status, 400);
+    assert.match((await label.json()).error, /"groundTruth" must be "malicious" or "clean"/);
+});
+
+// Parse an NDJSON response body into its objects
+async function ndjson(response) {
+    return (await response.text()).split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('POST /api/scan/batch streams one NDJSON line per item of a JSON array', async () => {
+    const response = await post('/api/scan/batch', ['<script>alert(1)</script>', { input: 'plain text' }]);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+    assert.equal(response.headers.get('x-batch-size'), '2');
+    const lines = await ndjson(response);
+    assert.deepEqual(lines.map(line => [line.index, line.isMalicious]), [[0, true], [1, false]]);
+});
+
+test('POST /api/scan/batch numbers items across chunks', async () => {
+    const inputs = Array.from({ length: 1201 }, (_, i) => `item ${i}`);
+    const lines = await ndjson(await post('/api/scan/batch', { inputs }));
+    assert.equal(lines.length, 1201);
+    assert.deepEqual(lines.map(line => line.index), inputs.map((_, i) => i));
+});
+
+test('POST /api/scan/batch accepts NDJSON uploads', async () => {
+    const body = '{"input":"<svg onload=alert(1)>"}\n\n"hello"\r\n';
+    const lines = await ndjson(await post('/api/scan/batch', body, { 'Content-Type': 'application/x-ndjson' }));
+    assert.deepEqual(lines.map(line => line.isMalicious), [true, false]);
+});
+
+test('POST /api/scan/batch rejects the whole batch when one item is invalid', async () => {
+    const cases = [
+        [['ok', 42], /Item 1 must be a string or an object with an "input" string/],
+        [[{ input: 'ok', groundTruth: 'bad' }], /Item 0: "groundTruth" must be "malicious" or "clean"/],
+        [{ text: 'x' }, /Expected a JSON array/]
+    ];
+    for (const [body, message] of cases) {
+        const response = await post('/api/scan/batch', body);
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, message);
+    }
+
+    const badLine = await post('/api/scan/batch', '"ok"\n{not json}\n', { 'Content-Type': 'application/x-ndjson' });
+    assert.equal(badLine.status, 400);
+    assert.match((await badLine.json()).error, /Invalid JSON on NDJSON line 2/);
+});
+
+test('POST /api/scan/batch enforces the item and body size limits', async () => {
+    const tooMany = await post('/api/scan/batch', new Array(10001).fill('x'));
+    assert.equal(tooMany.status, 413);
+    assert.match((await tooMany.json()).error, /Batch too large: 10001 items \(max 10000\)/);
+
+    const tooLarge = await post('/api/scan/batch', ['x'.repeat(26 * 1024 * 1024)]);
+    assert.equal(tooLarge.status, 413);
+});
+
+test('POST /api/scan/batch?save=true saves every item in one go and reports it', async () => {
+    const marker = `batch-save-${Date.now()}`;
+    const lines = await ndjson(await post('/api/scan/batch?save=true', [
+        { input: `${marker} <script>alert(1)</script>`, groundTruth: 'malicious' },
+        `${marker} plain`
+    ]));
+    assert.equal(lines.length, 3);
+    assert.deepEqual(lines[2], { saved: 2 });
+
+    const rows = await all('SELECT mode, is_malicious, ground_truth FROM detection_results WHERE raw_input LIKE ? ORDER BY id', [`${marker}%`]);
+    assert.deepEqual(rows, [
+        { mode: 'batch', is_malicious: 1, ground_truth: 'malicious' },
+        { mode: 'batch', is_malicious: 0, ground_truth: null }
+    ]);
+});
+
+test('POST /api/scan/batch?explain=true adds each item\'s explanation', async () => {
+    const lines = await ndjson(await post('/api/scan/batch?explain=true', ['<img src=x onerror=alert(1)>']));
+    assert.ok(lines[0].explanation.spans.raw.some(span => span.feature === 'onerror'));
+    const plain = await ndjson(await post('/api/scan/batch', ['x']));
+    assert.equal(plain[0].explanation, undefined);
+});
+
+test('GET /api/metrics/timeseries validates its filters and counts today\'s scans', async () => {
+    const bad = await fetch(`${baseUrl}/api/metrics/timeseries?bucket=month`);
+    assert.equal(bad.status, 400);
+    assert.match((await bad.json()).error, /"bucket" must be one of hour, day, week/);
+    assert.equal((await fetch(`${baseUrl}/api/metrics/timeseries?from=yesterday`)).status, 400);
+
+    await post('/api/scan/batch?save=true', ['<script>alert(1)</script>', 'plain']).then(ndjson);
+    const today = new Date().toISOString().substring(0, 10);
+    const response = await fetch(`${baseUrl}/api/metrics/timeseries?mode=batch&from=${today}&to=${today}`);
+    assert.equal(response.status, 200);
+    const { bucket, series } = await response.json();
+    assert.equal(bucket, 'day');
+    assert.equal(series.length, 1);
+    assert.equal(series[0].bucket, today);
+    assert.ok(series[0].scans >= 2 && series[0].detections >= 1);
+});
+
+// Scan row inserted directly, for the labeling tests; resolves to its id
+function insertScan(rawInput, groundTruth = null) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT INTO detection_results (raw_input, mode, is_malicious, attack_score, encoding_applied, ground_truth)
+                VALUES (?, 'api', 0, 0, 0, ?)`, [rawInput, groundTruth], function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+        });
+    });
+}
+
+// Run `work` with admin tokens configured (requireAdmin reads them on every request)
+async function withAdminTokens(tokens, work) {
+    const saved = process.env.ADMIN_TOKENS;
+    process.env.ADMIN_TOKENS = tokens;
+    try {
+        await work();
+    } finally {
+        if (saved === undefined) delete process.env.ADMIN_TOKENS;
+        else process.env.ADMIN_TOKENS = saved;
+    }
+}
+
+test('POST /api/results/label needs an admin token and audits each changed scan under its identity', async () => {
+    const unlabeled = await insertScan('label-api <b>a</b>');
+    const clean = await insertScan('label-api <b>b</b>', 'clean');
+
+    await withAdminTokens('alice:token-alice,bob:token-bob', async () => {
+        const body = { ids: [unlabeled, clean], label: 'clean' };
+        assert.equal((await post('/api/results/label', body)).status, 401);
+        assert.equal((await post('/api/results/label', body, { 'X-Admin-Token': 'token-eve' })).status, 401);
+        assert.equal((await all('SELECT * FROM label_changes WHERE result_id IN (?, ?)', [unlabeled, clean])).length, 0);
+
+        const response = await post('/api/results/label', body, { 'X-Admin-Token': 'token-bob' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { label: 'clean', requested: 2, changed: 1 });
+    });
+
+    // The scan that already had the label gets no audit row
+    const changes = await all('SELECT result_id, old_label, new_label, changed_by FROM label_changes WHERE result_id IN (?, ?)', [unlabeled, clean]);
+    assert.deepEqual(changes, [{ result_id: unlabeled, old_label: null, new_label: 'clean', changed_by: 'bob' }]);
+});
+
+test('POST /history/label needs an admin token and audits each changed scan', async () => {
+    const ids = [await insertScan('label-form <b>a</b>'), await insertScan('label-form <b>b</b>')];
+    const form = new URLSearchParams([['label', 'malicious'], ['ids', String(ids[0])], ['ids', String(ids[1])], ['returnTo', 'q=label-form']]);
+    const send = headers => fetch(`${baseUrl}/history/label`, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: Object.assign({ 'Content-Type': 'application/x-www-form-urlencoded' }, headers),
+        body: form.toString()
+    });
+
+    await withAdminTokens('alice:token-alice', async () => {
+        assert.equal((await send({})).status, 401);
+        const response = await send({ 'X-Admin-Token': 'token-alice' });
+        assert.equal(response.status, 303);
+        assert.match(response.headers.get('location'), /^\/history\?q=label-form&labeled=2$/);
+    });
+
+    const changes = await all('SELECT result_id, new_label, changed_by FROM label_changes WHERE result_id IN (?, ?) ORDER BY id', ids);
+    assert.deepEqual(changes, ids.map(id => ({ result_id: id, new_label: 'malicious', changed_by: 'alice' })));
+    const rows = await all('SELECT ground_truth FROM detection_results WHERE id IN (?, ?)', ids);
+    assert.ok(rows.every(row => row.ground_truth === 'malicious'));
+});
+
+test('POST /api/review/label needs an admin token, labels the input and exports the confirmed labels', async () => {
+    const ids = [await insertScan('review-api <b>a</b>'), await insertScan('review-api <b>a</b>')];
+
+    await withAdminTokens('alice:token-alice', async () => {
+        const body = { id: ids[1], label: 'malicious' };
+        assert.equal((await post('/api/review/label', body)).status, 401);
+        assert.equal((await post('/api/review/label', { id: ids, label: 'malicious' }, { 'X-Admin-Token': 'token-alice' })).status, 400);
+
+        const response = await post('/api/review/label', body, { 'X-Admin-Token': 'token-alice' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { id: ids[1], label: 'malicious', changed: 2 });
+        assert.equal((await post('/api/review/label', { id: 999999, label: 'clean' }, { 'X-Admin-Token': 'token-alice' })).status, 404);
+    });
+
+    const changes = await all('SELECT result_id, new_label, changed_by FROM label_changes WHERE result_id IN (?, ?) ORDER BY result_id', ids);
+    assert.deepEqual(changes, ids.map(id => ({ result_id: id, new_label: 'malicious', changed_by: 'alice' })));
+    const exported = fs.readFileSync(reviewedPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(exported.filter(entry => entry.text.startsWith('review-api')), [{ text: 'review-api <b>a</b>', label: 'malicious' }]);
+});
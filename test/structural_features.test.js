@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeStructure } = require('../structural_features');
+const { FEATURES, FEATURE_NAMES } = require('../feature_schema');
+const { extractFeatures } = require('../ml_model');
+
+test('handlers count only as attributes of a parsed tag', () => {
+    const markup = analyzeStructure('<img src=x onerror="eval(atob(\'YQ==\'))">');
+    assert.equal(markup.elements, 1);
+    assert.equal(markup.handlerAttributes, 1);
+    assert.equal(markup.scriptContexts, 1);
+    assert.equal(markup.sinks.eval, 1);
+
+    const prose = analyzeStructure('chop the onion=2 cups and eval(taste)');
+    assert.equal(prose.elements, 0);
+    assert.equal(prose.handlerAttributes, 0);
+});
+
+test('dangerous elements, executable URLs and nested srcdoc', () => {
+    const analysis = analyzeStructure('<iframe srcdoc="<a href=&quot;javascript:document.write(1)&quot;>x</a>"></iframe>' +
+        '<object data="data:text/html;base64,PHNjcmlwdD4="></object><a href="https://example.com">ok</a>');
+    assert.equal(analysis.dangerousElements, 2);
+    assert.equal(analysis.executableUrlAttributes, 2);
+    // The javascript: URL is script; the data: document is not read as script
+    assert.equal(analysis.scriptContexts, 1);
+    assert.equal(analysis.sinks.documentWrite, 1);
+});
+
+test('sinks in script bodies: string timers and the Function constructor, not plain calls', () => {
+    const { sinks } = analyzeStructure('<script>setTimeout("alert(1)", 0); setTimeout(run, 0); new Function("x")(); alert(1)</script>');
+    assert.deepEqual(sinks, { eval: 0, functionConstructor: 1, stringTimer: 1, documentWrite: 0 });
+});
+
+test('text without markup is read as script, also after the quote it breaks out of', () => {
+    assert.equal(analyzeStructure("';setTimeout('alert(1)')//").sinks.stringTimer, 1);
+    assert.equal(analyzeStructure('x`${eval(name)}`').sinks.eval, 1);
+});
+
+test('the structure group sits at the end of the feature vector', () => {
+    const first = FEATURE_NAMES.indexOf('structure.elements');
+    assert.ok(first > FEATURE_NAMES.indexOf('decodingSteps'));
+    assert.ok(FEATURES.slice(first).every(feature => feature.group === 'structure'));
+
+    // Computed on the canonical input, so encoding doesn't hide the handler
+    const features = extractFeatures('%3Csvg onload=alert(1)%3E');
+    assert.equal(features[FEATURE_NAMES.indexOf('structure.handlerAttributes')], 1);
+    assert.equal(features[FEATURE_NAMES.indexOf('structure.dangerousElements')], 1);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toSamples, trainModel } = require('../ml_model');
+const {
+    PROBE_INPUTS, buildManifest, checkDatasets, compareLibraries, compareProbes, countRecords, modelFingerprint, probePredictions, resolveSpec
+} = require('../training_manifest');
+
+const MALICIOUS = ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '<svg onload=alert(1)>',
+    '<iframe src="javascript:alert(1)">', '<body onload=eval(name)>', '"><script>document.cookie</script>'];
+const CLEAN = ['hello world', 'search for shoes', 'price < 100', 'a = b + c', 'O\'Reilly books', 'see you at 5'];
+
+function train() {
+    const inputs = [...MALICIOUS, ...CLEAN];
+    const labels = inputs.map(input => (MALICIOUS.includes(input) ? 1 : 0));
+    return trainModel(toSamples(inputs), labels, { seed: 7, nEstimators: 15, maxFeatures: 0.5, minNumSamples: 1 });
+}
+
+const METRICS = {
+    k: 2,
+    averageMetrics: {},
+    standardDeviation: {},
+    confusion: {},
+    calibration: { method: 'none', brierScore: null, operatingPoints: null }
+};
+
+test('countRecords counts labels overall and per source', () => {
+    const counts = countRecords([
+        { text: 'a', label: 1, source: 'x.csv' },
+        { text: 'b', label: 0, source: 'x.csv' },
+        { text: 'c', label: 1, source: 'y.jsonl' }
+    ]);
+    assert.deepEqual(counts, {
+        total: 3,
+        labels: { malicious: 2, clean: 1 },
+        sources: { 'x.csv': { malicious: 1, clean: 1 }, 'y.jsonl': { malicious: 1, clean: 0 } }
+    });
+});
+
+test('a manifest fingerprints its datasets and notices when they change or disappear', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-manifest-'));
+    try {
+        const file = path.join(dir, 'data.csv');
+        fs.writeFileSync(file, 'text,label\n<b>x</b>,clean\n');
+        const model = train();
+        const manifest = buildManifest({
+            command: 'train', startedAt: Date.now(), specs: [file], counts: null, settings: { seed: 7, lexical: {} }, model, metrics: METRICS
+        });
+        assert.equal(manifest.datasets.length, 1);
+        assert.equal(resolveSpec(manifest.datasets[0]), file);
+        assert.equal(manifest.datasets[0].bytes, fs.statSync(file).size);
+        assert.equal(manifest.probes.length, PROBE_INPUTS.length);
+        assert.deepEqual(checkDatasets(manifest), []);
+        assert.deepEqual(compareLibraries(manifest), []);
+
+        fs.appendFileSync(file, '<i>y</i>,clean\n');
+        assert.match(checkDatasets(manifest)[0], /SHA-256 [0-9a-f]{12} differs from the manifest's/);
+        fs.rmSync(file);
+        assert.match(checkDatasets(manifest)[0], /file not found/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the same data and seed reproduce the model; another seed does not', () => {
+    const model = train();
+    const again = train();
+    assert.equal(modelFingerprint(again), modelFingerprint(model));
+    assert.deepEqual(compareProbes(probePredictions(model), probePredictions(again)), []);
+
+    const inputs = [...MALICIOUS, ...CLEAN];
+    const other = trainModel(toSamples(inputs), inputs.map(input => (MALICIOUS.includes(input) ? 1 : 0)), { seed: 8, nEstimators: 15, maxFeatures: 0.5, minNumSamples: 1 });
+    assert.notEqual(modelFingerprint(other), modelFingerprint(model));
+
+    const probes = probePredictions(model);
+    const changed = probes.map((probe, i) => (i === 0 ? Object.assign({}, probe, { probability: probe.probability + 0.01 }) : probe));
+    assert.deepEqual(compareProbes(probes, changed), [{ input: probes[0].input, expected: probes[0].probability, actual: changed[0].probability }]);
+});
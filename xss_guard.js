@@ -0,0 +1,314 @@
+const { loadModel, predictSamples, toSamples, extractFeatures, CANONICAL_FEATURE_OFFSET } = require('./ml_model');
+const { sanitizeHtml } = require('./sanitizer');
+const { canonicalize } = require('./canonicalize');
+const { FEATURE_NAMES, ATTACK_PATTERN_FEATURES, ATTACK_PATTERN_NAMES } = require('./feature_schema');
+const { OPERATING_POINT_NAMES } = require('./calibration');
+
+// Request locations the guard knows how to walk
+const SOURCES = ['query', 'body', 'params', 'headers', 'cookies'];
+const MODES = ['block', 'flag', 'sanitize'];
+
+// Limits that keep a hostile request from making the walk itself expensive
+const MAX_DEPTH = 10;
+const MAX_LEAVES = 1000;
+
+// Model loaded from disk on first use, shared by every guard created without a `model` option
+let defaultModel;
+
+// Display patterns are the schema's attack-pattern features (binary),
+// set when the pattern appears in either the raw or the canonical (decoded) form
+function patternsFromFeatures(features) {
+    const patterns = {};
+    ATTACK_PATTERN_NAMES.forEach(name => {
+        const i = FEATURE_NAMES.indexOf(name);
+        patterns[name] = features[i] === 1 || features[CANONICAL_FEATURE_OFFSET + i] === 1;
+    });
+    return patterns;
+}
+
+// Pattern matching on a single form of the input, with the registry's extractors
+function matchFormPatterns(input) {
+    const patterns = {};
+    ATTACK_PATTERN_FEATURES.forEach(feature => {
+        patterns[feature.name] = feature.extract(input) === 1;
+    });
+    return patterns;
+}
+
+// Pattern matching used when no trained model is available (raw or canonical form)
+function matchPatterns(input) {
+    const raw = matchFormPatterns(input);
+    const canonical = matchFormPatterns(canonicalize(input).canonical);
+    const patterns = {};
+    ATTACK_PATTERN_NAMES.forEach(name => {
+        patterns[name] = raw[name] || canonical[name];
+    });
+    return patterns;
+}
+
+// Score a set of inputs as one feature matrix. With no model, falls back to pattern matching.
+// options: { operatingPoint } (see predictSamples in ml_model.js)
+// Returns [{ isMalicious, attackScore, mlPrediction, attackPatterns }] in input order.
+function scoreInputs(model, inputs, options = {}) {
+    if (!model) {
+        return inputs.map(input => {
+            const attackPatterns = matchPatterns(input);
+            const attackScore = Object.values(attackPatterns).filter(Boolean).length;
+            return {
+                isMalicious: attackScore > 0,
+                attackScore: attackScore,
+                mlPrediction: null,
+                attackPatterns: attackPatterns
+            };
+        });
+    }
+
+    const featureRows = inputs.map(input => extractFeatures(input));
+    const predictions = predictSamples(model, toSamples(inputs, featureRows), options);
+    return predictions.map((mlPrediction, i) => ({
+        isMalicious: mlPrediction.isMalicious,
+        attackScore: mlPrediction.isMalicious ? Math.round(mlPrediction.probability * 9) : 0,
+        mlPrediction: mlPrediction,
+        attackPatterns: patternsFromFeatures(featureRows[i])
+    }));
+}
+
+// Parse the Cookie header when cookie-parser isn't installed
+function parseCookieHeader(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    header.split(';').forEach(pair => {
+        const eq = pair.indexOf('=');
+        if (eq < 0) return;
+        const name = pair.substring(0, eq).trim();
+        const value = pair.substring(eq + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+// Cookie header for a cookies object, the inverse of parseCookieHeader
+function formatCookieHeader(cookies) {
+    return Object.keys(cookies)
+        .filter(name => typeof cookies[name] === 'string')
+        .map(name => `${name}=${encodeURIComponent(cookies[name])}`)
+        .join('; ');
+}
+
+// Collect every string leaf under `value` as { location, value, parent, key }
+function collectLeaves(value, location, parent, key, depth, leaves) {
+    if (leaves.length >= MAX_LEAVES || depth > MAX_DEPTH || value === null || value === undefined) {
+        return;
+    }
+    if (typeof value === 'string') {
+        leaves.push({ location, value, parent, key });
+    } else if (Array.isArray(value)) {
+        value.forEach((item, i) => collectLeaves(item, `${location}[${i}]`, value, i, depth + 1, leaves));
+    } else if (typeof value === 'object') {
+        Object.keys(value).forEach(k => collectLeaves(value[k], `${location}.${k}`, value, k, depth + 1, leaves));
+    }
+}
+
+// Does a route pattern (string prefix or RegExp) match the request path?
+function pathMatches(pattern, reqPath) {
+    if (pattern instanceof RegExp) {
+        return pattern.test(reqPath);
+    }
+    return reqPath === pattern || reqPath.startsWith(pattern.endsWith('/') ? pattern : pattern + '/');
+}
+
+/**
+ * Express middleware that scores every string in the request with the XSS model.
+ *
+ * Options:
+ *   model      classifier, or a function returning the current one (default: loadModel())
+ *   mode       'block' (403 on detection), 'flag' (annotate only) or 'sanitize' (run flagged values through sanitizeHtml)
+ *   sanitizePolicy  policy overrides for sanitizeHtml in 'sanitize' mode (see sanitizer.js)
+ *   operatingPoint  'strict', 'balanced' or 'lenient' (see calibration.js), or function(req) returning
+ *              one (undefined for the model's default); ignored by models saved without operating points
+ *   threshold  malicious-probability cut-off; overrides the operating point
+ *   sources    request locations to inspect (default: query, body, params, cookies). req.params is
+ *              only filled in once a route has matched, so mounted with app.use() the guard sees
+ *              no params; to inspect them, add the guard to the route: app.get('/item/:id', guard, handler)
+ *   headers    header names to inspect, e.g. ['referer', 'user-agent']; required when sources lists 'headers'
+ *   fields     only inspect these locations, e.g. ['query.q']
+ *   allowlist  [{ path: '/route' | RegExp, fields?: ['body.html'] }]; without fields the whole route is skipped
+ *   onReport   function(report, req) called whenever something is flagged
+ *
+ * The result is attached to req.xssGuard: { mode, threshold, operatingPoint, method, path, flagged,
+ * results, findings, modelUsed } (plus allowlisted: true, with nothing inspected, on an allowlisted route).
+ *
+ * In 'sanitize' mode flagged values are replaced where they were found. Flagged cookies are replaced
+ * in req.cookies, and req.headers.cookie is rewritten from them when the guard parsed the header
+ * itself; with cookie-parser, only req.cookies is changed (signed cookies are not inspected).
+ */
+function xssGuard(options = {}) {
+    const mode = options.mode || 'flag';
+    if (!MODES.includes(mode)) {
+        throw new Error(`xssGuard: unknown mode "${mode}" (expected ${MODES.join(', ')})`);
+    }
+    const threshold = options.threshold === undefined ? null : options.threshold;
+    if (threshold !== null && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+        throw new Error('xssGuard: threshold must be a number between 0 and 1');
+    }
+    if (typeof options.operatingPoint === 'string' && !OPERATING_POINT_NAMES.includes(options.operatingPoint)) {
+        throw new Error(`xssGuard: unknown operating point "${options.operatingPoint}" (expected ${OPERATING_POINT_NAMES.join(', ')})`);
+    }
+    const sources = options.sources || ['query', 'body', 'params', 'cookies'];
+    sources.forEach(source => {
+        if (!SOURCES.includes(source)) {
+            throw new Error(`xssGuard: unknown source "${source}" (expected ${SOURCES.join(', ')})`);
+        }
+    });
+    const headerNames = (options.headers || []).map(name => name.toLowerCase());
+    // There is no default header list: inspecting every header would flag ordinary browser traffic
+    if (sources.includes('headers') && headerNames.length === 0) {
+        throw new Error('xssGuard: the "headers" source needs a `headers` option naming the headers to inspect');
+    }
+    const fields = options.fields || null;
+    const allowlist = options.allowlist || [];
+    const onReport = options.onReport || null;
+    const sanitizePolicy = options.sanitizePolicy || {};
+
+    function getModel() {
+        if (typeof options.model === 'function') {
+            return options.model();
+        }
+        if (options.model !== undefined) {
+            return options.model;
+        }
+        if (defaultModel === undefined) {
+            defaultModel = loadModel();
+        }
+        return defaultModel;
+    }
+
+    return function xssGuardMiddleware(req, res, next) {
+        const operatingPoint = typeof options.operatingPoint === 'function'
+            ? options.operatingPoint(req)
+            : options.operatingPoint;
+
+        // Allowlisted routes (or fields on a route) are not inspected
+        const skippedFields = [];
+        for (const entry of allowlist) {
+            if (!pathMatches(entry.path, req.path)) continue;
+            if (!entry.fields) {
+                req.xssGuard = {
+                    mode: mode,
+                    threshold: threshold,
+                    operatingPoint: operatingPoint || null,
+                    method: req.method,
+                    path: req.path,
+                    flagged: false,
+                    results: [],
+                    findings: [],
+                    modelUsed: false,
+                    allowlisted: true
+                };
+                return next();
+            }
+            skippedFields.push(...entry.fields);
+        }
+
+        const leaves = [];
+        if (sources.includes('query')) collectLeaves(req.query, 'query', null, null, 0, leaves);
+        if (sources.includes('body')) collectLeaves(req.body, 'body', null, null, 0, leaves);
+        if (sources.includes('params')) collectLeaves(req.params, 'params', null, null, 0, leaves);
+        // Cookies parsed here (no cookie-parser) are kept so 'sanitize' can write them back
+        let parsedCookies = null;
+        if (sources.includes('cookies')) {
+            if (!req.cookies) {
+                parsedCookies = parseCookieHeader(req.headers.cookie);
+            }
+            collectLeaves(req.cookies || parsedCookies, 'cookies', null, null, 0, leaves);
+        }
+        headerNames.forEach(name => {
+            if (typeof req.headers[name] === 'string') {
+                leaves.push({ location: `headers.${name}`, value: req.headers[name], parent: req.headers, key: name });
+            }
+        });
+
+        const inspected = leaves.filter(leaf =>
+            (!fields || fields.includes(leaf.location)) && !skippedFields.includes(leaf.location)
+        );
+
+        const model = getModel();
+        const scores = scoreInputs(model, inspected.map(leaf => leaf.value), { operatingPoint });
+        const results = inspected.map((leaf, i) => {
+            const score = scores[i];
+            const flagged = threshold !== null && score.mlPrediction
+                ? score.mlPrediction.probability >= threshold
+                : score.isMalicious;
+            return {
+                location: leaf.location,
+                value: leaf.value,
+                isMalicious: flagged,
+                attackScore: score.attackScore,
+                attackPatterns: score.attackPatterns,
+                mlPrediction: score.mlPrediction
+            };
+        });
+        const findings = results.filter(result => result.isMalicious);
+
+        const report = {
+            mode: mode,
+            threshold: threshold,
+            operatingPoint: operatingPoint || null,
+            method: req.method,
+            path: req.path,
+            flagged: findings.length > 0,
+            results: results,
+            findings: findings,
+            modelUsed: !!model
+        };
+        req.xssGuard = report;
+
+        if (report.flagged && onReport) {
+            try {
+                onReport(report, req);
+            } catch (err) {
+                console.error('xssGuard onReport hook failed:', err);
+            }
+        }
+
+        if (!report.flagged) {
+            return next();
+        }
+
+        if (mode === 'block') {
+            // Never echo the offending values back
+            return res.status(403).json({
+                error: 'Request blocked: potential XSS detected',
+                findings: findings.map(finding => ({
+                    location: finding.location,
+                    probability: finding.mlPrediction ? finding.mlPrediction.probability : null
+                }))
+            });
+        }
+
+        if (mode === 'sanitize') {
+            inspected.forEach((leaf, i) => {
+                if (results[i].isMalicious && leaf.parent) {
+                    leaf.parent[leaf.key] = sanitizeHtml(leaf.value, sanitizePolicy).html;
+                }
+            });
+            if (parsedCookies && findings.some(finding => finding.location.startsWith('cookies.'))) {
+                req.cookies = parsedCookies;
+                req.headers.cookie = formatCookieHeader(parsedCookies);
+            }
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    xssGuard,
+    scoreInputs,
+    patternsFromFeatures,
+    matchPatterns
+};
@@ -0,0 +1,910 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { toSamples, trainModel, saveModel, loadModel, predictSamples } = require('./ml_model');
+const { BACKEND_NAMES, DEFAULT_BACKEND, getBackend } = require('./classifiers');
+const { DEFAULT_LEXICAL_OPTIONS } = require('./lexical_features');
+const { buildManifest, checkDatasets, compareLibraries, compareProbes, countRecords, modelFingerprint, probePredictions, resolveSpec } = require('./training_manifest');
+const { FEATURE_NAMES, SCHEMA_HASH } = require('./feature_schema');
+const { importCurrentModel, registerModel, activateVersion, manifestPath } = require('./model_registry');
+const { loadDataset, parseDatasetSpec } = require('./dataset_loaders');
+const { assessDataset, formatReport, payloadSkeleton } = require('./dataset_quality');
+const { rocAuc, averagePrecision, rocCurve, precisionRecallCurve, downsampleCurve, brierScore } = require('./classification_metrics');
+const { CALIBRATION_METHODS, fitCalibration, applyCalibration, chooseOperatingPoints } = require('./calibration');
+const { createRandom, shuffleInPlace } = require('./random');
+const { assignFolds } = require('./folds');
+
+const METRICS_PATH = path.join(__dirname, 'model_metrics.json');
+
+// Default datasets and which of them are synthetic (generated rather than collected).
+// { includeSynthetic, datasets: [{ spec, synthetic }] }, specs relative to the dataset/ directory.
+const DATASET_CONFIG_PATH = path.join(__dirname, 'dataset', 'datasets.json');
+
+const DEFAULT_OPTIONS = {
+    folds: 3,
+    seed: 42,
+    maxSamples: 4000, // subsample for quicker k-fold runs; 0 keeps every sample
+    search: 'random',
+    trials: 10,
+    metric: 'f1_score',
+    groupBy: 'template',
+    backend: DEFAULT_BACKEND,
+    lexical: DEFAULT_LEXICAL_OPTIONS, // null: handcrafted features only
+    calibration: 'isotonic',
+    dedupe: true
+};
+
+const METRICS = ['accuracy', 'precision', 'recall', 'f1_score'];
+
+// Per-fold metrics averaged (with their standard deviation) over the folds
+const FOLD_METRICS = ['accuracy', 'precision', 'recall', 'f1_score', 'roc_auc', 'pr_auc'];
+
+// What keeps samples together in one cross-validation fold (see groupKeys)
+const GROUPINGS = ['template', 'source', 'none'];
+
+// ----------------- Helpers -----------------
+
+function confusionSummary(tp, tn, fp, fn) {
+    const total = tp + tn + fp + fn;
+    const precision = (tp + fp) > 0 ? (tp / (tp + fp)) : 0;
+    const recall = (tp + fn) > 0 ? (tp / (tp + fn)) : 0;
+    const f1Score = (precision + recall) > 0 ? (2 * precision * recall / (precision + recall)) : 0;
+    const accuracy = total > 0 ? ((tp + tn) / total) : 0;
+    return {
+        true_positives: tp,
+        true_negatives: tn,
+        false_positives: fp,
+        false_negatives: fn,
+        total_labeled: total,
+        precision,
+        recall,
+        f1_score: f1Score,
+        accuracy,
+        model_used: true
+    };
+}
+
+function countOutcomes(predictions, labels) {
+    let tp = 0, tn = 0, fp = 0, fn = 0;
+    predictions.forEach((pred, i) => {
+        const actual = labels[i];
+        if (pred === 1 && actual === 1) tp++;
+        else if (pred === 0 && actual === 0) tn++;
+        else if (pred === 1 && actual === 0) fp++;
+        else fn++;
+    });
+    return { tp, tn, fp, fn };
+}
+
+// ----------------- Datasets -----------------
+
+function readDatasetConfig(configPath = DATASET_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return {
+        includeSynthetic: config.includeSynthetic !== false,
+        datasets: config.datasets.map(entry => ({
+            spec: path.join(path.dirname(configPath), entry.spec),
+            synthetic: !!entry.synthetic,
+            optional: !!entry.optional
+        }))
+    };
+}
+
+// Dataset specs used when none are given on the command line. Optional datasets (such as
+// reviewed_scans.jsonl, which only exists once someone has labeled a scan) are skipped while
+// their file is missing.
+function defaultDatasets(configPath = DATASET_CONFIG_PATH) {
+    return readDatasetConfig(configPath).datasets
+        .filter(entry => !entry.optional || fs.existsSync(parseDatasetSpec(entry.spec).file))
+        .map(entry => entry.spec);
+}
+
+// A dataset is synthetic when datasets.json marks its file so, or its spec says synthetic=true
+function isSynthetic(spec, config) {
+    const { file, options } = parseDatasetSpec(spec);
+    if (options.synthetic !== undefined) {
+        return options.synthetic === 'true';
+    }
+    return config.datasets.some(entry => entry.synthetic && path.resolve(parseDatasetSpec(entry.spec).file) === path.resolve(file));
+}
+
+// A dataset whose spec says subsample=false (the reviewed scans, see dataset/datasets.json) is
+// always trained on whole; --max-samples only subsamples the others
+function isSubsampled(spec) {
+    return parseDatasetSpec(spec).options.subsample !== 'false';
+}
+
+/**
+ * Load (see dataset_loaders.js for the dataset spec format) and quality-check every dataset
+ * (see dataset_quality.js). Synthetic datasets are skipped unless includeSynthetic (default:
+ * datasets.json) is on; near-duplicates are removed unless dedupe is false. Records of datasets
+ * that are not subsampled (see isSubsampled) are marked keep: true.
+ * Returns { records, datasets, quality } where datasets lists { spec, file, samples, synthetic } per dataset loaded.
+ * options: { includeSynthetic, dedupe, quiet }
+ */
+function loadRecords(specs, options = {}) {
+    const log = options.quiet ? () => {} : console.log;
+    const config = readDatasetConfig();
+    const includeSynthetic = options.includeSynthetic === undefined ? config.includeSynthetic : options.includeSynthetic;
+
+    let records = [];
+    const datasets = [];
+    specs.forEach(spec => {
+        const file = path.basename(parseDatasetSpec(spec).file);
+        const synthetic = isSynthetic(spec, config);
+        if (synthetic && !includeSynthetic) {
+            log(`Skipping synthetic dataset ${file} (includeSynthetic is off)`);
+            return;
+        }
+        const loaded = loadDataset(spec);
+        if (!isSubsampled(spec)) {
+            loaded.forEach(record => { record.keep = true; });
+        }
+        log(`Loaded ${loaded.length} samples from ${file}${synthetic ? ' (synthetic)' : ''}`);
+        datasets.push({ spec, file, samples: loaded.length, synthetic });
+        records = records.concat(loaded);
+    });
+
+    const assessed = assessDataset(records, { dedupe: options.dedupe !== false });
+    log(formatReport(assessed.report));
+    return { records: assessed.records, datasets, quality: assessed.report };
+}
+
+/**
+ * Cross-validation group of every record, so a payload family never sits on both sides of a
+ * split: 'template' groups by payload skeleton (see dataset_quality.js), 'source' by dataset
+ * file, 'none' leaves each record on its own (returns null).
+ */
+function groupKeys(records, groupBy) {
+    if (groupBy === 'none') {
+        return null;
+    }
+    if (groupBy === 'source') {
+        return records.map(record => record.source);
+    }
+    return records.map(record => payloadSkeleton(record.text));
+}
+
+/**
+ * Load, quality-check (see loadRecords) and featurize every dataset.
+ * Returns { samples, y, groups, counts, datasets, quality }: samples are { text, features } (see
+ * classifiers/index.js), groups see groupKeys, counts the records per label and source (see
+ * training_manifest.js).
+ * options: { maxSamples, seed, includeSynthetic, dedupe, groupBy }
+ */
+function buildDataset(specs, options = {}) {
+    const maxSamples = options.maxSamples === undefined ? DEFAULT_OPTIONS.maxSamples : options.maxSamples;
+    const seed = options.seed === undefined ? DEFAULT_OPTIONS.seed : options.seed;
+
+    let { records, datasets, quality } = loadRecords(specs, options);
+    if (records.length === 0) {
+        throw new Error('No samples to train on');
+    }
+
+    if (maxSamples > 0 && records.length > maxSamples) {
+        const kept = records.filter(record => record.keep);
+        const rest = records.filter(record => !record.keep);
+        console.log(`Subsampling from ${records.length} to ${Math.max(maxSamples, kept.length)} samples for faster k-fold training` +
+            (kept.length > 0 ? ` (all ${kept.length} from datasets with subsample=false kept)...` : '...'));
+        records = kept.concat(shuffleInPlace(rest, createRandom(seed)).slice(0, Math.max(0, maxSamples - kept.length)));
+    }
+
+    const samples = toSamples(records.map(record => record.text));
+    const y = records.map(record => record.label);
+    const groups = groupKeys(records, options.groupBy || DEFAULT_OPTIONS.groupBy);
+    console.log(`Dataset size: ${samples.length} samples, feature dimension: ${FEATURE_NAMES.length} (feature schema ${SCHEMA_HASH})`);
+    return { samples, y, groups, counts: countRecords(records), datasets, quality };
+}
+
+// ----------------- Evaluation -----------------
+
+// Mean and (population) standard deviation of each FOLD_METRICS entry; folds where a
+// metric is undefined (AUCs on a single-class fold) are left out of its average
+function summarizeFolds(foldResults) {
+    const averageMetrics = {};
+    const standardDeviation = {};
+    FOLD_METRICS.forEach(metric => {
+        const values = foldResults.map(fold => fold[metric]).filter(value => typeof value === 'number');
+        if (values.length === 0) {
+            averageMetrics[metric] = null;
+            standardDeviation[metric] = null;
+            return;
+        }
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        averageMetrics[metric] = mean;
+        standardDeviation[metric] = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+    });
+    return { averageMetrics, standardDeviation };
+}
+
+/**
+ * Seeded stratified (and, with groups, grouped) k-fold cross-validation of one backend and
+ * hyperparameter set. The folds depend only on y, groups and seed, so every backend run with
+ * the same ones is scored on the same splits.
+ * options: { folds, seed, backend, hyperparameters, lexical, groups (see groupKeys) }
+ * Returns { k, grouped, foldResults, averageMetrics, standardDeviation, foldAccuracies,
+ * meanAccuracy, stdAccuracy, totalSamples, confusion, outOfFold }. foldResults holds every fold's
+ * confusion matrix with accuracy, precision, recall, f1_score, roc_auc and pr_auc; confusion is
+ * aggregated over the folds (same shape as getConfusionMatrix in database.js); outOfFold is
+ * { scores, labels }, every sample's malicious probability from the fold that held it out.
+ */
+function crossValidate(samples, y, options = {}) {
+    const k = options.folds || DEFAULT_OPTIONS.folds;
+    const seed = options.seed === undefined ? DEFAULT_OPTIONS.seed : options.seed;
+    const backend = options.backend || DEFAULT_OPTIONS.backend;
+    const lexical = options.lexical === undefined ? DEFAULT_OPTIONS.lexical : options.lexical;
+    const hyperparameters = Object.assign({ seed }, options.hyperparameters);
+    if (samples.length < k) {
+        throw new Error(`Need at least ${k} samples for ${k}-fold cross-validation`);
+    }
+
+    const folds = assignFolds(y, options.groups || null, k, createRandom(seed));
+    const foldResults = [];
+    const outOfFoldScores = new Array(samples.length);
+    let tp = 0, tn = 0, fp = 0, fn = 0;
+
+    for (let fold = 0; fold < k; fold++) {
+        const testIdx = [];
+        const trainIdx = [];
+        folds.forEach((assigned, i) => (assigned === fold ? testIdx : trainIdx).push(i));
+        const testLabels = testIdx.map(i => y[i]);
+
+        // Backends that need scaled features scale them themselves, and the lexical IDF weights
+        // and vocabulary are fitted, from the training fold only
+        const classifier = trainModel(trainIdx.map(i => samples[i]), trainIdx.map(i => y[i]), hyperparameters, backend, lexical);
+        const predictions = predictSamples(classifier, testIdx.map(i => samples[i]));
+        const counts = countOutcomes(predictions.map(prediction => (prediction.isMalicious ? 1 : 0)), testLabels);
+        const scores = predictions.map(prediction => prediction.probability);
+        testIdx.forEach((sample, i) => { outOfFoldScores[sample] = scores[i]; });
+        const summary = confusionSummary(counts.tp, counts.tn, counts.fp, counts.fn);
+
+        const result = {
+            fold: fold + 1,
+            testSize: testIdx.length,
+            trainSize: trainIdx.length,
+            true_positives: counts.tp,
+            true_negatives: counts.tn,
+            false_positives: counts.fp,
+            false_negatives: counts.fn,
+            accuracy: summary.accuracy,
+            precision: summary.precision,
+            recall: summary.recall,
+            f1_score: summary.f1_score,
+            roc_auc: rocAuc(scores, testLabels),
+            pr_auc: averagePrecision(scores, testLabels)
+        };
+        foldResults.push(result);
+        tp += counts.tp;
+        tn += counts.tn;
+        fp += counts.fp;
+        fn += counts.fn;
+        console.log(`Fold ${fold + 1}/${k} (${testIdx.length} test samples): ${formatFoldMetrics(result)}`);
+    }
+
+    const { averageMetrics, standardDeviation } = summarizeFolds(foldResults);
+    console.log('---');
+    console.log(`K-Fold (${k}) Accuracy: ${(averageMetrics.accuracy * 100).toFixed(2)}% ± ${(standardDeviation.accuracy * 100).toFixed(2)}%`);
+
+    const confusion = confusionSummary(tp, tn, fp, fn);
+    return {
+        k,
+        backend,
+        grouped: !!options.groups,
+        foldResults,
+        averageMetrics,
+        standardDeviation,
+        foldAccuracies: foldResults.map(result => result.accuracy),
+        meanAccuracy: averageMetrics.accuracy,
+        stdAccuracy: standardDeviation.accuracy,
+        totalSamples: confusion.total_labeled,
+        confusion,
+        outOfFold: { scores: outOfFoldScores, labels: y }
+    };
+}
+
+function formatFoldMetrics(metrics) {
+    const percent = value => (typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : 'n/a');
+    return `accuracy ${percent(metrics.accuracy)}, precision ${percent(metrics.precision)}, recall ${percent(metrics.recall)}, ` +
+        `F1 ${percent(metrics.f1_score)}, ROC-AUC ${percent(metrics.roc_auc)}, PR-AUC ${percent(metrics.pr_auc)}`;
+}
+
+/**
+ * Fit the calibration `method` (see calibration.js) on out-of-fold scores and choose the
+ * operating points on the calibrated scores. Returns { calibration, operatingPoints } to save
+ * with the model and a report for model_metrics.json (Brier scores, AUCs and the ROC and
+ * precision-recall curves /metrics plots).
+ */
+function calibrate(outOfFold, method = DEFAULT_OPTIONS.calibration) {
+    const { scores, labels } = outOfFold;
+    const calibration = fitCalibration(method, scores, labels);
+    const calibrated = scores.map(score => applyCalibration(calibration, score));
+    const operatingPoints = chooseOperatingPoints(calibrated, labels);
+    return {
+        calibration,
+        operatingPoints,
+        report: {
+            method,
+            samples: scores.length,
+            brierScore: { raw: brierScore(scores, labels), calibrated: brierScore(calibrated, labels) },
+            rocAuc: rocAuc(calibrated, labels),
+            prAuc: averagePrecision(calibrated, labels),
+            operatingPoints,
+            roc: downsampleCurve(rocCurve(calibrated, labels)),
+            precisionRecall: downsampleCurve(precisionRecallCurve(calibrated, labels))
+        }
+    };
+}
+
+// Confusion matrix of an already trained model on a dataset
+function evaluateModel(classifier, samples, y) {
+    const predictions = predictSamples(classifier, samples).map(prediction => (prediction.isMalicious ? 1 : 0));
+    const counts = countOutcomes(predictions, y);
+    return confusionSummary(counts.tp, counts.tn, counts.fp, counts.fn);
+}
+
+// ----------------- Hyperparameter search -----------------
+
+// Every combination of the search space (grid) or `trials` distinct random draws from it
+function candidateHyperparameters(space, search, trials, random) {
+    const names = Object.keys(space);
+    let grid = [{}];
+    names.forEach(name => {
+        grid = grid.flatMap(partial => space[name].map(value => Object.assign({}, partial, { [name]: value })));
+    });
+    if (search === 'grid') {
+        return grid;
+    }
+    return shuffleInPlace(grid, random).slice(0, trials);
+}
+
+/**
+ * Cross-validate every candidate and pick the best by `metric` (aggregated over the folds,
+ * ties broken by mean accuracy).
+ * options: { folds, seed, groups, backend, lexical, search: 'grid' | 'random', trials, metric, space }
+ * (space is merged over the backend's searchSpace)
+ * Returns { search, metric, folds, seed, space, trials: [{ hyperparameters, score, meanAccuracy,
+ * stdAccuracy, foldAccuracies, confusion }], best, bestOutOfFold } where best also carries the
+ * winner's foldResults, averageMetrics and standardDeviation, and bestOutOfFold its out-of-fold scores.
+ */
+function tuneHyperparameters(samples, y, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const space = Object.assign({}, getBackend(settings.backend).searchSpace, options.space);
+    if (Object.keys(space).length === 0) {
+        throw new Error(`The ${settings.backend} backend has nothing to tune (give --space name=v1,v2,...)`);
+    }
+    const candidates = candidateHyperparameters(space, settings.search, settings.trials, createRandom(settings.seed));
+    console.log(`${settings.search === 'grid' ? 'Grid' : 'Random'} search over ${candidates.length} ${settings.backend} hyperparameter sets (${settings.folds}-fold CV, metric ${settings.metric})`);
+
+    const evaluations = [];
+    const trials = candidates.map((hyperparameters, i) => {
+        console.log('---');
+        console.log(`Trial ${i + 1}/${candidates.length}:`, JSON.stringify(hyperparameters));
+        const result = crossValidate(samples, y, { folds: settings.folds, seed: settings.seed, groups: settings.groups, backend: settings.backend, lexical: settings.lexical, hyperparameters });
+        evaluations.push(result);
+        return {
+            hyperparameters,
+            score: result.confusion[settings.metric],
+            meanAccuracy: result.meanAccuracy,
+            stdAccuracy: result.stdAccuracy,
+            foldAccuracies: result.foldAccuracies,
+            confusion: result.confusion
+        };
+    });
+
+    const ranked = trials.slice().sort((a, b) => (b.score - a.score) || (b.meanAccuracy - a.meanAccuracy));
+    const bestEvaluation = evaluations[trials.indexOf(ranked[0])];
+    return {
+        backend: settings.backend,
+        search: settings.search,
+        metric: settings.metric,
+        folds: settings.folds,
+        seed: settings.seed,
+        space,
+        trials,
+        best: Object.assign({}, ranked[0], {
+            foldResults: bestEvaluation.foldResults,
+            averageMetrics: bestEvaluation.averageMetrics,
+            standardDeviation: bestEvaluation.standardDeviation
+        }),
+        bestOutOfFold: bestEvaluation.outOfFold
+    };
+}
+
+// ----------------- Saving -----------------
+
+function metricsPayload(datasets, quality, options, hyperparameters, evaluation, calibrated) {
+    return {
+        dataset: datasets.map(entry => entry.file).join(' + '),
+        datasets: datasets.map(({ file, samples, synthetic }) => ({ file, samples, synthetic })),
+        dataQuality: Object.assign({}, quality, { leakingTemplates: quality.leakingTemplates.slice(0, 20) }),
+        seed: options.seed,
+        backend: options.backend || DEFAULT_OPTIONS.backend,
+        hyperparameters: hyperparameters,
+        lexical: options.lexical === undefined ? DEFAULT_OPTIONS.lexical : options.lexical,
+        k: evaluation.k,
+        stratified: true,
+        groupBy: options.groupBy || DEFAULT_OPTIONS.groupBy,
+        foldResults: evaluation.foldResults,
+        averageMetrics: evaluation.averageMetrics,
+        standardDeviation: evaluation.standardDeviation,
+        foldAccuracies: evaluation.foldAccuracies,
+        meanAccuracy: evaluation.meanAccuracy,
+        stdAccuracy: evaluation.stdAccuracy,
+        confusion: evaluation.confusion,
+        calibration: calibrated.report,
+        featureSchema: SCHEMA_HASH,
+        featureNames: FEATURE_NAMES
+    };
+}
+
+// Train the deployed model on every sample, with the calibration and operating points fitted
+// during cross-validation attached
+function trainFinalModel(samples, y, hyperparameters, settings, calibrated) {
+    const classifier = trainModel(samples, y, hyperparameters, settings.backend, settings.lexical);
+    classifier.calibration = calibrated.calibration;
+    classifier.operatingPoints = calibrated.operatingPoints;
+    return classifier;
+}
+
+// What the training manifest records to repeat a run (see training_manifest.js)
+function runSettings(options, hyperparameters, k) {
+    return {
+        folds: k,
+        seed: options.seed,
+        maxSamples: options.maxSamples,
+        groupBy: options.groupBy || DEFAULT_OPTIONS.groupBy,
+        dedupe: options.dedupe !== false,
+        backend: options.backend || DEFAULT_OPTIONS.backend,
+        hyperparameters: hyperparameters,
+        lexical: options.lexical === undefined ? DEFAULT_OPTIONS.lexical : options.lexical,
+        calibration: options.calibration || DEFAULT_OPTIONS.calibration
+    };
+}
+
+// Persist offline metrics for /metrics, train the final model on all samples (saved with the
+// calibration and operating points fitted during cross-validation), register it with its
+// training manifest and make it active.
+// run: { command, startedAt, datasets (from loadRecords), counts, options }
+function trainAndActivate(samples, y, hyperparameters, metrics, source, calibrated, run) {
+    // Keep the model being replaced in the registry (with its own metrics) so it can be rolled back to
+    importCurrentModel();
+    fs.writeFileSync(METRICS_PATH, JSON.stringify(metrics, null, 2));
+    console.log('Saved offline model metrics to', METRICS_PATH);
+
+    console.log('---');
+    console.log(`Training final ${metrics.backend} model on the full dataset for deployment...`);
+    const settings = runSettings(run.options, hyperparameters, metrics.k);
+    const finalClassifier = trainFinalModel(samples, y, hyperparameters, settings, calibrated);
+    const extras = { calibration: calibrated.calibration, operatingPoints: calibrated.operatingPoints };
+    if (!saveModel(finalClassifier, FEATURE_NAMES.length, extras)) {
+        throw new Error('Failed to save the trained model');
+    }
+    const manifest = buildManifest({
+        command: run.command,
+        startedAt: run.startedAt,
+        specs: run.datasets.map(entry => entry.spec),
+        counts: run.counts,
+        settings: settings,
+        model: finalClassifier,
+        metrics: metrics
+    });
+    const { version } = registerModel(undefined, {
+        source: source,
+        dataset: metrics.dataset,
+        metrics: metrics,
+        manifest: manifest
+    });
+    activateVersion(version);
+    return version;
+}
+
+// ----------------- Commands -----------------
+
+// Hyperparameters for a run: the backend's defaults, then --seed, then the given ones
+function resolveHyperparameters(options, hyperparameters = options.hyperparameters) {
+    return Object.assign({}, getBackend(options.backend).defaultHyperparameters, { seed: options.seed }, hyperparameters);
+}
+
+// xss-train train: cross-validate the given backend and hyperparameters, then train, register and activate
+function runTrain(options) {
+    const startedAt = Date.now();
+    const { samples, y, groups, counts, datasets, quality } = buildDataset(options.datasets, options);
+    const hyperparameters = resolveHyperparameters(options);
+    const evaluation = crossValidate(samples, y, { folds: options.folds, seed: options.seed, groups, backend: options.backend, lexical: options.lexical, hyperparameters });
+    const calibrated = calibrate(evaluation.outOfFold, options.calibration);
+    printOperatingPoints(calibrated.report);
+    const metrics = metricsPayload(datasets, quality, options, hyperparameters, evaluation, calibrated);
+    const version = trainAndActivate(samples, y, hyperparameters, metrics, options.source || 'xss-train train', calibrated,
+        { command: 'train', startedAt, datasets, counts, options });
+    console.log(`Model ${version} trained and activated`);
+    return version;
+}
+
+// xss-train evaluate: cross-validate without saving anything, or score a saved model (--model)
+function runEvaluate(options) {
+    const { samples, y, groups } = buildDataset(options.datasets, options);
+    if (options.model) {
+        const classifier = loadModel(options.model);
+        if (!classifier) {
+            throw new Error(`Could not load model ${options.model}`);
+        }
+        const confusion = evaluateModel(classifier, samples, y);
+        printConfusion(`Model ${options.model} (${classifier.backend})`, confusion);
+        return confusion;
+    }
+    const hyperparameters = resolveHyperparameters(options);
+    const evaluation = crossValidate(samples, y, { folds: options.folds, seed: options.seed, groups, backend: options.backend, lexical: options.lexical, hyperparameters });
+    printConfusion(`${evaluation.k}-fold cross-validation (${options.backend})`, evaluation.confusion);
+    console.log(`  Per fold:  ${formatFoldMetrics(evaluation.averageMetrics)} (mean)`);
+    printOperatingPoints(calibrate(evaluation.outOfFold, options.calibration).report);
+    return evaluation;
+}
+
+// xss-train compare: cross-validate every backend (or --backends) on the same folds, saving nothing.
+// --param values only go to the backend chosen with --backend.
+function runCompare(options) {
+    // With --json, training progress goes to stderr so stdout is only the JSON
+    const log = console.log;
+    if (options.json) {
+        console.log = console.error;
+    }
+    let results;
+    try {
+        const { samples, y, groups } = buildDataset(options.datasets, options);
+        results = (options.backends || BACKEND_NAMES).map(backend => {
+            console.log('---');
+            console.log(`Backend ${backend}`);
+            const hyperparameters = resolveHyperparameters({ backend, seed: options.seed },
+                backend === options.backend ? options.hyperparameters : {});
+            const started = Date.now();
+            const evaluation = crossValidate(samples, y, { folds: options.folds, seed: options.seed, groups, backend, lexical: options.lexical, hyperparameters });
+            return {
+                backend,
+                hyperparameters,
+                seconds: (Date.now() - started) / 1000,
+                confusion: evaluation.confusion,
+                averageMetrics: evaluation.averageMetrics,
+                standardDeviation: evaluation.standardDeviation
+            };
+        });
+    } finally {
+        console.log = log;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ folds: options.folds, seed: options.seed, groupBy: options.groupBy, results }, null, 2));
+        return results;
+    }
+    const percent = value => (typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : 'n/a').padStart(8);
+    console.log('---');
+    console.log(`${options.folds}-fold cross-validation on the same folds (seed ${options.seed}, group-by ${options.groupBy}), mean over folds:`);
+    console.log(`  ${'backend'.padEnd(20)} ${['accuracy', 'precision', 'recall', 'F1', 'ROC-AUC', 'PR-AUC'].map(name => name.padStart(8)).join(' ')}   time`);
+    results.forEach(result => {
+        const metrics = result.averageMetrics;
+        const values = [metrics.accuracy, metrics.precision, metrics.recall, metrics.f1_score, metrics.roc_auc, metrics.pr_auc];
+        console.log(`  ${result.backend.padEnd(20)} ${values.map(percent).join(' ')}   ${result.seconds.toFixed(1)}s`);
+    });
+    return results;
+}
+
+// xss-train tune: search hyperparameters, then train the best set and write the full report
+function runTune(options) {
+    const startedAt = Date.now();
+    const { samples, y, groups, counts, datasets, quality } = buildDataset(options.datasets, options);
+    const tuning = tuneHyperparameters(samples, y, Object.assign({}, options, { groups }));
+    const best = tuning.best;
+    const hyperparameters = resolveHyperparameters(options, best.hyperparameters);
+
+    console.log('---');
+    console.log(`Best ${tuning.metric}: ${(best.score * 100).toFixed(2)}% with`, JSON.stringify(best.hyperparameters));
+
+    const calibrated = calibrate(tuning.bestOutOfFold, options.calibration);
+    printOperatingPoints(calibrated.report);
+    const metrics = metricsPayload(datasets, quality, options, hyperparameters, Object.assign({ k: tuning.folds }, best), calibrated);
+    metrics.tuning = Object.assign({}, tuning);
+    delete metrics.tuning.bestOutOfFold;
+    const version = trainAndActivate(samples, y, hyperparameters, metrics, 'xss-train tune', calibrated,
+        { command: 'tune', startedAt, datasets, counts, options });
+    console.log(`Model ${version} trained and activated`);
+    return tuning;
+}
+
+/**
+ * xss-train verify: retrain from a training manifest (default: the active model's) and check
+ * that the datasets are unchanged and that the new model matches the recorded one: same record
+ * counts, cross-validation metrics, model fingerprint and probe predictions. Throws on any mismatch.
+ */
+function runVerify(options) {
+    const file = options.manifest || manifestPath();
+    if (!file) {
+        throw new Error('The active model has no training manifest (train it with xss-train, or give --manifest <file>)');
+    }
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`Verifying ${file}: xss-train ${manifest.command} of ${manifest.startedAt}`);
+
+    const datasetProblems = checkDatasets(manifest);
+    if (datasetProblems.length > 0) {
+        throw new Error(`Cannot reproduce: datasets changed since training\n  ${datasetProblems.join('\n  ')}`);
+    }
+    compareLibraries(manifest).forEach(difference => console.warn(`Warning: library version differs (${difference})`));
+
+    // Only the datasets that were loaded are listed, so synthetic ones among them are loaded again
+    const settings = manifest.settings;
+    const { samples, y, groups, counts } = buildDataset(manifest.datasets.map(resolveSpec), Object.assign({}, settings, { includeSynthetic: true }));
+    const evaluation = crossValidate(samples, y, {
+        folds: settings.folds,
+        seed: settings.seed,
+        groups,
+        backend: settings.backend,
+        lexical: settings.lexical,
+        hyperparameters: settings.hyperparameters
+    });
+    const calibrated = calibrate(evaluation.outOfFold, settings.calibration);
+    console.log('---');
+    console.log('Retraining the final model...');
+    const classifier = trainFinalModel(samples, y, settings.hyperparameters, settings, calibrated);
+    const probeMismatches = compareProbes(manifest.probes, probePredictions(classifier));
+
+    const checks = [
+        { name: 'record counts', passed: JSON.stringify(counts) === JSON.stringify(manifest.records) },
+        { name: 'cross-validation metrics', passed: JSON.stringify(evaluation.averageMetrics) === JSON.stringify(manifest.metrics.averageMetrics) },
+        { name: 'model fingerprint', passed: modelFingerprint(classifier) === manifest.modelFingerprint },
+        { name: `predictions on ${manifest.probes.length} probes`, passed: probeMismatches.length === 0 }
+    ];
+    console.log('---');
+    checks.forEach(check => console.log(`  ${check.passed ? 'OK  ' : 'FAIL'} ${check.name}`));
+    probeMismatches.forEach(mismatch => {
+        console.log(`       ${JSON.stringify(mismatch.input)}: ${mismatch.expected} in the manifest, ${mismatch.actual} now`);
+    });
+    if (checks.some(check => !check.passed)) {
+        throw new Error('Training run is not reproducible');
+    }
+    console.log('Training run reproduced exactly');
+    return checks;
+}
+
+// xss-train report: dataset-quality report only (duplicates, leaking templates, class balance)
+function runReport(options) {
+    const { quality } = loadRecords(options.datasets, Object.assign({}, options, { quiet: options.json }));
+    if (options.json) {
+        console.log(JSON.stringify(quality, null, 2));
+    }
+    return quality;
+}
+
+function printConfusion(title, confusion) {
+    console.log('---');
+    console.log(title);
+    console.log(`  Accuracy:  ${(confusion.accuracy * 100).toFixed(2)}%`);
+    console.log(`  Precision: ${(confusion.precision * 100).toFixed(2)}%`);
+    console.log(`  Recall:    ${(confusion.recall * 100).toFixed(2)}%`);
+    console.log(`  F1 score:  ${(confusion.f1_score * 100).toFixed(2)}%`);
+    console.log(`  TP ${confusion.true_positives}  TN ${confusion.true_negatives}  FP ${confusion.false_positives}  FN ${confusion.false_negatives}`);
+}
+
+function printOperatingPoints(report) {
+    const brier = report.brierScore;
+    console.log('---');
+    console.log(`Calibration: ${report.method} on ${report.samples} out-of-fold scores, Brier score ${brier.raw.toFixed(4)} -> ${brier.calibrated.toFixed(4)}`);
+    Object.keys(report.operatingPoints || {}).forEach(name => {
+        const point = report.operatingPoints[name];
+        console.log(`  ${name.padEnd(9)} threshold ${point.threshold.toFixed(3)}  precision ${(point.precision * 100).toFixed(2)}%  recall ${(point.recall * 100).toFixed(2)}%  FPR ${(point.fpr * 100).toFixed(2)}%`);
+    });
+}
+
+// ----------------- Argument parsing -----------------
+
+const USAGE = `Usage: xss-train <train|evaluate|tune|compare|verify|report> [datasets...] [options]
+
+Datasets default to the ones listed in dataset/datasets.json. Each is a file, optionally
+followed by loader options (see dataset_loaders.js):
+  data.csv  data.jsonl  payloads.txt:label=malicious  traffic.har:labels=rules.json,label=clean
+Near-duplicates are removed and a quality report is printed before training (see dataset_quality.js).
+Datasets with subsample=false (such as the scans labeled on /review) are never subsampled by --max-samples.
+train and tune register the model with a training manifest (dataset SHA-256s, record counts, settings,
+library versions, metrics, probe predictions); verify retrains from one and checks the result is identical.
+
+Options:
+  --folds <k>              cross-validation folds (default ${DEFAULT_OPTIONS.folds})
+  --seed <n>               seed for shuffling, subsampling, search and the forest (default ${DEFAULT_OPTIONS.seed})
+  --max-samples <n>        subsample to at most n samples, 0 for all (default ${DEFAULT_OPTIONS.maxSamples})
+  --group-by <${GROUPINGS.join('|')}>  keep each payload template / dataset file within one fold,
+                           or split freely (default ${DEFAULT_OPTIONS.groupBy}); folds are always stratified
+  --backend <name>         classifier: ${BACKEND_NAMES.join(', ')} (default ${DEFAULT_OPTIONS.backend})
+  --param <name=value>     backend hyperparameter for train/evaluate (repeatable; defaults in classifiers/),
+                           e.g. l2=0.1, maxN=5, members=random-forest,naive-bayes
+  --n-estimators <n>       random-forest hyperparameters (same as --param nEstimators=n, ...)
+  --max-depth <n>
+  --max-features <sqrt|n|fraction>
+  --min-num-samples <n|fraction>
+  --no-lexical             train on the handcrafted features only, without the TF-IDF n-gram/token block
+  --hash-buckets <n>       lexical: hashed character n-gram columns (default ${DEFAULT_LEXICAL_OPTIONS.buckets})
+  --max-tokens <n>         lexical: HTML/JS token vocabulary size (default ${DEFAULT_LEXICAL_OPTIONS.maxTokens})
+  --calibration <${CALIBRATION_METHODS.join('|')}>  fit on out-of-fold probabilities; the strict/balanced/lenient
+                           operating points are chosen on the result (default ${DEFAULT_OPTIONS.calibration})
+  --model <file>           evaluate: score this saved model instead of cross-validating
+  --manifest <file>        verify: manifest to reproduce (default: the active model's)
+  --search <grid|random>   tune: search strategy (default ${DEFAULT_OPTIONS.search})
+  --trials <n>             tune: random search draws (default ${DEFAULT_OPTIONS.trials})
+  --metric <name>          tune: ${METRICS.join(', ')} (default ${DEFAULT_OPTIONS.metric})
+  --space <name=v1,v2,...> tune: values to try for one hyperparameter (repeatable; defaults to the backend's searchSpace)
+  --backends <a,b,...>     compare: backends to cross-validate (default all)
+  --synthetic / --no-synthetic  include datasets marked synthetic (default: includeSynthetic in datasets.json)
+  --keep-duplicates        skip near-duplicate removal
+  --json                   report, compare: print the results as JSON`;
+
+// Flags that take no value
+const BOOLEAN_FLAGS = {
+    'synthetic': options => { options.includeSynthetic = true; },
+    'no-synthetic': options => { options.includeSynthetic = false; },
+    'keep-duplicates': options => { options.dedupe = false; },
+    'no-lexical': options => { options.lexical = null; },
+    'json': options => { options.json = true; }
+};
+
+const HYPERPARAMETER_FLAGS = {
+    'n-estimators': 'nEstimators',
+    'max-depth': 'maxDepth',
+    'max-features': 'maxFeatures',
+    'min-num-samples': 'minNumSamples'
+};
+
+function parseHyperparameter(name, value) {
+    if (name === 'maxFeatures' && value === 'sqrt') {
+        return value;
+    }
+    if (name === 'members') {
+        return parseBackends(value);
+    }
+    if (name === 'weights') {
+        return value.split(',').map(weight => parseHyperparameter('weight', weight.trim()));
+    }
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number <= 0) {
+        throw new Error(`Invalid value "${value}" for ${name}`);
+    }
+    return number;
+}
+
+function parseBackends(value) {
+    const backends = value.split(',').map(backend => backend.trim());
+    backends.forEach(backend => getBackend(backend));
+    return backends;
+}
+
+// Every hyperparameter and --space name must be one the backend knows
+function checkHyperparameterNames(backend, names, flag) {
+    const known = Object.keys(Object.assign({ seed: null }, getBackend(backend).defaultHyperparameters, getBackend(backend).searchSpace));
+    names.forEach(name => {
+        if (!known.includes(name)) {
+            throw new Error(`${flag}: ${backend} has no hyperparameter "${name}" (expected one of ${known.join(', ')})`);
+        }
+    });
+}
+
+function parseInteger(flag, value, min) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`--${flag} must be an integer >= ${min}`);
+    }
+    return number;
+}
+
+function parseArgs(argv) {
+    const options = Object.assign({}, DEFAULT_OPTIONS, { command: argv[0], datasets: [], hyperparameters: {}, space: {} });
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            options.datasets.push(arg);
+            continue;
+        }
+        if (BOOLEAN_FLAGS[arg.substring(2)]) {
+            BOOLEAN_FLAGS[arg.substring(2)](options);
+            continue;
+        }
+        let flag = arg.substring(2);
+        let value;
+        if (flag.includes('=')) {
+            value = flag.substring(flag.indexOf('=') + 1);
+            flag = flag.substring(0, flag.indexOf('='));
+        } else {
+            value = argv[++i];
+        }
+        if (value === undefined) {
+            throw new Error(`--${flag} needs a value`);
+        }
+
+        if (flag === 'folds') options.folds = parseInteger(flag, value, 2);
+        else if (flag === 'seed') options.seed = parseInteger(flag, value, 0);
+        else if (flag === 'max-samples') options.maxSamples = parseInteger(flag, value, 0);
+        else if (flag === 'trials') options.trials = parseInteger(flag, value, 1);
+        else if (flag === 'model') options.model = path.resolve(value);
+        else if (flag === 'manifest') options.manifest = path.resolve(value);
+        else if (flag === 'hash-buckets' || flag === 'max-tokens') {
+            if (options.lexical) {
+                options.lexical = Object.assign({}, options.lexical, { [flag === 'hash-buckets' ? 'buckets' : 'maxTokens']: parseInteger(flag, value, 1) });
+            }
+        }
+        else if (flag === 'backend') options.backend = getBackend(value).name;
+        else if (flag === 'backends') options.backends = parseBackends(value);
+        else if (flag === 'calibration') {
+            if (!CALIBRATION_METHODS.includes(value)) throw new Error(`--calibration must be one of ${CALIBRATION_METHODS.join(', ')}`);
+            options.calibration = value;
+        } else if (flag === 'group-by') {
+            if (!GROUPINGS.includes(value)) throw new Error(`--group-by must be one of ${GROUPINGS.join(', ')}`);
+            options.groupBy = value;
+        }
+        else if (flag === 'search') {
+            if (value !== 'grid' && value !== 'random') throw new Error('--search must be grid or random');
+            options.search = value;
+        } else if (flag === 'metric') {
+            const metric = value === 'f1' ? 'f1_score' : value;
+            if (!METRICS.includes(metric)) throw new Error(`--metric must be one of ${METRICS.join(', ')}`);
+            options.metric = metric;
+        } else if (flag === 'space') {
+            const [name, values] = value.split('=');
+            if (!name || !values) {
+                throw new Error('--space expects name=v1,v2,...');
+            }
+            options.space[name] = values.split(',').map(v => parseHyperparameter(name, v.trim()));
+        } else if (flag === 'param') {
+            const separator = value.indexOf('=');
+            if (separator <= 0) {
+                throw new Error('--param expects name=value');
+            }
+            const name = value.substring(0, separator);
+            options.hyperparameters[name] = parseHyperparameter(name, value.substring(separator + 1));
+        } else if (HYPERPARAMETER_FLAGS[flag]) {
+            const name = HYPERPARAMETER_FLAGS[flag];
+            options.hyperparameters[name] = parseHyperparameter(name, value);
+        } else {
+            throw new Error(`Unknown option --${flag}`);
+        }
+    }
+
+    checkHyperparameterNames(options.backend, Object.keys(options.hyperparameters), '--param');
+    checkHyperparameterNames(options.backend, Object.keys(options.space), '--space');
+
+    if (options.datasets.length === 0) {
+        options.datasets = defaultDatasets();
+    }
+    options.datasets.forEach(spec => {
+        const { file } = parseDatasetSpec(spec);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Dataset not found: ${file}`);
+        }
+    });
+    return options;
+}
+
+module.exports = {
+    defaultDatasets,
+    loadRecords,
+    buildDataset,
+    crossValidate,
+    evaluateModel,
+    tuneHyperparameters,
+    runTrain,
+    runEvaluate,
+    runTune,
+    runCompare,
+    runVerify,
+    runReport,
+    parseArgs
+};
+
+if (require.main === module) {
+    const commands = { train: runTrain, evaluate: runEvaluate, tune: runTune, compare: runCompare, verify: runVerify, report: runReport };
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (!commands[options.command]) {
+            console.log(USAGE);
+            process.exit(1);
+        }
+        commands[options.command](options);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}